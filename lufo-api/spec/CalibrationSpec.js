@@ -0,0 +1,34 @@
+const Calibration = require('../lib/Calibration');
+const { UfoValidationError } = require('../lib/UfoErrors');
+
+describe("Calibration", function() {
+  it("uses no profile without a calibration", function() {
+    expect(Calibration.calibrationProfile(undefined)).toBeNull();
+  });
+  it("fills in defaults", function() {
+    expect(Calibration.calibrationProfile({})).toEqual({
+      gamma: 1, gain: [1, 1, 1, 1], max: [255, 255, 255, 255], order: [0, 1, 2],
+    });
+    expect(Calibration.calibrationProfile({ gain: { red: 0.5, white: -1 }, max: { blue: 300 }, channelOrder: 'BRG' })).toEqual({
+      gamma: 1, gain: [0.5, 1, 1, 0], max: [255, 255, 255, 255], order: [2, 0, 1],
+    });
+  });
+  it("rejects invalid profiles", function() {
+    expect(() => Calibration.calibrationProfile({ gamma: 0 })).toThrowError(UfoValidationError);
+    expect(() => Calibration.calibrationProfile({ channelOrder: 'rrb' })).toThrowError(UfoValidationError);
+    expect(() => Calibration.calibrationProfile({ channelOrder: 'rgbw' })).toThrowError(UfoValidationError);
+  });
+  it("applies gamma, gain and max", function() {
+    const profile = Calibration.calibrationProfile({ gamma: 2, gain: { green: 0.5 }, max: { white: 200 } });
+    expect(Calibration.toDevice(profile, [255, 255, 128, 255])).toEqual([255, 128, 64, 200]);
+    expect(Calibration.fromDevice(profile, [255, 128, 64, 200])).toEqual([255, 255, 128, 226]);
+  });
+  it("remaps channels", function() {
+    const grb = Calibration.calibrationProfile({ channelOrder: 'grb' });
+    expect(Calibration.toDevice(grb, [10, 20, 30, 40])).toEqual([20, 10, 30, 40]);
+    expect(Calibration.fromDevice(grb, [20, 10, 30, 40])).toEqual([10, 20, 30, 40]);
+    const brg = Calibration.calibrationProfile({ channelOrder: 'brg' });
+    expect(Calibration.toDevice(brg, [10, 20, 30])).toEqual([30, 10, 20]);
+    expect(Calibration.fromDevice(brg, [30, 10, 20])).toEqual([10, 20, 30]);
+  });
+});
@@ -0,0 +1,73 @@
+const Color = require('../lib/Color');
+
+describe("Color", function() {
+  it("converts HSV to RGB", function() {
+    expect(Color.hsvToRgb({ hue: 0, saturation: 100, value: 100 })).toEqual({ red: 255, green: 0, blue: 0 });
+    expect(Color.hsvToRgb({ hue: 120, saturation: 100, value: 50 })).toEqual({ red: 0, green: 128, blue: 0 });
+    expect(Color.hsvToRgb({ hue: 30, saturation: 100, value: 100 })).toEqual({ red: 255, green: 128, blue: 0 });
+    expect(Color.hsvToRgb({ hue: 0, saturation: 0, value: 100 })).toEqual({ red: 255, green: 255, blue: 255 });
+  });
+  it("wraps hues and clamps HSV values", function() {
+    expect(Color.hsvToRgb({ hue: 600, saturation: 100, value: 100 })).toEqual({ red: 0, green: 0, blue: 255 });
+    expect(Color.hsvToRgb({ hue: -120, saturation: 150, value: 150 })).toEqual({ red: 0, green: 0, blue: 255 });
+    expect(Color.hsvToRgb({ hue: 0, saturation: 100, value: -10 })).toEqual({ red: 0, green: 0, blue: 0 });
+  });
+  it("converts RGB to HSV", function() {
+    expect(Color.rgbToHsv({ red: 255, green: 128, blue: 0 })).toEqual({ hue: 30, saturation: 100, value: 100 });
+    expect(Color.rgbToHsv({ red: 255, green: 0, blue: 128 })).toEqual({ hue: 330, saturation: 100, value: 100 });
+    expect(Color.rgbToHsv({ red: 0, green: 0, blue: 0 })).toEqual({ hue: 0, saturation: 0, value: 0 });
+    expect(Color.rgbToHsv({ red: 128, green: 128, blue: 128 })).toEqual({ hue: 0, saturation: 0, value: 50 });
+  });
+  it("converts HSL to RGB", function() {
+    expect(Color.hslToRgb({ hue: 0, saturation: 100, lightness: 50 })).toEqual({ red: 255, green: 0, blue: 0 });
+    expect(Color.hslToRgb({ hue: 240, saturation: 100, lightness: 25 })).toEqual({ red: 0, green: 0, blue: 128 });
+    expect(Color.hslToRgb({ hue: 0, saturation: 0, lightness: 100 })).toEqual({ red: 255, green: 255, blue: 255 });
+  });
+  it("converts RGB to HSL", function() {
+    expect(Color.rgbToHsl({ red: 255, green: 128, blue: 0 })).toEqual({ hue: 30, saturation: 100, lightness: 50 });
+    expect(Color.rgbToHsl({ red: 102, green: 51, blue: 153 })).toEqual({ hue: 270, saturation: 50, lightness: 40 });
+    expect(Color.rgbToHsl({ red: 255, green: 255, blue: 255 })).toEqual({ hue: 0, saturation: 0, lightness: 100 });
+  });
+  it("parses hex colors", function() {
+    expect(Color.parseHex('#ff8800')).toEqual({ red: 255, green: 136, blue: 0, white: 0 });
+    expect(Color.parseHex('FF8800')).toEqual({ red: 255, green: 136, blue: 0, white: 0 });
+    expect(Color.parseHex('#f80')).toEqual({ red: 255, green: 136, blue: 0, white: 0 });
+    expect(Color.parseHex('#ff880040')).toEqual({ red: 255, green: 136, blue: 0, white: 64 });
+    expect(Color.parseHex('#ff88')).toBeNull();
+    expect(Color.parseHex('#gg8800')).toBeNull();
+    expect(Color.parseHex('')).toBeNull();
+  });
+  it("formats hex colors", function() {
+    expect(Color.rgbToHex({ red: 255, green: 136, blue: 0 })).toBe('#ff8800');
+    expect(Color.rgbToHex({ red: 1, green: 2, blue: 300 })).toBe('#0102ff');
+  });
+  it("looks up CSS named colors", function() {
+    expect(Color.namedColorToRgb('orange')).toEqual({ red: 255, green: 165, blue: 0 });
+    expect(Color.namedColorToRgb(' RebeccaPurple ')).toEqual({ red: 102, green: 51, blue: 153 });
+    expect(Color.namedColorToRgb('notacolor')).toBeNull();
+    expect(Color.rgbToNamedColor({ red: 0, green: 255, blue: 255 })).toBe('aqua');
+    expect(Color.rgbToNamedColor({ red: 1, green: 2, blue: 3 })).toBeNull();
+    const names = Color.getNamedColors();
+    expect(names.length).toBe(148);
+    expect(names).toContain('grey');
+    expect(names).toContain('gray');
+  });
+  it("converts color temperatures to RGBW", function() {
+    expect(Color.temperatureToRgbw(4000, 100, 4000)).toEqual({ red: 0, green: 0, blue: 0, white: 255 });
+    expect(Color.temperatureToRgbw(4000, 50, 4000)).toEqual({ red: 0, green: 0, blue: 0, white: 128 });
+    expect(Color.temperatureToRgbw(3000, 100, 4000)).toEqual({ red: 86, green: 41, blue: 0, white: 169 });
+    expect(Color.temperatureToRgbw(6500, 100, 4000)).toEqual({ red: 0, green: 48, blue: 84, white: 255 });
+    // Clamped to 2000-6500K.
+    expect(Color.temperatureToRgbw(1000, 100, 4000)).toEqual(Color.temperatureToRgbw(2000, 100, 4000));
+    expect(Color.temperatureToRgbw(9000, 100, 4000)).toEqual(Color.temperatureToRgbw(6500, 100, 4000));
+  });
+  it("estimates color temperatures", function() {
+    [2000, 2700, 3500, 5000, 6500].forEach((kelvin) => {
+      expect(Color.estimateTemperature(Color.temperatureToRgbw(kelvin, 100, 4000), 4000)).toBe(kelvin);
+    });
+    expect(Color.estimateTemperature({ red: 0, green: 0, blue: 0, white: 255 }, 3000)).toBe(3000);
+    expect(Color.estimateTemperature({ red: 0, green: 0, blue: 0, white: 0 }, 4000)).toBeNull();
+    expect(Color.estimateTemperature({ red: 255, green: 0, blue: 255, white: 0 }, 4000)).toBeNull();
+    expect(Color.estimateTemperature({ red: 0, green: 255, blue: 0, white: 0 }, 4000)).toBeNull();
+  });
+});
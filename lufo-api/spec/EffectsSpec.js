@@ -0,0 +1,127 @@
+const Util = require('./Util');
+const Effects = require('../lib/Effects');
+const { EffectPlayer } = require('../lib/EffectPlayer');
+const { UfoValidationError } = require('../lib/UfoErrors');
+
+describe("Effects", function() {
+  const params = { speed: 1, intensity: 0.5, color: null };
+  // Returns the given numbers in order, repeating the last one.
+  const sequence = function(...numbers) {
+    return () => (numbers.length > 1 ? numbers.shift() : numbers[0]);
+  };
+  it("lists the effects", function() {
+    expect(Effects.getEffectNames()).toEqual(['breathing', 'candle', 'fire', 'lightning', 'ocean', 'police', 'rainbow']);
+    expect(Effects.createEffect('disco', params, Math.random)).toBeNull();
+  });
+  it("normalizes speeds", function() {
+    expect(Effects.effectSpeed(undefined)).toBe(1);
+    expect(Effects.effectSpeed(0)).toBe(0.25);
+    expect(Effects.effectSpeed(100)).toBe(4);
+    expect(Effects.effectSpeed(200)).toBe(4);
+  });
+  it("renders every effect within range", function() {
+    const invalid = [];
+    Effects.getEffectNames().forEach((name) => {
+      const render = Effects.createEffect(name, params, Math.random);
+      for (let time = 0; time < 20000; time += 37) {
+        const color = render(time);
+        if (color.length !== 4 || color.some(v => !(v >= 0 && v <= 255))) invalid.push([name, time, color]);
+      }
+    });
+    expect(invalid).toEqual([]);
+  });
+  it("breathes between the intensity and full brightness", function() {
+    const render = Effects.createEffect('breathing', { speed: 1, intensity: 0.5, color: [0, 0, 100, 200] }, Math.random);
+    expect(render(0)).toEqual([0, 0, 50, 100]);
+    expect(render(2000)).toEqual([0, 0, 100, 200]);
+    expect(render(4000)).toEqual([0, 0, 50, 100]);
+  });
+  it("flickers candles by the intensity", function() {
+    const render = Effects.createEffect('candle', { speed: 1, intensity: 1, color: [200, 100, 0, 0] }, sequence(0, 1, 0.5));
+    expect(render(0)).toEqual([200, 100, 0, 0]);
+    expect(render(60).map(Math.round)).toEqual([130, 65, 0, 0]);
+    expect(render(120).map(Math.round)).toEqual([60, 30, 0, 0]);
+    expect(render(240).map(Math.round)).toEqual([130, 65, 0, 0]);
+  });
+  it("strikes lightning at random", function() {
+    // First strike at 0ms, with a single 100ms flash.
+    const render = Effects.createEffect('lightning', params, sequence(0, 0, 1, 0, 1));
+    expect(render(0)).toEqual([255, 255, 255, 255]);
+    expect(render(99)).toEqual([255, 255, 255, 255]);
+    expect(render(100)).toEqual([0, 0, 12, 0]);
+  });
+  it("alternates police lights", function() {
+    const render = Effects.createEffect('police', params, Math.random);
+    expect(render(0)).toEqual([255, 0, 0, 0]);
+    expect(render(150)).toEqual([0, 0, 0, 0]);
+    expect(render(250)).toEqual([255, 0, 0, 0]);
+    expect(render(500)).toEqual([0, 0, 255, 0]);
+    expect(render(750)).toEqual([0, 0, 255, 0]);
+  });
+  it("cycles through the rainbow", function() {
+    const render = Effects.createEffect('rainbow', { speed: 2, intensity: 0, color: null }, Math.random);
+    expect(render(0)).toEqual([255, 0, 0, 0]);
+    expect(render(5000 / 3)).toEqual([0, 255, 0, 0]);
+    expect(render(5000)).toEqual([255, 0, 0, 0]);
+  });
+});
+
+describe("EffectPlayer", function() {
+  var ufo, colors;
+  beforeEach(function() {
+    colors = [];
+    ufo = {
+      setColor: function(red, green, blue, white) {
+        colors.push([red, green, blue, white]);
+        return Promise.resolve();
+      },
+    };
+  });
+  it("rejects unknown effects", function() {
+    expect(() => new EffectPlayer(ufo, 'disco')).toThrowError(UfoValidationError);
+  });
+  it("streams frames until stopped", async function() {
+    const player = new EffectPlayer(ufo, 'rainbow', { speed: 100, brightness: 50, frameRate: 50 });
+    player._play();
+    await Util.sleep(200);
+    const result = await player.stop();
+    expect(player.running).toBe(false);
+    expect(colors.length).toBeGreaterThan(3);
+    colors.forEach(c => expect(Math.max(...c)).toBe(128));
+    const last = colors[colors.length - 1];
+    expect(result).toEqual({ red: last[0], green: last[1], blue: last[2], white: last[3] });
+    const count = colors.length;
+    await Util.sleep(100);
+    expect(colors.length).toBe(count);
+  });
+  it("skips frames that do not change the output", async function() {
+    const player = new EffectPlayer(ufo, 'breathing', { intensity: 0, frameRate: 50, duration: 200 });
+    player._play();
+    expect(await player.done).toEqual({ red: 0, green: 0, blue: 0, white: 255 });
+    expect(player.running).toBe(false);
+    expect(colors).toEqual([[0, 0, 0, 255]]);
+  });
+  it("stops once its signal is aborted", async function() {
+    const controller = new AbortController();
+    const player = new EffectPlayer(ufo, 'police', { signal: controller.signal });
+    player._play();
+    controller.abort();
+    expect(await player.done).toEqual({ red: 255, green: 0, blue: 0, white: 0 });
+    expect(colors.length).toBe(1);
+  });
+  it("keeps playing after errors", async function() {
+    let failures = 2;
+    ufo.setColor = function(red, green, blue, white) {
+      colors.push([red, green, blue, white]);
+      if (failures > 0) {
+        failures -= 1;
+        return Promise.reject(new Error('boom'));
+      }
+      return Promise.resolve();
+    };
+    const player = new EffectPlayer(ufo, 'rainbow', { speed: 100, frameRate: 50, duration: 200 });
+    player._play();
+    expect(await player.done).not.toBeNull();
+    expect(colors.length).toBeGreaterThan(3);
+  });
+});
@@ -0,0 +1,60 @@
+const Sequence = require('../lib/Sequence');
+const Speed = require('../lib/Speed');
+
+describe("Sequence", function() {
+  const steps = [
+    { red: 200, green: 0, blue: 0 },
+    { red: 0, green: 100, blue: 0, white: 50 },
+    { red: 0, green: 0, blue: 300, duration: 2000 },
+  ];
+  it("validates modes", function() {
+    expect(Sequence.isSequenceMode('gradual')).toBe(true);
+    expect(Sequence.isSequenceMode('jumping')).toBe(true);
+    expect(Sequence.isSequenceMode('strobe')).toBe(true);
+    expect(Sequence.isSequenceMode('disco')).toBe(false);
+  });
+  it("computes step durations", function() {
+    expect(Sequence.stepDurations(steps, {})).toEqual([1000, 1000, 2000]);
+    expect(Sequence.stepDurations(steps, { stepDurationMs: 500 })).toEqual([500, 500, 2000]);
+  });
+  it("uploads only sequences the hardware can play", function() {
+    const tables = Speed.speedTables(null);
+    const rgb = [{ red: 255, green: 0, blue: 0 }, { red: 0, green: 255, blue: 0 }];
+    expect(Sequence.hardwareSpeed(rgb, [4600, 4600], tables)).toBe(0);
+    expect(Sequence.hardwareSpeed(rgb, [1800, 1800], tables)).toBe(20);
+    expect(Sequence.hardwareSpeed(rgb, [400, 400], tables)).toBe(30);
+    expect(Sequence.hardwareSpeed(rgb, [300, 300], tables)).toBeNull();
+    expect(Sequence.hardwareSpeed(rgb, [5000, 5000], tables)).toBeNull();
+    expect(Sequence.hardwareSpeed(rgb, [1000, 2000], tables)).toBeNull();
+    expect(Sequence.hardwareSpeed(steps, [1000, 1000, 1000], tables)).toBeNull();
+    expect(Sequence.hardwareSpeed([{ red: 1, green: 2, blue: 3 }], [1000], tables)).toBeNull();
+    const many = Array.from({ length: 17 }, (_, i) => ({ red: i, green: 0, blue: 0 }));
+    expect(Sequence.hardwareSpeed(many.slice(0, 16), many.slice(0, 16).map(() => 1000), tables)).toBe(26);
+    expect(Sequence.hardwareSpeed(many, many.map(() => 1000), tables)).toBeNull();
+  });
+  it("holds each step when jumping", function() {
+    const render = Sequence.createSequence(steps, 'jumping', [1000, 1000, 2000], true);
+    expect(render(0)).toEqual([200, 0, 0, 0]);
+    expect(render(999)).toEqual([200, 0, 0, 0]);
+    expect(render(1000)).toEqual([0, 100, 0, 50]);
+    expect(render(3999)).toEqual([0, 0, 255, 0]);
+    expect(render(4000)).toEqual([200, 0, 0, 0]);
+  });
+  it("fades between steps when gradual", function() {
+    const render = Sequence.createSequence(steps, 'gradual', [1000, 1000, 2000], true);
+    expect(render(500)).toEqual([100, 50, 0, 25]);
+    expect(render(3000)).toEqual([100, 0, 127.5, 0]);
+  });
+  it("flashes each step when strobing", function() {
+    const render = Sequence.createSequence(steps, 'strobe', [1000, 1000, 2000], true);
+    expect(render(100)).toEqual([200, 0, 0, 0]);
+    expect(render(600)).toEqual([0, 0, 0, 0]);
+    expect(render(2900)).toEqual([0, 0, 255, 0]);
+    expect(render(3100)).toEqual([0, 0, 0, 0]);
+  });
+  it("holds the last step unless looping", function() {
+    const render = Sequence.createSequence(steps, 'gradual', [1000, 1000, 2000], false);
+    expect(render(3000)).toEqual([0, 0, 255, 0]);
+    expect(render(5000)).toEqual([0, 0, 255, 0]);
+  });
+});
@@ -0,0 +1,112 @@
+const Util = require('./Util');
+const Ufo = require('../lib/Ufo');
+const net = require('net');
+
+const serverHost = '127.0.0.1';
+const defaultPort = 5577;
+
+describe("Ufo#measureSpeeds", function() {
+  var server, ufo, animate;
+  // The length of each request frame, keyed by its first byte.
+  const frameSizes = { 0x81: 4, 0x31: 8, 0x61: 5, 0x51: 70 };
+  // The simulated output: a function of the time since the last function
+  // started, and the raw mode and speed bytes.
+  let mode, speed, started;
+  const statusResponse = function() {
+    const color = animate(Date.now() - started, mode, speed);
+    const response = Buffer.from([0x81, 0x04, 0x23, mode, 0x21, speed, ...color, 0x00, 0x03, 0x00, 0x00, 0x00]);
+    response[13] = response.slice(0, 13).reduce((sum, b) => sum + b, 0) & 0xFF;
+    return response;
+  };
+  beforeEach(async function() {
+    mode = 0x61;
+    speed = 0;
+    started = Date.now();
+    server = net.createServer();
+    server.on('connection', function(socket) {
+      let buffer = Buffer.alloc(0);
+      socket.on('data', function(data) {
+        buffer = Buffer.concat([buffer, data]);
+        while (buffer.length > 0 && buffer.length >= (frameSizes[buffer[0]] || 1)) {
+          const frame = buffer.slice(0, frameSizes[buffer[0]] || 1);
+          buffer = buffer.slice(frame.length);
+          if (frame[0] === 0x81) {
+            socket.write(statusResponse());
+          } else if (frame[0] === 0x61) {
+            [, mode, speed] = frame;
+            started = Date.now();
+          } else if (frame[0] === 0x51) {
+            mode = 0x60;
+            speed = frame[65];
+            started = Date.now();
+          }
+        }
+      });
+    });
+    server.listen(defaultPort, serverHost);
+    while (!server.listening) await Util.sleep(100);
+    ufo = new Ufo({host:serverHost,cache:false});
+    await ufo.connect();
+  });
+  afterEach(async function() {
+    await ufo.disconnect();
+    server.close();
+  });
+  it("measures custom step durations", async function() {
+    // Steps last (40 - speed) * 5 milliseconds; the raw speed is flipped and
+    // incremented.
+    animate = (time, mode, rawSpeed) => {
+      const step = (40 - (31 - rawSpeed)) * 5;
+      return [[255, 0, 0], [0, 255, 0], [0, 0, 255]][Math.floor(time / step) % 3];
+    };
+    const table = await ufo.measureSpeeds('custom', { speeds: [20, 30], pollInterval: 5, maxDuration: 1000 });
+    expect(table.map(([s]) => s)).toEqual([20, 30]);
+    expect(Math.abs(table[0][1] - 0.1)).toBeLessThan(0.02);
+    expect(Math.abs(table[1][1] - 0.05)).toBeLessThan(0.02);
+  });
+  it("measures built-in function periods", async function() {
+    // Flashes every (120 - speed) * 5 milliseconds; the raw speed is flipped.
+    animate = (time, mode, rawSpeed) => {
+      const period = (120 - (100 - rawSpeed)) * 5;
+      return (time % period) < period / 2 ? [255, 0, 0] : [0, 0, 0];
+    };
+    const table = await ufo.measureSpeeds('redStrobeFlash', { speeds: [50, 100], pollInterval: 5, maxDuration: 1000 });
+    expect(table.map(([s]) => s)).toEqual([50, 100]);
+    expect(Math.abs(table[0][1] - 0.35)).toBeLessThan(0.03);
+    expect(Math.abs(table[1][1] - 0.1)).toBeLessThan(0.03);
+    expect(() => new Ufo({ host: serverHost, speedTables: { builtin: { redStrobeFlash: table } } })).not.toThrow();
+  });
+  it("samples for four times the expected durations by default", async function() {
+    animate = (time, mode, rawSpeed) => {
+      const step = (40 - (31 - rawSpeed)) * 5;
+      return [[255, 0, 0], [0, 255, 0], [0, 0, 255]][Math.floor(time / step) % 3];
+    };
+    await ufo.disconnect();
+    ufo = new Ufo({host:serverHost,cache:false,speedTables:{custom:[[20, 0.1], [30, 0.05]]}});
+    await ufo.connect();
+    const start = Date.now();
+    const table = await ufo.measureSpeeds('custom', { speeds: [20, 30], pollInterval: 5 });
+    // Three steps of 0.1 and 0.05 seconds, four times each.
+    expect(Date.now() - start).toBeLessThan(3000);
+    expect(table.map(([s]) => s)).toEqual([20, 30]);
+    expect(Math.abs(table[0][1] - 0.1)).toBeLessThan(0.02);
+    expect(Math.abs(table[1][1] - 0.05)).toBeLessThan(0.02);
+  });
+  it("rejects invalid speeds", async function() {
+    animate = () => [255, 255, 255];
+    for (const speeds of [[31], [-1, 10], [10, 10], [1.5, 10], ['10', 20]]) {
+      const error = await ufo.measureSpeeds('custom', { speeds, pollInterval: 5, maxDuration: 200 }).catch(e => e);
+      expect(error instanceof Ufo.UfoValidationError).toBe(true);
+    }
+    const error = await ufo.measureSpeeds('redStrobeFlash', { speeds: [50, 101] }).catch(e => e);
+    expect(error instanceof Ufo.UfoValidationError).toBe(true);
+    expect(error.message).toBe('Invalid speeds for redStrobeFlash, must be distinct integers 0-100 inclusive.');
+  });
+  it("rejects functions it cannot measure", async function() {
+    animate = () => [255, 255, 255];
+    let error = await ufo.measureSpeeds('noFunction').catch(e => e);
+    expect(error instanceof Ufo.UfoValidationError).toBe(true);
+    error = await ufo.measureSpeeds('custom', { speeds: [30], pollInterval: 5, maxDuration: 200 }).catch(e => e);
+    expect(error instanceof Ufo.UfoError).toBe(true);
+  });
+});
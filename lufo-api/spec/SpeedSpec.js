@@ -0,0 +1,61 @@
+const Speed = require('../lib/Speed');
+const { UfoValidationError } = require('../lib/UfoErrors');
+
+describe("Speed", function() {
+  const tables = Speed.speedTables(null);
+  it("validates durations", function() {
+    expect(Speed.isValidSeconds(2.5)).toBe(true);
+    expect(Speed.isValidSeconds(0)).toBe(false);
+    expect(Speed.isValidSeconds(-1)).toBe(false);
+    expect(Speed.isValidSeconds(NaN)).toBe(false);
+    expect(Speed.isValidSeconds('2')).toBe(false);
+  });
+  it("estimates custom step durations", function() {
+    expect(Speed.customStepSeconds(tables, 30)).toBe(0.4);
+    expect(Speed.customStepSeconds(tables, 17)).toBe(2.22);
+    expect(Speed.customStepSeconds(tables, 0)).toBe(4.6);
+    expect(Speed.customStepSeconds(tables, 40)).toBe(0.4);
+  });
+  it("converts custom step durations to the nearest speed", function() {
+    expect(Speed.customSpeed(tables, 2.5)).toBe(15);
+    expect(Speed.customSpeed(tables, 2.2)).toBe(17);
+    expect(Speed.customSpeed(tables, 0.1)).toBe(30);
+    expect(Speed.customSpeed(tables, 10)).toBe(0);
+  });
+  it("estimates built-in function periods", function() {
+    expect(Speed.builtinPeriodSeconds(tables, 'sevenColorCrossFade', 100)).toBe(7);
+    expect(Speed.builtinPeriodSeconds(tables, 'redStrobeFlash', 50)).toBe(1.1);
+    expect(Speed.builtinPeriodSeconds(tables, 'noFunction', 50)).toBeNull();
+    expect(Speed.isCyclingBuiltin('redStrobeFlash')).toBe(true);
+    expect(Speed.isCyclingBuiltin('postReset')).toBe(false);
+  });
+  it("converts built-in function periods to the nearest speed", function() {
+    expect(Speed.builtinSpeed(tables, 'sevenColorCrossFade', 35)).toBe(50);
+    expect(Speed.builtinSpeed(tables, 'redStrobeFlash', 0.01)).toBe(100);
+    expect(Speed.builtinSpeed(tables, 'sevenColorJumpingChange', 60)).toBe(0);
+    expect(Speed.builtinSpeed(tables, 'postReset', 10)).toBeNull();
+  });
+  it("loads measured tables", function() {
+    const measured = Speed.speedTables({
+      custom: [[30, 0.5], [0, 5]],
+      builtin: { redStrobeFlash: [[0, 3], [100, 0.3]] },
+    });
+    expect(Speed.customStepSeconds(measured, 15)).toBe(2.75);
+    expect(Speed.customSpeed(measured, 0.5)).toBe(30);
+    expect(Speed.builtinPeriodSeconds(measured, 'redStrobeFlash', 0)).toBe(3);
+    expect(Speed.builtinPeriodSeconds(measured, 'blueStrobeFlash', 0)).toBe(2);
+  });
+  it("rejects invalid tables", function() {
+    [
+      { custom: [[0, 1]] },
+      { custom: [[0, 1], [0, 2]] },
+      { custom: [[0, 1], [31, 2]] },
+      { custom: [[0, 1], [30, 0]] },
+      { custom: 'fast' },
+      { builtin: { noFunction: [[0, 1], [100, 2]] } },
+      { builtin: { redStrobeFlash: [[0, 1], [100.5, 2]] } },
+    ].forEach((invalid) => {
+      expect(() => Speed.speedTables(invalid)).toThrowError(UfoValidationError);
+    });
+  });
+});
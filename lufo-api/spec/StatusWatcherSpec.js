@@ -0,0 +1,122 @@
+const Util = require('./Util');
+const { StatusWatcher } = require('../lib/StatusWatcher');
+
+describe("StatusWatcher", function() {
+  var ufo, nextStatus, polls;
+  const status = function(overrides) {
+    return Object.assign({
+      on: true,
+      mode: 'static',
+      red: 255,
+      green: 0,
+      blue: 0,
+      white: 0,
+    }, overrides);
+  };
+  beforeEach(function() {
+    polls = 0;
+    nextStatus = status();
+    ufo = {
+      _disconnected: false,
+      _statusWatchers: [],
+      _tcpClient: {
+        status: function(force) {
+          expect(force).toBe(true);
+          polls += 1;
+          return Promise.resolve(nextStatus);
+        }
+      }
+    };
+  });
+  it("does not poll without subscribers", async function() {
+    const watcher = new StatusWatcher(ufo, {interval:10});
+    await Util.sleep(100);
+    expect(polls).toBe(0);
+    watcher.stop();
+  });
+  it("notifies subscribers only when status changes", async function() {
+    const watcher = new StatusWatcher(ufo, {interval:10});
+    const listener = jasmine.createSpy('listener');
+    watcher.subscribe(listener);
+    await Util.sleep(100);
+    expect(polls).toBeGreaterThan(1);
+    expect(listener).not.toHaveBeenCalled();
+    const previous = nextStatus;
+    nextStatus = status({ green: 255 });
+    await Util.sleep(100);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(nextStatus, previous);
+    watcher.stop();
+  });
+  it("detects power, mode and speed changes", async function() {
+    const watcher = new StatusWatcher(ufo, {interval:10});
+    const listener = jasmine.createSpy('listener');
+    watcher.subscribe(listener);
+    await Util.sleep(50);
+    nextStatus = status({ on: false });
+    await Util.sleep(50);
+    nextStatus = status({ on: false, mode: 'custom', speed: 10 });
+    await Util.sleep(50);
+    nextStatus = status({ on: false, mode: 'custom', speed: 20 });
+    await Util.sleep(50);
+    expect(listener).toHaveBeenCalledTimes(3);
+    watcher.stop();
+  });
+  it("pauses polling once all subscribers unsubscribe", async function() {
+    const watcher = new StatusWatcher(ufo, {interval:10});
+    const unsubscribe = watcher.subscribe(function() {});
+    await Util.sleep(50);
+    unsubscribe();
+    await Util.sleep(20);
+    const pollsAfterUnsubscribe = polls;
+    await Util.sleep(100);
+    expect(polls).toBe(pollsAfterUnsubscribe);
+    watcher.subscribe(function() {});
+    await Util.sleep(50);
+    expect(polls).toBeGreaterThan(pollsAfterUnsubscribe);
+    watcher.stop();
+  });
+  it("stops once the UFO object is disconnected", async function() {
+    const watcher = new StatusWatcher(ufo, {interval:10});
+    watcher.subscribe(function() {});
+    ufo._disconnected = true;
+    nextStatus = null;
+    await Util.sleep(50);
+    expect(polls).toBe(1);
+    expect(watcher._stopped).toBe(true);
+  });
+  it("removes itself from the UFO object once stopped", function() {
+    const watcher = new StatusWatcher(ufo, {interval:10});
+    const other = new StatusWatcher(ufo, {interval:10});
+    ufo._statusWatchers.push(watcher, other);
+    watcher.stop();
+    expect(ufo._statusWatchers).toEqual([other]);
+    other.stop();
+    expect(ufo._statusWatchers).toEqual([]);
+  });
+  it("keeps polling while the UFO object reconnects", async function() {
+    const watcher = new StatusWatcher(ufo, {interval:10});
+    const listener = jasmine.createSpy('listener');
+    watcher.subscribe(listener);
+    await Util.sleep(50);
+    const previous = nextStatus;
+    nextStatus = null;
+    await Util.sleep(50);
+    expect(watcher._stopped).toBe(false);
+    nextStatus = status({ blue: 255 });
+    await Util.sleep(50);
+    expect(listener).toHaveBeenCalledWith(nextStatus, previous);
+    watcher.stop();
+  });
+  it("stops once its signal is aborted", async function() {
+    const controller = new AbortController();
+    const watcher = new StatusWatcher(ufo, {interval:10,signal:controller.signal});
+    watcher.subscribe(function() {});
+    await Util.sleep(50);
+    controller.abort();
+    expect(watcher._stopped).toBe(true);
+    const pollsAfterAbort = polls;
+    await Util.sleep(50);
+    expect(polls).toBe(pollsAfterAbort);
+  });
+});
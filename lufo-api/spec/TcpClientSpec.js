@@ -1,5 +1,13 @@
 const Util = require('./Util');
 const { TcpClient } = require('../lib/TcpClient');
+const {
+  UfoAbortError,
+  UfoChecksumError,
+  UfoDisconnectError,
+  UfoProtocolError,
+  UfoTimeoutError,
+  UfoValidationError,
+} = require('../lib/UfoErrors');
 const net = require('net');
 
 const serverHost = '127.0.0.1';
@@ -115,6 +123,7 @@ describe("TcpClient", function() {
       fail('Invalid function name was not rejected')
     } catch (error) {
       expect(error instanceof Error).toBe(true);
+      expect(error instanceof UfoValidationError).toBe(true);
       expect(error.message).toBe(`No such built-in function ${funcName}`);
     }
   });
@@ -208,7 +217,8 @@ describe("TcpClient", function() {
       0x01, 0x02, 0x03, 0x00,
       0x01, 0x3C,
     0xFF, 0x0F, 0xE7]));
-  });it("#custom silently drops more than 16 steps", async function() {
+  });
+  it("#custom silently drops more than 16 steps", async function() {
     const client = new TcpClient(null, {host:serverHost,cache:false});
     await client.connect();
     await client.custom('strobe', 30, [
@@ -318,6 +328,7 @@ describe("TcpClient#status", function() {
       expect(status.on).toBe(true);
       expect(status.mode).toBe('custom');
       expect(status.speed).toBe(30);
+      expect(status.stepSeconds).toBe(0.4);
       expect(status.red).toBe(255);
       expect(status.green).toBe(255);
       expect(status.blue).toBe(255);
@@ -345,6 +356,7 @@ describe("TcpClient#status", function() {
       expect(status.on).toBe(true);
       expect(status.mode).toBe('function:sevenColorCrossFade');
       expect(status.speed).toBe(100);
+      expect(status.periodSeconds).toBe(7);
       expect(status.red).toBe(255);
       expect(status.green).toBe(255);
       expect(status.blue).toBe(255);
@@ -353,6 +365,729 @@ describe("TcpClient#status", function() {
       fail(error);
     }
   });
+  it('drops cached durations once the output is static', async function() {
+    sendResponse = Buffer.from([0x81, 0x04,
+      0x23, 0x60,
+      0x21,
+      0x00,
+      0xFF, 0xFF, 0xFF, 0xFF,
+      0x03, 0x00, 0x00,
+    0x28]);
+    const client = new TcpClient(null, {host:serverHost,cache:true});
+    await client.connect();
+    try {
+      expect((await client.status(true)).stepSeconds).toBe(0.4);
+      await client.rgbw(255, 0, 0, 0);
+      let status = await client.status();
+      expect(status.mode).toBe('static');
+      expect(status.speed).toBeUndefined();
+      expect(status.stepSeconds).toBeUndefined();
+      sendResponse = Buffer.from([0x81, 0x04,
+        0x23, 0x25,
+        0x21,
+        0x00,
+        0xFF, 0xFF, 0xFF, 0xFF,
+        0x03, 0x00, 0x00,
+      0xED]);
+      expect((await client.status(true)).periodSeconds).toBe(7);
+      await client.rgbw(255, 0, 0, 0);
+      status = await client.status();
+      expect(status.mode).toBe('static');
+      expect(status.speed).toBeUndefined();
+      expect(status.periodSeconds).toBeUndefined();
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it('notifies the UFO object of status responses', async function() {
+    sendResponse = Buffer.from([0x81, 0x04,
+      0x23, 0x61,
+      0x21,
+      0x00,
+      0xFF, 0xFF, 0xFF, 0xFF,
+      0x03, 0x00, 0x00,
+    0x29]);
+    const ufo = jasmine.createSpyObj('ufo', ['_onTcpStatus', '_onTcpError']);
+    const client = new TcpClient(ufo, {host:serverHost,cache:false});
+    await client.connect();
+    const status = await client.status();
+    expect(ufo._onTcpStatus).toHaveBeenCalledWith(status);
+    expect(ufo._onTcpError).not.toHaveBeenCalled();
+  });
+  it('notifies the UFO object of invalid status responses', async function() {
+    sendResponse = Buffer.from([0x81, 0x04,
+      0x23, 0x61,
+      0x21,
+      0x00,
+      0xFF, 0xFF, 0xFF, 0xFF,
+      0x03, 0x00, 0x00,
+    0x00]);
+    const ufo = jasmine.createSpyObj('ufo', ['_onTcpStatus', '_onTcpError']);
+    const client = new TcpClient(ufo, {host:serverHost,cache:false});
+    await client.connect();
+    try {
+      await client.status();
+      fail('Invalid status response was not rejected');
+    } catch (error) {
+      expect(ufo._onTcpError).toHaveBeenCalledWith(error);
+      expect(ufo._onTcpStatus).not.toHaveBeenCalled();
+    }
+  });
+  it('estimates the color temperature of white output', async function() {
+    sendResponse = Buffer.from([0x81, 0x04,
+      0x23, 0x61,
+      0x21,
+      0x00,
+      0x00, 0x00, 0x00, 0xFF,
+      0x03, 0x00, 0x00,
+    0x2C]);
+    const client = new TcpClient(null, {host:serverHost,cache:false,whiteTemperature:2700});
+    await client.connect();
+    try {
+      expect((await client.status()).temperature).toBe(2700);
+      sendResponse = Buffer.from([0x81, 0x04,
+        0x23, 0x61,
+        0x21,
+        0x00,
+        0xFF, 0x00, 0x00, 0x00,
+        0x03, 0x00, 0x00,
+      0x2C]);
+      expect((await client.status()).temperature).toBeUndefined();
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it('re-estimates the cached color temperature on static output', async function() {
+    sendResponse = Buffer.from([0x81, 0x04,
+      0x23, 0x61,
+      0x21,
+      0x00,
+      0x00, 0x00, 0x00, 0xFF,
+      0x03, 0x00, 0x00,
+    0x2C]);
+    const client = new TcpClient(null, {host:serverHost,cache:true,whiteTemperature:2700});
+    await client.connect();
+    try {
+      expect((await client.status()).temperature).toBe(2700);
+      await client.rgbw(255, 0, 0, 0);
+      const status = await client.status();
+      expect(status.red).toBe(255);
+      expect(status.white).toBe(0);
+      expect(status.temperature).toBeUndefined();
+      await client.rgbw(0, 0, 0, 128);
+      expect((await client.status()).temperature).toBe(2700);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it('rejects status responses with a bad checksum', async function() {
+    sendResponse = Buffer.from([0x81, 0x04,
+      0x23, 0x61,
+      0x21,
+      0x00,
+      0xFF, 0xFF, 0xFF, 0xFF,
+      0x03, 0x00, 0x00,
+    0x00]);
+    const client = new TcpClient(null, {host:serverHost,cache:false});
+    await client.connect();
+    const error = await client.status().catch(e => e);
+    expect(error instanceof UfoChecksumError).toBe(true);
+    expect(error instanceof UfoProtocolError).toBe(true);
+    expect(error.command).toBe('status');
+    expect(error.code).toBe(null);
+    expect(error.expected).toBe(0x00);
+    expect(error.actual).toBe(0x29);
+  });
+  it('rejects status responses with an impossible mode', async function() {
+    sendResponse = Buffer.from([0x81, 0x04,
+      0x23, 0x01,
+      0x21,
+      0x00,
+      0xFF, 0xFF, 0xFF, 0xFF,
+      0x03, 0x00, 0x00,
+    0xC9]);
+    const client = new TcpClient(null, {host:serverHost,cache:false});
+    await client.connect();
+    const error = await client.status().catch(e => e);
+    expect(error instanceof UfoProtocolError).toBe(true);
+    expect(error instanceof UfoChecksumError).toBe(false);
+    expect(error.message).toBe('Status check failed (impossible mode 1).');
+  });
+});
+
+describe("TcpClient#framing", function() {
+  var server, chunks;
+  // 0x81 0x04 POWER MODE 0x21 SPEED RED GREEN BLUE WHITE 0x03 0x00 0x00 CHECKSUM
+  const statusResponse = Buffer.from([0x81, 0x04, 0x23, 0x61, 0x21, 0x00, 0xFF, 0xFF, 0xFF, 0xFF, 0x03, 0x00, 0x00, 0x29]);
+  const timeResponse = Buffer.from([0x0F, 0x10, 0x00, 0x1F]);
+  beforeEach(async function() {
+    server = net.createServer();
+    // Each request is answered with these chunks, written separately.
+    chunks = [];
+    server.on('connection', function(socket) {
+      socket.setNoDelay(true);
+      socket.on('data', async function() {
+        for (const chunk of chunks) {
+          socket.write(chunk);
+          await Util.sleep(10);
+        }
+      });
+    });
+    server.listen(defaultPort, serverHost);
+    while (!server.listening) await Util.sleep(100);
+  });
+  afterEach(function() { server.close(); });
+  it("reassembles responses split across chunks", async function() {
+    chunks = [statusResponse.slice(0, 1), statusResponse.slice(1, 9), statusResponse.slice(9)];
+    const client = new TcpClient(null, {host:serverHost,cache:false});
+    await client.connect();
+    const status = await client.status();
+    expect(status.raw).toEqual(statusResponse);
+    expect(status.red).toBe(255);
+  });
+  it("splits several frames received in one chunk", async function() {
+    chunks = [Buffer.concat([statusResponse, timeResponse, statusResponse.slice(0, 5)]), statusResponse.slice(5)];
+    const ufo = jasmine.createSpyObj('ufo', ['_onTcpStatus', '_onTcpError', '_onTcpUnsolicited']);
+    const client = new TcpClient(ufo, {host:serverHost,cache:false});
+    await client.connect();
+    const status = await client.status();
+    expect(status.raw).toEqual(statusResponse);
+    await Util.sleep(100);
+    expect(ufo._onTcpUnsolicited.calls.allArgs()).toEqual([
+      [{ type: 'time', raw: timeResponse, valid: true }],
+      [{ type: 'status', raw: statusResponse, valid: true }],
+    ]);
+  });
+  it("reports unknown data as an unsolicited frame", async function() {
+    chunks = [Buffer.from([0x42, 0x43])];
+    const ufo = jasmine.createSpyObj('ufo', ['_onTcpStatus', '_onTcpError', '_onTcpUnsolicited']);
+    const client = new TcpClient(ufo, {host:serverHost,cache:false});
+    await client.connect();
+    const error = await client.status().catch(e => e);
+    expect(error instanceof UfoProtocolError).toBe(true);
+    expect(error.message).toBe('Status check failed (header mismatch).');
+    expect(ufo._onTcpUnsolicited).toHaveBeenCalledWith({ type: 'unknown', raw: Buffer.from([0x42, 0x43]), valid: false });
+  });
+  it("reports responses that arrive after a timeout as unsolicited frames", async function() {
+    server.removeAllListeners('connection');
+    server.on('connection', function(socket) {
+      socket.on('data', function() { setTimeout(() => socket.write(statusResponse), 150); });
+    });
+    const ufo = jasmine.createSpyObj('ufo', ['_onTcpStatus', '_onTcpError', '_onTcpUnsolicited']);
+    const client = new TcpClient(ufo, {host:serverHost,cache:false,timeout:100});
+    await client.connect();
+    const error = await client.status().catch(e => e);
+    expect(error instanceof UfoTimeoutError).toBe(true);
+    await Util.sleep(100);
+    expect(ufo._onTcpUnsolicited).toHaveBeenCalledWith({ type: 'status', raw: statusResponse, valid: true });
+    expect(ufo._onTcpStatus).not.toHaveBeenCalled();
+  });
+});
+
+describe("TcpClient#queue", function() {
+  var server, recv, responses;
+  const statusRequest = Buffer.from([0x81, 0x8A, 0x8B, 0x96]);
+  const statusResponse = function(power, red) {
+    const response = Buffer.from([0x81, 0x04,
+      power, 0x61,
+      0x21,
+      0x00,
+      red, 0x00, 0x00, 0x00,
+      0x03, 0x00, 0x00,
+    0x00]);
+    let checksum = 0;
+    response.forEach((value) => { checksum += value; });
+    response.writeUInt8(checksum % 0x100, 13);
+    return response;
+  };
+  beforeEach(async function() {
+    server = net.createServer();
+    recv = [];
+    responses = [];
+    server.on('connection', function(socket) {
+      socket.on('data', function(data) {
+        recv.push(data);
+        // Answer status requests slowly so overlapping requests would be
+        // observable. Writes may be coalesced, so look for every request.
+        for (let i = data.indexOf(statusRequest); i >= 0; i = data.indexOf(statusRequest, i + 1)) {
+          const response = responses.shift();
+          if (response) setTimeout(() => socket.write(response), 50);
+        }
+      });
+    });
+    server.listen(defaultPort, serverHost);
+    while (!server.listening) await Util.sleep(100);
+  });
+  afterEach(function() { server.close(); });
+  it("matches each status response to its request", async function() {
+    responses = [statusResponse(0x23, 0x01), statusResponse(0x24, 0x02)];
+    const client = new TcpClient(null, {host:serverHost,cache:false});
+    await client.connect();
+    const statuses = await Promise.all([client.status(), client.status()]);
+    expect(Buffer.concat(recv)).toEqual(Buffer.concat([statusRequest, statusRequest]));
+    expect(statuses[0].on).toBe(true);
+    expect(statuses[0].red).toBe(1);
+    expect(statuses[1].on).toBe(false);
+    expect(statuses[1].red).toBe(2);
+  });
+  it("sends commands one at a time in order", async function() {
+    responses = [statusResponse(0x23, 0xFF)];
+    const client = new TcpClient(null, {host:serverHost,cache:false});
+    await client.connect();
+    await Promise.all([client.status(), client.rgbw(0, 0, 0, 0), client.off()]);
+    await Util.sleep(100);
+    expect(Buffer.concat(recv)).toEqual(Buffer.concat([
+      Buffer.from([0x81, 0x8A, 0x8B, 0x96]),
+      Buffer.from([0x31, 0x00, 0x00, 0x00, 0x00, 0x00, 0x0F, 0x40]),
+      Buffer.from([0x71, 0x24, 0x0F, 0xA4]),
+    ]));
+  });
+  it("#toggle reads status and toggles power atomically", async function() {
+    responses = [statusResponse(0x23, 0xFF), statusResponse(0x24, 0xFF)];
+    const client = new TcpClient(null, {host:serverHost,cache:false});
+    await client.connect();
+    await Promise.all([client.toggle(), client.toggle()]);
+    await Util.sleep(100);
+    expect(Buffer.concat(recv)).toEqual(Buffer.concat([
+      Buffer.from([0x81, 0x8A, 0x8B, 0x96]),
+      Buffer.from([0x71, 0x24, 0x0F, 0xA4]),
+      Buffer.from([0x81, 0x8A, 0x8B, 0x96]),
+      Buffer.from([0x71, 0x23, 0x0F, 0xA3]),
+    ]));
+  });
+  it("#updateRgbw reads status and writes RGBW atomically", async function() {
+    responses = [statusResponse(0x23, 0x01), statusResponse(0x23, 0x02)];
+    const client = new TcpClient(null, {host:serverHost,cache:false});
+    await client.connect();
+    await Promise.all([
+      client.updateRgbw(status => [status.red, 0xFF, 0, 0]),
+      client.updateRgbw(status => [status.red, 0, 0xFF, 0]),
+    ]);
+    await Util.sleep(100);
+    expect(Buffer.concat(recv)).toEqual(Buffer.concat([
+      Buffer.from([0x81, 0x8A, 0x8B, 0x96]),
+      Buffer.from([0x31, 0x01, 0xFF, 0x00, 0x00, 0x00, 0x0F, 0x40]),
+      Buffer.from([0x81, 0x8A, 0x8B, 0x96]),
+      Buffer.from([0x31, 0x02, 0x00, 0xFF, 0x00, 0x00, 0x0F, 0x41]),
+    ]));
+  });
+  it("#status rejects with a timeout error and remains usable", async function() {
+    // The first response is truncated, so it never completes.
+    responses = [statusResponse(0x23, 0x01).slice(0, 5), statusResponse(0x24, 0x02)];
+    const client = new TcpClient(null, {host:serverHost,cache:false,timeout:100});
+    await client.connect();
+    const error = await client.status().catch(e => e);
+    expect(error instanceof UfoTimeoutError).toBe(true);
+    expect(error.command).toBe('status');
+    expect(error.timeout).toBe(100);
+    expect(client._receiveBuffer.length).toBe(0);
+    const status = await client.status();
+    expect(status.on).toBe(false);
+    expect(status.red).toBe(2);
+  });
+  it("#status accepts a per-call timeout", async function() {
+    responses = [null];
+    const client = new TcpClient(null, {host:serverHost,cache:false});
+    await client.connect();
+    const error = await client.status(true, {timeout:100}).catch(e => e);
+    expect(error instanceof UfoTimeoutError).toBe(true);
+    await client.off();
+    await Util.sleep(100);
+    expect(Buffer.concat(recv)).toEqual(Buffer.concat([
+      Buffer.from([0x81, 0x8A, 0x8B, 0x96]),
+      Buffer.from([0x71, 0x24, 0x0F, 0xA4]),
+    ]));
+  });
+  it("#status rejects with an abort error once aborted", async function() {
+    responses = [null, statusResponse(0x23, 0x01)];
+    const client = new TcpClient(null, {host:serverHost,cache:false});
+    await client.connect();
+    const controller = new AbortController();
+    const pending = client.status(true, {signal:controller.signal}).catch(e => e);
+    await Util.sleep(50);
+    controller.abort();
+    expect((await pending) instanceof UfoAbortError).toBe(true);
+    expect(client._receiveBuffer.length).toBe(0);
+    const status = await client.status();
+    expect(status.red).toBe(1);
+  });
+  it("drops queued commands once aborted", async function() {
+    responses = [statusResponse(0x23, 0x01)];
+    const client = new TcpClient(null, {host:serverHost,cache:false});
+    await client.connect();
+    const controller = new AbortController();
+    const results = Promise.all([
+      client.status(),
+      client.off({signal:controller.signal}).catch(e => e),
+      client.on(),
+    ]);
+    controller.abort();
+    const [status, error] = await results;
+    expect(status.red).toBe(1);
+    expect(error instanceof UfoAbortError).toBe(true);
+    await Util.sleep(100);
+    expect(Buffer.concat(recv)).toEqual(Buffer.concat([
+      Buffer.from([0x81, 0x8A, 0x8B, 0x96]),
+      Buffer.from([0x71, 0x23, 0x0F, 0xA3]),
+    ]));
+  });
+  it("passes every frame to the trace function", async function() {
+    responses = [statusResponse(0x23, 0x01)];
+    const events = [];
+    const client = new TcpClient(null, {host:serverHost,cache:false,trace:event => events.push(event)});
+    await client.connect();
+    await client.builtin('redStrobeFlash', 50);
+    await client.status();
+    expect(events.map(e => [e.direction, e.transport, e.command])).toEqual([
+      ['send', 'tcp', 'redStrobeFlash'],
+      ['send', 'tcp', 'status'],
+      ['receive', 'tcp', 'status'],
+    ]);
+    expect(events[1].data).toEqual(statusRequest);
+    expect(events[2].data).toEqual(statusResponse(0x23, 0x01));
+    expect(typeof events[0].time).toBe('number');
+  });
+  it("ignores errors thrown by the trace function", async function() {
+    responses = [statusResponse(0x23, 0x01)];
+    const client = new TcpClient(null, {host:serverHost,cache:false,trace:() => { throw new Error('oops'); }});
+    await client.connect();
+    expect((await client.status()).red).toBe(1);
+  });
+  it("settles commands in flight and queued once disconnected", async function() {
+    const ufo = jasmine.createSpyObj('ufo', ['_onTcpError', '_onTcpDead']);
+    const client = new TcpClient(ufo, {host:serverHost,cache:false});
+    await client.connect();
+    // Nothing answers these requests.
+    const results = Promise.all([client.status().catch(e => e), client.timers().catch(e => e), client.on()]);
+    await Util.sleep(50);
+    client.disconnect();
+    const [error, timers] = await results;
+    expect(error instanceof UfoDisconnectError).toBe(true);
+    expect(error.message).toBe('Connection closed before status was received.');
+    expect(timers).toBe(null);
+    expect(await client.status()).toBe(null);
+    expect(ufo._onTcpError).not.toHaveBeenCalled();
+  });
+  it("fails a response in flight once disconnected", async function() {
+    const client = new TcpClient(jasmine.createSpyObj('ufo', ['_onTcpError', '_onTcpDead']), {host:serverHost,cache:false});
+    await client.connect();
+    const result = client.timers().catch(e => e);
+    await Util.sleep(50);
+    client.disconnect();
+    const error = await result;
+    expect(error instanceof UfoDisconnectError).toBe(true);
+    expect(error.message).toBe('Connection closed before response was received.');
+  });
+  it("fails a status request in flight when the UFO closes the connection", async function() {
+    server.removeAllListeners('connection');
+    server.on('connection', function(socket) {
+      socket.on('data', function() { socket.end(); });
+    });
+    const ufo = jasmine.createSpyObj('ufo', ['_onTcpError', '_onTcpReconnect', '_onTcpDead']);
+    const client = new TcpClient(ufo, {host:serverHost,cache:false});
+    await client.connect();
+    const error = await client.status().catch(e => e);
+    expect(error instanceof UfoDisconnectError).toBe(true);
+    expect(error.message).toBe('Connection closed by UFO before status was received.');
+    client.disconnect();
+  });
+});
+
+describe("TcpClient#brightness", function() {
+  var server, recv, sendResponse;
+  const rgbwRequest = function(red, green, blue, white) {
+    const request = Buffer.from([0x31, red, green, blue, white, 0x00, 0x0F, 0x00]);
+    let checksum = 0;
+    request.forEach((value) => { checksum += value; });
+    request.writeUInt8(checksum % 0x100, 7);
+    return request;
+  };
+  const statusResponse = function(red, green, blue, white) {
+    const response = Buffer.from([0x81, 0x04, 0x23, 0x61, 0x21, 0x00, red, green, blue, white, 0x03, 0x00, 0x00, 0x00]);
+    let checksum = 0;
+    response.forEach((value) => { checksum += value; });
+    response.writeUInt8(checksum % 0x100, 13);
+    return response;
+  };
+  beforeEach(async function() {
+    server = net.createServer();
+    recv = [];
+    server.on('connection', function(socket) {
+      socket.on('data', function(data) {
+        if (data[0] === 0x81) socket.write(sendResponse);
+        else recv.push(data);
+      });
+    });
+    server.listen(defaultPort, serverHost);
+    while (!server.listening) await Util.sleep(100);
+  });
+  afterEach(function() { server.close(); });
+  it("scales all channels proportionally", async function() {
+    sendResponse = statusResponse(200, 100, 50, 20);
+    const client = new TcpClient(null, {host:serverHost});
+    await client.connect();
+    expect(await client.getBrightness()).toBe(78);
+    await client.brightness(50);
+    expect(await client.getBrightness()).toBe(50);
+    await client.brightness(150);
+    await client.brightness(-10);
+    await Util.sleep(100);
+    expect(Buffer.concat(recv)).toEqual(Buffer.concat([
+      rgbwRequest(128, 64, 32, 13),
+      rgbwRequest(255, 128, 64, 26),
+      rgbwRequest(0, 0, 0, 0),
+    ]));
+  });
+  it("remembers the color at full brightness", async function() {
+    sendResponse = statusResponse(255, 3, 1, 0);
+    const client = new TcpClient(null, {host:serverHost});
+    await client.connect();
+    await client.brightness(10);
+    await client.brightness(0);
+    await client.brightness(100);
+    await Util.sleep(100);
+    expect(Buffer.concat(recv)).toEqual(Buffer.concat([
+      rgbwRequest(26, 0, 0, 0),
+      rgbwRequest(0, 0, 0, 0),
+      rgbwRequest(255, 3, 1, 0),
+    ]));
+  });
+  it("forgets the color once the output is changed", async function() {
+    sendResponse = statusResponse(255, 3, 1, 0);
+    const client = new TcpClient(null, {host:serverHost});
+    await client.connect();
+    await client.brightness(10);
+    await client.rgbw(0, 0, 128, 0);
+    expect(await client.getBrightness()).toBe(50);
+    await client.brightness(100);
+    await Util.sleep(100);
+    expect(Buffer.concat(recv)).toEqual(Buffer.concat([
+      rgbwRequest(26, 0, 0, 0),
+      rgbwRequest(0, 0, 128, 0),
+      rgbwRequest(0, 0, 255, 0),
+    ]));
+  });
+  it("leaves zero output unchanged", async function() {
+    sendResponse = statusResponse(0, 0, 0, 0);
+    const client = new TcpClient(null, {host:serverHost});
+    await client.connect();
+    await client.brightness(50);
+    expect(await client.getBrightness()).toBe(0);
+    await Util.sleep(100);
+    expect(recv.length).toBe(0);
+  });
+});
+
+describe("TcpClient#calibration", function() {
+  var server, recv, sendResponse;
+  const calibration = { gamma: 2, gain: { blue: 0.5 }, channelOrder: 'grb' };
+  beforeEach(async function() {
+    server = net.createServer();
+    recv = [];
+    server.on('connection', function(socket) {
+      socket.on('data', function(data) {
+        if (data[0] === 0x81) socket.write(sendResponse);
+        else recv.push(data);
+      });
+    });
+    server.listen(defaultPort, serverHost);
+    while (!server.listening) await Util.sleep(100);
+  });
+  afterEach(function() { server.close(); });
+  it("rejects invalid profiles", function() {
+    expect(() => new TcpClient(null, {host:serverHost,calibration:{channelOrder:'rgg'}})).toThrowError(UfoValidationError);
+  });
+  it("calibrates RGBW values", async function() {
+    const client = new TcpClient(null, {host:serverHost,cache:false,calibration});
+    await client.connect();
+    await client.rgbw(255, 128, 255, 64);
+    await Util.sleep(100);
+    // Green and red are swapped; blue is halved.
+    expect(recv[0]).toEqual(Buffer.from([0x31, 0x40, 0xFF, 0x80, 0x10, 0x00, 0x0F, 0x0F]));
+  });
+  it("keeps perceptual values in the status cache", async function() {
+    sendResponse = Buffer.from([0x81, 0x04, 0x23, 0x61, 0x21, 0x00, 0x00, 0x00, 0x00, 0x00, 0x03, 0x00, 0x00, 0x2D]);
+    // Connecting fills the status cache.
+    const client = new TcpClient(null, {host:serverHost,calibration});
+    await client.connect();
+    await client.rgbw(255, 128, 255, 64);
+    const status = await client.status();
+    expect([status.red, status.green, status.blue, status.white]).toEqual([255, 128, 255, 64]);
+  });
+  it("reverses the calibration of reported values", async function() {
+    sendResponse = Buffer.from([0x81, 0x04,
+      0x23, 0x61,
+      0x21,
+      0x00,
+      0x40, 0xFF, 0x80, 0x10,
+      0x03, 0x00, 0x00,
+    0xFC]);
+    const client = new TcpClient(null, {host:serverHost,cache:false,calibration});
+    await client.connect();
+    const status = await client.status();
+    expect(status.raw).toEqual(sendResponse);
+    expect([status.red, status.green, status.blue, status.white]).toEqual([255, 128, 255, 64]);
+  });
+  it("calibrates custom steps", async function() {
+    const client = new TcpClient(null, {host:serverHost,cache:false,calibration:{channelOrder:'brg'}});
+    await client.connect();
+    await client.custom('jumping', 30, [
+      { red: 10, green: 20, blue: 30 },
+      // Becomes the null step once calibrated.
+      { red: 2, green: 3, blue: 1 },
+    ]);
+    await Util.sleep(100);
+    expect(recv[0].slice(1, 9)).toEqual(Buffer.from([30, 10, 20, 0, 1, 2, 2, 0]));
+    expect(recv[0].slice(9, 13)).toEqual(Buffer.from([1, 2, 3, 0]));
+  });
+});
+
+describe("TcpClient#timers", function() {
+  var server, recv, stored, corrupt, silent;
+  const checksum = function(bytes) {
+    return bytes.reduce((sum, b) => sum + b, 0) % 0x100;
+  };
+  const inactive = Buffer.from([0x0F, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  beforeEach(async function() {
+    server = net.createServer();
+    recv = [];
+    stored = Buffer.concat([inactive, inactive, inactive, inactive, inactive, inactive]);
+    corrupt = false;
+    silent = false;
+    server.on('connection', function(socket) {
+      socket.on('data', function(data) {
+        recv.push(data);
+        if (silent) return;
+        if (data[0] === 0x22) {
+          const response = Buffer.concat([Buffer.from([0x0F, 0x22]), stored, Buffer.from([0x00, 0x00])]);
+          response[87] = checksum(response.slice(0, 87)) + (corrupt ? 1 : 0);
+          socket.write(response);
+        } else if (data[0] === 0x21) {
+          stored = Buffer.from(data.slice(1, 85));
+          socket.write(Buffer.from([0x0F, 0x21, 0x00, 0x30]));
+        }
+      });
+    });
+    server.listen(defaultPort, serverHost);
+    while (!server.listening) await Util.sleep(100);
+  });
+  afterEach(function() { server.close(); });
+  it("requests the timers", async function() {
+    const client = new TcpClient(null, {host:serverHost,cache:false});
+    await client.connect();
+    const timers = await client.timers();
+    expect(recv[0]).toEqual(Buffer.from([0x22, 0x2A, 0x2B, 0x0F, 0x86]));
+    expect(timers.length).toBe(6);
+    expect(timers.every(t => !t.active)).toBe(true);
+  });
+  it("encodes timers", async function() {
+    const client = new TcpClient(null, {host:serverHost,cache:false});
+    await client.connect();
+    await client.setTimers([
+      { active: true, hour: 7, minute: 30, days: ['monday', 'friday', 'monday'], action: 'color', red: 255, blue: 16, white: 300 },
+      { active: true, hour: 22, minute: 5, year: 2024, month: 12, day: 31, action: 'function', builtin: 'redStrobeFlash', speed: 80 },
+    ]);
+    const request = Buffer.concat(recv);
+    expect(request.length).toBe(88);
+    expect(request[0]).toBe(0x21);
+    expect(request.slice(1, 15)).toEqual(Buffer.from([0xF0, 0, 0, 0, 7, 30, 0, 0x22, 0x61, 255, 0, 16, 255, 0xF0]));
+    expect(request.slice(15, 29)).toEqual(Buffer.from([0xF0, 24, 12, 31, 22, 5, 0, 0, 0x31, 20, 0, 0, 0, 0xF0]));
+    expect(request.slice(29, 85)).toEqual(Buffer.concat([inactive, inactive, inactive, inactive]));
+    expect(request.slice(85, 87)).toEqual(Buffer.from([0x00, 0xF0]));
+    expect(request[87]).toBe(checksum(request.slice(0, 87)));
+  });
+  it("decodes the timers it encodes", async function() {
+    const client = new TcpClient(null, {host:serverHost,cache:false});
+    await client.connect();
+    await client.setTimers([
+      { active: true, hour: 7, minute: 30, days: ['sunday', 'saturday'], action: 'on' },
+      { active: true, hour: 23, minute: 59, year: 2030, month: 1, day: 2, action: 'off' },
+      { active: true, hour: 0, minute: 0, days: ['wednesday'], action: 'color', red: 1, green: 2, blue: 3, white: 4 },
+      { active: true, hour: 12, minute: 0, days: ['tuesday', 'thursday'], action: 'function', builtin: 'sevenColorCrossFade' },
+    ]);
+    const timers = await client.timers();
+    expect(timers.slice(0, 4)).toEqual([
+      { active: true, hour: 7, minute: 30, days: ['saturday', 'sunday'], action: 'on' },
+      { active: true, hour: 23, minute: 59, days: [], year: 2030, month: 1, day: 2, action: 'off' },
+      { active: true, hour: 0, minute: 0, days: ['wednesday'], action: 'color', red: 1, green: 2, blue: 3, white: 4 },
+      { active: true, hour: 12, minute: 0, days: ['tuesday', 'thursday'], action: 'function', builtin: 'sevenColorCrossFade', speed: 50 },
+    ]);
+    expect(timers[4].active).toBe(false);
+    expect(timers[5].active).toBe(false);
+  });
+  it("keeps timers with unknown actions unchanged", async function() {
+    const client = new TcpClient(null, {host:serverHost,cache:false,calibration:{channelOrder:'grb'}});
+    await client.connect();
+    const vendor = Buffer.from([0xF0, 0, 0, 0, 6, 45, 0, 0x02, 0x41, 1, 2, 3, 4, 0xF0]);
+    stored = Buffer.concat([vendor, inactive, inactive, inactive, inactive, inactive]);
+    const timers = await client.timers();
+    expect(timers[0]).toEqual({
+      active: true, hour: 6, minute: 45, days: ['monday'], action: 'unknown', pattern: 0x41, parameters: [1, 2, 3, 4],
+    });
+    await client.setTimers(timers);
+    expect(stored.slice(0, 14)).toEqual(vendor);
+    const error = await client.setTimers([Object.assign({}, timers[0], { pattern: 256 })]).catch(e => e);
+    expect(error instanceof UfoValidationError).toBe(true);
+  });
+  it("calibrates timer colors", async function() {
+    const client = new TcpClient(null, {host:serverHost,cache:false,calibration:{channelOrder:'grb'}});
+    await client.connect();
+    await client.setTimers([{ active: true, hour: 1, minute: 2, days: ['monday'], action: 'color', red: 10, green: 20, blue: 30 }]);
+    expect(stored.slice(9, 13)).toEqual(Buffer.from([20, 10, 30, 0]));
+    const timers = await client.timers();
+    expect([timers[0].red, timers[0].green, timers[0].blue]).toEqual([10, 20, 30]);
+  });
+  it("rejects invalid timers without sending them", async function() {
+    const client = new TcpClient(null, {host:serverHost,cache:false});
+    await client.connect();
+    const timer = { active: true, hour: 7, minute: 30, days: ['monday'], action: 'on' };
+    const invalid = [
+      [timer, timer, timer, timer, timer, timer, timer],
+      [Object.assign({}, timer, { hour: 24 })],
+      [Object.assign({}, timer, { minute: 1.5 })],
+      [Object.assign({}, timer, { days: ['someday'] })],
+      [Object.assign({}, timer, { days: [] })],
+      [Object.assign({}, timer, { action: 'dim' })],
+      [Object.assign({}, timer, { action: 'function', builtin: 'noFunction' })],
+    ];
+    for (const timers of invalid) {
+      const error = await client.setTimers(timers).catch(e => e);
+      expect(error instanceof UfoValidationError).toBe(true);
+    }
+    await Util.sleep(100);
+    expect(recv.length).toBe(0);
+  });
+  it("fails on unknown data and reports it as an unsolicited frame", async function() {
+    server.removeAllListeners('connection');
+    server.on('connection', function(socket) {
+      socket.on('data', function() { socket.write(Buffer.from([0x42, 0x43])); });
+    });
+    const ufo = jasmine.createSpyObj('ufo', ['_onTcpError', '_onTcpUnsolicited']);
+    const client = new TcpClient(ufo, {host:serverHost,cache:false});
+    await client.connect();
+    const error = await client.timers().catch(e => e);
+    expect(error instanceof UfoProtocolError).toBe(true);
+    expect(error.message).toBe('timers failed (header mismatch).');
+    expect(ufo._onTcpUnsolicited.calls.allArgs()).toEqual([
+      [{ type: 'unknown', raw: Buffer.from([0x42, 0x43]), valid: false }],
+    ]);
+  });
+  it("rejects responses with invalid checksums", async function() {
+    corrupt = true;
+    const client = new TcpClient(null, {host:serverHost,cache:false});
+    await client.connect();
+    const error = await client.timers().catch(e => e);
+    expect(error instanceof UfoChecksumError).toBe(true);
+    expect(error.message).toBe('timers failed (checksum mismatch).');
+    expect(error.command).toBe('timers');
+  });
+  it("times out if the UFO does not respond", async function() {
+    silent = true;
+    const client = new TcpClient(null, {host:serverHost,cache:false,timeout:100});
+    await client.connect();
+    const error = await client.timers().catch(e => e);
+    expect(error instanceof UfoTimeoutError).toBe(true);
+  });
 });
 
 describe("TcpClient.getBuiltinFunctions", function() {
@@ -1,5 +1,12 @@
 const Util = require('./Util');
 const { UdpClient } = require('../lib/UdpClient');
+const {
+  UfoAbortError,
+  UfoError,
+  UfoProtocolError,
+  UfoTimeoutError,
+  UfoValidationError,
+} = require('../lib/UfoErrors');
 const dgram = require('dgram');
 
 const serverHost = '127.0.0.1';
@@ -25,7 +32,7 @@ describe("UdpClient#constructorNonDefault", function() {
 });
 
 describe("UdpClient", function() {
-  var server, listening, recv, remotePort, remoteAddr, cmdMode;
+  var server, listening, recv, remotePort, remoteAddr, cmdMode, muted, failing, dropping, spurious;
   const ufo = {
     disconnect: function(resolve) {
       resolve();
@@ -35,7 +42,7 @@ describe("UdpClient", function() {
   const mac = '00:00:00:ff:ff:ff';
   const model = 'Dummy Model';
   const term = '\r\n\r\n';
-  const ok = `ok${term}`;
+  const ok = `+ok${term}`;
   const version = 'abc123';
   const ntpServer = '1.2.3.4';
   const wifiAutoSwitch = 'off';
@@ -49,13 +56,29 @@ describe("UdpClient", function() {
     remotePort = -1;
     remoteAddr = '';
     cmdMode = false;
+    muted = [];
+    failing = {};
+    dropping = {};
+    spurious = {};
     function reply(msg) {
-      server.send(`${msg}`, remotePort, remoteAddr);
+      if (!muted.includes(remoteMessage)) server.send(`${msg}`, remotePort, remoteAddr);
     }
+    var remoteMessage = '';
     server.on('message', function(msg, rinfo) {
       remotePort = rinfo.port;
       remoteAddr = rinfo.address;
       const message = msg.toString();
+      remoteMessage = message;
+      recv.push(message);
+      if (dropping[message]) {
+        dropping[message] -= 1;
+        return;
+      }
+      if (spurious[message]) reply(spurious[message]);
+      if (failing[message]) {
+        reply(`+ERR=${failing[message]}${term}`);
+        return;
+      }
       // Getters and miscellaneous.
       switch (message) {
         case defaultHello:
@@ -70,26 +93,35 @@ describe("UdpClient", function() {
           cmdMode = false;
           break;
         case 'AT+VER\r':
-          reply(version + term);
+          reply('+ok=' + version + term);
+          break;
+        case 'AT+MID\r':
+          reply('+ok=HF-LPB100' + term);
+          break;
+        case 'AT+H\r':
+          reply('+ok\r\nAT+H: list all AT commands.\r\nAT+Z: reset the module.' + term);
+          break;
+        case 'AT+PING=1.2.3.4\r':
+          reply('+ok=Success' + term);
           break;
         case 'AT+Z\r':
           // Reboot, so do nothing.
           cmdMode = false;
           break;
         case 'AT+RELD\r':
-          reply('rebooting...' + term);
+          reply('+ok=rebooting...' + term);
           break;
         case 'AT+NTPSER\r':
-          reply(ntpServer + term);
+          reply('+ok=' + ntpServer + term);
           break;
         case 'AT+NETP\r':
-          reply('TCP,Server,0,0.0.0.0' + term);
+          reply('+ok=TCP,Server,0,0.0.0.0' + term);
           break;
         case 'AT+MDCH\r':
-          reply(wifiAutoSwitch + term);
+          reply('+ok=' + wifiAutoSwitch + term);
           break;
         case 'AT+WMODE\r':
-          reply('STA' + term);
+          reply('+ok=STA' + term);
           break;
         case 'AT+WSCAN\r':
           reply('CHANNEL,SSID,MAC,AUTH,SIGNAL\n');
@@ -97,34 +129,34 @@ describe("UdpClient", function() {
           reply(term);
           break;
         case 'AT+LANN\r':
-          reply('0.0.0.0,0.0.0.0' + term);
+          reply('+ok=0.0.0.0,0.0.0.0' + term);
           break;
         case 'AT+WAP\r':
-          reply('11BGN,abc123,CH7' + term);
+          reply('+ok=11BGN,abc123,CH7' + term);
           break;
         case 'AT+WAKEY\r':
-          reply('WPA2PSK,AES,' + wifiApPassphrase + term);
+          reply('+ok=WPA2PSK,AES,' + wifiApPassphrase + term);
           break;
         case 'AT+WALKIND\r':
-          reply('on' + term);
+          reply('+ok=on' + term);
           break;
         case 'AT+WADHCP\r':
-          reply('on,100,150' + term);
+          reply('+ok=on,100,150' + term);
           break;
         case 'AT+WSLK\r':
-          reply('abc123(00:00:00:ff:ff:ff)' + term);
+          reply('+ok=abc123(00:00:00:ff:ff:ff)' + term);
           break;
         case 'AT+WSLQ\r':
-          reply('Disconnected' + term);
+          reply('+ok=Disconnected' + term);
           break;
         case 'AT+WANN\r':
-          reply('DHCP,0.0.0.0,0.0.0.0,0.0.0.0' + term);
+          reply('+ok=DHCP,0.0.0.0,0.0.0.0,0.0.0.0' + term);
           break;
         case 'AT+WSSSID\r':
-          reply(wifiClientSsid + term);
+          reply('+ok=' + wifiClientSsid + term);
           break;
         case 'AT+WSKEY\r':
-          reply('WPA2PSK,AES,abc123' + term);
+          reply('+ok=WPA2PSK,AES,abc123' + term);
           break;
         default:
           // Setters
@@ -174,6 +206,17 @@ describe("UdpClient", function() {
       fail(error);
     }
   });
+  it("#getVersion works with a hostname", async function() {
+    const client = new UdpClient(ufo, {host:'localhost',timeout:1000});
+    try {
+      await client.connect();
+      expect(client._address).toBe(serverHost);
+      let response = await client.getVersion();
+      expect(response).toBe(version);
+    } catch (error) {
+      fail(error);
+    }
+  });
   it("#getNtpServer works", async function() {
     const client = new UdpClient(ufo, {host:serverHost});
     try {
@@ -498,4 +541,330 @@ describe("UdpClient", function() {
       fail(error);
     }
   });
+  it("#getVersion rejects with a timeout error and remains usable", async function() {
+    const client = new UdpClient(ufo, {host:serverHost,timeout:100});
+    try {
+      await client.connect();
+      muted = ['AT+VER\r'];
+      const error = await client.getVersion().catch(e => e);
+      expect(error instanceof UfoTimeoutError).toBe(true);
+      await Util.sleep(100);
+      expect(cmdMode).toBe(false);
+      muted = [];
+      expect(await client.getVersion()).toBe(version);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#getVersion accepts a per-call timeout", async function() {
+    const client = new UdpClient(ufo, {host:serverHost});
+    try {
+      await client.connect();
+      muted = ['AT+VER\r'];
+      const error = await client.getVersion({timeout:100}).catch(e => e);
+      expect(error instanceof UfoTimeoutError).toBe(true);
+      expect(error.command).toBe('moduleVersion');
+      expect(error.timeout).toBe(100);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#getVersion rejects with an abort error once aborted", async function() {
+    const client = new UdpClient(ufo, {host:serverHost});
+    try {
+      await client.connect();
+      muted = ['AT+VER\r'];
+      const controller = new AbortController();
+      const pending = client.getVersion({signal:controller.signal}).catch(e => e);
+      await Util.sleep(100);
+      controller.abort();
+      expect((await pending) instanceof UfoAbortError).toBe(true);
+      await Util.sleep(100);
+      expect(cmdMode).toBe(false);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#getVersion does not send anything if already aborted", async function() {
+    const client = new UdpClient(ufo, {host:serverHost});
+    try {
+      await client.connect();
+      const controller = new AbortController();
+      controller.abort();
+      const error = await client.getVersion({signal:controller.signal}).catch(e => e);
+      expect(error instanceof UfoAbortError).toBe(true);
+      await Util.sleep(100);
+      expect(remotePort).toBe(-1);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#doWifiScan rejects with an abort error once aborted", async function() {
+    const client = new UdpClient(ufo, {host:serverHost});
+    try {
+      await client.connect();
+      muted = ['AT+WSCAN\r'];
+      const controller = new AbortController();
+      const pending = client.doWifiScan({signal:controller.signal}).catch(e => e);
+      await Util.sleep(100);
+      controller.abort();
+      expect((await pending) instanceof UfoAbortError).toBe(true);
+      await Util.sleep(100);
+      expect(cmdMode).toBe(false);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#getVersion rejects with a protocol error for AT command errors", async function() {
+    const client = new UdpClient(ufo, {host:serverHost});
+    try {
+      await client.connect();
+      failing = {'AT+VER\r': '-2'};
+      const error = await client.getVersion().catch(e => e);
+      expect(error instanceof UfoProtocolError).toBe(true);
+      expect(error.message).toBe('Invalid command (-2)');
+      expect(error.code).toBe('-2');
+      expect(error.command).toBe('moduleVersion');
+      await Util.sleep(100);
+      expect(cmdMode).toBe(false);
+      failing = {};
+      expect(await client.getVersion()).toBe(version);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#setNtpServer rejects invalid arguments with a validation error", async function() {
+    const client = new UdpClient(ufo, {host:serverHost});
+    try {
+      await client.connect();
+      const error = await client.setNtpServer('bogus').catch(e => e);
+      expect(error instanceof UfoValidationError).toBe(true);
+      expect(error.message).toBe('Invalid IP address provided: bogus.');
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#session enters and ends command mode only once", async function() {
+    const client = new UdpClient(ufo, {host:serverHost});
+    try {
+      await client.connect();
+      const result = await client.session(async () => {
+        const v = await client.getVersion();
+        await client.setNtpServer('1.2.3.4');
+        const n = await client.getNtpServer();
+        expect(cmdMode).toBe(true);
+        return [v, n];
+      });
+      expect(result).toEqual([version, ntpServer]);
+      await Util.sleep(100);
+      expect(cmdMode).toBe(false);
+      expect(recv.filter(m => m === defaultHello).length).toBe(1);
+      expect(recv.filter(m => m === 'AT+Q\r').length).toBe(1);
+      expect(client._session).toBe(null);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#session rejects with the callback's error and ends command mode", async function() {
+    const client = new UdpClient(ufo, {host:serverHost});
+    try {
+      await client.connect();
+      const error = await client.session(async () => {
+        await client.getVersion();
+        throw new Error('oops');
+      }).catch(e => e);
+      expect(error.message).toBe('oops');
+      await Util.sleep(100);
+      expect(cmdMode).toBe(false);
+      expect(recv.filter(m => m === 'AT+Q\r').length).toBe(1);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#session says hello again after a command times out", async function() {
+    const client = new UdpClient(ufo, {host:serverHost,timeout:100});
+    try {
+      await client.connect();
+      await client.session(async () => {
+        muted = ['AT+VER\r'];
+        const error = await client.getVersion().catch(e => e);
+        expect(error instanceof UfoTimeoutError).toBe(true);
+        muted = [];
+        expect(await client.getNtpServer()).toBe(ntpServer);
+      });
+      await Util.sleep(100);
+      expect(cmdMode).toBe(false);
+      expect(recv.filter(m => m === defaultHello).length).toBe(2);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#session says hello again after a WiFi scan times out", async function() {
+    const client = new UdpClient(ufo, {host:serverHost,timeout:100});
+    try {
+      await client.connect();
+      await client.session(async () => {
+        muted = ['AT+WSCAN\r'];
+        const error = await client.doWifiScan().catch(e => e);
+        expect(error instanceof UfoTimeoutError).toBe(true);
+        muted = [];
+        expect(await client.getNtpServer()).toBe(ntpServer);
+      });
+      await Util.sleep(100);
+      expect(cmdMode).toBe(false);
+      expect(recv.filter(m => m === defaultHello).length).toBe(2);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#session does not send anything if no commands are sent", async function() {
+    const client = new UdpClient(ufo, {host:serverHost});
+    try {
+      await client.connect();
+      expect(await client.session(async () => 42)).toBe(42);
+      await Util.sleep(100);
+      expect(recv.length).toBe(0);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#session rejects if a session is already active", async function() {
+    const client = new UdpClient(ufo, {host:serverHost});
+    try {
+      await client.connect();
+      await client.session(async () => {
+        const error = await client.session(async () => null).catch(e => e);
+        expect(error instanceof UfoError).toBe(true);
+      });
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#atCommand returns a single-line response", async function() {
+    const client = new UdpClient(ufo, {host:serverHost});
+    try {
+      await client.connect();
+      expect(await client.atCommand('mid', [])).toEqual(['HF-LPB100']);
+      expect(await client.atCommand('AT+PING', ['1.2.3.4'])).toEqual(['Success']);
+      await Util.sleep(100);
+      expect(cmdMode).toBe(false);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#atCommand returns a multi-line response", async function() {
+    const client = new UdpClient(ufo, {host:serverHost});
+    try {
+      await client.connect();
+      expect(await client.atCommand('H', [])).toEqual([
+        'AT+H: list all AT commands.',
+        'AT+Z: reset the module.',
+      ]);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#atCommand does not wait for commands without a response", async function() {
+    const client = new UdpClient(ufo, {host:serverHost,timeout:1000});
+    try {
+      await client.connect();
+      expect(await client.atCommand('Z', [])).toEqual([]);
+      expect(await client.atCommand('at+q', [])).toEqual([]);
+      await Util.sleep(100);
+      expect(recv.filter(m => m.startsWith('AT+'))).toEqual(['AT+Z\r', 'AT+Q\r']);
+      expect(cmdMode).toBe(false);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#atCommand rejects with a protocol error for AT command errors", async function() {
+    const client = new UdpClient(ufo, {host:serverHost});
+    try {
+      await client.connect();
+      failing = {'AT+BOGUS\r': '-2'};
+      const error = await client.atCommand('BOGUS', []).catch(e => e);
+      expect(error instanceof UfoProtocolError).toBe(true);
+      expect(error.command).toBe('BOGUS');
+      expect(error.code).toBe('-2');
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#atCommand rejects invalid names and arguments with a validation error", async function() {
+    const client = new UdpClient(ufo, {host:serverHost});
+    try {
+      await client.connect();
+      expect((await client.atCommand('VER\rAT+Z', []).catch(e => e)) instanceof UfoValidationError).toBe(true);
+      expect((await client.atCommand('PING', ['1\r\nAT+Z']).catch(e => e)) instanceof UfoValidationError).toBe(true);
+      await Util.sleep(100);
+      expect(recv.length).toBe(0);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#getVersion retransmits unanswered commands", async function() {
+    const client = new UdpClient(ufo, {host:serverHost,udpRetries:2,udpRetryInterval:100});
+    try {
+      await client.connect();
+      dropping = {'AT+VER\r': 2};
+      expect(await client.getVersion()).toBe(version);
+      expect(dropping['AT+VER\r']).toBe(0);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#getVersion rejects with a timeout error once all retries are spent", async function() {
+    const client = new UdpClient(ufo, {host:serverHost,udpRetries:2,udpRetryInterval:100});
+    try {
+      await client.connect();
+      dropping = {'AT+VER\r': 3};
+      const error = await client.getVersion().catch(e => e);
+      expect(error instanceof UfoTimeoutError).toBe(true);
+      expect(error.timeout).toBe(300);
+      expect(dropping['AT+VER\r']).toBe(0);
+      await Util.sleep(100);
+      expect(cmdMode).toBe(false);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("#getVersion discards responses that do not match the command", async function() {
+    const client = new UdpClient(ufo, {host:serverHost});
+    try {
+      await client.connect();
+      spurious = {'AT+VER\r': ok};
+      expect(await client.getVersion()).toBe(version);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("passes every datagram to the trace function", async function() {
+    const events = [];
+    const client = new UdpClient(ufo, {host:serverHost,trace:event => events.push(event)});
+    try {
+      await client.connect();
+      await client.getVersion();
+      await Util.sleep(100);
+      expect(events.map(e => [e.direction, e.transport, e.command, e.data])).toEqual([
+        ['send', 'udp', 'hello', defaultHello],
+        ['receive', 'udp', 'hello', jasmine.any(String)],
+        ['send', 'udp', 'helloAck', '+ok'],
+        ['send', 'udp', 'moduleVersion', 'AT+VER\r'],
+        ['receive', 'udp', 'moduleVersion', jasmine.any(String)],
+        ['send', 'udp', 'endCmd', 'AT+Q\r'],
+      ]);
+    } catch (error) {
+      fail(error);
+    }
+  });
+});
+
+describe("UdpClient.discover", function() {
+  it("rejects with an abort error once aborted", async function() {
+    const controller = new AbortController();
+    const pending = UdpClient.discover({timeout:5000,signal:controller.signal}).catch(e => e);
+    await Util.sleep(100);
+    controller.abort();
+    expect((await pending) instanceof UfoAbortError).toBe(true);
+  });
 });
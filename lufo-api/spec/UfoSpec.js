@@ -0,0 +1,605 @@
+const Util = require('./Util');
+const Ufo = require('../lib/Ufo');
+const net = require('net');
+
+const serverHost = '127.0.0.1';
+const defaultPort = 5577;
+
+describe("Ufo#reconnect", function() {
+  var server, connections, recv;
+  const waitFor = async function(condition) {
+    for (let i = 0; i < 50 && !condition(); i += 1) await Util.sleep(20);
+  };
+  beforeEach(async function() {
+    server = net.createServer();
+    connections = 0;
+    recv = [];
+    server.on('connection', function(socket) {
+      connections += 1;
+      socket.on('data', function(data) {
+        recv.push(data);
+      });
+    });
+    server.listen(defaultPort, serverHost);
+    while (!server.listening) await Util.sleep(100);
+  });
+  afterEach(function() { if (server.listening) server.close(); });
+  it("is disabled by default", async function() {
+    const ufo = new Ufo({host:serverHost,cache:false});
+    const onDisconnect = jasmine.createSpy('disconnect');
+    ufo.on('disconnect', onDisconnect);
+    await ufo.connect();
+    ufo._tcpClient._socket.destroy(new Error('boom'));
+    await waitFor(() => onDisconnect.calls.count() > 0);
+    expect(onDisconnect).toHaveBeenCalledTimes(1);
+    expect(onDisconnect.calls.argsFor(0)[0].tcpError.message).toBe('boom');
+    expect(connections).toBe(1);
+  });
+  it("rebuilds the clients after a network error", async function() {
+    const ufo = new Ufo({host:serverHost,cache:false,reconnect:{initialDelay:10,jitter:0}});
+    const onReconnecting = jasmine.createSpy('reconnecting');
+    const onReconnect = jasmine.createSpy('reconnect');
+    const onDisconnect = jasmine.createSpy('disconnect');
+    ufo.on('reconnecting', onReconnecting);
+    ufo.on('reconnect', onReconnect);
+    ufo.on('disconnect', onDisconnect);
+    await ufo.connect();
+    ufo._tcpClient._socket.destroy(new Error('boom'));
+    await waitFor(() => onReconnect.calls.count() > 0);
+    expect(onReconnecting).toHaveBeenCalledTimes(1);
+    expect(onReconnecting.calls.argsFor(0)[0].attempt).toBe(1);
+    expect(onReconnecting.calls.argsFor(0)[0].delay).toBe(10);
+    expect(onReconnect).toHaveBeenCalledTimes(1);
+    expect(onDisconnect).not.toHaveBeenCalled();
+    expect(connections).toBe(2);
+    await ufo.turnOn();
+    await Util.sleep(100);
+    expect(recv).toEqual([Buffer.from([0x71, 0x23, 0x0F, 0xA3])]);
+    await ufo.disconnect();
+    expect(onDisconnect).toHaveBeenCalledWith(null);
+  });
+  it("gives up after the maximum number of attempts", async function() {
+    const ufo = new Ufo({host:serverHost,cache:false,reconnect:{maxAttempts:2,initialDelay:10,jitter:0}});
+    const onReconnecting = jasmine.createSpy('reconnecting');
+    const onReconnectFailed = jasmine.createSpy('reconnectFailed');
+    const onDisconnect = jasmine.createSpy('disconnect');
+    ufo.on('reconnecting', onReconnecting);
+    ufo.on('reconnectFailed', onReconnectFailed);
+    ufo.on('disconnect', onDisconnect);
+    await ufo.connect();
+    server.close();
+    ufo._tcpClient._socket.destroy(new Error('boom'));
+    await waitFor(() => onDisconnect.calls.count() > 0);
+    expect(onReconnecting).toHaveBeenCalledTimes(2);
+    expect(onReconnecting.calls.argsFor(1)[0].delay).toBe(20);
+    expect(onReconnectFailed).toHaveBeenCalledTimes(1);
+    expect(onDisconnect).toHaveBeenCalledTimes(1);
+    expect(onDisconnect.calls.argsFor(0)[0]).not.toBe(null);
+  });
+  it("settles commands in flight once disconnected", async function() {
+    // The server never answers status requests.
+    const ufo = new Ufo({host:serverHost,cache:false});
+    await ufo.connect();
+    const status = ufo.getStatus(true).catch(e => e);
+    await Util.sleep(50);
+    await ufo.disconnect();
+    const error = await status;
+    expect(error instanceof Ufo.UfoDisconnectError).toBe(true);
+    expect(await ufo.turnOn()).toBeUndefined();
+    expect(await ufo.getStatus(true)).toBe(null);
+  });
+  it("keeps status watchers running", async function() {
+    let red = 0;
+    server.removeAllListeners('connection');
+    server.on('connection', function(socket) {
+      connections += 1;
+      socket.on('data', function(data) {
+        if (data[0] !== 0x81) return;
+        const response = Buffer.from([0x81, 0x04, 0x23, 0x61, 0x21, 0x00, red, 0x00, 0x00, 0x00, 0x03, 0x00, 0x00, 0x00]);
+        response[13] = response.slice(0, 13).reduce((sum, b) => sum + b, 0) % 0x100;
+        socket.write(response);
+      });
+    });
+    const ufo = new Ufo({host:serverHost,cache:false,reconnect:{initialDelay:300,jitter:0}});
+    const onReconnect = jasmine.createSpy('reconnect');
+    ufo.on('reconnect', onReconnect);
+    await ufo.connect();
+    const watcher = ufo.watchStatus({interval:100});
+    const listener = jasmine.createSpy('listener');
+    watcher.subscribe(listener);
+    await Util.sleep(250);
+    ufo._tcpClient._socket.destroy(new Error('boom'));
+    await waitFor(() => onReconnect.calls.count() > 0);
+    expect(onReconnect).toHaveBeenCalledTimes(1);
+    red = 255;
+    await waitFor(() => listener.calls.count() > 0);
+    expect(watcher._stopped).toBe(false);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.calls.argsFor(0)[0].red).toBe(255);
+    expect(ufo.watchStatus()._stopped).toBe(false);
+    await ufo.disconnect();
+    expect(watcher._stopped).toBe(true);
+    expect(ufo.watchStatus()._stopped).toBe(true);
+  });
+  it("does not keep status watchers whose signal was aborted", async function() {
+    const ufo = new Ufo({host:serverHost,cache:false});
+    await ufo.connect();
+    const controller = new AbortController();
+    controller.abort();
+    const watcher = ufo.watchStatus({signal:controller.signal});
+    expect(watcher._stopped).toBe(true);
+    expect(ufo._statusWatchers).toEqual([]);
+    await ufo.disconnect();
+  });
+  it("abandons reconnection when disconnected", async function() {
+    const ufo = new Ufo({host:serverHost,cache:false,reconnect:{initialDelay:500,jitter:0}});
+    const onReconnecting = jasmine.createSpy('reconnecting');
+    const onDisconnect = jasmine.createSpy('disconnect');
+    ufo.on('reconnecting', onReconnecting);
+    ufo.on('disconnect', onDisconnect);
+    await ufo.connect();
+    ufo._tcpClient._socket.destroy(new Error('boom'));
+    await waitFor(() => onReconnecting.calls.count() > 0);
+    await ufo.disconnect();
+    await Util.sleep(600);
+    expect(onReconnecting).toHaveBeenCalledTimes(1);
+    expect(onDisconnect).toHaveBeenCalledWith(null);
+    expect(connections).toBe(1);
+  });
+});
+
+describe("Ufo#events", function() {
+  var server;
+  const waitFor = async function(condition) {
+    for (let i = 0; i < 50 && !condition(); i += 1) await Util.sleep(20);
+  };
+  beforeEach(async function() {
+    server = net.createServer();
+    server.listen(defaultPort, serverHost);
+    while (!server.listening) await Util.sleep(100);
+  });
+  afterEach(function() { server.close(); });
+  it("emits connect and disconnect", async function() {
+    const ufo = new Ufo({host:serverHost,cache:false});
+    const onConnect = jasmine.createSpy('connect');
+    const onDisconnect = jasmine.createSpy('disconnect');
+    ufo.on('connect', onConnect);
+    ufo.on('disconnect', onDisconnect);
+    await ufo.connect();
+    expect(onConnect).toHaveBeenCalledTimes(1);
+    expect(onDisconnect).not.toHaveBeenCalled();
+    await ufo.disconnect();
+    expect(onDisconnect).toHaveBeenCalledTimes(1);
+    expect(onDisconnect).toHaveBeenCalledWith(null);
+  });
+  it("emits error when disconnected by an error", async function() {
+    const ufo = new Ufo({host:serverHost,cache:false});
+    const onError = jasmine.createSpy('error');
+    const onDisconnect = jasmine.createSpy('disconnect');
+    ufo.on('error', onError);
+    ufo.on('disconnect', onDisconnect);
+    await ufo.connect();
+    ufo._tcpClient._socket.destroy(new Error('boom'));
+    await waitFor(() => onDisconnect.calls.count() > 0);
+    expect(onError).toHaveBeenCalledTimes(1);
+    const error = onError.calls.argsFor(0)[0];
+    expect(error instanceof Ufo.UfoDisconnectError).toBe(true);
+    expect(error.tcpError.message).toBe('boom');
+    expect(onDisconnect).toHaveBeenCalledWith(error);
+  });
+  it("does not throw errors without an error listener", async function() {
+    const ufo = new Ufo({host:serverHost,cache:false});
+    const onDisconnect = jasmine.createSpy('disconnect');
+    ufo.on('disconnect', onDisconnect);
+    await ufo.connect();
+    expect(() => ufo._tcpClient._socket.destroy(new Error('boom'))).not.toThrow();
+    await waitFor(() => onDisconnect.calls.count() > 0);
+    expect(onDisconnect).toHaveBeenCalledTimes(1);
+    expect(onDisconnect.calls.argsFor(0)[0].tcpError.message).toBe('boom');
+  });
+});
+
+describe("Ufo#colors", function() {
+  var server, recv, ufo;
+  // 255, 136, 0, 16 in static mode.
+  const statusResponse = Buffer.from([0x81, 0x04, 0x23, 0x61, 0x21, 0x00, 0xFF, 0x88, 0x00, 0x10, 0x03, 0x00, 0x00, 0x00]);
+  statusResponse[13] = statusResponse.slice(0, 13).reduce((sum, b) => sum + b, 0) & 0xFF;
+  beforeEach(async function() {
+    server = net.createServer();
+    recv = [];
+    server.on('connection', function(socket) {
+      socket.on('data', function(data) {
+        recv.push(data);
+        if (data[0] === 0x81) socket.write(statusResponse);
+      });
+    });
+    server.listen(defaultPort, serverHost);
+    while (!server.listening) await Util.sleep(100);
+    ufo = new Ufo({host:serverHost,cache:false});
+    await ufo.connect();
+  });
+  afterEach(async function() {
+    await ufo.disconnect();
+    server.close();
+  });
+  it("sets HSV, HSL, hex and named colors", async function() {
+    try {
+      await ufo.setHsv(30, 100, 100);
+      await ufo.setHsl(240, 100, 25);
+      await ufo.setHex('#ff880040');
+      await ufo.setNamedColor('Orange');
+      await Util.sleep(100);
+      expect(Buffer.concat(recv)).toEqual(Buffer.from([
+        0x31, 0xFF, 0x80, 0x00, 0x00, 0x00, 0x0F, 0xBF,
+        0x31, 0x00, 0x00, 0x80, 0x00, 0x00, 0x0F, 0xC0,
+        0x31, 0xFF, 0x88, 0x00, 0x40, 0x00, 0x0F, 0x07,
+        0x31, 0xFF, 0xA5, 0x00, 0x00, 0x00, 0x0F, 0xE4,
+      ]));
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("sets color temperatures", async function() {
+    try {
+      await ufo.disconnect();
+      ufo = new Ufo({host:serverHost,cache:false,whiteTemperature:3000});
+      await ufo.connect();
+      await ufo.setColorTemperature(3000);
+      await ufo.setColorTemperature(3000, 50);
+      await Util.sleep(100);
+      expect(Buffer.concat(recv)).toEqual(Buffer.from([
+        0x31, 0x00, 0x00, 0x00, 0xFF, 0x00, 0x0F, 0x3F,
+        0x31, 0x00, 0x00, 0x00, 0x80, 0x00, 0x0F, 0xC0,
+      ]));
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("rejects invalid colors", async function() {
+    try {
+      const hexError = await ufo.setHex('#12345').catch(e => e);
+      expect(hexError instanceof Ufo.UfoValidationError).toBe(true);
+      const nameError = await ufo.setNamedColor('notacolor').catch(e => e);
+      expect(nameError instanceof Ufo.UfoValidationError).toBe(true);
+      await Util.sleep(100);
+      expect(recv.length).toBe(0);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("derives colors from the status", async function() {
+    try {
+      expect(await ufo.getHsv()).toEqual({ hue: 32, saturation: 100, value: 100 });
+      expect(await ufo.getHsl()).toEqual({ hue: 32, saturation: 100, lightness: 50 });
+      expect(await ufo.getHex()).toBe('#ff880010');
+      expect(await ufo.getNamedColor()).toBeNull();
+      expect(Ufo.getNamedColors()).toContain('orange');
+    } catch (error) {
+      fail(error);
+    }
+  });
+});
+
+describe("Ufo#fadeTo", function() {
+  var server, recv, ufo;
+  // 0, 0, 0, 100 in static mode.
+  const statusResponse = Buffer.from([0x81, 0x04, 0x23, 0x61, 0x21, 0x00, 0x00, 0x00, 0x00, 0x64, 0x03, 0x00, 0x00, 0x00]);
+  statusResponse[13] = statusResponse.slice(0, 13).reduce((sum, b) => sum + b, 0) & 0xFF;
+  // Returns the RGBW values of every RGBW command received.
+  const colorsReceived = function() {
+    const data = Buffer.concat(recv);
+    const colors = [];
+    for (let i = 0; i < data.length;) {
+      if (data[i] === 0x31) {
+        colors.push(Array.from(data.slice(i + 1, i + 5)));
+        i += 8;
+      } else {
+        i += 4;
+      }
+    }
+    return colors;
+  };
+  beforeEach(async function() {
+    server = net.createServer();
+    recv = [];
+    server.on('connection', function(socket) {
+      socket.on('data', function(data) {
+        recv.push(data);
+        if (data[0] === 0x81) socket.write(statusResponse);
+      });
+    });
+    server.listen(defaultPort, serverHost);
+    while (!server.listening) await Util.sleep(100);
+    ufo = new Ufo({host:serverHost});
+    await ufo.connect();
+  });
+  afterEach(async function() {
+    await ufo.disconnect();
+    server.close();
+  });
+  it("streams interpolated colors to the target", async function() {
+    try {
+      const result = await ufo.fadeTo({ red: 200, green: 100 }, 300, { frameRate: 20 });
+      expect(result).toEqual({ red: 200, green: 100, blue: 0, white: 100 });
+      await Util.sleep(100);
+      const colors = colorsReceived();
+      expect(colors.length).toBeGreaterThan(3);
+      expect(colors[colors.length - 1]).toEqual([200, 100, 0, 100]);
+      for (let i = 1; i < colors.length; i += 1) {
+        expect(colors[i][0]).toBeGreaterThan(colors[i - 1][0]);
+        expect(colors[i][1]).not.toBeLessThan(colors[i - 1][1]);
+        expect(colors[i][3]).toBe(100);
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("applies easing curves", async function() {
+    try {
+      const progress = [];
+      await ufo.fadeTo({ red: 255 }, 200, { easing: (t) => { progress.push(t); return t < 1 ? 0 : 1; } });
+      await Util.sleep(100);
+      expect(colorsReceived()).toEqual([[255, 0, 0, 100]]);
+      expect(progress[progress.length - 1]).toBe(1);
+      const error = await ufo.fadeTo({ red: 0 }, 200, { easing: 'bounce' }).catch(e => e);
+      expect(error instanceof Ufo.UfoValidationError).toBe(true);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("resolves to the last color written once cancelled", async function() {
+    try {
+      const controller = new AbortController();
+      const fade = ufo.fadeTo({ red: 255 }, 1000, { easing: 'cubic', signal: controller.signal });
+      await Util.sleep(300);
+      controller.abort();
+      const result = await fade;
+      await Util.sleep(100);
+      const colors = colorsReceived();
+      expect(colors.length).toBeGreaterThan(0);
+      expect(result).toEqual({ red: colors[colors.length - 1][0], green: 0, blue: 0, white: 100 });
+      expect(result.red).toBeLessThan(255);
+      await Util.sleep(100);
+      expect(colorsReceived().length).toBe(colors.length);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("writes nothing if cancelled before it starts", async function() {
+    try {
+      const controller = new AbortController();
+      controller.abort();
+      const result = await ufo.fadeTo({ red: 255 }, 100, { signal: controller.signal });
+      expect(result).toEqual({ red: 0, green: 0, blue: 0, white: 100 });
+      expect(colorsReceived().length).toBe(0);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("stops the effect playing", async function() {
+    try {
+      const effect = ufo.playEffect('police');
+      await Util.sleep(100);
+      const result = await ufo.fadeTo({ red: 10, blue: 0, white: 0 }, 0);
+      expect(effect.running).toBe(false);
+      expect(result).toEqual({ red: 10, green: 0, blue: 0, white: 0 });
+      await Util.sleep(200);
+      const colors = colorsReceived();
+      expect(colors[colors.length - 1]).toEqual([10, 0, 0, 0]);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("sets the target immediately if the duration is zero", async function() {
+    try {
+      await ufo.fadeTo({ white: 0 }, 0);
+      await Util.sleep(100);
+      expect(colorsReceived()).toEqual([[0, 0, 0, 0]]);
+    } catch (error) {
+      fail(error);
+    }
+  });
+});
+
+describe("Ufo#playEffect", function() {
+  var server, recv, ufo;
+  beforeEach(async function() {
+    server = net.createServer();
+    recv = [];
+    server.on('connection', function(socket) {
+      socket.on('data', function(data) {
+        recv.push(data);
+      });
+    });
+    server.listen(defaultPort, serverHost);
+    while (!server.listening) await Util.sleep(100);
+    ufo = new Ufo({host:serverHost,cache:false});
+    await ufo.connect();
+  });
+  afterEach(function() { server.close(); });
+  it("plays one effect at a time", async function() {
+    try {
+      expect(Ufo.getEffects()).toContain('candle');
+      expect(() => ufo.playEffect('disco')).toThrowError(Ufo.UfoValidationError);
+      const candle = ufo.playEffect('candle', { intensity: 80 });
+      await Util.sleep(100);
+      const police = ufo.playEffect('police');
+      expect(candle.running).toBe(false);
+      expect(await candle.done).not.toBeNull();
+      await Util.sleep(100);
+      expect(police.running).toBe(true);
+      expect(await ufo.stopEffect()).not.toBeNull();
+      expect(police.running).toBe(false);
+      expect(await ufo.stopEffect()).toBeNull();
+      await Util.sleep(100);
+      expect(recv.length).toBeGreaterThan(1);
+    } finally {
+      await ufo.disconnect();
+    }
+  });
+  it("starts an effect once the last frame of the previous one is written", async function() {
+    try {
+      const calls = [];
+      // Frames take a while to write, and record whether the frames before them
+      // were written.
+      ufo.setColor = function(...color) {
+        const call = { color, written: false, afterWritten: calls.every(c => c.written) };
+        calls.push(call);
+        return Util.sleep(50).then(() => { call.written = true; });
+      };
+      const candle = ufo.playEffect('candle');
+      const police = ufo.playEffect('police');
+      const lightning = ufo.playEffect('lightning', { intensity: 0 });
+      expect(candle.running).toBe(false);
+      expect(police.running).toBe(false);
+      expect(await police.done).toBeNull();
+      await Util.sleep(200);
+      expect(await ufo.stopEffect()).not.toBeNull();
+      expect(lightning.running).toBe(false);
+      expect(calls.length).toBeGreaterThan(1);
+      calls.forEach(c => expect(c.afterWritten).toBe(true));
+    } finally {
+      await ufo.disconnect();
+    }
+  });
+  it("stops effects once disconnected", async function() {
+    const effect = ufo.playEffect('rainbow');
+    await ufo.disconnect();
+    expect(effect.running).toBe(false);
+    expect(ufo.playEffect('rainbow').running).toBe(false);
+  });
+});
+
+describe("Ufo#playSequence", function() {
+  var server, recv, ufo;
+  beforeEach(async function() {
+    server = net.createServer();
+    recv = [];
+    server.on('connection', function(socket) {
+      socket.on('data', function(data) {
+        recv.push(data);
+      });
+    });
+    server.listen(defaultPort, serverHost);
+    while (!server.listening) await Util.sleep(100);
+    ufo = new Ufo({host:serverHost,cache:false});
+    await ufo.connect();
+  });
+  afterEach(async function() {
+    await ufo.disconnect();
+    server.close();
+  });
+  it("validates its arguments", async function() {
+    let error = await ufo.playSequence([]).catch(e => e);
+    expect(error instanceof Ufo.UfoValidationError).toBe(true);
+    error = await ufo.playSequence([{ red: 255, green: 0, blue: 0 }], { mode: 'disco' }).catch(e => e);
+    expect(error instanceof Ufo.UfoValidationError).toBe(true);
+  });
+  it("uploads short sequences to the UFO", async function() {
+    const effect = ufo.playEffect('rainbow');
+    const steps = [{ red: 255, green: 0, blue: 0 }, { red: 0, green: 0, blue: 255 }];
+    expect(await ufo.playSequence(steps, { mode: 'gradual', stepDurationMs: 1800 })).toBeNull();
+    expect(effect.running).toBe(false);
+    await Util.sleep(100);
+    // The effect is stopped before the sequence is uploaded, so the custom
+    // function command is the last one received.
+    const data = Buffer.concat(recv);
+    const custom = data.slice(data.length - 70);
+    expect(custom[0]).toBe(0x51);
+    expect(Array.from(custom.slice(1, 9))).toEqual([255, 0, 0, 0, 0, 0, 255, 0]);
+    expect(custom[66]).toBe(0x3A);
+  });
+  it("plays other sequences in software", async function() {
+    const steps = Array.from({ length: 20 }, (_, i) => ({ red: i, green: 0, blue: 0, white: 10 }));
+    const player = await ufo.playSequence(steps, { stepDurationMs: 50, loop: false });
+    expect(player.running).toBe(true);
+    expect(await player.done).toEqual({ red: 19, green: 0, blue: 0, white: 10 });
+    const data = Buffer.concat(recv);
+    // Only RGBW commands, 8 bytes each, are sent.
+    expect(data.length % 8).toBe(0);
+    expect(data.length).toBeGreaterThan(8);
+    for (let i = 0; i < data.length; i += 8) expect(data[i]).toBe(0x31);
+  });
+  it("starts a sequence once the step in flight of the previous one is written", async function() {
+    const calls = [];
+    // Steps take a while to write, and record whether the steps before them
+    // were written.
+    ufo.setColor = function(...color) {
+      const call = { color, written: false, afterWritten: calls.every(c => c.written) };
+      calls.push(call);
+      return Util.sleep(10).then(() => { call.written = true; });
+    };
+    const green = Array.from({ length: 20 }, (_, i) => ({ red: 0, green: i + 1, blue: 0, white: 10 }));
+    const blue = Array.from({ length: 20 }, (_, i) => ({ red: 0, green: 0, blue: i + 1, white: 10 }));
+    const first = await ufo.playSequence(green, { stepDurationMs: 50, loop: false });
+    // Start the second sequence while a step of the first is being written.
+    await Util.sleep(100);
+    while (calls[calls.length - 1].written) await Util.sleep(1);
+    const second = await ufo.playSequence(blue, { stepDurationMs: 50, loop: false });
+    expect(first.running).toBe(false);
+    expect(await second.done).toEqual({ red: 0, green: 0, blue: 20, white: 10 });
+    calls.forEach(c => expect(c.afterWritten).toBe(true));
+    // No step of the first sequence is sent once the second one starts.
+    const firstBlue = calls.findIndex(c => c.color[2] > 0);
+    expect(firstBlue).toBeGreaterThan(0);
+    calls.slice(firstBlue).forEach(c => expect(c.color[1]).toBe(0));
+  });
+});
+
+describe("Ufo#speeds", function() {
+  var server, recv, ufo;
+  beforeEach(async function() {
+    server = net.createServer();
+    recv = [];
+    server.on('connection', function(socket) {
+      socket.on('data', function(data) {
+        recv.push(data);
+      });
+    });
+    server.listen(defaultPort, serverHost);
+    while (!server.listening) await Util.sleep(100);
+    ufo = new Ufo({host:serverHost,cache:false});
+    await ufo.connect();
+  });
+  afterEach(async function() {
+    await ufo.disconnect();
+    server.close();
+  });
+  it("converts custom step durations to speeds", async function() {
+    await ufo.setCustom('jumping', { stepSeconds: 2.5 }, [{ red: 255, green: 0, blue: 0 }]);
+    await Util.sleep(100);
+    const data = Buffer.concat(recv);
+    expect(data[0]).toBe(0x51);
+    // Speed 15 is sent flipped and incremented.
+    expect(data[65]).toBe(16);
+    const error = await ufo.setCustom('jumping', { stepSeconds: 0 }, []).catch(e => e);
+    expect(error instanceof Ufo.UfoValidationError).toBe(true);
+  });
+  it("converts built-in function periods to speeds", async function() {
+    await ufo.setBuiltin('sevenColorCrossFade', { periodSeconds: 35 });
+    await Util.sleep(100);
+    // Speed 50 is sent flipped.
+    expect(Array.from(Buffer.concat(recv).slice(0, 3))).toEqual([0x61, 0x25, 50]);
+    let error = await ufo.setBuiltin('noFunction', { periodSeconds: 1 }).catch(e => e);
+    expect(error instanceof Ufo.UfoValidationError).toBe(true);
+    error = await ufo.setBuiltin('sevenColorCrossFade', { periodSeconds: -1 }).catch(e => e);
+    expect(error instanceof Ufo.UfoValidationError).toBe(true);
+  });
+});
+
+describe("Ufo#sendAtCommand", function() {
+  var ufo;
+  beforeEach(function() {
+    ufo = new Ufo({host:serverHost});
+    spyOn(ufo._udpClient, 'atCommand').and.returnValue(Promise.resolve(['+ok']));
+  });
+  it("takes a trailing object as call options", async function() {
+    const options = { timeout: 100 };
+    expect(await ufo.sendAtCommand('PING', '1.2.3.4', 5, options)).toEqual(['+ok']);
+    expect(ufo._udpClient.atCommand).toHaveBeenCalledWith('PING', ['1.2.3.4', '5'], options);
+  });
+  it("does not take a trailing null as call options", async function() {
+    await ufo.sendAtCommand('PING', null);
+    expect(ufo._udpClient.atCommand).toHaveBeenCalledWith('PING', ['null'], undefined);
+  });
+});
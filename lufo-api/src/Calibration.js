@@ -0,0 +1,82 @@
+// @flow
+import _ from 'lodash';
+import { UfoValidationError } from './UfoErrors';
+import type { UfoCalibration, UfoChannelValues } from './UfoOptions';
+
+/**
+ * A validated {@link UfoCalibration} with all defaults filled in. Per-channel
+ * arrays are in red, green, blue, white order; order holds, for each of the
+ * UFO's red, green and blue outputs, the index of the color wired to it.
+ * @private
+ */
+export type CalibrationProfile = {
+  gamma: number,
+  gain: Array<number>,
+  max: Array<number>,
+  order: Array<number>,
+};
+
+/* Private variables. */
+const channels = ['red', 'green', 'blue', 'white'];
+const colorLetters = 'rgb';
+
+/* Private functions. */
+/**
+ * Returns the per-channel values given, in red, green, blue, white order, using
+ * the given default for channels that are not given.
+ * @private
+ */
+const _channelValues = function (values: ?UfoChannelValues, defaultValue: number): Array<number> {
+  return channels.map((c) => {
+    const value = values ? values[c] : undefined;
+    return value === undefined || value === null ? defaultValue : value;
+  });
+};
+
+/**
+ * Validates the given calibration and fills in its defaults. Returns null if no
+ * calibration is given. Throws a {@link UfoValidationError} if it is invalid.
+ * @private
+ */
+export const calibrationProfile = function (calibration: ?UfoCalibration): ?CalibrationProfile {
+  if (!calibration) return null;
+  const gamma = calibration.gamma === undefined ? 1 : calibration.gamma;
+  if (!(gamma > 0)) throw new UfoValidationError(`Invalid gamma ${gamma}, must be positive.`);
+  const channelOrder = (calibration.channelOrder || colorLetters).toLowerCase();
+  if (channelOrder.length !== 3 || colorLetters.split('').some(l => !channelOrder.includes(l))) {
+    throw new UfoValidationError(`Invalid channel order '${channelOrder}', must be a permutation of "rgb".`);
+  }
+  return {
+    gamma,
+    gain: _channelValues(calibration.gain, 1).map(g => Math.max(0, g)),
+    max: _channelValues(calibration.max, 255).map(m => _.clamp(m, 0, 255)),
+    order: channelOrder.split('').map(l => colorLetters.indexOf(l)),
+  };
+};
+/**
+ * Converts the given perceptual values (red, green, blue and optionally white,
+ * 0-255 inclusive) to the values to write to the UFO.
+ * @private
+ */
+export const toDevice = function (profile: CalibrationProfile, values: Array<number>): Array<number> {
+  const corrected = values.map((v, i) => {
+    const gammaCorrected = 255 * ((_.clamp(v, 0, 255) / 255) ** profile.gamma);
+    return Math.round(Math.min(gammaCorrected * profile.gain[i], profile.max[i]));
+  });
+  return corrected.map((v, i) => (i < profile.order.length ? corrected[profile.order[i]] : v));
+};
+/**
+ * Converts the given values reported by the UFO (red, green, blue and
+ * optionally white) back to perceptual values, 0-255 inclusive. Values that
+ * were capped by the profile cannot be recovered exactly.
+ * @private
+ */
+export const fromDevice = function (profile: CalibrationProfile, values: Array<number>): Array<number> {
+  const reordered = values.slice();
+  profile.order.forEach((color, output) => { reordered[color] = values[output]; });
+  return reordered.map((v, i) => {
+    const gain = profile.gain[i];
+    const gammaCorrected = gain > 0 ? _.clamp(v / gain, 0, 255) : 0;
+    return Math.round(255 * ((gammaCorrected / 255) ** (1 / profile.gamma)));
+  });
+};
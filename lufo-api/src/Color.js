@@ -0,0 +1,437 @@
+// @flow
+import _ from 'lodash';
+
+/**
+ * A color in the RGB color model, as used by the UFO's red, green and blue
+ * outputs.
+ * @typedef {Object} UfoRgb
+ * @property {number} red The red value, 0-255 inclusive.
+ * @property {number} green The green value, 0-255 inclusive.
+ * @property {number} blue The blue value, 0-255 inclusive.
+ */
+export type UfoRgb = {
+  red: number,
+  green: number,
+  blue: number,
+};
+/**
+ * A color in the RGBW color model, as used by all of the UFO's outputs.
+ * @typedef {Object} UfoRgbw
+ * @property {number} red The red value, 0-255 inclusive.
+ * @property {number} green The green value, 0-255 inclusive.
+ * @property {number} blue The blue value, 0-255 inclusive.
+ * @property {number} white The white value, 0-255 inclusive.
+ */
+export type UfoRgbw = {
+  red: number,
+  green: number,
+  blue: number,
+  white: number,
+};
+/**
+ * A color in the HSV (hue, saturation, value) color model.
+ * @typedef {Object} UfoHsv
+ * @property {number} hue The hue in degrees, 0-359 inclusive.
+ * @property {number} saturation The saturation, 0-100 inclusive.
+ * @property {number} value The value (brightness), 0-100 inclusive.
+ */
+export type UfoHsv = {
+  hue: number,
+  saturation: number,
+  value: number,
+};
+/**
+ * A color in the HSL (hue, saturation, lightness) color model.
+ * @typedef {Object} UfoHsl
+ * @property {number} hue The hue in degrees, 0-359 inclusive.
+ * @property {number} saturation The saturation, 0-100 inclusive.
+ * @property {number} lightness The lightness, 0-100 inclusive.
+ */
+export type UfoHsl = {
+  hue: number,
+  saturation: number,
+  lightness: number,
+};
+
+/**
+ * The color temperature of the UFO's white output assumed by default, in
+ * Kelvin.
+ */
+export const defaultWhiteTemperature = 4000;
+
+/* Private variables. */
+// The range of color temperatures that can be set, in Kelvin.
+const minTemperature = 2000;
+const maxTemperature = 6500;
+// The range of color temperatures that can be estimated, in Kelvin.
+const minEstimate = 1000;
+const maxEstimate = 12000;
+// How far each normalized RGB value of a color may be from those of a color
+// temperature for the color to be considered a shade of white.
+const temperatureTolerance = 0.08;
+// The CSS named colors (CSS Color Module Level 4), keyed by lowercase name.
+const namedColors: Map<string, string> = new Map([
+  ['aliceblue', 'f0f8ff'],
+  ['antiquewhite', 'faebd7'],
+  ['aqua', '00ffff'],
+  ['aquamarine', '7fffd4'],
+  ['azure', 'f0ffff'],
+  ['beige', 'f5f5dc'],
+  ['bisque', 'ffe4c4'],
+  ['black', '000000'],
+  ['blanchedalmond', 'ffebcd'],
+  ['blue', '0000ff'],
+  ['blueviolet', '8a2be2'],
+  ['brown', 'a52a2a'],
+  ['burlywood', 'deb887'],
+  ['cadetblue', '5f9ea0'],
+  ['chartreuse', '7fff00'],
+  ['chocolate', 'd2691e'],
+  ['coral', 'ff7f50'],
+  ['cornflowerblue', '6495ed'],
+  ['cornsilk', 'fff8dc'],
+  ['crimson', 'dc143c'],
+  ['cyan', '00ffff'],
+  ['darkblue', '00008b'],
+  ['darkcyan', '008b8b'],
+  ['darkgoldenrod', 'b8860b'],
+  ['darkgray', 'a9a9a9'],
+  ['darkgreen', '006400'],
+  ['darkgrey', 'a9a9a9'],
+  ['darkkhaki', 'bdb76b'],
+  ['darkmagenta', '8b008b'],
+  ['darkolivegreen', '556b2f'],
+  ['darkorange', 'ff8c00'],
+  ['darkorchid', '9932cc'],
+  ['darkred', '8b0000'],
+  ['darksalmon', 'e9967a'],
+  ['darkseagreen', '8fbc8f'],
+  ['darkslateblue', '483d8b'],
+  ['darkslategray', '2f4f4f'],
+  ['darkslategrey', '2f4f4f'],
+  ['darkturquoise', '00ced1'],
+  ['darkviolet', '9400d3'],
+  ['deeppink', 'ff1493'],
+  ['deepskyblue', '00bfff'],
+  ['dimgray', '696969'],
+  ['dimgrey', '696969'],
+  ['dodgerblue', '1e90ff'],
+  ['firebrick', 'b22222'],
+  ['floralwhite', 'fffaf0'],
+  ['forestgreen', '228b22'],
+  ['fuchsia', 'ff00ff'],
+  ['gainsboro', 'dcdcdc'],
+  ['ghostwhite', 'f8f8ff'],
+  ['gold', 'ffd700'],
+  ['goldenrod', 'daa520'],
+  ['gray', '808080'],
+  ['green', '008000'],
+  ['greenyellow', 'adff2f'],
+  ['grey', '808080'],
+  ['honeydew', 'f0fff0'],
+  ['hotpink', 'ff69b4'],
+  ['indianred', 'cd5c5c'],
+  ['indigo', '4b0082'],
+  ['ivory', 'fffff0'],
+  ['khaki', 'f0e68c'],
+  ['lavender', 'e6e6fa'],
+  ['lavenderblush', 'fff0f5'],
+  ['lawngreen', '7cfc00'],
+  ['lemonchiffon', 'fffacd'],
+  ['lightblue', 'add8e6'],
+  ['lightcoral', 'f08080'],
+  ['lightcyan', 'e0ffff'],
+  ['lightgoldenrodyellow', 'fafad2'],
+  ['lightgray', 'd3d3d3'],
+  ['lightgreen', '90ee90'],
+  ['lightgrey', 'd3d3d3'],
+  ['lightpink', 'ffb6c1'],
+  ['lightsalmon', 'ffa07a'],
+  ['lightseagreen', '20b2aa'],
+  ['lightskyblue', '87cefa'],
+  ['lightslategray', '778899'],
+  ['lightslategrey', '778899'],
+  ['lightsteelblue', 'b0c4de'],
+  ['lightyellow', 'ffffe0'],
+  ['lime', '00ff00'],
+  ['limegreen', '32cd32'],
+  ['linen', 'faf0e6'],
+  ['magenta', 'ff00ff'],
+  ['maroon', '800000'],
+  ['mediumaquamarine', '66cdaa'],
+  ['mediumblue', '0000cd'],
+  ['mediumorchid', 'ba55d3'],
+  ['mediumpurple', '9370db'],
+  ['mediumseagreen', '3cb371'],
+  ['mediumslateblue', '7b68ee'],
+  ['mediumspringgreen', '00fa9a'],
+  ['mediumturquoise', '48d1cc'],
+  ['mediumvioletred', 'c71585'],
+  ['midnightblue', '191970'],
+  ['mintcream', 'f5fffa'],
+  ['mistyrose', 'ffe4e1'],
+  ['moccasin', 'ffe4b5'],
+  ['navajowhite', 'ffdead'],
+  ['navy', '000080'],
+  ['oldlace', 'fdf5e6'],
+  ['olive', '808000'],
+  ['olivedrab', '6b8e23'],
+  ['orange', 'ffa500'],
+  ['orangered', 'ff4500'],
+  ['orchid', 'da70d6'],
+  ['palegoldenrod', 'eee8aa'],
+  ['palegreen', '98fb98'],
+  ['paleturquoise', 'afeeee'],
+  ['palevioletred', 'db7093'],
+  ['papayawhip', 'ffefd5'],
+  ['peachpuff', 'ffdab9'],
+  ['peru', 'cd853f'],
+  ['pink', 'ffc0cb'],
+  ['plum', 'dda0dd'],
+  ['powderblue', 'b0e0e6'],
+  ['purple', '800080'],
+  ['rebeccapurple', '663399'],
+  ['red', 'ff0000'],
+  ['rosybrown', 'bc8f8f'],
+  ['royalblue', '4169e1'],
+  ['saddlebrown', '8b4513'],
+  ['salmon', 'fa8072'],
+  ['sandybrown', 'f4a460'],
+  ['seagreen', '2e8b57'],
+  ['seashell', 'fff5ee'],
+  ['sienna', 'a0522d'],
+  ['silver', 'c0c0c0'],
+  ['skyblue', '87ceeb'],
+  ['slateblue', '6a5acd'],
+  ['slategray', '708090'],
+  ['slategrey', '708090'],
+  ['snow', 'fffafa'],
+  ['springgreen', '00ff7f'],
+  ['steelblue', '4682b4'],
+  ['tan', 'd2b48c'],
+  ['teal', '008080'],
+  ['thistle', 'd8bfd8'],
+  ['tomato', 'ff6347'],
+  ['turquoise', '40e0d0'],
+  ['violet', 'ee82ee'],
+  ['wheat', 'f5deb3'],
+  ['white', 'ffffff'],
+  ['whitesmoke', 'f5f5f5'],
+  ['yellow', 'ffff00'],
+  ['yellowgreen', '9acd32'],
+]);
+
+/* Private functions. */
+/**
+ * Wraps the given hue into 0-360 (exclusive) degrees.
+ * @private
+ */
+const _wrapHue = function (hue: number): number {
+  return ((hue % 360) + 360) % 360;
+};
+/**
+ * Clamps the given percentage to 0-100 inclusive and converts it to a
+ * fraction.
+ * @private
+ */
+const _fraction = function (percent: number): number {
+  return _.clamp(percent, 0, 100) / 100;
+};
+/**
+ * Converts the given hue, chroma and lightness offset to RGB values.
+ * @private
+ */
+const _hueToRgb = function (hue: number, chroma: number, offset: number): UfoRgb {
+  const sector = _wrapHue(hue) / 60;
+  const x = chroma * (1 - Math.abs((sector % 2) - 1));
+  let rgb = [0, 0, 0];
+  if (sector < 1) rgb = [chroma, x, 0];
+  else if (sector < 2) rgb = [x, chroma, 0];
+  else if (sector < 3) rgb = [0, chroma, x];
+  else if (sector < 4) rgb = [0, x, chroma];
+  else if (sector < 5) rgb = [x, 0, chroma];
+  else rgb = [chroma, 0, x];
+  const [red, green, blue] = rgb.map(v => Math.round((v + offset) * 255));
+  return { red, green, blue };
+};
+/**
+ * Returns the hue, in degrees, and the maximum, minimum and chroma of the
+ * given RGB values as fractions.
+ * @private
+ */
+const _rgbComponents = function (rgb: UfoRgb): {hue: number, max: number, min: number, chroma: number} {
+  const r = _.clamp(rgb.red, 0, 255) / 255;
+  const g = _.clamp(rgb.green, 0, 255) / 255;
+  const b = _.clamp(rgb.blue, 0, 255) / 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const chroma = max - min;
+  let hue = 0;
+  if (chroma > 0) {
+    if (max === r) hue = 60 * (((g - b) / chroma) % 6);
+    else if (max === g) hue = 60 * (((b - r) / chroma) + 2);
+    else hue = 60 * (((r - g) / chroma) + 4);
+  }
+  return {
+    hue: _wrapHue(Math.round(hue)), max, min, chroma,
+  };
+};
+/**
+ * Returns the RGB values of the light emitted by a black body at the given
+ * temperature in Kelvin, as fractions of the brightest value. This is Tanner
+ * Helland's approximation, which is accurate enough for 1000-40000K.
+ * @private
+ */
+const _temperatureToRgb = function (kelvin: number): Array<number> {
+  const t = _.clamp(kelvin, 1000, 40000) / 100;
+  const red = t <= 66 ? 255 : 329.698727446 * ((t - 60) ** -0.1332047592);
+  const green = t <= 66
+    ? (99.4708025861 * Math.log(t)) - 161.1195681661
+    : 288.1221695283 * ((t - 60) ** -0.0755148492);
+  let blue = 255;
+  if (t <= 19) blue = 0;
+  else if (t < 66) blue = (138.5177312231 * Math.log(t - 10)) - 305.0447927307;
+  return [red, green, blue].map(v => _.clamp(v, 0, 255) / 255);
+};
+
+/**
+ * Converts the given HSV color to RGB. The hue wraps around at 360 degrees;
+ * the saturation and value are clamped to 0-100 inclusive.
+ */
+export const hsvToRgb = function (hsv: UfoHsv): UfoRgb {
+  const value = _fraction(hsv.value);
+  const chroma = value * _fraction(hsv.saturation);
+  return _hueToRgb(hsv.hue, chroma, value - chroma);
+};
+/**
+ * Converts the given RGB color to HSV. Each property of the result is rounded
+ * to the nearest integer.
+ */
+export const rgbToHsv = function (rgb: UfoRgb): UfoHsv {
+  const { hue, max, chroma } = _rgbComponents(rgb);
+  return {
+    hue,
+    saturation: max === 0 ? 0 : Math.round((chroma / max) * 100),
+    value: Math.round(max * 100),
+  };
+};
+/**
+ * Converts the given HSL color to RGB. The hue wraps around at 360 degrees;
+ * the saturation and lightness are clamped to 0-100 inclusive.
+ */
+export const hslToRgb = function (hsl: UfoHsl): UfoRgb {
+  const lightness = _fraction(hsl.lightness);
+  const chroma = (1 - Math.abs((2 * lightness) - 1)) * _fraction(hsl.saturation);
+  return _hueToRgb(hsl.hue, chroma, lightness - (chroma / 2));
+};
+/**
+ * Converts the given RGB color to HSL. Each property of the result is rounded
+ * to the nearest integer.
+ */
+export const rgbToHsl = function (rgb: UfoRgb): UfoHsl {
+  const {
+    hue, max, min, chroma,
+  } = _rgbComponents(rgb);
+  const lightness = (max + min) / 2;
+  const saturation = chroma === 0 ? 0 : chroma / (1 - Math.abs((2 * lightness) - 1));
+  return {
+    hue,
+    saturation: Math.round(saturation * 100),
+    lightness: Math.round(lightness * 100),
+  };
+};
+/**
+ * Parses the given hex color string, with or without a leading "#". Accepts
+ * "rgb", "rrggbb" and "rrggbbww" forms; the white value is zero unless given.
+ * Returns null if the string is not a valid hex color.
+ */
+export const parseHex = function (hex: string): ?UfoRgbw {
+  let digits = hex.trim().replace(/^#/, '');
+  if (!/^([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(digits)) return null;
+  if (digits.length === 3) digits = digits.split('').map(d => d + d).join('');
+  const value = (index: number) => parseInt(digits.substring(index * 2, (index * 2) + 2), 16);
+  return {
+    red: value(0),
+    green: value(1),
+    blue: value(2),
+    white: digits.length === 8 ? value(3) : 0,
+  };
+};
+/** Converts the given RGB color to a "#rrggbb" hex string. */
+export const rgbToHex = function (rgb: UfoRgb): string {
+  const hex = (v: number) => _.padStart(Math.round(_.clamp(v, 0, 255)).toString(16), 2, '0');
+  return `#${hex(rgb.red)}${hex(rgb.green)}${hex(rgb.blue)}`;
+};
+/**
+ * Returns the RGB values of the given CSS named color (e.g. "orange"), or null
+ * if there is no such color. Names are case-insensitive.
+ */
+export const namedColorToRgb = function (name: string): ?UfoRgb {
+  const hex = namedColors.get(name.trim().toLowerCase());
+  if (!hex) return null;
+  const color = parseHex(hex);
+  return color ? { red: color.red, green: color.green, blue: color.blue } : null;
+};
+/**
+ * Returns the name of the CSS named color with exactly the given RGB values, or
+ * null if there is none. If several names share the same values (e.g. "aqua"
+ * and "cyan"), the first in alphabetical order is returned.
+ */
+export const rgbToNamedColor = function (rgb: UfoRgb): ?string {
+  const hex = rgbToHex(rgb).substring(1);
+  let result: ?string = null;
+  namedColors.forEach((v, k) => {
+    if (result === null && v === hex) result = k;
+  });
+  return result;
+};
+/** Returns the names of all CSS named colors, sorted alphabetically. */
+export const getNamedColors = function (): Array<string> {
+  return Array.from(namedColors.keys()).sort();
+};
+/**
+ * Converts the given color temperature in Kelvin to RGBW values, using as much
+ * of the white output (whose own color temperature is given) as possible and
+ * making up the difference with the red, green and blue outputs. The color
+ * temperature is clamped from 2000-6500 inclusive; the brightness is clamped
+ * from 0-100 inclusive.
+ */
+export const temperatureToRgbw = function (kelvin: number, brightness: number, whiteTemperature: number): UfoRgbw {
+  const target = _temperatureToRgb(_.clamp(kelvin, minTemperature, maxTemperature));
+  const white = _temperatureToRgb(whiteTemperature);
+  // The white output can be used until any of its RGB components exceeds the
+  // target's.
+  const whiteLevel = Math.min(1, ...white.map((v, i) => (v > 0 ? target[i] / v : 1)));
+  const scale = _fraction(brightness) * 255;
+  const [red, green, blue] = target.map((v, i) => Math.round(Math.max(0, v - (whiteLevel * white[i])) * scale));
+  return {
+    red, green, blue, white: Math.round(whiteLevel * scale),
+  };
+};
+/**
+ * Estimates the color temperature in Kelvin of the given RGBW values, given the
+ * color temperature of the white output. The result is rounded to the nearest
+ * 10 Kelvin. Returns null if the output is off or is not a shade of white.
+ */
+export const estimateTemperature = function (rgbw: UfoRgbw, whiteTemperature: number): ?number {
+  const white = _temperatureToRgb(whiteTemperature);
+  const mix = [rgbw.red, rgbw.green, rgbw.blue].map((v, i) => (v / 255) + ((rgbw.white / 255) * white[i]));
+  const max = Math.max(...mix);
+  if (max === 0) return null;
+  const color = mix.map(v => v / max);
+  if (color[0] === 0) return null;
+  // The ratio of blue to red increases with the color temperature.
+  const ratio = (rgb: Array<number>) => rgb[2] / rgb[0];
+  let low = minEstimate;
+  let high = maxEstimate;
+  while (high - low > 1) {
+    const middle = (low + high) / 2;
+    if (ratio(_temperatureToRgb(middle)) < ratio(color)) low = middle;
+    else high = middle;
+  }
+  const kelvin = Math.round(low / 10) * 10;
+  const expected = _temperatureToRgb(kelvin);
+  const expectedMax = Math.max(...expected);
+  const matches = expected.every((v, i) => Math.abs((v / expectedMax) - color[i]) <= temperatureTolerance);
+  return matches ? kelvin : null;
+};
@@ -0,0 +1,217 @@
+// @flow
+import _ from 'lodash';
+import type Ufo from './Ufo';
+import type { UfoRgbw } from './Color';
+import { createEffect, effectSpeed } from './Effects';
+import type { EffectRenderer } from './Effects';
+import { UfoValidationError, onAbort } from './UfoErrors';
+import type { UfoAbortSignal, UfoCallOptions, UfoChannelValues } from './UfoOptions';
+
+/**
+ * {@link Ufo#playEffect} options. Not all effects use every option; see
+ * {@link Ufo.getEffects}.
+ * @typedef {Object} UfoEffectOptions
+ * @property {number} [speed] How fast the effect plays, 0-100 (slow to fast)
+ * inclusive. Default is 50.
+ * @property {number} [intensity] How strong the effect is, 0-100 inclusive;
+ * e.g. how deep a candle flickers or how often lightning strikes. Default is
+ * 50.
+ * @property {number} [brightness] The overall brightness, 0-100 inclusive.
+ * Default is 100.
+ * @property {UfoChannelValues} [color] The base color of the candle, breathing
+ * and lightning effects. Values that are not given are zero.
+ * @property {number} [frameRate] How many output changes to send per second,
+ * clamped from 1-50 inclusive. Default is 20.
+ * @property {number} [duration] Stops the effect after this many
+ * milliseconds. If zero or unspecified, the effect plays until stopped.
+ * @property {number} [timeout] overrides the timeout given in
+ * {@link UfoOptions} for each command sent by the effect.
+ * @property {UfoAbortSignal} [signal] Stops the effect once aborted.
+ */
+export type UfoEffectOptions = {
+  speed?: number,
+  intensity?: number,
+  brightness?: number,
+  color?: UfoChannelValues,
+  frameRate?: number,
+  duration?: number,
+  timeout?: number,
+  signal?: UfoAbortSignal,
+};
+
+/* Private variables. */
+const defaultFrameRate = 20;
+const maxFrameRate = 50;
+
+/* Private functions. */
+/**
+ * Returns the given percentage as a fraction, clamped to 0-1 inclusive.
+ * @private
+ */
+const _fraction = function (percent: ?number, defaultPercent: number): number {
+  const value = percent === undefined || percent === null ? defaultPercent : percent;
+  return _.clamp(value, 0, 100) / 100;
+};
+/**
+ * Converts the given base color option to an array of RGBW values.
+ * @private
+ */
+const _baseColor = function (color: ?UfoChannelValues): ?Array<number> {
+  if (!color) return null;
+  return [color.red, color.green, color.blue, color.white].map(v => _.clamp(v || 0, 0, 255));
+};
+
+/**
+ * Plays one of the client-side animated effects on a UFO, rendering it frame
+ * by frame and streaming the output values to the UFO. Effects play until
+ * stopped, until their duration elapses, or until the owning UFO object is
+ * disconnected. Starting another effect on the same UFO object stops this one.
+ *
+ * Errors sending a frame are reported via the UFO object's "error" event; the
+ * effect keeps playing.
+ */
+export class EffectPlayer {
+  _ufo: Ufo;
+  _render: EffectRenderer;
+  _brightness: number;
+  _interval: number;
+  _duration: number;
+  _callOptions: UfoCallOptions;
+  _start: number;
+  _last: ?Array<number>;
+  _timer: ?TimeoutID;
+  _writing: boolean;
+  _stopped: boolean;
+  _stopAborting: () => void;
+  _resolve: (?UfoRgbw) => void;
+  _done: Promise<?UfoRgbw>;
+  /**
+   * Creates a player for the effect with the given name, or for the given
+   * renderer. Throws a {@link UfoValidationError} if there is no such effect.
+   * @private
+   */
+  constructor(
+    ufo: Ufo,
+    effect: string | EffectRenderer,
+    options: UfoEffectOptions = {},
+    random: () => number = Math.random,
+  ) {
+    const render = typeof effect === 'string' ? createEffect(effect, {
+      speed: effectSpeed(options.speed),
+      intensity: _fraction(options.intensity, 50),
+      color: _baseColor(options.color),
+    }, random) : effect;
+    if (!render) throw new UfoValidationError(`No such effect ${String(effect)}`);
+    this._ufo = ufo;
+    this._render = render;
+    this._brightness = _fraction(options.brightness, 100);
+    this._interval = 1000 / _.clamp(options.frameRate || defaultFrameRate, 1, maxFrameRate);
+    this._duration = options.duration || 0;
+    this._callOptions = { timeout: options.timeout };
+    this._start = 0;
+    // The output values last written, if any.
+    this._last = null;
+    this._timer = null;
+    // True while a frame is being sent, or while the previous effect is being
+    // stopped.
+    this._writing = false;
+    // Once this flag becomes true, this object is unusable.
+    this._stopped = false;
+    this._resolve = () => {};
+    this._done = new Promise((resolve) => { this._resolve = resolve; });
+    this._stopAborting = () => {};
+    this._stopAborting = onAbort(options.signal, () => { this.stop(); });
+  }
+  /** Indicates whether or not the effect is still playing. */
+  get running(): boolean {
+    return !this._stopped;
+  }
+  /**
+   * Returns a promise that resolves once the effect stops, with the last output
+   * values written, or null if none were written.
+   */
+  get done(): Promise<?UfoRgbw> {
+    return this._done;
+  }
+  /**
+   * Stops the effect. The returned promise resolves once the frame being sent,
+   * if any, is written; see {@link EffectPlayer#done}.
+   */
+  stop(): Promise<?UfoRgbw> {
+    if (!this._stopped) {
+      this._stopped = true;
+      this._stopAborting();
+      if (this._timer) clearTimeout(this._timer);
+      this._timer = null;
+      if (!this._writing) this._finish();
+    }
+    return this._done;
+  }
+  /**
+   * Starts rendering frames, once the given promise settles if any. Waiting for
+   * the previous effect to stop keeps its last frame from landing after this
+   * effect's first one.
+   * @private
+   */
+  _play(previous?: Promise<mixed>): void {
+    if (this._stopped) return;
+    if (!previous) {
+      this._start = Date.now();
+      this._step();
+      return;
+    }
+    this._writing = true;
+    previous.then(() => {
+      this._writing = false;
+      if (this._stopped) this._finish();
+      else this._play();
+    });
+  }
+  /**
+   * Resolves the done promise with the last output values written.
+   * @private
+   */
+  _finish(): void {
+    const last = this._last;
+    this._resolve(last ? {
+      red: last[0], green: last[1], blue: last[2], white: last[3],
+    } : null);
+  }
+  /**
+   * Renders and sends the current frame, then schedules the next one.
+   * @private
+   */
+  _step(): void {
+    this._timer = null;
+    const elapsed = Date.now() - this._start;
+    if (this._duration > 0 && elapsed >= this._duration) {
+      this.stop();
+      return;
+    }
+    const color = this._render(elapsed).map(v => _.clamp(Math.round(v * this._brightness), 0, 255));
+    // Nothing is sent for frames that would not change the output.
+    if (_.isEqual(color, this._last)) {
+      this._schedule();
+      return;
+    }
+    this._writing = true;
+    this._ufo.setColor(color[0], color[1], color[2], color[3], this._callOptions).then(() => {
+      this._last = color;
+    }).catch(() => {
+      // Errors are reported via the UFO object's "error" event, so just keep
+      // playing.
+    }).then(() => {
+      this._writing = false;
+      if (this._stopped) this._finish();
+      else this._schedule();
+    });
+  }
+  /**
+   * Schedules the next frame.
+   * @private
+   */
+  _schedule(): void {
+    this._timer = setTimeout(() => this._step(), this._interval);
+  }
+}
+export default EffectPlayer;
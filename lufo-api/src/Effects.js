@@ -0,0 +1,195 @@
+// @flow
+import _ from 'lodash';
+import { hsvToRgb } from './Color';
+
+/**
+ * The parameters of an effect, normalized from {@link UfoEffectOptions}.
+ * @private
+ */
+export type EffectParams = {
+  // The playback speed multiplier, 0.25-4 inclusive.
+  speed: number,
+  // The effect-specific intensity, 0-1 inclusive.
+  intensity: number,
+  // The effect's base RGBW values, if given.
+  color: ?Array<number>,
+};
+/**
+ * Renders the RGBW values of an effect at the given number of milliseconds
+ * since the effect started. Values range 0-255 inclusive and need not be
+ * integers. Renderers are called with increasing times.
+ * @private
+ */
+export type EffectRenderer = (time: number) => Array<number>;
+
+/* Private types. */
+type EffectDefinition = {
+  create: (params: EffectParams, random: () => number) => EffectRenderer,
+};
+
+/* Private functions. */
+/**
+ * Returns the given base color, or the given default if there is none.
+ * @private
+ */
+const _color = function (params: EffectParams, defaultColor: Array<number>): Array<number> {
+  return params.color || defaultColor;
+};
+/**
+ * Scales the given RGBW values by the given level, 0-1 inclusive.
+ * @private
+ */
+const _scale = function (color: Array<number>, level: number): Array<number> {
+  return color.map(v => v * level);
+};
+/**
+ * Returns a function of time that smoothly varies between random values in
+ * 0-1 inclusive, picking a new value every given number of milliseconds.
+ * @private
+ */
+const _noise = function (random: () => number, period: number): (number) => number {
+  let index = 0;
+  let from = random();
+  let to = random();
+  return (time: number) => {
+    const position = time / period;
+    while (Math.floor(position) > index) {
+      index += 1;
+      from = to;
+      to = random();
+    }
+    return from + ((to - from) * (position - index));
+  };
+};
+/**
+ * Returns the position of the given time within a cycle of the given length,
+ * 0-1 exclusive.
+ * @private
+ */
+const _phase = function (time: number, cycle: number): number {
+  return (time % cycle) / cycle;
+};
+
+/* Private variables. */
+const effects: Map<string, EffectDefinition> = new Map([
+  // Flickers around a warm base color. Intensity sets how deep the flicker is.
+  ['candle', {
+    create: (params, random) => {
+      const color = _color(params, [255, 100, 12, 0]);
+      const flicker = _noise(random, 120 / params.speed);
+      return time => _scale(color, 1 - (params.intensity * 0.7 * flicker(time)));
+    },
+  }],
+  // Flickers between deep red and orange. Intensity sets how deep the flicker
+  // is.
+  ['fire', {
+    create: (params, random) => {
+      const flicker = _noise(random, 80 / params.speed);
+      const glow = _noise(random, 200 / params.speed);
+      return (time) => {
+        const level = 1 - (params.intensity * 0.8 * flicker(time));
+        return _scale([255, 30 + (90 * glow(time)), 0, 0], level);
+      };
+    },
+  }],
+  // Slowly fades the base color in and out. Intensity sets how far it fades
+  // out.
+  ['breathing', {
+    create: (params) => {
+      const color = _color(params, [0, 0, 0, 255]);
+      const cycle = 4000 / params.speed;
+      return (time) => {
+        const wave = (1 - Math.cos(2 * Math.PI * _phase(time, cycle))) / 2;
+        return _scale(color, (1 - params.intensity) + (params.intensity * wave));
+      };
+    },
+  }],
+  // Flashes the base color over a dim blue sky, in random strikes of one to
+  // three flashes. Intensity sets how often strikes occur.
+  ['lightning', {
+    create: (params, random) => {
+      const color = _color(params, [255, 255, 255, 255]);
+      const sky = [0, 0, 12, 0];
+      // The average time between strikes.
+      const interval = 4000 / (params.speed * (0.25 + params.intensity));
+      let nextStrike = random() * interval;
+      let flashes: Array<[number, number]> = [];
+      return (time) => {
+        while (time >= nextStrike) {
+          let start = nextStrike;
+          const count = 1 + Math.floor(random() * 3);
+          for (let i = 0; i < count; i += 1) {
+            const end = start + 40 + (random() * 60);
+            flashes.push([start, end]);
+            start = end + 60 + (random() * 90);
+          }
+          nextStrike = start + (interval * 2 * random());
+        }
+        flashes = flashes.filter(([, end]) => end > time);
+        return flashes.some(([start]) => start <= time) ? color : sky;
+      };
+    },
+  }],
+  // Slowly drifts between blues and greens, like waves. Intensity sets how
+  // deep the waves are.
+  ['ocean', {
+    create: (params) => {
+      const drift = 7000 / params.speed;
+      const swell = 3000 / params.speed;
+      return (time) => {
+        const hue = 200 + (20 * Math.sin(2 * Math.PI * _phase(time, drift)));
+        const wave = (1 + Math.sin(2 * Math.PI * _phase(time, swell))) / 2;
+        const rgb = hsvToRgb({ hue, saturation: 100, value: 100 * (1 - (params.intensity * 0.5 * wave)) });
+        return [rgb.red, rgb.green, rgb.blue, 0];
+      };
+    },
+  }],
+  // Double-flashes red, then blue.
+  ['police', {
+    create: (params) => {
+      const cycle = 1000 / params.speed;
+      return (time) => {
+        const phase = _phase(time, cycle);
+        const on = (phase % 0.5) < 0.1 || ((phase % 0.5) >= 0.2 && (phase % 0.5) < 0.3);
+        if (!on) return [0, 0, 0, 0];
+        return phase < 0.5 ? [255, 0, 0, 0] : [0, 0, 255, 0];
+      };
+    },
+  }],
+  // Cycles through all hues.
+  ['rainbow', {
+    create: (params) => {
+      const cycle = 10000 / params.speed;
+      return (time) => {
+        const rgb = hsvToRgb({ hue: 360 * _phase(time, cycle), saturation: 100, value: 100 });
+        return [rgb.red, rgb.green, rgb.blue, 0];
+      };
+    },
+  }],
+]);
+
+/**
+ * Returns the names of all effects, sorted alphabetically.
+ * @private
+ */
+export const getEffectNames = function (): Array<string> {
+  return Array.from(effects.keys()).sort();
+};
+/**
+ * Returns a renderer for the effect with the given name, or null if there is
+ * no such effect.
+ * @private
+ */
+export const createEffect = function (name: string, params: EffectParams, random: () => number): ?EffectRenderer {
+  const effect = effects.get(name);
+  return effect ? effect.create(params, random) : null;
+};
+/**
+ * Normalizes the given speed (0-100 inclusive, default 50) to a playback speed
+ * multiplier: 0.25 at 0, 1 at 50 and 4 at 100.
+ * @private
+ */
+export const effectSpeed = function (speed: ?number): number {
+  const value = speed === undefined || speed === null ? 50 : _.clamp(speed, 0, 100);
+  return 2 ** ((value - 50) / 25);
+};
@@ -0,0 +1,142 @@
+// @flow
+import _ from 'lodash';
+import type Ufo from './Ufo';
+import type { UfoRgbw } from './Color';
+import { UfoValidationError, onAbort } from './UfoErrors';
+import type { UfoAbortSignal } from './UfoOptions';
+
+/**
+ * An easing curve, mapping the elapsed fraction of a fade's duration (0-1
+ * inclusive) to the fraction of the color change applied at that point. Either
+ * the name of a built-in curve ("linear", "easeInOut" or "cubic") or a custom
+ * function.
+ * @typedef {string | Function} UfoEasing
+ */
+export type UfoEasing = 'linear' | 'easeInOut' | 'cubic' | (number) => number;
+/**
+ * The output values a fade ends at. Values that are not given keep their
+ * current value. Each value is clamped from 0-255 inclusive.
+ * @typedef {Object} UfoFadeTarget
+ * @property {number} [red] The red output value.
+ * @property {number} [green] The green output value.
+ * @property {number} [blue] The blue output value.
+ * @property {number} [white] The white output value.
+ */
+export type UfoFadeTarget = {
+  red?: number,
+  green?: number,
+  blue?: number,
+  white?: number,
+};
+/**
+ * {@link Ufo#fadeTo} options.
+ * @typedef {Object} UfoFadeOptions
+ * @property {UfoEasing} [easing] The easing curve. Default is "linear".
+ * @property {number} [frameRate] How many output changes to send per second,
+ * clamped from 1-50 inclusive. Default is 20. Frames are skipped if the UFO
+ * cannot keep up.
+ * @property {number} [timeout] overrides the timeout given in
+ * {@link UfoOptions} for each command sent by the fade.
+ * @property {UfoAbortSignal} [signal] cancels the fade once aborted. The fade's
+ * promise is resolved with the last output values written.
+ */
+export type UfoFadeOptions = {
+  easing?: UfoEasing,
+  frameRate?: number,
+  timeout?: number,
+  signal?: UfoAbortSignal,
+};
+
+/* Private variables. */
+const defaultFrameRate = 20;
+const maxFrameRate = 50;
+const easings: Map<string, (number) => number> = new Map([
+  ['linear', t => t],
+  ['easeInOut', t => (1 - Math.cos(Math.PI * t)) / 2],
+  ['cubic', t => (t < 0.5 ? 4 * (t ** 3) : 1 - ((((-2 * t) + 2) ** 3) / 2))],
+]);
+
+/* Private functions. */
+/**
+ * Returns the easing function for the given easing option, or null if there is
+ * no such built-in easing curve.
+ * @private
+ */
+const _easing = function (easing: ?UfoEasing): ?(number) => number {
+  if (easing === undefined || easing === null) return easings.get('linear');
+  if (typeof easing === 'function') return easing;
+  return easings.get(easing);
+};
+/**
+ * Converts the given array of RGBW values to an object.
+ * @private
+ */
+const _toRgbw = function (values: Array<number>): UfoRgbw {
+  const [red, green, blue, white] = values;
+  return {
+    red, green, blue, white,
+  };
+};
+
+/**
+ * Fades the output of the given UFO from its current values to the given ones
+ * over the given number of milliseconds; see {@link Ufo#fadeTo}.
+ * @private
+ */
+export const fade = function (
+  ufo: Ufo,
+  target: UfoFadeTarget,
+  duration: number,
+  options: UfoFadeOptions = {},
+): Promise<?UfoRgbw> {
+  const easing = _easing(options.easing);
+  if (!easing) return Promise.reject(new UfoValidationError(`No such easing '${String(options.easing)}'.`));
+  const interval = 1000 / _.clamp(options.frameRate || defaultFrameRate, 1, maxFrameRate);
+  const callOptions = { timeout: options.timeout };
+  return ufo.getStatus(false, callOptions).then((status) => {
+    if (!status) return null;
+    const from = [status.red, status.green, status.blue, status.white];
+    const to = [target.red, target.green, target.blue, target.white]
+      .map((v, i) => (v === undefined ? from[i] : _.clamp(v, 0, 255)));
+    return new Promise((resolve, reject) => {
+      const start = Date.now();
+      let last = from;
+      let timer: ?TimeoutID = null;
+      let writing = false;
+      let cancelled = false;
+      let settled = false;
+      let stopAborting = () => {};
+      const finish = (err: ?Error) => {
+        if (settled) return;
+        settled = true;
+        if (timer) clearTimeout(timer);
+        stopAborting();
+        if (err) reject(err); else resolve(_toRgbw(last));
+      };
+      const step = () => {
+        timer = null;
+        const progress = duration > 0 ? Math.min(1, (Date.now() - start) / duration) : 1;
+        const eased = easing(progress);
+        const color = from.map((v, i) => _.clamp(Math.round(v + ((to[i] - v) * eased)), 0, 255));
+        // Nothing is sent for frames that would not change the output.
+        writing = !_.isEqual(color, last);
+        const write = writing
+          ? ufo.setColor(color[0], color[1], color[2], color[3], callOptions).then(() => { last = color; })
+          : Promise.resolve();
+        write.then(() => {
+          writing = false;
+          if (cancelled || progress >= 1) finish();
+          else timer = setTimeout(step, interval);
+        }).catch(finish);
+      };
+      // A frame that is being written when the fade is cancelled is waited for,
+      // so the result is always the output's actual values.
+      stopAborting = onAbort(options.signal, () => {
+        cancelled = true;
+        if (!writing) finish();
+      });
+      if (!cancelled) step();
+    });
+  });
+};
+export default fade;
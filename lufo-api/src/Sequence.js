@@ -0,0 +1,131 @@
+// @flow
+import _ from 'lodash';
+import type { CustomMode } from './TcpClient';
+import { customSpeed, customStepSeconds } from './Speed';
+import type { SpeedTables } from './Speed';
+import type { EffectRenderer } from './Effects';
+import type { UfoAbortSignal } from './UfoOptions';
+
+/**
+ * A step of a sequence played by {@link Ufo#playSequence}. Each value is
+ * clamped from 0-255 inclusive.
+ * @typedef {Object} UfoSequenceStep
+ * @property {number} red The red output value.
+ * @property {number} green The green output value.
+ * @property {number} blue The blue output value.
+ * @property {number} [white] The white output value. Default is zero.
+ * @property {number} [duration] How long this step lasts, in milliseconds.
+ * Overrides the stepDurationMs option for this step only.
+ */
+export type UfoSequenceStep = {
+  red: number,
+  green: number,
+  blue: number,
+  white?: number,
+  duration?: number,
+};
+/**
+ * {@link Ufo#playSequence} options.
+ * @typedef {Object} UfoSequenceOptions
+ * @property {CustomMode} [mode] How the sequence moves between steps:
+ * "jumping" holds each step's color, "gradual" fades from each step's color to
+ * the next one's and "strobe" flashes each step's color. Default is "jumping".
+ * @property {number} [stepDurationMs] How long each step lasts, in
+ * milliseconds. Default is 1000.
+ * @property {boolean} [loop] If true or unspecified, the sequence repeats
+ * until stopped. Otherwise, it stops after the last step.
+ * @property {number} [frameRate] How many output changes to send per second
+ * when the sequence is played in software, clamped from 1-50 inclusive.
+ * Default is 20.
+ * @property {number} [timeout] overrides the timeout given in
+ * {@link UfoOptions} for each command sent by the sequence.
+ * @property {UfoAbortSignal} [signal] Stops the sequence once aborted, if it is
+ * played in software.
+ */
+export type UfoSequenceOptions = {
+  mode?: CustomMode,
+  stepDurationMs?: number,
+  loop?: boolean,
+  frameRate?: number,
+  timeout?: number,
+  signal?: UfoAbortSignal,
+};
+
+/* Private variables. */
+const defaultStepDuration = 1000;
+const maxHardwareSteps = 16;
+// The UFO drops custom steps with these values; see Ufo#setCustom.
+const nullStep = [1, 2, 3];
+const modes: Array<CustomMode> = ['gradual', 'jumping', 'strobe'];
+// The fraction of each step a strobe flash lasts.
+const strobeFraction = 0.5;
+
+/**
+ * Indicates whether or not the given mode is a valid sequence mode.
+ * @private
+ */
+export const isSequenceMode = function (mode: string): boolean {
+  return modes.includes(mode);
+};
+/**
+ * Returns the duration of each of the given steps, in milliseconds.
+ * @private
+ */
+export const stepDurations = function (steps: Array<UfoSequenceStep>, options: UfoSequenceOptions): Array<number> {
+  const stepDuration = options.stepDurationMs || defaultStepDuration;
+  return steps.map(s => Math.max(1, s.duration || stepDuration));
+};
+/**
+ * Returns the custom function speed with which the UFO would play the given
+ * steps, or null if the steps cannot be played by the hardware: because there
+ * are more than 16, because they use the white output, because they are
+ * null steps, because they have different durations or because their duration
+ * is outside of the hardware's range.
+ * @private
+ */
+export const hardwareSpeed = function (
+  steps: Array<UfoSequenceStep>,
+  durations: Array<number>,
+  tables: SpeedTables,
+): ?number {
+  if (steps.length > maxHardwareSteps) return null;
+  if (steps.some(s => (s.white || 0) > 0 || _.isEqual([s.red, s.green, s.blue], nullStep))) return null;
+  if (_.uniq(durations).length !== 1) return null;
+  const seconds = durations[0] / 1000;
+  const fastest = customStepSeconds(tables, 30);
+  const slowest = customStepSeconds(tables, 0);
+  if (seconds < Math.min(fastest, slowest) || seconds > Math.max(fastest, slowest)) return null;
+  return customSpeed(tables, seconds);
+};
+/**
+ * Returns a renderer that plays the given steps in software, in the given
+ * mode. The steps must not be empty.
+ * @private
+ */
+export const createSequence = function (
+  steps: Array<UfoSequenceStep>,
+  mode: CustomMode,
+  durations: Array<number>,
+  loop: boolean,
+): EffectRenderer {
+  const colors = steps.map(s => [s.red, s.green, s.blue, s.white || 0].map(v => _.clamp(v, 0, 255)));
+  const total = _.sum(durations);
+  return (time: number) => {
+    // Once a sequence that does not loop ends, its last step is held.
+    const position = loop ? time % total : Math.min(time, total);
+    let index = 0;
+    let start = 0;
+    while (index < colors.length - 1 && position >= start + durations[index]) {
+      start += durations[index];
+      index += 1;
+    }
+    const progress = Math.min(1, (position - start) / durations[index]);
+    const color = colors[index];
+    if (mode === 'strobe') return progress < strobeFraction ? color : [0, 0, 0, 0];
+    if (mode === 'gradual') {
+      const next = colors[loop ? (index + 1) % colors.length : Math.min(index + 1, colors.length - 1)];
+      return color.map((v, i) => v + ((next[i] - v) * progress));
+    }
+    return color;
+  };
+};
@@ -0,0 +1,204 @@
+// @flow
+import _ from 'lodash';
+import { UfoValidationError } from './UfoErrors';
+import type { BuiltinFunction } from './TcpClient';
+
+/**
+ * A custom function speed given as a duration; see {@link Ufo#setCustom}.
+ * @typedef {Object} UfoCustomSpeed
+ * @property {number} stepSeconds How long each step lasts, in seconds.
+ */
+export type UfoCustomSpeed = {
+  stepSeconds: number,
+};
+/**
+ * A built-in function speed given as a duration; see {@link Ufo#setBuiltin}.
+ * @typedef {Object} UfoBuiltinSpeed
+ * @property {number} periodSeconds How long one full cycle of the function
+ * lasts, in seconds.
+ */
+export type UfoBuiltinSpeed = {
+  periodSeconds: number,
+};
+/**
+ * A table of durations, in seconds, that a function's speeds result in, as
+ * pairs of a speed and its duration. Durations of speeds between two pairs are
+ * interpolated linearly. At least two pairs are required.
+ * @typedef {Array<Array<number>>} UfoSpeedTable
+ */
+export type UfoSpeedTable = Array<[number, number]>;
+/**
+ * Speed tables measured on a UFO (see {@link Ufo#measureSpeeds}), replacing the
+ * library's approximate tables.
+ * @typedef {Object} UfoSpeedTables
+ * @property {UfoSpeedTable} [custom] the step durations of custom functions,
+ * which are the same for all modes.
+ * @property {Object} [builtin] the cycle durations of built-in functions, keyed
+ * by {@link BuiltinFunction} name.
+ */
+export type UfoSpeedTables = {
+  custom?: UfoSpeedTable,
+  builtin?: {[string]: UfoSpeedTable},
+};
+/**
+ * The speed tables used by a UFO object, with the library's tables filled in
+ * for functions that were not measured.
+ * @private
+ */
+export type SpeedTables = {
+  custom: UfoSpeedTable,
+  builtin: Map<string, UfoSpeedTable>,
+};
+
+/* Private variables. */
+const maxCustomSpeed = 30;
+const maxBuiltinSpeed = 100;
+// Step durations measured with a stopwatch in the "jumping" mode. The other
+// modes have not been measured separately, but advance through their steps at
+// the same pace.
+const customStepTable: UfoSpeedTable = [
+  [0, 4.6], [5, 3.9], [10, 3.2], [15, 2.5], [20, 1.8], [25, 1.1], [30, 0.4],
+];
+// Approximate cycle durations of the built-in functions at the slowest and
+// fastest speeds. Functions that cycle through seven colors take a step per
+// color, gradual changes fade in and out, cross fades fade between two colors
+// and back, and single-color strobes flash once per cycle.
+const sevenColorFadeTable: UfoSpeedTable = [[0, 63], [100, 7]];
+const gradualChangeTable: UfoSpeedTable = [[0, 18], [100, 2]];
+const crossFadeTable: UfoSpeedTable = [[0, 18], [100, 2]];
+const sevenColorFlashTable: UfoSpeedTable = [[0, 14], [100, 1.4]];
+const strobeFlashTable: UfoSpeedTable = [[0, 2], [100, 0.2]];
+const sevenColorJumpTable: UfoSpeedTable = [[0, 31.5], [100, 3.5]];
+const builtinPeriodTables: Map<string, UfoSpeedTable> = new Map([
+  ['sevenColorCrossFade', sevenColorFadeTable],
+  ['redGradualChange', gradualChangeTable],
+  ['greenGradualChange', gradualChangeTable],
+  ['blueGradualChange', gradualChangeTable],
+  ['yellowGradualChange', gradualChangeTable],
+  ['cyanGradualChange', gradualChangeTable],
+  ['purpleGradualChange', gradualChangeTable],
+  ['whiteGradualChange', gradualChangeTable],
+  ['redGreenCrossFade', crossFadeTable],
+  ['redBlueCrossFade', crossFadeTable],
+  ['greenBlueCrossFade', crossFadeTable],
+  ['sevenColorStrobeFlash', sevenColorFlashTable],
+  ['redStrobeFlash', strobeFlashTable],
+  ['greenStrobeFlash', strobeFlashTable],
+  ['blueStrobeFlash', strobeFlashTable],
+  ['yellowStrobeFlash', strobeFlashTable],
+  ['cyanStrobeFlash', strobeFlashTable],
+  ['purpleStrobeFlash', strobeFlashTable],
+  ['whiteStrobeFlash', strobeFlashTable],
+  ['sevenColorJumpingChange', sevenColorJumpTable],
+]);
+
+/* Private functions. */
+/**
+ * Validates the given speed table, returning a copy sorted by speed. Throws a
+ * {@link UfoValidationError} if it is invalid.
+ * @private
+ */
+const _speedTable = function (table: any, maxSpeed: number, name: string): UfoSpeedTable {
+  const valid = Array.isArray(table) && table.length >= 2 && table.every(pair => Array.isArray(pair) &&
+    pair.length === 2 && Number.isInteger(pair[0]) && pair[0] >= 0 && pair[0] <= maxSpeed &&
+    Number.isFinite(pair[1]) && pair[1] > 0);
+  if (!valid || _.uniqBy(table, pair => pair[0]).length !== table.length) {
+    throw new UfoValidationError(`Invalid speed table for ${name}, must be at least two [speed, seconds] pairs with distinct speeds 0-${maxSpeed} inclusive and positive durations.`);
+  }
+  return _.sortBy(table.map(([speed, seconds]) => [speed, seconds]), pair => pair[0]);
+};
+/**
+ * Returns the duration the given speed results in according to the given
+ * table, rounded to hundredths of a second.
+ * @private
+ */
+const _seconds = function (table: UfoSpeedTable, speed: number): number {
+  let index = 0;
+  while (index < table.length - 2 && speed > table[index + 1][0]) index += 1;
+  const [fromSpeed, fromSeconds] = table[index];
+  const [toSpeed, toSeconds] = table[index + 1];
+  const progress = (_.clamp(speed, fromSpeed, toSpeed) - fromSpeed) / (toSpeed - fromSpeed);
+  return Math.round((fromSeconds + ((toSeconds - fromSeconds) * progress)) * 100) / 100;
+};
+/**
+ * Returns the speed, 0 to the given maximum inclusive, whose duration according
+ * to the given table is nearest to the given duration.
+ * @private
+ */
+const _nearestSpeed = function (table: UfoSpeedTable, seconds: number, maxSpeed: number): number {
+  return _.minBy(_.range(maxSpeed + 1), speed => Math.abs(_seconds(table, speed) - seconds));
+};
+
+/**
+ * Indicates whether or not the given duration is a positive number of seconds.
+ * @private
+ */
+export const isValidSeconds = function (seconds: any): boolean {
+  return typeof seconds === 'number' && Number.isFinite(seconds) && seconds > 0;
+};
+/**
+ * Returns the highest speed of custom functions, or of built-in functions if
+ * not custom.
+ * @private
+ */
+export const maxSpeed = function (custom: boolean): number {
+  return custom ? maxCustomSpeed : maxBuiltinSpeed;
+};
+/**
+ * Validates the given speed tables and fills in the library's tables for
+ * functions that were not measured. Throws a {@link UfoValidationError} if they
+ * are invalid.
+ * @private
+ */
+export const speedTables = function (tables: ?UfoSpeedTables): SpeedTables {
+  const result = { custom: customStepTable, builtin: new Map(builtinPeriodTables) };
+  if (!tables) return result;
+  if (tables.custom) result.custom = _speedTable(tables.custom, maxCustomSpeed, 'custom functions');
+  _.forEach(tables.builtin || {}, (table, name) => {
+    if (!builtinPeriodTables.has(name)) throw new UfoValidationError(`No such cycling built-in function ${name}`);
+    result.builtin.set(name, _speedTable(table, maxBuiltinSpeed, name));
+  });
+  return result;
+};
+/**
+ * Indicates whether or not the given built-in function cycles, and so has a
+ * speed table.
+ * @private
+ */
+export const isCyclingBuiltin = function (name: string): boolean {
+  return builtinPeriodTables.has(name);
+};
+/**
+ * Returns the approximate step duration, in seconds, of custom functions at
+ * the given speed. All modes step at the same pace.
+ * @private
+ */
+export const customStepSeconds = function (tables: SpeedTables, speed: number): number {
+  return _seconds(tables.custom, speed);
+};
+/**
+ * Returns the custom function speed whose step duration is nearest to the given
+ * number of seconds.
+ * @private
+ */
+export const customSpeed = function (tables: SpeedTables, stepSeconds: number): number {
+  return _nearestSpeed(tables.custom, stepSeconds, maxCustomSpeed);
+};
+/**
+ * Returns the approximate cycle duration, in seconds, of the given built-in
+ * function at the given speed, or null if the function does not cycle.
+ * @private
+ */
+export const builtinPeriodSeconds = function (tables: SpeedTables, name: BuiltinFunction, speed: number): ?number {
+  const table = tables.builtin.get(name);
+  return table ? _seconds(table, speed) : null;
+};
+/**
+ * Returns the built-in function speed whose cycle duration is nearest to the
+ * given number of seconds, or null if the function does not cycle.
+ * @private
+ */
+export const builtinSpeed = function (tables: SpeedTables, name: BuiltinFunction, periodSeconds: number): ?number {
+  const table = tables.builtin.get(name);
+  return table ? _nearestSpeed(table, periodSeconds, maxBuiltinSpeed) : null;
+};
@@ -0,0 +1,187 @@
+// @flow
+import _ from 'lodash';
+import type Ufo from './Ufo';
+import type { BuiltinFunction, CustomStep } from './TcpClient';
+import {
+  builtinPeriodSeconds,
+  customStepSeconds,
+  isCyclingBuiltin,
+  maxSpeed,
+} from './Speed';
+import type { SpeedTables, UfoSpeedTable } from './Speed';
+import { UfoAbortError, UfoError, UfoValidationError } from './UfoErrors';
+import type { UfoAbortSignal, UfoCallOptions } from './UfoOptions';
+
+/**
+ * {@link Ufo#measureSpeeds} options.
+ * @typedef {Object} UfoSpeedMeasureOptions
+ * @property {Array<number>} [speeds] The speeds to measure. Default is every
+ * fifth speed from 0-30 for custom functions and every 25th speed from 0-100
+ * for built-in functions. The speeds must be distinct integers in the speed
+ * range of the function.
+ * @property {number} [pollInterval] How often to poll the UFO's status, in
+ * milliseconds. Shorter intervals measure more precisely. Default is 50.
+ * @property {number} [maxDuration] The longest time to spend measuring each
+ * speed, in milliseconds. By default, each speed is measured for four times
+ * its expected duration. Durations longer than half of this cannot be
+ * measured, so speeds it cuts short are left out of the table.
+ * @property {number} [timeout] overrides the timeout given in
+ * {@link UfoOptions} for each command sent by the measurement.
+ * @property {UfoAbortSignal} [signal] cancels the measurement once aborted.
+ */
+export type UfoSpeedMeasureOptions = {
+  speeds?: Array<number>,
+  pollInterval?: number,
+  maxDuration?: number,
+  timeout?: number,
+  signal?: UfoAbortSignal,
+};
+
+/* Private types. */
+type Sample = {
+  time: number,
+  color: Array<number>,
+};
+
+/* Private variables. */
+const defaultCustomSpeeds = [0, 5, 10, 15, 20, 25, 30];
+const defaultBuiltinSpeeds = [0, 25, 50, 75, 100];
+const defaultPollInterval = 50;
+// Custom functions are measured in the "jumping" mode with these steps, so
+// each cycle of the function is three steps.
+const measureSteps: Array<CustomStep> = [
+  { red: 255, green: 0, blue: 0 },
+  { red: 0, green: 255, blue: 0 },
+  { red: 0, green: 0, blue: 255 },
+];
+// Each speed is sampled for this many times its expected period, so periods up
+// to twice as long as expected can still be found.
+const periodsSampled = 4;
+// How different the output may be from itself one period later, as a fraction
+// of how different it is on average.
+const periodThreshold = 0.25;
+// The samples are resampled to at most this many values before the period is
+// searched for, which bounds the cost of the search however long they span.
+const maxResampled = 500;
+
+/* Private functions. */
+/**
+ * Polls the UFO's status every given number of milliseconds for the given
+ * duration, resolving with the output values observed and when.
+ * @private
+ */
+const _sample = function (ufo: Ufo, duration: number, pollInterval: number, callOptions: UfoCallOptions): Promise<Array<Sample>> {
+  return new Promise((resolve, reject) => {
+    const samples = [];
+    const start = Date.now();
+    const poll = () => {
+      if (callOptions.signal && callOptions.signal.aborted) {
+        reject(new UfoAbortError());
+        return;
+      }
+      const sent = Date.now();
+      ufo.getStatus(true, callOptions).then((status) => {
+        const received = Date.now();
+        if (!status) {
+          resolve(samples);
+          return;
+        }
+        // The status was taken somewhere between sending the request and
+        // receiving the response.
+        samples.push({ time: (sent + received) / 2, color: [status.red, status.green, status.blue, status.white] });
+        if (received - start >= duration) resolve(samples);
+        else setTimeout(poll, Math.max(0, pollInterval - (received - sent)));
+      }).catch(reject);
+    };
+    poll();
+  });
+};
+/**
+ * Returns the period, in milliseconds, of the output values observed in the
+ * given samples, or null if they do not repeat. The samples are resampled every
+ * given number of milliseconds, or more sparsely if they span too long, and the
+ * period is the shortest lag at which the output is nearly the same as itself.
+ * @private
+ */
+const _period = function (samples: Array<Sample>, pollInterval: number): ?number {
+  if (samples.length < 2) return null;
+  const start = samples[0].time;
+  const end = samples[samples.length - 1].time;
+  const interval = Math.max(pollInterval, (end - start) / maxResampled);
+  const values = [];
+  let index = 0;
+  for (let time = start; time <= end; time += interval) {
+    while (index < samples.length - 1 && samples[index + 1].time <= time) index += 1;
+    values.push(samples[index].color);
+  }
+  const difference = (lag: number): number => {
+    let sum = 0;
+    for (let i = 0; i + lag < values.length; i += 1) {
+      sum += _.sum(values[i].map((v, c) => Math.abs(v - values[i + lag][c])));
+    }
+    return sum / (values.length - lag);
+  };
+  const differences = _.range(Math.floor(values.length / 2) + 2).map(difference);
+  const average = _.mean(differences.slice(1));
+  if (!(average > 0)) return null;
+  for (let lag = 1; lag < differences.length - 1; lag += 1) {
+    const d = differences[lag];
+    if (d <= periodThreshold * average && d <= differences[lag - 1] && d <= differences[lag + 1]) {
+      return lag * interval;
+    }
+  }
+  return null;
+};
+
+/**
+ * Measures how long the given function ("custom" or a cycling
+ * {@link BuiltinFunction}) takes at several speeds; see
+ * {@link Ufo#measureSpeeds}.
+ * @private
+ */
+export const measureSpeeds = function (
+  ufo: Ufo,
+  tables: SpeedTables,
+  name: string,
+  options: UfoSpeedMeasureOptions = {},
+): Promise<UfoSpeedTable> {
+  const custom = name === 'custom';
+  const builtin: BuiltinFunction = (name: any);
+  if (!custom && !isCyclingBuiltin(name)) {
+    return Promise.reject(new UfoValidationError(`No such cycling built-in function ${name}`));
+  }
+  const highest = maxSpeed(custom);
+  const { speeds = custom ? defaultCustomSpeeds : defaultBuiltinSpeeds } = options;
+  const validSpeeds = Array.isArray(speeds) && _.uniq(speeds).length === speeds.length &&
+    speeds.every(speed => Number.isInteger(speed) && speed >= 0 && speed <= highest);
+  if (!validSpeeds) {
+    return Promise.reject(new UfoValidationError(`Invalid speeds for ${name}, must be distinct integers 0-${highest} inclusive.`));
+  }
+  const callOptions = { timeout: options.timeout, signal: options.signal };
+  const pollInterval = Math.max(1, options.pollInterval || defaultPollInterval);
+  const maxDuration = options.maxDuration || Infinity;
+  // Returns the expected period of the function at the given speed, in seconds.
+  const expected = (speed: number): number => {
+    if (custom) return customStepSeconds(tables, speed) * measureSteps.length;
+    return builtinPeriodSeconds(tables, builtin, speed) || 0;
+  };
+  const table: UfoSpeedTable = [];
+  // Speeds are measured one at a time.
+  const measured = speeds.reduce((previous, speed) => previous.then(() => {
+    const play = custom
+      ? ufo.setCustom('jumping', speed, measureSteps, callOptions)
+      : ufo.setBuiltin(builtin, speed, callOptions);
+    const duration = Math.min(maxDuration, expected(speed) * 1000 * periodsSampled);
+    return play.then(() => _sample(ufo, duration, pollInterval, callOptions)).then((samples) => {
+      const period = _period(samples, pollInterval);
+      if (period === null || period === undefined) return;
+      const seconds = (custom ? period / measureSteps.length : period) / 1000;
+      table.push([speed, Math.round(seconds * 100) / 100]);
+    });
+  }), Promise.resolve());
+  return measured.then(() => {
+    if (table.length < 2) throw new UfoError(`Could not measure at least two speeds of ${name}.`);
+    return table;
+  });
+};
+export default measureSpeeds;
@@ -0,0 +1,155 @@
+// @flow
+import type Ufo from './Ufo';
+import type { UfoStatus } from './TcpClient';
+import { onAbort } from './UfoErrors';
+import type { UfoAbortSignal } from './UfoOptions';
+
+/**
+ * {@link Ufo#watchStatus} options.
+ * @typedef {Object} StatusWatchOptions
+ * @property {number} [interval] How often to poll the UFO's status, in
+ * milliseconds. Default is 1000.
+ * @property {UfoAbortSignal} [signal] Stops the watcher once aborted.
+ */
+export type StatusWatchOptions = {
+  interval?: number,
+  signal?: UfoAbortSignal,
+};
+/**
+ * A function that is notified of status changes by a {@link StatusWatcher}.
+ * The first argument is the new status; the second argument is the status that
+ * was previously observed.
+ * @typedef {Function} StatusListener
+ */
+export type StatusListener = (status: UfoStatus, previous: UfoStatus) => void;
+
+/* Private variables. */
+// Milliseconds.
+const defaultInterval = 1000;
+const watchedProperties = ['on', 'mode', 'speed', 'red', 'green', 'blue', 'white'];
+
+/* Private functions. */
+/**
+ * Indicates whether or not any of the watched properties differ between the
+ * two given status objects.
+ * @private
+ */
+const _statusChanged = function (previous: UfoStatus, current: UfoStatus): boolean {
+  return watchedProperties.some(p => previous[p] !== current[p]);
+};
+
+/**
+ * Polls a UFO's status in the background and notifies subscribers whenever the
+ * power flag, mode, speed or RGBW values change. Polling only occurs while at
+ * least one listener is subscribed; it survives reconnection and stops
+ * permanently once the owning UFO object is disconnected.
+ *
+ * The first status received after polling (re)starts is used as a baseline and
+ * is not reported to subscribers.
+ */
+export class StatusWatcher {
+  _ufo: Ufo;
+  _interval: number;
+  _listeners: Array<StatusListener>;
+  _previous: ?UfoStatus;
+  _timer: ?TimeoutID;
+  _polling: boolean;
+  _stopped: boolean;
+  _stopAborting: () => void;
+  constructor(ufo: Ufo, options: StatusWatchOptions = {}) {
+    this._ufo = ufo;
+    this._interval = options.interval && options.interval > 0 ? options.interval : defaultInterval;
+    this._listeners = [];
+    this._previous = null;
+    this._timer = null;
+    // True while a status request is in flight.
+    this._polling = false;
+    // Once this flag becomes true, this object is unusable.
+    this._stopped = false;
+    this._stopAborting = () => {};
+    this._stopAborting = onAbort(options.signal, () => this.stop());
+  }
+  /**
+   * Subscribes the given listener to status changes and starts polling if it
+   * is not already running. Returns a function that unsubscribes the listener.
+   */
+  subscribe(listener: StatusListener): () => void {
+    if (!this._stopped && !this._listeners.includes(listener)) {
+      this._listeners.push(listener);
+      if (this._listeners.length === 1) this._schedule(0);
+    }
+    return () => this.unsubscribe(listener);
+  }
+  /**
+   * Unsubscribes the given listener. Polling is paused once no listeners
+   * remain.
+   */
+  unsubscribe(listener: StatusListener): void {
+    this._listeners = this._listeners.filter(l => l !== listener);
+    if (this._listeners.length === 0) this._pause();
+  }
+  /**
+   * Unsubscribes all listeners and permanently stops polling. This object
+   * cannot be used after this method is called.
+   */
+  stop(): void {
+    this._stopAborting();
+    this._stopped = true;
+    this._listeners = [];
+    this._pause();
+    this._ufo._statusWatchers = this._ufo._statusWatchers.filter(w => w !== this);
+  }
+  /**
+   * Cancels the next scheduled poll and forgets the baseline status.
+   * @private
+   */
+  _pause(): void {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    this._previous = null;
+  }
+  /**
+   * Schedules the next poll after the given delay, in milliseconds.
+   * @private
+   */
+  _schedule(delay: number): void {
+    if (this._stopped || this._timer || this._polling || this._listeners.length === 0) return;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._poll();
+    }, delay);
+  }
+  /**
+   * Requests the UFO's status and notifies subscribers if it changed.
+   * @private
+   */
+  _poll(): void {
+    this._polling = true;
+    this._ufo._tcpClient.status(true).then((status) => {
+      this._polling = false;
+      // A null status means the UFO object is dead. Unless it is disconnected
+      // for good, it is reconnecting, so keep polling until it is back.
+      if (!status) {
+        if (this._ufo._disconnected) this.stop();
+        else this._schedule(this._interval);
+        return;
+      }
+      const previous = this._previous;
+      // Ignore this result if everyone unsubscribed while it was in flight.
+      if (this._listeners.length === 0) return;
+      // Copy the status, since the TCP client may update its cached status
+      // object in place.
+      this._previous = Object.assign({}, status);
+      if (previous && _statusChanged(previous, status)) {
+        this._listeners.slice().forEach(l => l(status, previous));
+      }
+      this._schedule(this._interval);
+    }).catch(() => {
+      // Errors are reported via the UFO object's "error" event, so just keep
+      // polling.
+      this._polling = false;
+      this._schedule(this._interval);
+    });
+  }
+}
+export default StatusWatcher;
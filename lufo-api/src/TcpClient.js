@@ -2,7 +2,21 @@
 import * as net from 'net';
 import _ from 'lodash';
 import Ufo from './Ufo';
-import type { UfoOptions } from './UfoOptions';
+import { calibrationProfile, fromDevice, toDevice } from './Calibration';
+import type { CalibrationProfile } from './Calibration';
+import { defaultWhiteTemperature, estimateTemperature } from './Color';
+import { builtinPeriodSeconds, customStepSeconds, speedTables } from './Speed';
+import type { SpeedTables } from './Speed';
+import {
+  UfoAbortError,
+  UfoChecksumError,
+  UfoDisconnectError,
+  UfoProtocolError,
+  UfoTimeoutError,
+  UfoValidationError,
+  onAbort,
+} from './UfoErrors';
+import type { UfoAbortSignal, UfoCallOptions, UfoOptions, UfoTraceEvent } from './UfoOptions';
 
 /** One of the possible built-in function names. */
 export type BuiltinFunction =
@@ -52,21 +66,120 @@ export type CustomStep = {
  * @property {number} [speed] defined only if mode is "custom" or
  * "function:{@link BuiltinFunction}". If "custom" this value ranges 0-30,
  * inclusive, otherwise it ranges 0-100 inclusive.
+ * @property {number} [stepSeconds] the approximate duration of each step in
+ * seconds, based on the speed. Defined only if mode is "custom".
+ * @property {number} [periodSeconds] the approximate duration of one full cycle
+ * in seconds, based on the speed. Defined only if mode is
+ * "function:{@link BuiltinFunction}" and the function cycles.
  * @property {number} red The red output strength, 0-255 inclusive.
  * @property {number} green The green output strength, 0-255 inclusive.
  * @property {number} blue The blue output strength, 0-255 inclusive.
  * @property {number} white The white output strength, 0-255 inclusive.
+ * @property {number} [temperature] the estimated color temperature of the
+ * output in Kelvin, based on the whiteTemperature option in
+ * {@link UfoOptions}. Defined only if mode is "static" and the output is a
+ * shade of white.
  */
 export type UfoStatus = {
   raw: Buffer,
   on: boolean,
   mode: string,
   speed?: number,
+  stepSeconds?: number,
+  periodSeconds?: number,
   red: number,
   green: number,
   blue: number,
   white: number,
+  temperature?: number,
 }
+/** One of the days of the week on which a timer can repeat. */
+export type UfoTimerDay =
+  'monday' |
+  'tuesday' |
+  'wednesday' |
+  'thursday' |
+  'friday' |
+  'saturday' |
+  'sunday';
+/** One of the actions a timer can take. */
+export type UfoTimerAction = 'on' | 'off' | 'color' | 'function' | 'unknown';
+/**
+ * A timer stored on the UFO, which takes an action at a given time of day
+ * without a client being connected. Times are in the UFO's local time, as set
+ * by its NTP client.
+ * @typedef {Object} UfoTimer
+ * @property {boolean} active true if the timer is enabled. The other properties
+ * of inactive timers are not meaningful.
+ * @property {number} hour The hour at which the timer fires, 0-23 inclusive.
+ * @property {number} minute The minute at which the timer fires, 0-59
+ * inclusive.
+ * @property {Array<UfoTimerDay>} [days] the days of the week on which the timer
+ * repeats. If empty or unspecified, the timer fires once, on the given date.
+ * @property {number} [year] The year on which a one-time timer fires,
+ * 2000-2255 inclusive.
+ * @property {number} [month] The month on which a one-time timer fires, 1-12
+ * inclusive.
+ * @property {number} [day] The day of the month on which a one-time timer
+ * fires, 1-31 inclusive.
+ * @property {UfoTimerAction} action "on" turns the output on, "off" turns it
+ * off, "color" turns it on with the given output values and "function" turns it
+ * on with the given built-in function. "unknown" is an action this library
+ * does not recognize, e.g. one set by the vendor's app, which is kept as its
+ * raw bytes so it survives being read and written back.
+ * @property {number} [red] The red output value of "color" timers, 0-255
+ * inclusive. Default is zero.
+ * @property {number} [green] The green output value of "color" timers, 0-255
+ * inclusive. Default is zero.
+ * @property {number} [blue] The blue output value of "color" timers, 0-255
+ * inclusive. Default is zero.
+ * @property {number} [white] The white output value of "color" timers, 0-255
+ * inclusive. Default is zero.
+ * @property {BuiltinFunction} [builtin] The built-in function of "function"
+ * timers.
+ * @property {number} [speed] The built-in function speed of "function" timers,
+ * 0-100 inclusive. Default is 50.
+ * @property {number} [pattern] The raw mode byte of "unknown" timers, 0-255
+ * inclusive.
+ * @property {Array<number>} [parameters] The four raw bytes following the mode
+ * byte of "unknown" timers, each 0-255 inclusive. Default is zeros.
+ */
+export type UfoTimer = {
+  active: boolean,
+  hour: number,
+  minute: number,
+  days?: Array<UfoTimerDay>,
+  year?: number,
+  month?: number,
+  day?: number,
+  action: UfoTimerAction,
+  red?: number,
+  green?: number,
+  blue?: number,
+  white?: number,
+  builtin?: BuiltinFunction,
+  speed?: number,
+  pattern?: number,
+  parameters?: Array<number>,
+};
+/**
+ * A TCP frame received from the UFO that no command was waiting for, as
+ * reported by the "unsolicited" event of {@link Ufo}.
+ * @typedef {Object} UfoFrame
+ * @property {string} type the frame type: "status" for status responses,
+ * "time" for responses to the time command, "timers" and "timersSet" for
+ * responses to getting and setting timers, or "unknown" for data that does not
+ * begin with a known frame header.
+ * @property {Buffer} raw The raw bytes of the frame. For unknown frames, this
+ * is all data received up to that point, since the frame length is unknown.
+ * @property {boolean} valid true if the frame's checksum is correct. Always
+ * false for unknown frames.
+ */
+export type UfoFrame = {
+  type: string,
+  raw: Buffer,
+  valid: boolean,
+};
 
 /* Private types. */
 type TcpOptions = {
@@ -76,6 +189,35 @@ type TcpOptions = {
   remoteAddress: string,
   immediate: boolean,
   cache: boolean,
+  timeout: number,
+  trace: ?(UfoTraceEvent) => void,
+  whiteTemperature: number,
+};
+
+type ResponseFrameType = {
+  name: string,
+  header: Array<number>,
+  size: number,
+};
+
+// A command waiting for a response frame other than a status response.
+type ResponseWaiter = {
+  type: string,
+  command: string,
+  callback: (?Error, ?Buffer) => void,
+};
+
+type TcpCommand = {
+  task: () => Promise<any>,
+  resolve: Function,
+  reject: Function,
+};
+
+// The RGBW values at full brightness and the brightness last set by the
+// brightness command, so that dimming down and back up is lossless.
+type BrightnessMemory = {
+  color: Array<number>,
+  level: number,
 };
 
 /* Private variables. */
@@ -85,6 +227,35 @@ const statusHeader = 0x81;
 const statusRequest = Buffer.from([statusHeader, 0x8A, 0x8B, 0x96]);
 const statusResponseSize = 14;
 const emptyBuffer = Buffer.from([]);
+// The types of frames the UFO sends, recognized by their header bytes. Sizes
+// include the header and the checksum.
+const responseFrameTypes: Array<ResponseFrameType> = [
+  { name: 'status', header: [statusHeader], size: statusResponseSize },
+  // The response to _time(), which is always 0x0f 0x10 0x00 0x1f.
+  { name: 'time', header: [0x0F, 0x10], size: 4 },
+  // The response to timers(): the six timers followed by a constant 0x00.
+  { name: 'timers', header: [0x0F, 0x22], size: 88 },
+  // The response to setTimers(), which is always 0x0f 0x21 0x00 0x30.
+  { name: 'timersSet', header: [0x0F, 0x21], size: 4 },
+];
+// Do not pass this value to _prepareBytes().
+const timersRequest = Buffer.from([0x22, 0x2A, 0x2B, 0x0F, 0x86]);
+const timerCount = 6;
+const timerSize = 14;
+const timerActive = 0xF0;
+const timerInactive = 0x0F;
+const timerColorPattern = 0x61;
+// The bits of the repeat mask byte of a timer. Bit 0 is unused.
+const timerDayMasks: Map<UfoTimerDay, number> = new Map([
+  ['monday', 0x02],
+  ['tuesday', 0x04],
+  ['wednesday', 0x08],
+  ['thursday', 0x10],
+  ['friday', 0x20],
+  ['saturday', 0x40],
+  ['sunday', 0x80],
+]);
+const defaultTimerSpeed = 50;
 // Do not pass this value to _prepareBytes().
 const powerOn = Buffer.from([0x71, 0x23, 0x0F, 0xA3]);
 // Do not pass this value to _prepareBytes().
@@ -123,6 +294,22 @@ const nullStep: CustomStep = { red: 1, green: 2, blue: 3 };
 const maxCustomSpeed = 30;
 
 /* Private functions. */
+/**
+ * Returns the abort signal in the given call options, if any.
+ * @private
+ */
+const _signal = function (callOptions?: UfoCallOptions): ?UfoAbortSignal {
+  return callOptions ? callOptions.signal : null;
+};
+/**
+ * Indicates whether or not the abort signal in the given call options has been
+ * aborted.
+ * @private
+ */
+const _aborted = function (callOptions?: UfoCallOptions): boolean {
+  const signal = _signal(callOptions);
+  return signal ? signal.aborted : false;
+};
 /**
  * Clamps the input to 0-255 inclusive, for use as an RGBW value.
  * @private
@@ -158,6 +345,70 @@ const _prepareBytes = function (buf: Buffer): Buffer {
   // Done.
   return newBuf;
 };
+/**
+ * Returns the checksum of the given frame, which is the sum of all bytes but
+ * the last, modulo 256.
+ * @private
+ */
+const _checksum = function (frame: Buffer): number {
+  let checksum = 0;
+  for (let i = 0; i < frame.length - 1; i += 1) checksum += frame.readUInt8(i);
+  return checksum % 0x100;
+};
+/**
+ * Returns the type of the frame at the beginning of the given data, "unknown"
+ * if the data does not begin with a known frame header, or "incomplete" if more
+ * data is needed to tell.
+ * @private
+ */
+const _responseFrameType = function (data: Buffer): ResponseFrameType | 'unknown' | 'incomplete' {
+  let incomplete = false;
+  const type = responseFrameTypes.find((t) => {
+    const length = Math.min(t.header.length, data.length);
+    const matches = t.header.slice(0, length).every((b, i) => data.readUInt8(i) === b);
+    if (matches && length < t.header.length) incomplete = true;
+    return matches && length === t.header.length;
+  });
+  if (type) return type;
+  return incomplete ? 'incomplete' : 'unknown';
+};
+/**
+ * Returns the name of the command sent by the given request frame, or null if
+ * the frame is not recognized. Built-in function requests are named after the
+ * function.
+ * @private
+ */
+const _requestName = function (frame: Buffer): ?string {
+  if (frame.length < 2) return null;
+  switch (frame.readUInt8(0)) {
+    case statusHeader:
+      return 'status';
+    case 0x71:
+      if (frame.equals(powerOn)) return 'on';
+      if (frame.equals(powerOff)) return 'off';
+      return null;
+    case 0x31:
+      return 'rgbw';
+    case 0x61: {
+      const functionId = frame.readUInt8(1);
+      let name: ?string = null;
+      builtinFunctionMap.forEach((v, k) => {
+        if (name === null && v === functionId) name = k;
+      });
+      return name;
+    }
+    case 0x51:
+      return 'custom';
+    case 0x10:
+      return 'time';
+    case 0x22:
+      return 'timers';
+    case 0x21:
+      return 'setTimers';
+    default:
+      return null;
+  }
+};
 /**
  * Converts a built-in function speed value back and forth between the API
  * value and the internal value. Input and output are clamped to 0-100
@@ -176,6 +427,21 @@ const _customFlipSpeed = function (speed: number): number {
   return Math.abs(_.clamp(speed, 0, maxCustomSpeed) - maxCustomSpeed);
 };
 
+/**
+ * Scales the given RGBW values to the given brightness, 0-100 inclusive.
+ * @private
+ */
+const _scaleRgbw = function (color: Array<number>, level: number): Array<number> {
+  return color.map(v => _clampRGBW(Math.round((v * level) / 100)));
+};
+/**
+ * Returns the RGBW values of the given status.
+ * @private
+ */
+const _statusRgbw = function (status: UfoStatus): Array<number> {
+  return [status.red, status.green, status.blue, status.white];
+};
+
 /**
  * Indicates whether or not the given object is equivalent to a null custom step.
  * @private
@@ -187,6 +453,145 @@ const _isNullStep = function (step: CustomStep) {
     step.blue != null && step.blue === nullStep.blue;
 };
 
+/**
+ * Indicates whether or not the given value is an integer from min to max
+ * inclusive.
+ * @private
+ */
+const _isIntegerInRange = function (value: any, min: number, max: number): boolean {
+  return Number.isInteger(value) && value >= min && value <= max;
+};
+/**
+ * Encodes the given timer as the 14 bytes the UFO stores it as, converting
+ * output values with the given function. A missing timer is encoded as an
+ * inactive one. Throws a {@link UfoValidationError}
+ * if the timer is invalid.
+ * @private
+ */
+const _encodeTimer = function (timer: ?UfoTimer, convert: (Array<number>) => Array<number>): Buffer {
+  // aa yy mm dd hh mm 0x00 ww pp rr gg bb ww oo
+  // "aa" is 0xf0 if the timer is active, 0x0f otherwise.
+  // "yy" is the year minus 2000, and "yy mm dd" is only set for one-time timers.
+  // "ww" is the repeat mask; see timerDayMasks.
+  // "pp" is 0x61 to set static output values "rr gg bb ww", a built-in
+  // function id to start the function at speed "rr", or 0x00 to just turn on.
+  // Other values are written back unchanged, with "rr gg bb ww", as "unknown"
+  // timers.
+  // "oo" is 0xf0 to turn the output on, 0x0f to turn it off.
+  const buf = Buffer.alloc(timerSize);
+  if (!timer || !timer.active) {
+    buf.writeUInt8(timerInactive, 0);
+    return buf;
+  }
+  if (!_isIntegerInRange(timer.hour, 0, 23)) {
+    throw new UfoValidationError(`Invalid timer hour ${String(timer.hour)}, must be an integer 0-23 inclusive.`);
+  }
+  if (!_isIntegerInRange(timer.minute, 0, 59)) {
+    throw new UfoValidationError(`Invalid timer minute ${String(timer.minute)}, must be an integer 0-59 inclusive.`);
+  }
+  buf.writeUInt8(timerActive, 0);
+  buf.writeUInt8(timer.hour, 4);
+  buf.writeUInt8(timer.minute, 5);
+  // Each day's bit is distinct, so the mask is the sum of the days' bits.
+  const mask = _.sum(_.uniq(timer.days || []).map((day) => {
+    const dayMask = timerDayMasks.get(day);
+    if (dayMask === undefined) throw new UfoValidationError(`No such timer day ${day}`);
+    return dayMask;
+  }));
+  buf.writeUInt8(mask, 7);
+  if (mask === 0) {
+    const { year, month, day } = timer;
+    if (!_isIntegerInRange(year, 2000, 2255) || !_isIntegerInRange(month, 1, 12) || !_isIntegerInRange(day, 1, 31)) {
+      throw new UfoValidationError('One-time timers require a year (2000-2255), month (1-12) and day (1-31).');
+    }
+    buf.writeUInt8(Number(year) - 2000, 1);
+    buf.writeUInt8(Number(month), 2);
+    buf.writeUInt8(Number(day), 3);
+  }
+  switch (timer.action) {
+    case 'off':
+      buf.writeUInt8(0x0F, 13);
+      return buf;
+    case 'on':
+      break;
+    case 'color': {
+      const color = [timer.red, timer.green, timer.blue, timer.white].map(v => _clampRGBW(v || 0));
+      buf.writeUInt8(timerColorPattern, 8);
+      convert(color).forEach((v, i) => buf.writeUInt8(v, i + 9));
+      break;
+    }
+    case 'function': {
+      const name = timer.builtin || '';
+      const functionId = builtinFunctionMap.get((name: any));
+      if (functionId === undefined || builtinFunctionReservedNames.includes(name)) {
+        throw new UfoValidationError(`No such built-in function ${name}`);
+      }
+      const { speed } = timer;
+      buf.writeUInt8(functionId, 8);
+      buf.writeUInt8(_builtinFlipSpeed(speed === undefined || speed === null ? defaultTimerSpeed : speed), 9);
+      break;
+    }
+    case 'unknown': {
+      const { pattern, parameters = [0, 0, 0, 0] } = timer;
+      if (!_isIntegerInRange(pattern, 0, 255) || !Array.isArray(parameters) || parameters.length !== 4 ||
+        !parameters.every(v => _isIntegerInRange(v, 0, 255))) {
+        throw new UfoValidationError('Unknown timer actions require a pattern byte and four parameter bytes (0-255).');
+      }
+      buf.writeUInt8(Number(pattern), 8);
+      parameters.forEach((v, i) => buf.writeUInt8(v, i + 9));
+      break;
+    }
+    default:
+      throw new UfoValidationError(`No such timer action ${String(timer.action)}`);
+  }
+  buf.writeUInt8(0xF0, 13);
+  return buf;
+};
+/**
+ * Decodes a timer from the 14 bytes the UFO stores it as, converting output
+ * values with the given function.
+ * @private
+ */
+const _decodeTimer = function (bytes: Buffer, convert: (Array<number>) => Array<number>): UfoTimer {
+  const mask = bytes.readUInt8(7);
+  const days = [];
+  timerDayMasks.forEach((dayMask, day) => { if (Math.floor(mask / dayMask) % 2 === 1) days.push(day); });
+  const timer: UfoTimer = {
+    active: bytes.readUInt8(0) === timerActive,
+    hour: bytes.readUInt8(4),
+    minute: bytes.readUInt8(5),
+    days,
+    action: 'on',
+  };
+  if (days.length === 0) {
+    timer.year = 2000 + bytes.readUInt8(1);
+    timer.month = bytes.readUInt8(2);
+    timer.day = bytes.readUInt8(3);
+  }
+  const pattern = bytes.readUInt8(8);
+  if (bytes.readUInt8(13) !== 0xF0) {
+    timer.action = 'off';
+  } else if (pattern === timerColorPattern) {
+    const [red, green, blue, white] = convert([9, 10, 11, 12].map(i => bytes.readUInt8(i)));
+    Object.assign(timer, {
+      action: 'color', red, green, blue, white,
+    });
+  } else if (pattern !== 0x00) {
+    builtinFunctionMap.forEach((v, k) => {
+      if (v !== pattern || builtinFunctionReservedNames.includes(k)) return;
+      timer.action = 'function';
+      timer.builtin = k;
+      timer.speed = _builtinFlipSpeed(bytes.readUInt8(9));
+    });
+    if (timer.action !== 'function') {
+      Object.assign(timer, {
+        action: 'unknown', pattern, parameters: [9, 10, 11, 12].map(i => bytes.readUInt8(i)),
+      });
+    }
+  }
+  return timer;
+};
+
 /**
  * Provides an API to UFOs for interacting with the UFO's TCP server.
  * @private
@@ -197,12 +602,17 @@ export class TcpClient {
   _dead: boolean;
   _connectFailed: boolean;
   _disconnectCallback: ?Function;
-  _statusArray: Uint8Array;
-  _statusIndex: number;
+  _receiveBuffer: Buffer;
   _statusCache: ?UfoStatus;
   _socket: net.Socket;
   _error: ?Error;
   _statusCallback: ?(?Error, ?UfoStatus) => void
+  _responseWaiter: ?ResponseWaiter;
+  _queue: Array<TcpCommand>;
+  _busy: boolean;
+  _brightness: ?BrightnessMemory;
+  _calibration: ?CalibrationProfile;
+  _speedTables: SpeedTables;
   constructor(ufo: Ufo, options: UfoOptions) {
     this._ufo = ufo;
     this._options = {
@@ -212,7 +622,21 @@ export class TcpClient {
       remoteAddress: options.host,
       immediate: options.immediate !== undefined ? options.immediate : true,
       cache: options.cache !== undefined ? options.cache : true,
+      timeout: options.timeout || 0,
+      trace: options.trace || null,
+      whiteTemperature: options.whiteTemperature || defaultWhiteTemperature,
     };
+    // Commands are sent to the UFO one at a time, in the order in which they
+    // were requested, so that concurrent requests never overwrite each other's
+    // callbacks or receive each other's responses. The queue survives silent
+    // reconnects.
+    this._queue = [];
+    this._busy = false;
+    this._brightness = null;
+    // Throws if the calibration profile is invalid.
+    this._calibration = calibrationProfile(options.calibration);
+    // Throws if the speed tables are invalid.
+    this._speedTables = speedTables(options.speedTables);
     this._createSocket();
   }
   /**
@@ -237,16 +661,38 @@ export class TcpClient {
       err = this._error;
       if (err) reconnect = false;
     }
+    // Mark this client as dead before failing requests in flight, so that
+    // their failures are not reported as errors; the UFO object reports why it
+    // disconnected.
+    if (!reconnect) this._dead = true;
+    // A request in flight will never be answered, so fail it. This also lets
+    // the command queue drain; once this client is dead, queued commands
+    // resolve as no-ops.
+    const closedBy = reconnect ? 'by UFO ' : '';
+    if (this._statusCallback) {
+      this._statusCallback(new UfoDisconnectError(`Connection closed ${closedBy}before status was received.`, null, err), null);
+    }
+    if (this._responseWaiter) {
+      this._responseWaiter.callback(new UfoDisconnectError(`Connection closed ${closedBy}before response was received.`, null, err), null);
+    }
     // Tear down the socket.
     this._socket.unref();
     this._socket.destroy();
     // Reconnect if necessary, or fire the disconnect callback.
     if (reconnect) {
       this._createSocket();
-      this.connect();
+      this.connect().then(() => {
+        if (this._ufo) this._ufo._onTcpReconnect();
+      }).catch((error) => {
+        // The UFO is unreachable, so give up.
+        this._dead = true;
+        this._ufo._onTcpDead({
+          error,
+          callback: this._disconnectCallback,
+        });
+      });
     } else {
-      // Mark this client as dead and notify the UFO object.
-      this._dead = true;
+      // Notify the UFO object.
       this._ufo._onTcpDead({
         error: this._error,
         callback: this._disconnectCallback,
@@ -275,10 +721,12 @@ export class TcpClient {
     // UFO object so it can eventually be invoked after the UFO object is fully
     // disconnected.
     this._disconnectCallback = null;
-    // Storage/tracking for the status response.
-    this._statusArray = new Uint8Array(statusResponseSize);
-    this._statusIndex = 0;
+    // Data received from the UFO that does not form a whole frame yet.
+    this._receiveBuffer = emptyBuffer;
     this._statusCache = null;
+    // The command waiting for a response frame other than a status response,
+    // if any.
+    this._responseWaiter = null;
     // The TCP socket used to communicate with the UFO.
     this._socket = new net.Socket();
     this._socket.setNoDelay(this._options.immediate);
@@ -286,141 +734,275 @@ export class TcpClient {
     this._error = null;
     // Both sides have FIN'ed. No more communication is allowed on this socket.
     this._socket.on('close', () => { this._closeSocket(); });
-    // Any TCP data received from the UFO is a status update.
-    this._socket.on('data', (data: Buffer) => { this._receiveStatus(data); });
-    // Initially, ignore all received data.
-    this._socket.pause();
+    // Split the data received from the UFO into frames.
+    this._socket.on('data', (data: Buffer) => {
+      const waiter = this._responseWaiter;
+      const status = this._statusCallback ? 'status' : null;
+      this._trace('receive', data, waiter ? waiter.command : status);
+      this._receiveData(data);
+    });
   }
   /**
-   * Handles TCP data received as a result of calling the "status" command.
+   * Buffers TCP data received from the UFO and passes each whole frame in it to
+   * {@link TcpClient#_receiveFrame}. The UFO may split a frame across several
+   * chunks or send several frames in one chunk.
    * @private
    */
-  _receiveStatus(data: Buffer): void {
-    if (!this._error) {
-      // Add the data to what we already have.
-      const oldIndex = this._statusIndex;
-      let newIndex = oldIndex + data.length;
-      this._statusArray.set(data, oldIndex);
-      if (newIndex >= statusResponseSize) {
-        // We have the full response. Capture it and reset the storage buffer.
-        const responseBytes = Buffer.from(this._statusArray);
-        this._statusArray.fill(0);
-        // Reset the status response index.
-        newIndex = 0;
-        // Prepare callback variables.
-        let err = null;
-        const result: UfoStatus = {
-          raw: emptyBuffer,
-          on: false,
-          mode: '',
-          red: 0,
-          green: 0,
-          blue: 0,
-          white: 0,
-        };
-        // The response format is:
-        // 0x81 ???a POWER MODE ???b SPEED RED GREEN BLUE WHITE [UNUSED] CHECKSUM
-        //
-        // ???a is unknown. It always seems to be 0x04.
-        // ???b is unknown; it always seems to be 0x21.
-        // [UNUSED] is a 3-byte big-endian field whose purpose is unknown. It always seems to be "0x03 0x00 0x00".
-        //
-        // Verify the response's integrity.
-        if (responseBytes.readUInt8(0) === statusHeader) {
-          // Add raw bytes to the response.
-          result.raw = responseBytes;
-          // Compute the actual checksum.
-          const lastIndex = statusResponseSize - 1;
-          const expectedChecksum = responseBytes.readUInt8(lastIndex);
-          responseBytes.writeUInt8(0, lastIndex);
-          let actualChecksum = 0;
-          Array.from(responseBytes.values()).forEach((value) => {
-            actualChecksum += value;
-          });
-          actualChecksum %= 0x100;
-          // Compare.
-          responseBytes.writeUInt8(expectedChecksum, lastIndex);
-          if (expectedChecksum !== actualChecksum) {
-            err = new Error('Status check failed (checksum mismatch).');
-          }
-        } else {
-          err = new Error('Status check failed (header mismatch).');
+  _receiveData(data: Buffer): void {
+    this._receiveBuffer = Buffer.concat([this._receiveBuffer, data]);
+    while (this._receiveBuffer.length > 0) {
+      const buffer = this._receiveBuffer;
+      const type = _responseFrameType(buffer);
+      if (type === 'incomplete') return;
+      if (type === 'unknown') {
+        // The length of unknown data cannot be determined, so everything
+        // received so far is treated as one frame.
+        this._receiveBuffer = emptyBuffer;
+        this._receiveFrame('unknown', buffer, false);
+      } else {
+        if (buffer.length < type.size) return;
+        const frame = buffer.slice(0, type.size);
+        this._receiveBuffer = buffer.slice(type.size);
+        this._receiveFrame(type.name, frame, _checksum(frame) === frame.readUInt8(type.size - 1));
+      }
+    }
+  }
+  /**
+   * Passes the given frame to the command waiting for it. Frames that no
+   * command is waiting for (e.g. a response that arrived after its request
+   * timed out) are reported to the enclosing UFO object instead.
+   *
+   * Unknown data fails the command waiting for a response, since its response
+   * can no longer be told apart from the data around it, but is still reported
+   * to the UFO object like any other frame that is not a response.
+   * @private
+   */
+  _receiveFrame(type: string, frame: Buffer, valid: boolean): void {
+    const waiter = this._responseWaiter;
+    if (!this._error && waiter) {
+      if (type === waiter.type) {
+        const expected = frame.readUInt8(frame.length - 1);
+        const err = valid ? null : new UfoChecksumError(
+          `${waiter.command} failed (checksum mismatch).`,
+          waiter.command,
+          expected,
+          _checksum(frame),
+        );
+        waiter.callback(err, frame);
+        return;
+      }
+      if (type === 'unknown') {
+        waiter.callback(new UfoProtocolError(`${waiter.command} failed (header mismatch).`, waiter.command), null);
+      }
+    }
+    if (!this._error && this._statusCallback) {
+      if (type === 'status') {
+        this._receiveStatus(frame);
+        return;
+      }
+      if (type === 'unknown') {
+        this._statusCallback(new UfoProtocolError('Status check failed (header mismatch).', 'status'), null);
+      }
+    }
+    if (this._ufo) this._ufo._onTcpUnsolicited({ type, raw: frame, valid });
+  }
+  /**
+   * Handles a status response frame received as a result of calling the
+   * "status" command.
+   * @private
+   */
+  _receiveStatus(responseBytes: Buffer): void {
+    // Prepare callback variables.
+    let err = null;
+    const result: UfoStatus = {
+      raw: responseBytes,
+      on: false,
+      mode: '',
+      red: 0,
+      green: 0,
+      blue: 0,
+      white: 0,
+    };
+    // The response format is:
+    // 0x81 ???a POWER MODE ???b SPEED RED GREEN BLUE WHITE [UNUSED] CHECKSUM
+    //
+    // ???a is unknown. It always seems to be 0x04.
+    // ???b is unknown; it always seems to be 0x21.
+    // [UNUSED] is a 3-byte big-endian field whose purpose is unknown. It always seems to be "0x03 0x00 0x00".
+    //
+    // Verify the response's integrity. The header was checked by the framing
+    // layer.
+    const expectedChecksum = responseBytes.readUInt8(statusResponseSize - 1);
+    const actualChecksum = _checksum(responseBytes);
+    if (expectedChecksum !== actualChecksum) {
+      err = new UfoChecksumError('Status check failed (checksum mismatch).', 'status', expectedChecksum, actualChecksum);
+    }
+    // ON_OFF is always either 0x23 or 0x24.
+    if (!err) {
+      const power = responseBytes.readUInt8(2);
+      switch (power) {
+        case 0x23:
+          result.on = true;
+          break;
+        case 0x24:
+          result.on = false;
+          break;
+        default:
+          err = new UfoProtocolError(`Status check failed (impossible power value ${power}).`, 'status');
+      }
+    }
+    // MODE:
+    // - 0x62 is music, disco or camera mode (called "other").
+    // - 0x61 is static color.
+    // - 0x60 is custom steps.
+    // - Otherwise, the value maps to a function ID.
+    if (!err) {
+      const mode = responseBytes.readUInt8(3);
+      switch (mode) {
+        case 0x62: {
+          result.mode = 'other';
+          break;
         }
-        // ON_OFF is always either 0x23 or 0x24.
-        if (!err) {
-          const power = responseBytes.readUInt8(2);
-          switch (power) {
-            case 0x23:
-              result.on = true;
-              break;
-            case 0x24:
-              result.on = false;
-              break;
-            default:
-              err = new Error(`Status check failed (impossible power value ${power}).`);
-          }
+        case 0x61: {
+          result.mode = 'static';
+          break;
         }
-        // MODE:
-        // - 0x62 is music, disco or camera mode (called "other").
-        // - 0x61 is static color.
-        // - 0x60 is custom steps.
-        // - Otherwise, the value maps to a function ID.
-        if (!err) {
-          const mode = responseBytes.readUInt8(3);
-          switch (mode) {
-            case 0x62: {
-              result.mode = 'other';
-              break;
-            }
-            case 0x61: {
-              result.mode = 'static';
-              break;
-            }
-            case 0x60: {
-              result.mode = 'custom';
-              break;
-            }
-            default: {
-              let name: ?string = null;
-              builtinFunctionMap.forEach((v, k) => {
-                if (name === null && v === mode) name = k;
-              });
-              if (name) {
-                result.mode = `function:${name}`;
-              } else {
-                err = new Error(`Status check failed (impossible mode ${mode}).`);
-              }
-              break;
-            }
-          }
+        case 0x60: {
+          result.mode = 'custom';
+          break;
         }
-        // SPEED is evaluated based on MODE, and it does not apply to all modes.
-        if (!err) {
-          const speed = responseBytes.readUInt8(5);
-          if (result.mode === 'custom') {
-            // The UFO seems to store/report the speed as 1 higher than what it
-            // really is.
-            result.speed = _customFlipSpeed(speed - 1);
-          }
-          if (result.mode.startsWith('function')) {
-            result.speed = _builtinFlipSpeed(speed);
+        default: {
+          let name: ?string = null;
+          builtinFunctionMap.forEach((v, k) => {
+            if (name === null && v === mode) name = k;
+          });
+          if (name) {
+            result.mode = `function:${name}`;
+          } else {
+            err = new UfoProtocolError(`Status check failed (impossible mode ${mode}).`, 'status');
           }
+          break;
         }
-        // Capture RGBW values as-is.
-        if (!err) {
-          result.red = responseBytes.readUInt8(6);
-          result.green = responseBytes.readUInt8(7);
-          result.blue = responseBytes.readUInt8(8);
-          result.white = responseBytes.readUInt8(9);
-        }
-        // Transfer control to the user's callback.
-        let finalResult: ?UfoStatus = null;
-        if (!err) finalResult = result;
-        if (this._statusCallback) this._statusCallback(err, finalResult);
       }
-      // Update the status response index.
-      this._statusIndex = newIndex;
     }
+    // SPEED is evaluated based on MODE, and it does not apply to all modes.
+    if (!err) {
+      const speed = responseBytes.readUInt8(5);
+      if (result.mode === 'custom') {
+        // The UFO seems to store/report the speed as 1 higher than what it
+        // really is.
+        result.speed = _customFlipSpeed(speed - 1);
+        result.stepSeconds = customStepSeconds(this._speedTables, result.speed);
+      }
+      if (result.mode.startsWith('function')) {
+        const builtinSpeed = _builtinFlipSpeed(speed);
+        result.speed = builtinSpeed;
+        const name: any = result.mode.substring('function:'.length);
+        const periodSeconds = builtinPeriodSeconds(this._speedTables, name, builtinSpeed);
+        if (periodSeconds !== null && periodSeconds !== undefined) result.periodSeconds = periodSeconds;
+      }
+    }
+    // Capture RGBW values, reversing the calibration profile.
+    if (!err) {
+      const [red, green, blue, white] = this._fromDevice([6, 7, 8, 9].map(i => responseBytes.readUInt8(i)));
+      Object.assign(result, {
+        red, green, blue, white,
+      });
+      if (result.mode === 'static') {
+        const temperature = estimateTemperature(result, this._options.whiteTemperature);
+        if (temperature !== null && temperature !== undefined) result.temperature = temperature;
+      }
+    }
+    // Transfer control to the user's callback.
+    let finalResult: ?UfoStatus = null;
+    if (!err) finalResult = result;
+    if (this._statusCallback) this._statusCallback(err, finalResult);
+  }
+  /**
+   * Converts the given perceptual output values to the values to write to the
+   * UFO, using the calibration profile. This is the only place the profile is
+   * applied.
+   * @private
+   */
+  _toDevice(values: Array<number>): Array<number> {
+    return this._calibration ? toDevice(this._calibration, values) : values;
+  }
+  /**
+   * Converts the given output values reported by the UFO back to perceptual
+   * values, reversing the calibration profile.
+   * @private
+   */
+  _fromDevice(values: Array<number>): Array<number> {
+    return this._calibration ? fromDevice(this._calibration, values) : values;
+  }
+  /**
+   * Discards any partially received frame.
+   * @private
+   */
+  _resetReceiveBuffer(): void {
+    this._receiveBuffer = emptyBuffer;
+  }
+  /**
+   * Returns the number of milliseconds to wait for a response to a command, or
+   * zero to wait indefinitely.
+   * @private
+   */
+  _timeout(callOptions?: UfoCallOptions): number {
+    if (callOptions && callOptions.timeout !== undefined) return callOptions.timeout;
+    return this._options.timeout;
+  }
+  /**
+   * Adds the given task to the command queue. The task is started once all
+   * previously queued tasks have finished, and the returned promise settles
+   * with the task's result. If the given signal is aborted before the task
+   * starts, the task is dropped and the promise is rejected with a
+   * {@link UfoAbortError}.
+   * @private
+   */
+  _enqueue(task: () => Promise<any>, signal?: ?UfoAbortSignal): Promise<any> {
+    return new Promise((resolve, reject) => {
+      let stopAborting = () => {};
+      const command = {
+        task: () => {
+          stopAborting();
+          return task();
+        },
+        resolve,
+        reject,
+      };
+      this._queue.push(command);
+      // Drop the command if it is aborted while waiting in the queue. Once a
+      // task has started, it is responsible for handling the signal itself.
+      stopAborting = onAbort(signal, (err) => {
+        const index = this._queue.indexOf(command);
+        if (index >= 0) {
+          this._queue.splice(index, 1);
+          reject(err);
+        }
+      });
+      this._runQueue();
+    });
+  }
+  /**
+   * Starts the next task in the command queue, unless a task is in flight.
+   * @private
+   */
+  _runQueue(): void {
+    if (this._busy) return;
+    const command = this._queue.shift();
+    if (!command) return;
+    this._busy = true;
+    const next = () => {
+      this._busy = false;
+      this._runQueue();
+    };
+    command.task().then((result) => {
+      next();
+      command.resolve(result);
+    }).catch((err) => {
+      next();
+      command.reject(err);
+    });
   }
   /**
    * Updates an element in the status cache.
@@ -450,11 +1032,40 @@ export class TcpClient {
    */
   _writePromise(buffer: Buffer, resolve: Function, reject: Function): void {
     this._disconnectCallback = reject;
-    this._socket.write(buffer, () => {
+    this._write(buffer, () => {
       this._disconnectCallback = null;
       resolve();
     });
   }
+  /**
+   * Sends the data in the given buffer to the TCP socket, then invokes the
+   * given callback once the data is flushed.
+   * @private
+   */
+  _write(buffer: Buffer, callback?: () => void): void {
+    this._trace('send', buffer, _requestName(buffer));
+    this._socket.write(buffer, callback);
+  }
+  /**
+   * Passes the given frame to the trace function, if any. Errors thrown by the
+   * trace function are ignored so they cannot break communication.
+   * @private
+   */
+  _trace(direction: 'send' | 'receive', data: Buffer, command: ?string): void {
+    const { trace } = this._options;
+    if (!trace) return;
+    try {
+      trace({
+        time: Date.now(),
+        direction,
+        transport: 'tcp',
+        data: Buffer.from(data),
+        command,
+      });
+    } catch (e) {
+      // Ignore.
+    }
+  }
   /**
    * The TCP command sent by this method appears to set/synchronize time on the
    * UFO. This is based on the construction of the payload, as observed via
@@ -469,7 +1080,7 @@ export class TcpClient {
    * @private
    */
   _time(): Promise<void> {
-    return new Promise((resolve, reject) => {
+    return this._enqueue(() => new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       // 0x10 yy yy mm dd hh mm ss 0x07 0x00
       // The first "yy" is the first 2 digits of the year.
@@ -493,7 +1104,7 @@ export class TcpClient {
       buf.writeUInt8(0x07, 8);
       buf.writeUInt8(0, 9);
       this._writePromise(_prepareBytes(buf), resolve, reject);
-    });
+    }));
   }
   /**
    * Opens the TCP socket on this machine and connects to the UFO's TCP server.
@@ -553,34 +1164,156 @@ export class TcpClient {
   }
   /**
    * Gets the UFO's output status. If force is true, status cache is ignored.
-   * Result is null iff this UFO object is dead.
+   * Result is null iff this UFO object is dead. The timeout starts once the
+   * request is sent to the UFO, not while it waits in the command queue.
+   */
+  status(force: boolean = false, callOptions?: UfoCallOptions): Promise<?UfoStatus> {
+    return this._enqueue(() => this._status(force, callOptions), _signal(callOptions));
+  }
+  /**
+   * Unqueued implementation of {@link TcpClient#status}.
+   * @private
    */
-  status(force: boolean = false): Promise<?UfoStatus> {
+  _status(force: boolean, callOptions?: UfoCallOptions): Promise<?UfoStatus> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
       const cacheIsEnabled = this._options.cache;
       const cacheExists = this._statusCache != null;
       const isStatic = cacheExists && _.get(this._statusCache, 'mode') === 'static';
       if (cacheIsEnabled && !force && cacheExists && isStatic) { resolve(this._statusCache); return; }
-      this._socket.resume();
+      this._resetReceiveBuffer();
+      let timer: ?TimeoutID = null;
+      let stopAborting = () => {};
+      // Gives up on the response, but keeps the socket open so this client
+      // remains usable. Late responses are reported as unsolicited frames.
+      const giveUp = (err: Error) => {
+        if (timer) clearTimeout(timer);
+        stopAborting();
+        this._statusCallback = null;
+        this._disconnectCallback = null;
+        this._statusCache = null;
+        this._resetReceiveBuffer();
+        if (this._ufo && err instanceof UfoTimeoutError) this._ufo._onTcpError(err);
+        reject(err);
+      };
+      const timeout = this._timeout(callOptions);
+      if (timeout > 0) {
+        timer = setTimeout(() => giveUp(new UfoTimeoutError('status', timeout)), timeout);
+      }
+      stopAborting = onAbort(_signal(callOptions), giveUp);
       this._statusCallback = function (err, data) {
+        if (timer) clearTimeout(timer);
+        stopAborting();
         this._statusCallback = null;
-        this._socket.pause();
         if (err) {
           this._statusCache = null;
+          if (this._ufo && !this._dead) this._ufo._onTcpError(err);
           reject(err);
         } else {
           this._disconnectCallback = null;
           this._statusCache = data;
+          if (this._ufo && data) this._ufo._onTcpStatus(data);
           resolve(data);
         }
       }.bind(this);
       this._disconnectCallback = reject;
-      this._socket.write(statusRequest);
+      this._write(statusRequest);
     });
   }
+  /**
+   * Sends the given request frame and waits for the response frame of the given
+   * type, resolving with it. Result is null iff this UFO object is dead. Like
+   * {@link TcpClient#_status}, giving up on the response keeps the socket open.
+   * @private
+   */
+  _request(request: Buffer, type: string, command: string, callOptions?: UfoCallOptions): Promise<?Buffer> {
+    return new Promise((resolve, reject) => {
+      if (this._dead) { resolve(null); return; }
+      this._resetReceiveBuffer();
+      let timer: ?TimeoutID = null;
+      let stopAborting = () => {};
+      const giveUp = (err: Error) => {
+        if (timer) clearTimeout(timer);
+        stopAborting();
+        this._responseWaiter = null;
+        this._disconnectCallback = null;
+        this._resetReceiveBuffer();
+        if (this._ufo && err instanceof UfoTimeoutError) this._ufo._onTcpError(err);
+        reject(err);
+      };
+      const timeout = this._timeout(callOptions);
+      if (timeout > 0) {
+        timer = setTimeout(() => giveUp(new UfoTimeoutError(command, timeout)), timeout);
+      }
+      stopAborting = onAbort(_signal(callOptions), giveUp);
+      this._responseWaiter = {
+        type,
+        command,
+        callback: (err, frame) => {
+          if (timer) clearTimeout(timer);
+          stopAborting();
+          this._responseWaiter = null;
+          if (err) {
+            if (this._ufo && !this._dead) this._ufo._onTcpError(err);
+            reject(err);
+          } else {
+            this._disconnectCallback = null;
+            resolve(frame);
+          }
+        },
+      };
+      this._disconnectCallback = reject;
+      this._write(request);
+    });
+  }
+  /**
+   * Gets the six timers stored on the UFO. Result is null iff this UFO object
+   * is dead.
+   */
+  timers(callOptions?: UfoCallOptions): Promise<?Array<UfoTimer>> {
+    return this._enqueue(() => this._request(timersRequest, 'timers', 'timers', callOptions).then((frame) => {
+      if (!frame) return null;
+      // 0x0f 0x22 followed by the six timers, 0x00 and the checksum.
+      return _.range(timerCount).map((i) => {
+        const start = 2 + (i * timerSize);
+        return _decodeTimer(frame.slice(start, start + timerSize), values => this._fromDevice(values));
+      });
+    }), _signal(callOptions));
+  }
+  /**
+   * Replaces the timers stored on the UFO with the given timers, up to six.
+   * Unused timer slots are made inactive. The promise will be rejected if more
+   * than six timers or an invalid timer are given.
+   */
+  setTimers(timers: Array<UfoTimer>, callOptions?: UfoCallOptions): Promise<void> {
+    // 0x21 followed by the six timers, 0x00 0xf0 and the checksum.
+    // The request does not end with the "local" flag, so _prepareBytes() is
+    // not used.
+    const buf = Buffer.alloc(1 + (timerCount * timerSize) + 3);
+    buf.writeUInt8(0x21, 0);
+    try {
+      if (timers.length > timerCount) {
+        throw new UfoValidationError(`Too many timers, the UFO stores at most ${timerCount}.`);
+      }
+      _.range(timerCount).forEach((i) => {
+        _encodeTimer(timers[i], values => this._toDevice(values)).copy(buf, 1 + (i * timerSize));
+      });
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    buf.writeUInt8(0xF0, buf.length - 2);
+    buf.writeUInt8(_checksum(buf), buf.length - 1);
+    return this._enqueue(() => this._request(buf, 'timersSet', 'setTimers', callOptions).then(() => {}), _signal(callOptions));
+  }
   /** Turns the UFO output on. */
-  on(): Promise<void> {
+  on(callOptions?: UfoCallOptions): Promise<void> {
+    return this._enqueue(() => this._on(), _signal(callOptions));
+  }
+  /**
+   * Unqueued implementation of {@link TcpClient#on}.
+   * @private
+   */
+  _on(): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       this._writePromise(powerOn, () => {
@@ -591,7 +1324,14 @@ export class TcpClient {
     });
   }
   /** Turns the UFO output off. */
-  off(): Promise<void> {
+  off(callOptions?: UfoCallOptions): Promise<void> {
+    return this._enqueue(() => this._off(), _signal(callOptions));
+  }
+  /**
+   * Unqueued implementation of {@link TcpClient#off}.
+   * @private
+   */
+  _off(): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       this._writePromise(powerOff, () => {
@@ -606,7 +1346,14 @@ export class TcpClient {
    * clamped from 0-255 inclusive, where 0 is off and 255 is fully on/100%
    * output.
    */
-  rgbw(red: number, green: number, blue: number, white: number): Promise<void> {
+  rgbw(red: number, green: number, blue: number, white: number, callOptions?: UfoCallOptions): Promise<void> {
+    return this._enqueue(() => this._rgbw(red, green, blue, white), _signal(callOptions));
+  }
+  /**
+   * Unqueued implementation of {@link TcpClient#rgbw}.
+   * @private
+   */
+  _rgbw(red: number, green: number, blue: number, white: number): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       // 0x31 rr gg bb ww 0x00
@@ -617,10 +1364,8 @@ export class TcpClient {
       const realGreen = _clampRGBW(green);
       const realBlue = _clampRGBW(blue);
       const realWhite = _clampRGBW(white);
-      buf.writeUInt8(realRed, 1);
-      buf.writeUInt8(realGreen, 2);
-      buf.writeUInt8(realBlue, 3);
-      buf.writeUInt8(realWhite, 4);
+      // The status cache keeps the perceptual values.
+      this._toDevice([realRed, realGreen, realBlue, realWhite]).forEach((v, i) => buf.writeUInt8(v, i + 1));
       buf.writeUInt8(0, 5);
       const finalData = _prepareBytes(buf);
       this._writePromise(finalData, () => {
@@ -628,10 +1373,18 @@ export class TcpClient {
         this._updateStatusCache('raw', finalData);
         this._updateStatusCache('mode', 'static');
         this._unsetStatusCache('speed');
+        this._unsetStatusCache('stepSeconds');
+        this._unsetStatusCache('periodSeconds');
         this._updateStatusCache('red', realRed);
         this._updateStatusCache('green', realGreen);
         this._updateStatusCache('blue', realBlue);
         this._updateStatusCache('white', realWhite);
+        // Re-estimate the temperature of the new output, like a status would.
+        const temperature = estimateTemperature({
+          red: realRed, green: realGreen, blue: realBlue, white: realWhite,
+        }, this._options.whiteTemperature);
+        if (temperature !== null && temperature !== undefined) this._updateStatusCache('temperature', temperature);
+        else this._unsetStatusCache('temperature');
         resolve();
       }, reject);
     });
@@ -646,12 +1399,12 @@ export class TcpClient {
    * experiment with different values to get the desired timing for the function
    * you wish to use.
    */
-  builtin(name: BuiltinFunction, speed: number): Promise<void> {
-    return new Promise((resolve, reject) => {
+  builtin(name: BuiltinFunction, speed: number, callOptions?: UfoCallOptions): Promise<void> {
+    return this._enqueue(() => new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       const functionId = builtinFunctionMap.get(name);
       if (functionId === undefined) {
-        reject(new Error(`No such built-in function ${name}`));
+        reject(new UfoValidationError(`No such built-in function ${name}`));
       } else {
         // 0x61 id speed
         const buf = Buffer.alloc(3);
@@ -664,7 +1417,7 @@ export class TcpClient {
           resolve();
         }, reject);
       }
-    });
+    }), _signal(callOptions));
   }
   /**
    * Starts the given custom function. The promise will be rejected if an
@@ -685,8 +1438,8 @@ export class TcpClient {
    * - If any null steps are specified in the array, they are dropped *before*
    * the limit of 16 documented above is considered.
    */
-  custom(mode: CustomMode, speed: number, steps: Array<CustomStep>): Promise<void> {
-    return new Promise((resolve, reject) => {
+  custom(mode: CustomMode, speed: number, steps: Array<CustomStep>, callOptions?: UfoCallOptions): Promise<void> {
+    return this._enqueue(() => new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       // Validate the mode.
       let modeId;
@@ -701,7 +1454,7 @@ export class TcpClient {
           modeId = 0x3C;
           break;
         default:
-          reject(new Error(`Invalid mode '${mode}'.`));
+          reject(new UfoValidationError(`Invalid mode '${mode}'.`));
           return;
       }
       // 0x51 steps(16xUInt8) speed mode 0xFF
@@ -717,7 +1470,11 @@ export class TcpClient {
       // - If there are fewer than 16 steps, "null" steps must be added so we have
       // exactly 16 steps.
       // - Otherwise, truncate the array so it has exactly 16 steps.
-      const stepsCopy = steps.filter(s => !_isNullStep(s)).slice(0, maxCustomSteps);
+      const stepsCopy = steps.filter(s => !_isNullStep(s)).slice(0, maxCustomSteps).map((step) => {
+        const [red, green, blue] = this._toDevice([step.red, step.green, step.blue].map(_clampRGBW));
+        // A calibrated step must not end playback by becoming a null step.
+        return _isNullStep({ red, green, blue }) ? { red, green, blue: blue - 1 } : { red, green, blue };
+      });
       while (stepsCopy.length < maxCustomSteps) {
         stepsCopy.push(nullStep);
       }
@@ -746,8 +1503,89 @@ export class TcpClient {
         this._unsetStatusCache();
         resolve();
       }, reject);
+    }), _signal(callOptions));
+  }
+  /**
+   * Toggles the UFO's output flag. The status check and the subsequent power
+   * command are executed atomically with respect to the command queue.
+   */
+  toggle(callOptions?: UfoCallOptions): Promise<void> {
+    return this._enqueue(() => this._status(false, callOptions).then((status) => {
+      if (this._dead) return Promise.resolve();
+      if (!status) return Promise.reject(new UfoDisconnectError('UFO disconnected before status was received.', null, null));
+      if (_aborted(callOptions)) return Promise.reject(new UfoAbortError());
+      return status.on ? this._off() : this._on();
+    }), _signal(callOptions));
+  }
+  /**
+   * Passes the UFO's current status to the given function and sets the UFO
+   * output to the RGBW values it returns. The status check and the subsequent
+   * RGBW command are executed atomically with respect to the command queue, so
+   * concurrent read-modify-write operations never overwrite each other.
+   */
+  updateRgbw(
+    update: (status: UfoStatus) => [number, number, number, number],
+    callOptions?: UfoCallOptions,
+  ): Promise<void> {
+    return this._enqueue(() => this._status(false, callOptions).then((status) => {
+      if (this._dead) return Promise.resolve();
+      if (!status) return Promise.reject(new UfoDisconnectError('UFO disconnected before status was received.', null, null));
+      if (_aborted(callOptions)) return Promise.reject(new UfoAbortError());
+      return this._rgbw(...update(status));
+    }), _signal(callOptions));
+  }
+  /**
+   * Scales the UFO's current RGBW values proportionally to the given
+   * brightness, so the color ratios stay the same. The brightness is clamped
+   * from 0-100 inclusive, where 100 means the brightest channel is fully on.
+   * If the output has not been changed since the last call, the color at full
+   * brightness is remembered, so dimming down and back up is lossless. If the
+   * output is all zeros and no color is remembered, it is left unchanged.
+   */
+  brightness(level: number, callOptions?: UfoCallOptions): Promise<void> {
+    return this._enqueue(() => this._status(false, callOptions).then((status) => {
+      if (this._dead) return Promise.resolve();
+      if (!status) return Promise.reject(new UfoDisconnectError('UFO disconnected before status was received.', null, null));
+      if (_aborted(callOptions)) return Promise.reject(new UfoAbortError());
+      const color = this._fullBrightnessColor(status);
+      if (!color) return Promise.resolve();
+      const realLevel = _.clamp(level, 0, 100);
+      this._brightness = { color, level: realLevel };
+      const [red, green, blue, white] = _scaleRgbw(color, realLevel);
+      return this._rgbw(red, green, blue, white);
+    }), _signal(callOptions));
+  }
+  /**
+   * Returns the UFO's current brightness, 0-100 inclusive: the brightness last
+   * set by {@link TcpClient#brightness} if the output has not been changed
+   * since, otherwise the percentage of the brightest RGBW channel. Result is
+   * null iff this UFO object is dead.
+   */
+  getBrightness(callOptions?: UfoCallOptions): Promise<?number> {
+    return this.status(false, callOptions).then((status) => {
+      if (!status) return null;
+      const memory = this._brightness;
+      if (memory && _.isEqual(_scaleRgbw(memory.color, memory.level), _statusRgbw(status))) {
+        return memory.level;
+      }
+      return Math.round((Math.max(..._statusRgbw(status)) / 255) * 100);
     });
   }
+  /**
+   * Returns the RGBW values at full brightness of the given status: the
+   * remembered ones if they still produce the current output, otherwise the
+   * current output scaled up until its brightest channel is fully on. Returns
+   * null if the output is all zeros and no color is remembered.
+   * @private
+   */
+  _fullBrightnessColor(status: UfoStatus): ?Array<number> {
+    const current = _statusRgbw(status);
+    const memory = this._brightness;
+    if (memory && _.isEqual(_scaleRgbw(memory.color, memory.level), current)) return memory.color;
+    const max = Math.max(...current);
+    if (max === 0) return null;
+    return current.map(v => (v * 255) / max);
+  }
   /** Returns the list of built-in functions usable by the API/CLI. */
   static getBuiltinFunctions(): Array<BuiltinFunction> {
     return Array.from(builtinFunctionMap.keys()).filter(k => !builtinFunctionReservedNames.includes(k)).sort();
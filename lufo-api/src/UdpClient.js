@@ -1,10 +1,18 @@
 // @flow
 import * as util from 'util';
 import * as dgram from 'dgram';
+import * as dns from 'dns';
 import * as net from 'net';
 import _ from 'lodash';
 import Ufo from './Ufo';
-import type { UfoOptions } from './UfoOptions';
+import {
+  UfoError,
+  UfoProtocolError,
+  UfoTimeoutError,
+  UfoValidationError,
+  onAbort,
+} from './UfoErrors';
+import type { UfoAbortSignal, UfoCallOptions, UfoOptions, UfoTraceEvent } from './UfoOptions';
 
 /**
  * Details of a UFO found by {@link Ufo.discover}.
@@ -32,6 +40,8 @@ export type DiscoveredUfo = {
  * the UFO search. If unspecified, a random port is used.
  * @property {string} [localAddress] The local host used for establishing the
  * UDP socket.
+ * @property {UfoAbortSignal} [signal] Stops the search once aborted. The
+ * promise is rejected with a {@link UfoAbortError}.
  */
 export type UfoDiscoverOptions = {
   timeout: ?number,
@@ -39,6 +49,7 @@ export type UfoDiscoverOptions = {
   remotePort: ?number,
   localPort: ?number,
   localAddress: ?string,
+  signal?: ?UfoAbortSignal,
 };
 /**
  * A WiFi network discovered by the {@link Ufo#doWifiScan} method.
@@ -66,6 +77,10 @@ type UdpOptions = {
   remotePort: number,
   localPort: number,
   localAddress?: string,
+  timeout: number,
+  retries: number,
+  retryInterval: number,
+  trace: ?(UfoTraceEvent) => void,
 };
 type UdpCommand = {
   cmd: string,
@@ -73,15 +88,22 @@ type UdpCommand = {
   get?: string | Array<string>,
 }
 type UdpCommandReceiveParser = (string) => Array<string>;
+type UdpCommandReceiveMatcher = (string) => boolean;
 type UdpCommandSchema = {
+  name: string,
   send: string,
   recv: UdpCommandReceiveParser,
+  match: UdpCommandReceiveMatcher,
+};
+type UdpSession = {
+  commandMode: boolean,
 };
 
 /* Private variables. */
 const defaultPort = 48899;
 // Milliseconds.
 const discoverTimeout = 3000;
+const defaultRetryInterval = 1000;
 const ack = '+ok';
 const sendPrefix = 'AT+';
 const sendSuffix = '\r';
@@ -89,6 +111,9 @@ const recvPrefix = ack;
 const recvSuffix = '\r\n\r\n';
 const defaultHello = 'HF-A11ASSISTHREAD';
 const errAck = '+ERR';
+// Raw AT commands the UFO never responds to: "Z" reboots it and "Q" ends
+// command mode.
+const rawCommandsWithoutResponse = ['Z', 'Q'];
 const commandMap: Map<string, UdpCommand> = new Map([
   /*
    * Common commands
@@ -274,6 +299,22 @@ const _udpCommandReceiveParser = function (response: string): Array<string> {
   if (_.isString(this)) return [result];
   return [];
 };
+/**
+ * Returns a function that indicates whether or not a datagram can be the
+ * response to the given command. UFO responses don't identify the command they
+ * answer, so this is decided by the shape of the response: "hello" is answered
+ * with comma-separated module info, getters with "+ok=..." and setters with a
+ * bare "+ok". An AT error can answer any AT command.
+ * @private
+ */
+const _responseMatcher = function (name: string, mode: 'get' | 'set'): UdpCommandReceiveMatcher {
+  if (name === 'hello') return response => !response.startsWith('+') && response.split(',').length === 3;
+  return (response) => {
+    if (response.startsWith(errAck)) return true;
+    if (mode === 'get') return response.startsWith(`${ack}=`);
+    return response.trim() === ack;
+  };
+};
 const _assembleCommand = function (name: string, ...setArgs: Array<string>): UdpCommandSchema {
   // Define the command object.
   const command = commandMap.get(name);
@@ -292,16 +333,71 @@ const _assembleCommand = function (name: string, ...setArgs: Array<string>): Udp
     }
     // Return the send and receive schema.
     return {
+      name,
       send: cmdString,
       recv: _udpCommandReceiveParser.bind(mode === 'get' ? command.get : false),
+      match: _responseMatcher(name, mode),
     };
   }
-  return { send: '', recv: _udpCommandReceiveParser.bind(false) };
+  return {
+    name,
+    send: '',
+    recv: _udpCommandReceiveParser.bind(false),
+    match: () => false,
+  };
+};
+/**
+ * Parses the response to a raw AT command into its lines, minus the "+ok"
+ * prefix and any blank lines.
+ * @private
+ */
+const _rawCommandReceiveParser = function (response: string): Array<string> {
+  let result = response;
+  if (result.startsWith(recvPrefix)) result = result.substring(recvPrefix.length);
+  if (result.startsWith('=')) result = result.substring(1);
+  return result.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
 };
+/**
+ * Assembles an AT command that is not in the command map. The "AT+" prefix of
+ * the name is optional. Since the shape of the response is unknown, it is only
+ * required to be an acknowledgement or an AT error.
+ * @private
+ */
+const _assembleRawCommand = function (name: string, ...setArgs: Array<string>): UdpCommandSchema {
+  const cmd = name.toUpperCase().replace(/^AT\+/, '');
+  let send = sendPrefix + cmd;
+  if (setArgs.length > 0) send += `=${setArgs.join(',')}`;
+  return {
+    name: cmd,
+    send: send + sendSuffix,
+    recv: _rawCommandReceiveParser,
+    match: response => response.startsWith(ack) || response.startsWith(errAck),
+  };
+};
+/**
+ * Rejection handler for promises returned by @internalUdp methods. Those
+ * promises are rejected with no arguments once the error has been routed to the
+ * calling code's reject function, so there is nothing left to do.
+ * @private
+ */
+const _ignoreRejection = function () {};
 const _asArray = function (value: string | Array<string>): Array<string> {
   if (Array.isArray(value)) return value;
   return [value];
 };
+/**
+ * Resolves the given host to the IPv4 address its datagrams come from.
+ * @private
+ */
+const _lookup = function (host: string): Promise<string> {
+  return new Promise((resolve, reject) => {
+    if (net.isIPv4(host)) { resolve(host); return; }
+    dns.lookup(host, { family: 4 }, (err, address) => {
+      if (err) reject(err);
+      else resolve(address);
+    });
+  });
+};
 
 /**
  * Provides an API to UFOs for interacting with the UFO's UDP server.
@@ -310,12 +406,16 @@ const _asArray = function (value: string | Array<string>): Array<string> {
 export class UdpClient {
   _ufo: Ufo;
   _options: UdpOptions;
+  _address: string;
   _dead: boolean;
   _disconnectCallback: ?Function;
   _socket: dgram$Socket;
   _error: ?Error;
   _receiveCallback: ?Function;
   _receiveParser: ?UdpCommandReceiveParser;
+  _receiveCommand: ?string;
+  _receiveMatcher: ?UdpCommandReceiveMatcher;
+  _session: ?UdpSession;
   constructor(ufo: Ufo, options: UfoOptions) {
     this._ufo = ufo;
     const optionsBuilder = {};
@@ -324,7 +424,13 @@ export class UdpClient {
     optionsBuilder.remotePort = options.remoteUdpPort || defaultPort;
     optionsBuilder.localPort = options.localUdpPort || -1;
     optionsBuilder.localAddress = options.localHost || undefined;
+    optionsBuilder.timeout = options.timeout || 0;
+    optionsBuilder.retries = options.udpRetries || 0;
+    optionsBuilder.retryInterval = options.udpRetryInterval || defaultRetryInterval;
+    optionsBuilder.trace = options.trace || null;
     this._options = optionsBuilder;
+    // The IPv4 address of the host, once resolved by connect().
+    this._address = optionsBuilder.host;
     // Flag that tracks the state of this socket.
     this._dead = false;
     // This property contains the reject callback for the currently active
@@ -338,10 +444,23 @@ export class UdpClient {
     // Route received messages to whatever the current callback is.
     this._receiveCallback = null;
     this._receiveParser = null;
-    this._socket.on('message', (msg, rinfo) => { // eslint-disable-line no-unused-vars
+    this._receiveCommand = null;
+    this._receiveMatcher = null;
+    // While a session is active, the UFO is left in command mode between
+    // commands instead of being put in and out of it for every command.
+    this._session = null;
+    this._socket.on('message', (msg, rinfo) => {
       // Don't do anything if we've had a socket error.
       if (!this._error) {
-        let message = '';
+        // Discard datagrams that did not come from this UFO.
+        if (rinfo.address !== this._address) return;
+        // Convert all messages to UTF-8 because UFOs always send ASCII.
+        let message = msg.toString('utf8') || '';
+        this._trace('receive', message, this._receiveCommand);
+        // Discard datagrams that cannot be a response to the pending command
+        // (e.g. late responses to an earlier, retransmitted command).
+        const matcher = this._receiveMatcher;
+        if (matcher && !matcher(message)) return;
         let error = null;
         // Determine if we had a protocol/syntax error.
         if (message.startsWith(errAck)) {
@@ -366,10 +485,8 @@ export class UdpClient {
             default:
               break;
           }
-          error = new Error(util.format(errorMsg, code));
+          error = new UfoProtocolError(util.format(errorMsg, code), this._receiveCommand || '', code);
         } else {
-          // Convert all messages to UTF-8 because UFOs always send ASCII.
-          message = msg.toString('utf8') || '';
           // Parse this message and collapse it if possible.
           const parser = this._receiveParser;
           if (parser) {
@@ -414,11 +531,13 @@ export class UdpClient {
       const data = [];
       // Setup the socket. Let Node exit if this socket is still active.
       let stopDiscover: ?TimeoutID = null;
+      let stopAborting = () => {};
       const socket: dgram$Socket = dgram.createSocket('udp4');
       socket.unref();
       // Define the listener's event handlers.
       socket.on('close', () => {
         if (stopDiscover) clearTimeout(stopDiscover);
+        stopAborting();
         if (error) reject(error); else resolve(data);
       });
       socket.on('error', (err) => {
@@ -439,8 +558,11 @@ export class UdpClient {
       // Send the request and start listening for responses.
       const closeSocket = function () { socket.close(); };
       socket.on('listening', () => {
+        // Don't touch the socket if the search was aborted while binding.
+        if (error) return;
         socket.setBroadcast(true);
         socket.send(hello, remotePort, '255.255.255.255', (err) => {
+          if (error) return;
           if (err) socket.emit('error', err);
           else stopDiscover = setTimeout(closeSocket, timeout);
         });
@@ -450,6 +572,12 @@ export class UdpClient {
       let port = 0;
       if (options.localPort && options.localPort > 0) port = options.localPort;
       socket.bind(port, options.localAddress || undefined);
+      // Stop searching if we're asked to.
+      stopAborting = onAbort(options.signal, (err) => {
+        if (stopDiscover) clearTimeout(stopDiscover);
+        error = err;
+        closeSocket();
+      });
     });
   }
   /*
@@ -477,7 +605,7 @@ export class UdpClient {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       this._disconnectCallback = reqReject;
-      this._socket.send(Buffer.from(cmd.send), defaultPort, this._options.host, (err) => {
+      this._transmit(cmd, (err) => {
         // Implement proper error handling according to API docs.
         if (err) {
           this._socket.emit('error', err);
@@ -490,35 +618,137 @@ export class UdpClient {
     });
   }
   /**
-   * Sends the given command to the UFO. The promise resolves once any amount
-   * of data is received from the UFO.
+   * Sends the given command's datagram to the UFO without waiting for a
+   * response, then invokes the given callback with the socket error, if any.
+   * @private
+   */
+  _transmit(cmd: UdpCommandSchema, callback: (?Error) => void): void {
+    this._trace('send', cmd.send, cmd.name);
+    this._socket.send(Buffer.from(cmd.send), this._options.remotePort, this._address, callback);
+  }
+  /**
+   * Passes the given datagram to the trace function, if any. Errors thrown by
+   * the trace function are ignored so they cannot break communication.
+   * @private
+   */
+  _trace(direction: 'send' | 'receive', data: string, command: ?string): void {
+    const { trace } = this._options;
+    if (!trace) return;
+    try {
+      trace({
+        time: Date.now(),
+        direction,
+        transport: 'udp',
+        data,
+        command,
+      });
+    } catch (e) {
+      // Ignore.
+    }
+  }
+  /**
+   * Returns the number of milliseconds to wait for a response to a command, or
+   * zero to wait indefinitely.
+   * @private
+   */
+  _timeout(callOptions?: UfoCallOptions): number {
+    if (callOptions && callOptions.timeout !== undefined) return callOptions.timeout;
+    return this._options.timeout;
+  }
+  /**
+   * Sends the given command to the UFO. The promise resolves once a response
+   * to the command is received from the UFO; other datagrams are discarded. If
+   * retries are enabled, the command is retransmitted whenever an attempt goes
+   * unanswered. If no response is received within the timeout, after the last
+   * attempt, or if the call is aborted first, the calling code's promise is
+   * rejected with a {@link UfoTimeoutError} or {@link UfoAbortError} and the UFO
+   * is asked to leave command mode.
    * @private
    * @internalUdp
    */
-  _sendAndWait(cmd: UdpCommandSchema, reqReject: Function): Promise<null | string | Array<string>> {
+  _sendAndWait(
+    cmd: UdpCommandSchema,
+    reqReject: Function,
+    callOptions?: UfoCallOptions,
+  ): Promise<null | string | Array<string>> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
       this._disconnectCallback = reqReject;
+      let timer: ?TimeoutID = null;
+      let retryTimer: ?TimeoutID = null;
+      let stopAborting = () => {};
+      let sent = false;
+      let gaveUp = false;
+      const stopWaiting = () => {
+        if (timer) clearTimeout(timer);
+        if (retryTimer) clearTimeout(retryTimer);
+        stopAborting();
+      };
+      // Stops waiting for the response and rejects the calling code's promise
+      // with the given error.
+      const giveUp = (err: Error) => {
+        gaveUp = true;
+        stopWaiting();
+        // Ignore the response if it eventually arrives.
+        this._receiveCallback = null;
+        this._disconnectCallback = null;
+        // Don't leave the UFO in command mode. This is best-effort, since
+        // the UFO may not be listening at all.
+        if (sent) this._transmit(_assembleCommand('endCmd'), () => {});
+        // The next command in the active session, if any, must say hello again.
+        if (this._session) this._session.commandMode = false;
+        reqReject(err);
+        reject();
+      };
+      stopAborting = onAbort(callOptions && callOptions.signal, giveUp);
+      if (gaveUp) return;
+      const timeout = this._timeout(callOptions);
+      if (timeout > 0) {
+        timer = setTimeout(() => giveUp(new UfoTimeoutError(cmd.name, timeout)), timeout);
+      }
       // This callback only handles logic errors (e.g. we got a UDP response
-      // but it contains an error code). We treat these errors the same way as
-      // UDP socket errors.
+      // but it contains an error code). These errors reject the calling code's
+      // promise without disconnecting, just like timeouts.
       this._receiveCallback = (err, data) => {
-        this._disconnectCallback = null;
         if (err) {
-          reqReject(err);
-          reject();
-        } else {
-          resolve(data);
+          giveUp(err);
+          return;
         }
+        stopWaiting();
+        this._receiveCallback = null;
+        this._disconnectCallback = null;
+        resolve(data);
       };
       this._receiveParser = cmd.recv;
-      // This callback only handles UDP socket errors (e.g. network failures).
-      this._socket.send(Buffer.from(cmd.send), defaultPort, this._options.host, (err) => {
-        if (err) {
-          this._socket.emit('error', err);
-          reject();
+      this._receiveCommand = cmd.name;
+      this._receiveMatcher = cmd.match;
+      // Transmit the command, then retransmit it each time an attempt goes
+      // unanswered until we run out of retries.
+      const { retries, retryInterval } = this._options;
+      let attempts = 0;
+      const transmit = () => {
+        attempts += 1;
+        sent = true;
+        // This callback only handles UDP socket errors (e.g. network failures).
+        this._transmit(cmd, (err) => {
+          if (err) {
+            stopWaiting();
+            this._socket.emit('error', err);
+            reject();
+          }
+        });
+        if (retries > 0) {
+          retryTimer = setTimeout(() => {
+            retryTimer = null;
+            if (attempts > retries) {
+              giveUp(new UfoTimeoutError(cmd.name, retryInterval * attempts));
+            } else {
+              transmit();
+            }
+          }, retryInterval);
         }
-      });
+      };
+      transmit();
     });
   }
   /**
@@ -536,45 +766,54 @@ export class UdpClient {
     }
     this._receiveCallback = callback;
     this._receiveParser = cmd.recv;
-    this._socket.send(Buffer.from(cmd.send), defaultPort, this._options.host, (err) => {
+    this._receiveCommand = cmd.name;
+    // Streamed responses span many datagrams of varying shape.
+    this._receiveMatcher = null;
+    this._transmit(cmd, (err) => {
       if (err) callback(err, null);
     });
   }
   /**
-   * Puts the UFO in command mode.
+   * Puts the UFO in command mode. Does nothing if the UFO is already in command
+   * mode for the active session.
    * @private
    * @internalUdp
    */
-  _commandMode(reqReject: Function): Promise<void> {
+  _commandMode(reqReject: Function, callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
+      if (this._session && this._session.commandMode) { resolve(); return; }
       // Say hello.
       const cmd = _assembleCommand('hello');
       if (this._options.password) cmd.send = this._options.password;
-      this._sendAndWait(cmd, reqReject).then((msg) => {
+      this._sendAndWait(cmd, reqReject, callOptions).then((msg) => {
         // Give up if the response did not come from the expected IP.
         // 0.0.0.0 occurs when connected to a UFO in AP mode.
         const ufo = _parseHelloResponse(msg || '');
-        if (ufo.ip === this._options.host || ufo.ip === '0.0.0.0') {
+        if (ufo.ip === this._address || ufo.ip === '0.0.0.0') {
           // Switch to command mode, or give up if we can't.
-          this._send(_assembleCommand('helloAck'), reqReject).then(resolve);
+          this._send(_assembleCommand('helloAck'), reqReject).then(() => {
+            if (this._session) this._session.commandMode = true;
+            resolve();
+          }).catch(reject);
         } else {
           this._disconnectCallback = reqReject;
-          this._socket.emit('error', new Error(`Received hello response from unexpected host: ${JSON.stringify(ufo)}`));
+          this._socket.emit('error', new UfoProtocolError(`Received hello response from unexpected host: ${JSON.stringify(ufo)}`, 'hello'));
           reject(); // Chain rejection for completeness.
         }
-      });
+      }).catch(reject); // Chain rejection for completeness.
     });
   }
   /**
    * Sends the "AT+Q\r" message, ending command transmission and preparing for
-   * future commands to be sent.
+   * future commands to be sent. Does nothing while a session is active; the
+   * message is sent once the session ends instead.
    * @private
    * @internalUdp
    */
   _endCommand(reqReject: Function): Promise<void> {
     return new Promise((resolve, reject) => {
-      if (this._dead) { resolve(); return; }
+      if (this._dead || this._session) { resolve(); return; }
       this._send(_assembleCommand('endCmd'), reqReject)
         .then(resolve).catch(reject); // Chain rejection for completeness.
     });
@@ -585,11 +824,15 @@ export class UdpClient {
    * @private
    * @internalUdp
    */
-  _runCommand(cmd: UdpCommandSchema, reqReject: Function): Promise<null | string | Array<string>> {
+  _runCommand(
+    cmd: UdpCommandSchema,
+    reqReject: Function,
+    callOptions?: UfoCallOptions,
+  ): Promise<null | string | Array<string>> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
-      this._commandMode(reqReject).then(() => {
-        this._sendAndWait(cmd, reqReject)
+      this._commandMode(reqReject, callOptions).then(() => {
+        this._sendAndWait(cmd, reqReject, callOptions)
           .then(resolve).catch(reject); // Chain rejection for completeness.
       }).catch(reject); // Chain rejection for completeness.
     });
@@ -601,10 +844,14 @@ export class UdpClient {
    * @private
    * @internalUdp
    */
-  _runCommandWithResponse(cmd: UdpCommandSchema, reqReject: Function): Promise<null | string | Array<string>> {
+  _runCommandWithResponse(
+    cmd: UdpCommandSchema,
+    reqReject: Function,
+    callOptions?: UfoCallOptions,
+  ): Promise<null | string | Array<string>> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
-      this._runCommand(cmd, reqReject).then((result) => {
+      this._runCommand(cmd, reqReject, callOptions).then((result) => {
         this._endCommand(reqReject)
           .then(() => resolve(result))
           .catch(reject); // Chain rejection for completeness.
@@ -617,18 +864,33 @@ export class UdpClient {
    * @private
    * @internalUdp
    */
-  _runCommandNoResponse(cmd: UdpCommandSchema, reqReject: Function): Promise<void> {
+  _runCommandNoResponse(cmd: UdpCommandSchema, reqReject: Function, callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
-      this._runCommandWithResponse(cmd, reqReject)
+      this._runCommandWithResponse(cmd, reqReject, callOptions)
         .then(() => resolve()).catch(reject); // Chain rejection for completeness.
     });
   }
   /*
    * Core methods
    */
-  /** Binds the UDP socket on this machine. */
+  /**
+   * Resolves the UFO's host, then binds the UDP socket on this machine. The
+   * host is resolved once, so that responses can be told apart from datagrams
+   * sent by other hosts.
+   */
   connect(): Promise<void> {
+    if (this._dead) return Promise.resolve();
+    return _lookup(this._options.host).then((address) => {
+      this._address = address;
+      return this._bind();
+    });
+  }
+  /**
+   * Binds the UDP socket on this machine.
+   * @private
+   */
+  _bind(): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       let port = 0;
@@ -664,106 +926,134 @@ export class UdpClient {
     this._dead = true;
     this._socket.close();
   }
+  /**
+   * Invokes the given callback in a session, during which the UFO is put in
+   * command mode at most once and all commands sent by this object share it.
+   * Command mode is ended once the promise returned by the callback settles,
+   * after which this method's promise settles the same way.
+   */
+  session<T>(callback: () => Promise<T>): Promise<T> {
+    return new Promise((resolve, reject) => {
+      if (this._session) {
+        reject(new UfoError('A UDP session is already active.'));
+        return;
+      }
+      const session = { commandMode: false };
+      this._session = session;
+      const end = (settle: Function) => {
+        this._session = null;
+        if (session.commandMode) {
+          this._endCommand(reject).then(settle).catch(_ignoreRejection);
+        } else {
+          settle();
+        }
+      };
+      Promise.resolve().then(callback).then(
+        result => end(() => resolve(result)),
+        err => end(() => reject(err)),
+      );
+    });
+  }
   /** Returns the UFO's hardware/firmware version. */
-  getVersion(): Promise<null | string> {
+  getVersion(callOptions?: UfoCallOptions): Promise<null | string> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
-      this._runCommandWithResponse(_assembleCommand('moduleVersion'), reject)
-        .then(version => resolve(String(version)));
+      this._runCommandWithResponse(_assembleCommand('moduleVersion'), reject, callOptions)
+        .then(version => resolve(String(version))).catch(_ignoreRejection);
     });
   }
   /**
    * Reboots the UFO. The owning UFO object will be disconnected after this
    * method is invoked.
    */
-  reboot(): Promise<void> {
+  reboot(callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       // Reboot and disconnect.
       // We cannot use _runCommand here because we wiill not receive any response.
-      this._commandMode(reject).then(() => {
+      this._commandMode(reject, callOptions).then(() => {
         this._send(_assembleCommand('reboot'), reject).then(() => {
           this._ufo.disconnect(resolve);
-        });
-      });
+        }).catch(_ignoreRejection);
+      }).catch(_ignoreRejection);
     });
   }
   /**
    * Resets the UFO to factory defaults. The owning UFO object will be
    * disconnected after this method is invoked.
    */
-  factoryReset(): Promise<void> {
+  factoryReset(callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       // Request a factory reset.
       // This command implies a reboot, so no explicit reboot command is needed.
       let expected = commandMap.get('factoryReset');
       if (expected) expected = expected.get;
-      this._runCommand(_assembleCommand('factoryReset'), reject).then((resp) => {
+      this._runCommand(_assembleCommand('factoryReset'), reject, callOptions).then((resp) => {
         // Emit an error if the response did not match, or otherwise disconnect.
         if (resp === expected) {
           this._ufo.disconnect(resolve);
         } else {
           this._disconnectCallback = reject;
           const response = String(resp) || 'null';
-          this._socket.emit('error', new Error(`Unexpected response: ${response}`));
+          this._socket.emit('error', new UfoProtocolError(`Unexpected response: ${response}`, 'factoryReset'));
         }
-      });
+      }).catch(_ignoreRejection);
     });
   }
   /** Returns the NTP server IP address. */
-  getNtpServer(): Promise<null | string> {
+  getNtpServer(callOptions?: UfoCallOptions): Promise<null | string> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
-      this._runCommandWithResponse(_assembleCommand('ntp'), reject)
-        .then(ipAddress => resolve(String(ipAddress)));
+      this._runCommandWithResponse(_assembleCommand('ntp'), reject, callOptions)
+        .then(ipAddress => resolve(String(ipAddress))).catch(_ignoreRejection);
     });
   }
   /** Sets the NTP server IP address. */
-  setNtpServer(ipAddress: string): Promise<void> {
+  setNtpServer(ipAddress: string, callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       if (!net.isIPv4(ipAddress)) {
-        reject(new Error(`Invalid IP address provided: ${ipAddress}.`));
+        reject(new UfoValidationError(`Invalid IP address provided: ${ipAddress}.`));
         return;
       }
-      this._runCommandNoResponse(_assembleCommand('ntp', ipAddress), reject)
-        .then(resolve);
+      this._runCommandNoResponse(_assembleCommand('ntp', ipAddress), reject, callOptions)
+        .then(resolve).catch(_ignoreRejection);
     });
   }
   /** Sets the UDP password. */
-  setUdpPassword(password: string): Promise<void> {
+  setUdpPassword(password: string, callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       if (password.length > 20) {
-        reject(new Error(`Password is ${password.length} characters long, exceeding limit of 20.`));
+        reject(new UfoValidationError(`Password is ${password.length} characters long, exceeding limit of 20.`));
         return;
       }
-      this._runCommandNoResponse(_assembleCommand('udpPassword', password), reject).then(() => {
+      this._runCommandNoResponse(_assembleCommand('udpPassword', password), reject, callOptions).then(() => {
         // Update the password in the options object so we can continue
         // using this client to communicate.
         this._options.password = password;
         resolve();
-      });
+      }).catch(_ignoreRejection);
     });
   }
   /**
    * Sets the TCP port. The owning UFO object will be disconnected after this
    * method is invoked.
    */
-  setTcpPort(port: number): Promise<void> {
+  setTcpPort(port: number, callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
-      this._runCommandWithResponse(_assembleCommand('tcpServer'), reject).then((tcpServer) => {
+      this._runCommandWithResponse(_assembleCommand('tcpServer'), reject, callOptions).then((tcpServer) => {
         const cleanPort = _.clamp(port, 0, 65535);
         if (tcpServer) {
-          this._runCommandNoResponse(_assembleCommand('tcpServer', tcpServer[0], tcpServer[1], cleanPort, tcpServer[3]), reject).then(() => {
+          this._runCommandNoResponse(_assembleCommand('tcpServer', tcpServer[0], tcpServer[1], cleanPort, tcpServer[3]), reject, callOptions).then(() => {
             this._ufo.disconnect(resolve);
-          });
+          }).catch(_ignoreRejection);
         } else {
-          reject(new Error('Returned TCP server information is null.'));
+          reject(new UfoProtocolError('Returned TCP server information is null.', 'tcpServer'));
         }
-      });
+      }).catch(_ignoreRejection);
     });
   }
   /**
@@ -781,11 +1071,11 @@ export class UdpClient {
    * Note that this method always returns a string even if the value is a
    * number.
    */
-  getWifiAutoSwitch(): Promise<null | string> {
+  getWifiAutoSwitch(callOptions?: UfoCallOptions): Promise<null | string> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
-      this._runCommandWithResponse(_assembleCommand('wifiAutoSwitch'), reject)
-        .then(value => resolve(String(value)));
+      this._runCommandWithResponse(_assembleCommand('wifiAutoSwitch'), reject, callOptions)
+        .then(value => resolve(String(value))).catch(_ignoreRejection);
     });
   }
   /**
@@ -800,7 +1090,7 @@ export class UdpClient {
    * itself and enable its AP mode after the specified number of minutes have
    * passed.
    */
-  setWifiAutoSwitch(value: 'off' | 'on' | 'auto' | number): Promise<void> {
+  setWifiAutoSwitch(value: 'off' | 'on' | 'auto' | number, callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       let error = false;
@@ -819,10 +1109,10 @@ export class UdpClient {
         error = intValue < 3 || intValue > 120;
       }
       if (error) {
-        reject(new Error(`Invalid value ${value}, must be "off", "on", "auto" or 3-120 inclusive.`));
+        reject(new UfoValidationError(`Invalid value ${value}, must be "off", "on", "auto" or 3-120 inclusive.`));
         return;
       }
-      this._runCommandNoResponse(_assembleCommand('wifiAutoSwitch', value.toString()), reject).then(resolve);
+      this._runCommandNoResponse(_assembleCommand('wifiAutoSwitch', value.toString()), reject, callOptions).then(resolve).catch(_ignoreRejection);
     });
   }
   /**
@@ -831,11 +1121,11 @@ export class UdpClient {
    * - "STA" (client mode)
    * - "APSTA" (client and AP mode)
    */
-  getWifiMode(): Promise<null | string> {
+  getWifiMode(callOptions?: UfoCallOptions): Promise<null | string> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
-      this._runCommandWithResponse(_assembleCommand('wifiMode'), reject)
-        .then(mode => resolve(String(mode)));
+      this._runCommandWithResponse(_assembleCommand('wifiMode'), reject, callOptions)
+        .then(mode => resolve(String(mode))).catch(_ignoreRejection);
     });
   }
   /**
@@ -844,7 +1134,7 @@ export class UdpClient {
    * - "STA" (client mode)
    * - "APSTA" (client and AP mode)
    */
-  setWifiMode(mode: 'AP' | 'STA' | 'APSTA'): Promise<void> {
+  setWifiMode(mode: 'AP' | 'STA' | 'APSTA', callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       switch (mode) {
@@ -853,28 +1143,59 @@ export class UdpClient {
         case 'APSTA':
           break;
         default:
-          reject(new Error(`Invalid mode ${mode}, must be "AP", "STA" or "APSTA".`));
+          reject(new UfoValidationError(`Invalid mode ${mode}, must be "AP", "STA" or "APSTA".`));
           return;
       }
-      this._runCommandNoResponse(_assembleCommand('wifiMode', mode), reject).then(resolve);
+      this._runCommandNoResponse(_assembleCommand('wifiMode', mode), reject, callOptions).then(resolve).catch(_ignoreRejection);
     });
   }
   /** Performs a WiFi AP scan from the UFO and returns the results. */
-  doWifiScan(): Promise<null | Array<WifiNetwork>> {
+  doWifiScan(callOptions?: UfoCallOptions): Promise<null | Array<WifiNetwork>> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
       const resultArray = [];
       let headerReceived = false;
       let errorReceived = false;
-      this._commandMode(reject).then(() => {
+      // The timeout applies to the wait for each result line, since a scan
+      // takes several seconds to complete.
+      const timeout = this._timeout(callOptions);
+      let timer: ?TimeoutID = null;
+      let stopAborting = () => {};
+      const stopWaiting = () => {
+        if (timer) clearTimeout(timer);
+        stopAborting();
+      };
+      // Stops the scan and rejects with the given error.
+      const giveUp = (err: Error) => {
+        stopWaiting();
+        errorReceived = true;
+        this._receiveCallback = null;
+        // The next command in the active session, if any, must say hello again.
+        if (this._session) this._session.commandMode = false;
+        this._endCommand(reject).then(() => reject(err)).catch(_ignoreRejection);
+      };
+      const restartTimer = () => {
+        if (timer) clearTimeout(timer);
+        if (timeout <= 0) return;
+        timer = setTimeout(() => giveUp(new UfoTimeoutError('wifiScan', timeout)), timeout);
+      };
+      this._commandMode(reject, callOptions).then(() => {
+        stopAborting = onAbort(callOptions && callOptions.signal, giveUp);
+        if (errorReceived) return;
+        restartTimer();
         this._sendAndStream(_assembleCommand('wifiScan'), (err, result) => {
           if (!errorReceived) {
-            if (err) {
+            restartTimer();
+            if (err instanceof UfoProtocolError) {
+              // The UFO rejected the scan, but the socket is fine.
+              giveUp(err);
+            } else if (err) {
+              stopWaiting();
               errorReceived = true;
               this._endCommand(reject).then(() => {
                 this._disconnectCallback = reject;
                 this._socket.emit('error', err);
-              });
+              }).catch(_ignoreRejection);
             } else if (!headerReceived) {
               headerReceived = true;
             } else if (Array.isArray(result)) {
@@ -888,49 +1209,50 @@ export class UdpClient {
                 strength: parseInt(result[4], 10),
               });
             } else {
-              this._endCommand(reject).then(() => resolve(resultArray));
+              stopWaiting();
+              this._endCommand(reject).then(() => resolve(resultArray)).catch(_ignoreRejection);
             }
           }
         });
-      }).catch(reject);
+      }).catch(_ignoreRejection);
     });
   }
   /*
    * AP WiFi methods
    */
   /** Returns the IP address and netmask of the UFO AP. */
-  getWifiApIp(): Promise<null | {ip: string, mask: string}> {
+  getWifiApIp(callOptions?: UfoCallOptions): Promise<null | {ip: string, mask: string}> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
-      this._runCommandWithResponse(_assembleCommand('wifiApIp'), reject).then((result) => {
+      this._runCommandWithResponse(_assembleCommand('wifiApIp'), reject, callOptions).then((result) => {
         const resultArray = _asArray(result || '');
         resolve({
           ip: resultArray[0],
           mask: resultArray[1],
         });
-      });
+      }).catch(_ignoreRejection);
     });
   }
   /** Sets the IP address and netmask of the UFO AP. */
-  setWifiApIp(ip: string, mask: string): Promise<void> {
+  setWifiApIp(ip: string, mask: string, callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       if (!net.isIPv4(ip)) {
-        reject(new Error(`Invalid IP address provided: ${ip}.`));
+        reject(new UfoValidationError(`Invalid IP address provided: ${ip}.`));
         return;
       }
       if (!net.isIPv4(mask)) {
-        reject(new Error(`Invalid subnet mask provided: ${mask}.`));
+        reject(new UfoValidationError(`Invalid subnet mask provided: ${mask}.`));
         return;
       }
-      this._runCommandNoResponse(_assembleCommand('wifiApIp', ip, mask), reject).then(resolve);
+      this._runCommandNoResponse(_assembleCommand('wifiApIp', ip, mask), reject, callOptions).then(resolve).catch(_ignoreRejection);
     });
   }
   /** Returns the UFO AP's broadcast information. Channel is 1-11 inclusive. */
-  getWifiApBroadcast(): Promise<null | {mode: 'b' | 'bg' | 'bgn', ssid: string, channel: number}> {
+  getWifiApBroadcast(callOptions?: UfoCallOptions): Promise<null | {mode: 'b' | 'bg' | 'bgn', ssid: string, channel: number}> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
-      this._runCommandWithResponse(_assembleCommand('wifiApBroadcast'), reject).then((result) => {
+      this._runCommandWithResponse(_assembleCommand('wifiApBroadcast'), reject, callOptions).then((result) => {
         const resultArray = _asArray(result || '');
         let mode;
         const rawMode = resultArray[0];
@@ -946,83 +1268,83 @@ export class UdpClient {
             break;
           default:
             this._disconnectCallback = reject;
-            this._socket.emit('error', new Error(`Impossible AP mode: ${rawMode}`));
+            this._socket.emit('error', new UfoProtocolError(`Impossible AP mode: ${rawMode}`, 'wifiApBroadcast'));
             return;
         }
         const ssid = resultArray[1];
         const channel = parseInt(resultArray[2].substring(2), 10);
         resolve({ mode, ssid, channel });
-      });
+      }).catch(_ignoreRejection);
     });
   }
   /** Sets the UFO AP's broadcast information. Channel is 1-11 inclusive. */
-  setWifiApBroadcast(mode: 'b' | 'bg' | 'bgn', ssid: string, channel: number): Promise<void> {
+  setWifiApBroadcast(mode: 'b' | 'bg' | 'bgn', ssid: string, channel: number, callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       if (ssid.length > 32) {
-        reject(new Error(`SSID is ${ssid.length} characters long, exceeding limit of 32.`));
+        reject(new UfoValidationError(`SSID is ${ssid.length} characters long, exceeding limit of 32.`));
         return;
       }
       const cleanChannel = _.clamp(channel, 1, 11);
-      this._runCommandNoResponse(_assembleCommand('wifiApBroadcast', `11${mode.toUpperCase()}`, ssid, `CH${cleanChannel}`), reject).then(resolve);
+      this._runCommandNoResponse(_assembleCommand('wifiApBroadcast', `11${mode.toUpperCase()}`, ssid, `CH${cleanChannel}`), reject, callOptions).then(resolve).catch(_ignoreRejection);
     });
   }
   /** Returns the UFO AP's passphrase. If null, AP network is open. */
-  getWifiApPassphrase(): Promise<null | string> {
+  getWifiApPassphrase(callOptions?: UfoCallOptions): Promise<null | string> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
-      this._runCommandWithResponse(_assembleCommand('wifiApAuth'), reject).then((result) => {
+      this._runCommandWithResponse(_assembleCommand('wifiApAuth'), reject, callOptions).then((result) => {
         const resultArray = _asArray(result || '');
         resolve(resultArray[0] === 'OPEN' ? null : resultArray[2]);
-      });
+      }).catch(_ignoreRejection);
     });
   }
   /** Sets the UFO's AP passphrase. If null, network will be open. */
-  setWifiApPassphrase(passphrase: string | null): Promise<void> {
+  setWifiApPassphrase(passphrase: string | null, callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       let cmd;
       if (passphrase === null) {
         cmd = _assembleCommand('wifiApAuth', 'OPEN', 'NONE');
       } else if (passphrase.length < 8 || passphrase.length > 63) {
-        reject(new Error(`Passphrase is ${passphrase.length} characters long, must be 8-63 characters inclusive.`));
+        reject(new UfoValidationError(`Passphrase is ${passphrase.length} characters long, must be 8-63 characters inclusive.`));
         return;
       } else {
         cmd = _assembleCommand('wifiApAuth', 'WPA2PSK', 'AES', passphrase);
       }
-      this._runCommandNoResponse(cmd, reject).then(resolve);
+      this._runCommandNoResponse(cmd, reject, callOptions).then(resolve).catch(_ignoreRejection);
     });
   }
   /**
    * Returns the UFO AP's connection LED flag. If on, the UFO's blue LED will
    * turn on when any client is connected to the AP.
    */
-  getWifiApLed(): Promise<null | boolean> {
+  getWifiApLed(callOptions?: UfoCallOptions): Promise<null | boolean> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
-      this._runCommandWithResponse(_assembleCommand('wifiApLed'), reject).then((result) => {
+      this._runCommandWithResponse(_assembleCommand('wifiApLed'), reject, callOptions).then((result) => {
         resolve(String(result) === 'on');
-      });
+      }).catch(_ignoreRejection);
     });
   }
   /**
    * Sets the UFO AP's connection LED flag. If on, the UFO's blue LED will turn
    * on when any client is connected to the AP.
    */
-  setWifiApLed(on: boolean): Promise<void> {
+  setWifiApLed(on: boolean, callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
-      this._runCommandNoResponse(_assembleCommand('wifiApLed', on ? 'on' : 'off'), reject).then(resolve);
+      this._runCommandNoResponse(_assembleCommand('wifiApLed', on ? 'on' : 'off'), reject, callOptions).then(resolve).catch(_ignoreRejection);
     });
   }
   /**
    * Returns the UFO AP's DHCP server settings. If DHCP is on, the returned
    * object's "start" and "end" properties will be 0-254 inclusive.
    */
-  getWifiApDhcp(): Promise<null | {on: boolean, start?: number, end?: number}> {
+  getWifiApDhcp(callOptions?: UfoCallOptions): Promise<null | {on: boolean, start?: number, end?: number}> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
-      this._runCommandWithResponse(_assembleCommand('wifiApDhcp'), reject).then((result) => {
+      this._runCommandWithResponse(_assembleCommand('wifiApDhcp'), reject, callOptions).then((result) => {
         const resultArray = _asArray(result || '');
         const dhcp = {};
         dhcp.on = resultArray[0] === 'on';
@@ -1031,26 +1353,26 @@ export class UdpClient {
           dhcp.end = parseInt(resultArray[2], 10);
         }
         resolve(dhcp);
-      });
+      }).catch(_ignoreRejection);
     });
   }
   /**
    * Sets the UFO AP's DHCP address range. Both arguments are 0-254 inclusive.
    * This command implicitly enables the DHCP server.
    */
-  setWifiApDhcp(start: number, end: number): Promise<void> {
+  setWifiApDhcp(start: number, end: number, callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       const cleanStart = _.clamp(start, 0, 254);
       const cleanEnd = _.clamp(end, 0, 254);
-      this._runCommandNoResponse(_assembleCommand('wifiApDhcp', 'on', cleanStart, cleanEnd), reject).then(resolve);
+      this._runCommandNoResponse(_assembleCommand('wifiApDhcp', 'on', cleanStart, cleanEnd), reject, callOptions).then(resolve).catch(_ignoreRejection);
     });
   }
   /** Disables the UFO AP's DHCP server. */
-  disableWifiApDhcp(): Promise<void> {
+  disableWifiApDhcp(callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
-      this._runCommandNoResponse(_assembleCommand('wifiApDhcp', 'off'), reject).then(resolve);
+      this._runCommandNoResponse(_assembleCommand('wifiApDhcp', 'off'), reject, callOptions).then(resolve).catch(_ignoreRejection);
     });
   }
   /*
@@ -1060,10 +1382,10 @@ export class UdpClient {
    * Returns the UFO client's AP SSID and MAC address. If the UFO is not
    * connected to any AP, the returned object will be null.
    */
-  getWifiClientApInfo(): Promise<null | {ssid: string, mac: string}> {
+  getWifiClientApInfo(callOptions?: UfoCallOptions): Promise<null | {ssid: string, mac: string}> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
-      this._runCommandWithResponse(_assembleCommand('wifiClientApInfo'), reject).then((result) => {
+      this._runCommandWithResponse(_assembleCommand('wifiClientApInfo'), reject, callOptions).then((result) => {
         const realResult = String(result);
         if (realResult === 'Disconnected') {
           resolve(null);
@@ -1072,24 +1394,24 @@ export class UdpClient {
           if (match.length < 2) resolve(null);
           else resolve({ ssid: match[1], mac: _macAddress(match[2]) });
         }
-      });
+      }).catch(_ignoreRejection);
     });
   }
   /** Returns the UFO client's AP signal strength, as seen by the UFO. */
-  getWifiClientApSignal(): Promise<null | string> {
+  getWifiClientApSignal(callOptions?: UfoCallOptions): Promise<null | string> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
-      this._runCommandWithResponse(_assembleCommand('wifiClientApSignal'), reject).then((result) => {
+      this._runCommandWithResponse(_assembleCommand('wifiClientApSignal'), reject, callOptions).then((result) => {
         const resultArray = _asArray(result || '');
         resolve(resultArray.join(','));
-      });
+      }).catch(_ignoreRejection);
     });
   }
   /** Returns the UFO client's IP configuration. */
-  getWifiClientIp(): Promise<null | {dhcp: boolean, ip: string, mask: string, gateway: string}> {
+  getWifiClientIp(callOptions?: UfoCallOptions): Promise<null | {dhcp: boolean, ip: string, mask: string, gateway: string}> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
-      this._runCommandWithResponse(_assembleCommand('wifiClientIp'), reject).then((result) => {
+      this._runCommandWithResponse(_assembleCommand('wifiClientIp'), reject, callOptions).then((result) => {
         const resultArray = _asArray(result || '');
         resolve({
           dhcp: resultArray[0] === 'DHCP',
@@ -1097,53 +1419,53 @@ export class UdpClient {
           mask: resultArray[2],
           gateway: resultArray[3],
         });
-      });
+      }).catch(_ignoreRejection);
     });
   }
   /** Enables DHCP mode for the UFO client. */
-  setWifiClientIpDhcp(): Promise<void> {
+  setWifiClientIpDhcp(callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
-      this._runCommandNoResponse(_assembleCommand('wifiClientIp', 'DHCP'), reject).then(resolve);
+      this._runCommandNoResponse(_assembleCommand('wifiClientIp', 'DHCP'), reject, callOptions).then(resolve).catch(_ignoreRejection);
     });
   }
   /** Sets the IP configuration for the UFO client. Implicitly disables DHCP. */
-  setWifiClientIpStatic(ip: string, mask: string, gateway: string): Promise<void> {
+  setWifiClientIpStatic(ip: string, mask: string, gateway: string, callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       if (!net.isIPv4(ip)) {
-        reject(new Error(`Invalid IP address provided: ${ip}.`));
+        reject(new UfoValidationError(`Invalid IP address provided: ${ip}.`));
         return;
       }
       if (!net.isIPv4(mask)) {
-        reject(new Error(`Invalid subnet mask provided: ${mask}.`));
+        reject(new UfoValidationError(`Invalid subnet mask provided: ${mask}.`));
         return;
       }
       if (!net.isIPv4(gateway)) {
-        reject(new Error(`Invalid gateway provided: ${gateway}.`));
+        reject(new UfoValidationError(`Invalid gateway provided: ${gateway}.`));
         return;
       }
-      this._runCommandNoResponse(_assembleCommand('wifiClientIp', 'static', ip, mask, gateway), reject).then(resolve);
+      this._runCommandNoResponse(_assembleCommand('wifiClientIp', 'static', ip, mask, gateway), reject, callOptions).then(resolve).catch(_ignoreRejection);
     });
   }
   /** Returns the UFO client's AP SSID. */
-  getWifiClientSsid(): Promise<null | string> {
+  getWifiClientSsid(callOptions?: UfoCallOptions): Promise<null | string> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
-      this._runCommandWithResponse(_assembleCommand('wifiClientSsid'), reject).then((result) => {
+      this._runCommandWithResponse(_assembleCommand('wifiClientSsid'), reject, callOptions).then((result) => {
         resolve(String(result));
-      });
+      }).catch(_ignoreRejection);
     });
   }
   /** Sets the UFO client's AP SSID. */
-  setWifiClientSsid(ssid: string): Promise<void> {
+  setWifiClientSsid(ssid: string, callOptions?: UfoCallOptions): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
       if (ssid.length > 32) {
-        reject(new Error(`SSID is ${ssid.length} characters long, exceeding limit of 32.`));
+        reject(new UfoValidationError(`SSID is ${ssid.length} characters long, exceeding limit of 32.`));
         return;
       }
-      this._runCommandNoResponse(_assembleCommand('wifiClientSsid', ssid), reject).then(resolve);
+      this._runCommandNoResponse(_assembleCommand('wifiClientSsid', ssid), reject, callOptions).then(resolve).catch(_ignoreRejection);
     });
   }
   /**
@@ -1159,17 +1481,17 @@ export class UdpClient {
    * - If encryption is TKIP or AES, paraphrase is 8-63 ASCII characters in
    * length, inclusive.
    */
-  getWifiClientAuth(): Promise<null | {auth: string, encryption: string, passphrase: string | null}> {
+  getWifiClientAuth(callOptions?: UfoCallOptions): Promise<null | {auth: string, encryption: string, passphrase: string | null}> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(null); return; }
-      this._runCommandWithResponse(_assembleCommand('wifiClientAuth'), reject).then((result) => {
+      this._runCommandWithResponse(_assembleCommand('wifiClientAuth'), reject, callOptions).then((result) => {
         const resultArray = _asArray(result || '');
         resolve({
           auth: resultArray[0],
           encryption: resultArray[1],
           passphrase: resultArray[2] || null,
         });
-      });
+      }).catch(_ignoreRejection);
     });
   }
   /**
@@ -1189,6 +1511,7 @@ export class UdpClient {
     auth: 'OPEN' | 'SHARED' | 'WPAPSK' | 'WPA2PSK',
     encryption: 'NONE' | 'WEP-H' | 'WEP-A' | 'TKIP' | 'AES',
     passphrase?: string | null,
+    callOptions?: UfoCallOptions,
   ): Promise<void> {
     return new Promise((resolve, reject) => {
       if (this._dead) { resolve(); return; }
@@ -1199,7 +1522,7 @@ export class UdpClient {
           case 'WEP-A':
             break;
           default:
-            reject(new Error(`Invocation error: auth is OPEN but unsupported encryption ${encryption} provided.`));
+            reject(new UfoValidationError(`Invocation error: auth is OPEN but unsupported encryption ${encryption} provided.`));
             return;
         }
       } else if (auth === 'SHARED') {
@@ -1208,7 +1531,7 @@ export class UdpClient {
           case 'WEP-A':
             break;
           default:
-            reject(new Error(`Invocation error: auth is SHARED but unsupported encryption ${encryption} provided.`));
+            reject(new UfoValidationError(`Invocation error: auth is SHARED but unsupported encryption ${encryption} provided.`));
             return;
         }
       } else {
@@ -1217,41 +1540,41 @@ export class UdpClient {
           case 'AES':
             break;
           default:
-            reject(new Error(`Invocation error: auth is WPA(2)PSK but unsupported encryption ${encryption} provided.`));
+            reject(new UfoValidationError(`Invocation error: auth is WPA(2)PSK but unsupported encryption ${encryption} provided.`));
             return;
         }
       }
       if (encryption === 'NONE' && passphrase !== null) {
-        reject(new Error('Invocation error: encryption is NONE but passphrase was provided.'));
+        reject(new UfoValidationError('Invocation error: encryption is NONE but passphrase was provided.'));
         return;
       } else if (!passphrase) {
-        reject(new Error('Invocation error: encryption is enabled but passphrase was not provided.'));
+        reject(new UfoValidationError('Invocation error: encryption is enabled but passphrase was not provided.'));
         return;
       } else if (encryption === 'WEP-H') {
         if (passphrase.length !== 10 && passphrase.length !== 26) {
-          reject(new Error(`Invocation error: encryption is WEP-H but passphrase length is ${passphrase.length}, not 10 or 26.`));
+          reject(new UfoValidationError(`Invocation error: encryption is WEP-H but passphrase length is ${passphrase.length}, not 10 or 26.`));
           return;
         }
         if (passphrase.replace(/[0-9a-fA-F]/g, '').length !== 0) {
-          reject(new Error('Invocation error: encryption is WEP-H but passphrase contains non-hexadecimal characters.'));
+          reject(new UfoValidationError('Invocation error: encryption is WEP-H but passphrase contains non-hexadecimal characters.'));
           return;
         }
       } else if (encryption === 'WEP-A') {
         if (passphrase.length !== 5 && passphrase.length !== 13) {
-          reject(new Error(`Invocation error: encryption is WEP-A but passphrase length is ${passphrase.length}, not 5 or 13.`));
+          reject(new UfoValidationError(`Invocation error: encryption is WEP-A but passphrase length is ${passphrase.length}, not 5 or 13.`));
           return;
         }
         if (passphrase.replace(/[\x00-\x7F]/g, '').length !== 0) { // eslint-disable-line no-control-regex
-          reject(new Error('Invocation error: encryption is WEP-A but passphrase contains non-ASCII characters.'));
+          reject(new UfoValidationError('Invocation error: encryption is WEP-A but passphrase contains non-ASCII characters.'));
           return;
         }
       } else { // TKIP or AES
         if (passphrase.length < 8 || passphrase.length > 63) {
-          reject(new Error(`Invocation error: encryption is ${encryption} but passphrase length is ${passphrase.length}, not 8-63 inclusive.`));
+          reject(new UfoValidationError(`Invocation error: encryption is ${encryption} but passphrase length is ${passphrase.length}, not 8-63 inclusive.`));
           return;
         }
         if (passphrase.replace(/[\x00-\x7F]/g, '').length !== 0) { // eslint-disable-line no-control-regex
-          reject(new Error(`Invocation error: encryption is ${encryption} but passphrase contains non-ASCII characters.`));
+          reject(new UfoValidationError(`Invocation error: encryption is ${encryption} but passphrase contains non-ASCII characters.`));
           return;
         }
       }
@@ -1261,7 +1584,40 @@ export class UdpClient {
       } else {
         cmd = _assembleCommand('wifiClientAuth', auth, encryption, passphrase || '');
       }
-      this._runCommandNoResponse(cmd, reject).then(resolve);
+      this._runCommandNoResponse(cmd, reject, callOptions).then(resolve).catch(_ignoreRejection);
+    });
+  }
+  /*
+   * Raw AT command methods
+   */
+  /**
+   * Sends an arbitrary AT command (e.g. "MID" or "AT+MID") with the given
+   * arguments, if any, and returns the lines of the response. Commands the UFO
+   * never responds to ("Z" and "Q") resolve with no lines once sent.
+   */
+  atCommand(name: string, args: Array<string>, callOptions?: UfoCallOptions): Promise<null | Array<string>> {
+    return new Promise((resolve, reject) => {
+      if (this._dead) { resolve(null); return; }
+      if (!/^(AT\+)?[A-Z0-9]+$/i.test(name)) {
+        reject(new UfoValidationError(`Invalid AT command name provided: ${name}.`));
+        return;
+      }
+      const badArg = args.find(arg => /[\r\n]/.test(arg));
+      if (badArg !== undefined) {
+        reject(new UfoValidationError(`AT command arguments cannot contain line breaks: ${JSON.stringify(badArg)}.`));
+        return;
+      }
+      const cmd = _assembleRawCommand(name, ...args);
+      if (rawCommandsWithoutResponse.includes(cmd.name)) {
+        this._commandMode(reject, callOptions).then(() => this._send(cmd, reject)).then(() => {
+          // Both commands leave command mode.
+          if (this._session) this._session.commandMode = false;
+          resolve([]);
+        }).catch(_ignoreRejection);
+        return;
+      }
+      this._runCommandWithResponse(cmd, reject, callOptions)
+        .then(lines => resolve(_asArray(lines || []))).catch(_ignoreRejection);
     });
   }
 }
@@ -1,28 +1,121 @@
 // @flow
+import EventEmitter from 'events';
+import _ from 'lodash';
 import { TcpClient } from './TcpClient';
-import type { BuiltinFunction, CustomMode, CustomStep, UfoStatus } from './TcpClient';
+import type {
+  BuiltinFunction,
+  CustomMode,
+  CustomStep,
+  UfoFrame,
+  UfoStatus,
+  UfoTimer,
+} from './TcpClient';
 import { UdpClient } from './UdpClient';
+import {
+  defaultWhiteTemperature,
+  getNamedColors,
+  hslToRgb,
+  hsvToRgb,
+  namedColorToRgb,
+  parseHex,
+  rgbToHex,
+  rgbToHsl,
+  rgbToHsv,
+  rgbToNamedColor,
+  temperatureToRgbw,
+} from './Color';
+import type { UfoHsl, UfoHsv, UfoRgb, UfoRgbw } from './Color';
+import { StatusWatcher } from './StatusWatcher';
+import { fade } from './Fade';
+import { EffectPlayer } from './EffectPlayer';
+import type { UfoEffectOptions } from './EffectPlayer';
+import { getEffectNames } from './Effects';
+import type { UfoFadeOptions, UfoFadeTarget } from './Fade';
+import { createSequence, hardwareSpeed, isSequenceMode, stepDurations } from './Sequence';
+import type { UfoSequenceOptions, UfoSequenceStep } from './Sequence';
+import { builtinSpeed, customSpeed, isValidSeconds } from './Speed';
+import type { UfoBuiltinSpeed, UfoCustomSpeed, UfoSpeedTable } from './Speed';
+import { measureSpeeds } from './SpeedMeter';
+import type { UfoSpeedMeasureOptions } from './SpeedMeter';
+import type { StatusWatchOptions } from './StatusWatcher';
 import type { DiscoveredUfo, UfoDiscoverOptions, WifiNetwork } from './UdpClient';
-import type { UfoOptions } from './UfoOptions';
+import {
+  UfoAbortError,
+  UfoChecksumError,
+  UfoDisconnectError,
+  UfoError,
+  UfoProtocolError,
+  UfoTimeoutError,
+  UfoValidationError,
+  onAbort,
+} from './UfoErrors';
+import type { UfoCallOptions, UfoOptions, UfoReconnectOptions } from './UfoOptions';
 
+/* Private types. */
+type ReconnectPolicy = {
+  maxAttempts: number,
+  initialDelay: number,
+  maxDelay: number,
+  factor: number,
+  jitter: number,
+};
+
+/* Private variables. */
+const defaultReconnectPolicy: ReconnectPolicy = {
+  maxAttempts: 10,
+  initialDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.2,
+};
+
+/* Private functions. */
 /**
- * Errors of this type are thrown when communication with a UFO fails. The error
- * object contains a message and an optional error from the UDP and TCP sockets
- * that may have contributed to this error.
+ * Converts the "reconnect" option into a complete reconnection policy, or null
+ * if reconnection is disabled.
+ * @private
  */
-class UfoDisconnectError extends Error { // eslint-disable-line import/prefer-default-export
-  udpError: ?Error;
-  tcpError: ?Error;
-  constructor(message: string, udpError: ?Error, tcpError: ?Error) {
-    super(message);
-    Error.captureStackTrace(this, UfoDisconnectError);
-    this.udpError = udpError;
-    this.tcpError = tcpError;
-  }
-}
+const _reconnectPolicy = function (option: boolean | UfoReconnectOptions | void): ?ReconnectPolicy {
+  if (!option) return null;
+  if (option === true) return defaultReconnectPolicy;
+  return Object.assign({}, defaultReconnectPolicy, _.omitBy(option, _.isNil));
+};
+/**
+ * Computes how long to wait before the given reconnection attempt, in
+ * milliseconds.
+ * @private
+ */
+const _reconnectDelay = function (policy: ReconnectPolicy, attempt: number): number {
+  const delay = Math.min(policy.maxDelay, policy.initialDelay * (policy.factor ** (attempt - 1)));
+  const jitter = _.clamp(policy.jitter, 0, 1);
+  return Math.round(delay * (1 + (jitter * ((Math.random() * 2) - 1))));
+};
 
-/** The API for interfacing with UFO devices. */
-class Ufo {
+/**
+ * The API for interfacing with UFO devices. UFO objects are
+ * {@link https://nodejs.org/api/events.html EventEmitters} that emit the
+ * following events:
+ * - "connect", with no arguments, once {@link Ufo#connect} succeeds.
+ * - "reconnect", with no arguments, whenever the connection is re-established;
+ * either silently, because the UFO closed an idle TCP connection, or after an
+ * error if the "reconnect" option is enabled.
+ * - "reconnecting", with an object argument containing the "attempt" number,
+ * the "delay" in milliseconds before the attempt is made and the "error" that
+ * caused it, before each reconnection attempt.
+ * - "reconnectFailed", with an Error argument, once all reconnection attempts
+ * have failed. A "disconnect" event follows.
+ * - "status", with a {@link UfoStatus} argument, whenever a status response is
+ * received from the UFO.
+ * - "unsolicited", with a {@link UfoFrame} argument, whenever a TCP frame is
+ * received that no command was waiting for, such as a late status response or
+ * data that is not a known frame.
+ * - "error", with an Error argument, whenever a status response is invalid or
+ * the UFO disconnects due to an error. This event is emitted only if at least
+ * one listener is registered for it, so it never throws.
+ * - "disconnect", with a nullable {@link UfoDisconnectError} argument, once
+ * this object is fully disconnected.
+ */
+class Ufo extends EventEmitter {
   _dead: boolean;
   _options: UfoOptions;
   _disconnectCallback: ?Function;
@@ -30,7 +123,15 @@ class Ufo {
   _udpClient: UdpClient;
   _tcpError: ?Error;
   _udpError: ?Error;
+  _statusWatchers: Array<StatusWatcher>;
+  _effect: ?EffectPlayer;
+  _reconnectOptions: ?ReconnectPolicy;
+  _reconnecting: boolean;
+  _reconnectTimer: ?TimeoutID;
+  _disconnecting: boolean;
+  _disconnected: boolean;
   constructor(options: UfoOptions) {
+    super();
     // Flag that tracks the state of this UFO object.
     this._dead = false;
     // Capture the options provided by the user.
@@ -41,6 +142,46 @@ class Ufo {
     // Define the "client is dead" flag variables.
     this._tcpError = null;
     this._udpError = null;
+    // Status watchers are stopped when this object dies.
+    this._statusWatchers = [];
+    // The effect currently playing, if any.
+    this._effect = null;
+    // Define the reconnection policy and state.
+    this._reconnectOptions = _reconnectPolicy(options.reconnect);
+    this._reconnecting = false;
+    this._reconnectTimer = null;
+    // Flag that tells the dead handlers that the user asked us to disconnect.
+    this._disconnecting = false;
+    // Flag that tells the dead handlers that this object is permanently dead.
+    this._disconnected = false;
+  }
+  /** The base class of all errors thrown by this library. */
+  static get UfoError(): Class<UfoError> {
+    return UfoError;
+  }
+  /** The error class used when communication with a UFO fails. */
+  static get UfoDisconnectError(): Class<UfoDisconnectError> {
+    return UfoDisconnectError;
+  }
+  /** The error class used when a UFO rejects a command or sends a bad response. */
+  static get UfoProtocolError(): Class<UfoProtocolError> {
+    return UfoProtocolError;
+  }
+  /** The error class used when a TCP response fails its checksum verification. */
+  static get UfoChecksumError(): Class<UfoChecksumError> {
+    return UfoChecksumError;
+  }
+  /** The error class used to reject method calls with invalid arguments. */
+  static get UfoValidationError(): Class<UfoValidationError> {
+    return UfoValidationError;
+  }
+  /** The error class used to reject commands that time out. */
+  static get UfoTimeoutError(): Class<UfoTimeoutError> {
+    return UfoTimeoutError;
+  }
+  /** The error class used to reject commands that are aborted. */
+  static get UfoAbortError(): Class<UfoAbortError> {
+    return UfoAbortError;
   }
   /** Searches for UFOs on the network. Returned array may be empty. */
   static discover(options: UfoDiscoverOptions): Promise<Array<DiscoveredUfo>> {
@@ -50,10 +191,72 @@ class Ufo {
   static getBuiltinFunctions(): Array<BuiltinFunction> {
     return TcpClient.getBuiltinFunctions();
   }
+  /** Returns the names of the CSS named colors accepted by setNamedColor. */
+  static getNamedColors(): Array<string> {
+    return getNamedColors();
+  }
+  /**
+   * Returns the names of the client-side effects usable by playEffect:
+   * - "breathing" slowly fades the base color (default: the white output) in
+   * and out; intensity sets how far it fades out.
+   * - "candle" flickers around a warm base color; intensity sets how deep the
+   * flicker is.
+   * - "fire" flickers between deep red and orange; intensity sets how deep the
+   * flicker is.
+   * - "lightning" flashes the base color (default: all outputs) over a dim blue
+   * sky; intensity sets how often lightning strikes.
+   * - "ocean" drifts between blues and greens; intensity sets how deep the
+   * waves are.
+   * - "police" double-flashes red, then blue.
+   * - "rainbow" cycles through all hues.
+   */
+  static getEffects(): Array<string> {
+    return getEffectNames();
+  }
   /** Indicates whether or not the given custom step is a null step. */
   static isNullStep(step: CustomStep): boolean {
     return TcpClient.isNullStep(step);
   }
+  /*
+   * Event handling methods.
+   */
+  /**
+   * Emits the given error, but only if someone is listening for it.
+   * @private
+   */
+  _emitError(error: Error): void {
+    if (this.listenerCount('error') > 0) this.emit('error', error);
+  }
+  /**
+   * Called by {@link TcpClient} when it silently re-establishes a connection
+   * that the UFO closed due to inactivity.
+   * @private
+   */
+  _onTcpReconnect(): void {
+    this.emit('reconnect');
+  }
+  /**
+   * Called by {@link TcpClient} when a valid status response is received.
+   * @private
+   */
+  _onTcpStatus(status: UfoStatus): void {
+    this.emit('status', status);
+  }
+  /**
+   * Called by {@link TcpClient} when a frame that no command was waiting for
+   * is received.
+   * @private
+   */
+  _onTcpUnsolicited(frame: UfoFrame): void {
+    this.emit('unsolicited', frame);
+  }
+  /**
+   * Called by {@link TcpClient} when an invalid status response is received.
+   * @private
+   */
+  _onTcpError(error: Error): void {
+    this._emitError(error);
+  }
   /*
    * Dead handling methods.
    */
@@ -62,6 +265,9 @@ class Ufo {
    * @private
    */
   _onTcpDead(deadData: {error: ?Error, callback: ?Function}): void {
+    // Clients from a failed reconnection attempt are torn down by the
+    // reconnection logic itself.
+    if (this._reconnecting || this._disconnected) return;
     this._dead = true;
     this._tcpError = deadData.error;
     if (!this._disconnectCallback) this._disconnectCallback = deadData.callback;
@@ -76,6 +282,9 @@ class Ufo {
    * @private
    */
   _onUdpDead(deadData: {error: ?Error, callback: ?Function}): void {
+    // Clients from a failed reconnection attempt are torn down by the
+    // reconnection logic itself.
+    if (this._reconnecting || this._disconnected) return;
     this._dead = true;
     this._udpError = deadData.error;
     if (!this._disconnectCallback) this._disconnectCallback = deadData.callback;
@@ -96,25 +305,118 @@ class Ufo {
       error = new UfoDisconnectError('UFO disconnected due to an error.', this._udpError, this._tcpError);
     }
     const dc = this._disconnectCallback;
+    this._disconnectCallback = null;
     if (dc) dc(error);
+    // Notify listeners.
+    if (error) this._emitError(error);
+    // Reconnect if the user asked us to, unless the user disconnected us.
+    const reconnect = this._reconnectOptions;
+    if (error && reconnect && !this._disconnecting) {
+      this._reconnect(error, 1);
+    } else {
+      this._onUfoDisconnected(error);
+    }
+  }
+  /**
+   * Called once this object is permanently disconnected.
+   * @private
+   */
+  _onUfoDisconnected(error: ?Error): void {
+    this._disconnected = true;
+    // Stop all status watchers.
+    this._statusWatchers.forEach(w => w.stop());
+    this._statusWatchers = [];
+    this.stopEffect();
+    this.emit('disconnect', error);
+  }
+  /*
+   * Reconnection methods
+   */
+  /**
+   * Rebuilds the TCP and UDP clients and reconnects them after the given
+   * delay, retrying with exponential backoff until the reconnection policy
+   * gives up.
+   * @private
+   */
+  _reconnect(error: Error, attempt: number): void {
+    const policy = this._reconnectOptions;
+    if (!policy) return;
+    if (policy.maxAttempts > 0 && attempt > policy.maxAttempts) {
+      this._reconnecting = false;
+      this.emit('reconnectFailed', error);
+      this._onUfoDisconnected(error);
+      return;
+    }
+    // Errors from the dead clients have already been reported.
+    this._tcpError = null;
+    this._udpError = null;
+    this._reconnecting = true;
+    const delay = _reconnectDelay(policy, attempt);
+    this.emit('reconnecting', { attempt, delay, error });
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      // Carry over the UDP password, since it may have been changed.
+      const options = Object.assign({}, this._options, { password: this._udpClient._options.password });
+      this._tcpClient = new TcpClient(this, options);
+      this._udpClient = new UdpClient(this, options);
+      this._connectClients().then(() => {
+        // If the user disconnected us while connecting, these clients are
+        // already being torn down.
+        if (this._disconnecting) return;
+        this._reconnecting = false;
+        this._dead = false;
+        this.emit('reconnect');
+      }).catch((err) => {
+        // Tear down whatever this attempt managed to set up.
+        this._udpClient.disconnect();
+        this._tcpClient.disconnect();
+        if (!this._disconnecting) this._reconnect(err, attempt + 1);
+      });
+    }, delay);
   }
   /*
    * Connect/disconnect methods
    */
   /**
-   * Establishes a connection to the UFO. If this method fails, it is safe to
-   * retry connecting unless the error implies that retrying is not appropriate.
+   * Connects the UDP client, then the TCP client.
+   * @private
    */
-  connect(): Promise<void> {
+  _connectClients(): Promise<void> {
     return new Promise((resolve, reject) => {
       this._udpClient.connect().then(() => {
         this._tcpClient.connect().then(resolve).catch(reject);
       }).catch(reject);
     });
   }
+  /**
+   * Establishes a connection to the UFO. If this method fails, it is safe to
+   * retry connecting unless the error implies that retrying is not appropriate.
+   * If the given signal is aborted before the connection is established, this
+   * object is disconnected and cannot be used again.
+   */
+  connect(options?: UfoCallOptions): Promise<void> {
+    return new Promise((resolve, reject) => {
+      let aborted = false;
+      const stopAborting = onAbort(options && options.signal, (err) => {
+        aborted = true;
+        this.disconnect(() => reject(err));
+      });
+      if (aborted) return;
+      this._connectClients().then(() => {
+        stopAborting();
+        if (aborted) return;
+        this.emit('connect');
+        resolve();
+      }).catch((err) => {
+        stopAborting();
+        if (!aborted) reject(err);
+      });
+    });
+  }
   /**
    * Disconnects from the UFO. After disconnecting, this object cannot be used;
-   * you must construct a new {@link Ufo} object to reconnect.
+   * you must construct a new {@link Ufo} object to reconnect. If this object
+   * is waiting to reconnect, reconnection is abandoned.
    *
    * If a callback is provided, it is called once disconnect is finished and
    * this function returns null. Otherwise, a promise is returned that will
@@ -123,21 +425,37 @@ class Ufo {
    */
   disconnect(cb?: Function): ?Promise<void> {
     if (typeof cb === 'undefined') {
-      return new Promise((resolve, reject) => { // eslint-disable-line no-unused-vars
-        if (this._dead) { resolve(); }
-        this._dead = true;
-        this._disconnectCallback = resolve;
-        this._udpClient.disconnect();
-        this._tcpClient.disconnect();
-      });
+      return new Promise((resolve) => { this._disconnect(resolve); });
     }
-    if (this._dead) { cb(); return null; }
-    this._dead = true;
-    this._disconnectCallback = cb;
-    this._udpClient.disconnect();
-    this._tcpClient.disconnect();
+    this._disconnect(cb);
     return null;
   }
+  /**
+   * Disconnects from the UFO and invokes the given callback once disconnect is
+   * finished.
+   * @private
+   */
+  _disconnect(callback: Function): void {
+    this._disconnecting = true;
+    if (this._reconnecting) {
+      // Abandon reconnection.
+      this._reconnecting = false;
+      if (this._reconnectTimer) clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+    } else if (this._dead) {
+      callback();
+      return;
+    }
+    this._dead = true;
+    this._disconnectCallback = callback;
+    if (this._udpClient._dead && this._tcpClient._dead) {
+      // Nothing is connected, so there are no clients to wait on.
+      this._onUfoDead();
+    } else {
+      this._udpClient.disconnect();
+      this._tcpClient.disconnect();
+    }
+  }
   /*
    * Query methods
    */
@@ -145,95 +463,295 @@ class Ufo {
    * Gets the UFO's output status. If force is true, status cache is ignored.
    * Result is null iff this UFO object is dead.
    */
-  getStatus(force: boolean = false): Promise<?UfoStatus> {
-    return this._tcpClient.status(force);
+  getStatus(force: boolean = false, options?: UfoCallOptions): Promise<?UfoStatus> {
+    return this._tcpClient.status(force, options);
+  }
+  /**
+   * Returns a {@link StatusWatcher} that polls the UFO's status in the
+   * background and notifies its subscribers whenever the power flag, mode,
+   * speed or RGBW values change (e.g. because someone used the mobile app or
+   * an IR remote). Polling only occurs while the watcher has at least one
+   * subscriber.
+   */
+  watchStatus(options?: StatusWatchOptions): StatusWatcher {
+    const watcher = new StatusWatcher(this, options);
+    // Watchers whose signal was already aborted are stopped on creation.
+    if (this._disconnected) watcher.stop();
+    else if (!watcher._stopped) this._statusWatchers.push(watcher);
+    return watcher;
+  }
+  /**
+   * Gets the UFO's red, green and blue output values as an HSV color. The white
+   * output value is ignored. Result is null iff this UFO object is dead.
+   */
+  getHsv(options?: UfoCallOptions): Promise<?UfoHsv> {
+    return this._getColor(rgbToHsv, options);
+  }
+  /**
+   * Gets the UFO's red, green and blue output values as an HSL color. The white
+   * output value is ignored. Result is null iff this UFO object is dead.
+   */
+  getHsl(options?: UfoCallOptions): Promise<?UfoHsl> {
+    return this._getColor(rgbToHsl, options);
+  }
+  /**
+   * Gets the UFO's output values as a hex string: "#rrggbb", or "#rrggbbww"
+   * if the white output value is not zero. Result is null iff this UFO object
+   * is dead.
+   */
+  getHex(options?: UfoCallOptions): Promise<?string> {
+    return this.getStatus(false, options).then((status) => {
+      if (!status) return null;
+      const hex = rgbToHex(status);
+      return status.white === 0 ? hex : `${hex}${_.padStart(status.white.toString(16), 2, '0')}`;
+    });
+  }
+  /**
+   * Gets the name of the CSS named color matching the UFO's red, green and
+   * blue output values exactly. The white output value is ignored. Result is
+   * null if this UFO object is dead or no named color matches.
+   */
+  getNamedColor(options?: UfoCallOptions): Promise<?string> {
+    return this._getColor(rgbToNamedColor, options);
+  }
+  /**
+   * Gets the UFO's brightness, 0-100 inclusive, where 100 means the brightest
+   * output is fully on. If the output has not been changed since the last call
+   * to setBrightness, the brightness set by that call is returned. Result is
+   * null iff this UFO object is dead.
+   */
+  getBrightness(options?: UfoCallOptions): Promise<?number> {
+    return this._tcpClient.getBrightness(options);
+  }
+  /**
+   * Converts the UFO's output status using the given function.
+   * @private
+   */
+  _getColor<T>(convert: (UfoRgb) => ?T, options?: UfoCallOptions): Promise<?T> {
+    return this.getStatus(false, options).then(status => (status ? convert(status) : null));
   }
   /*
    * RGBW control methods
    */
   /** Sets the UFO's output flag to the given value. */
-  setPower(on: boolean): Promise<void> {
-    return on ? this.turnOn() : this.turnOff();
+  setPower(on: boolean, options?: UfoCallOptions): Promise<void> {
+    return on ? this.turnOn(options) : this.turnOff(options);
   }
   /** Turns the UFO on. */
-  turnOn(): Promise<void> {
-    return this._tcpClient.on();
+  turnOn(options?: UfoCallOptions): Promise<void> {
+    return this._tcpClient.on(options);
   }
   /** Turns the UFO off. */
-  turnOff(): Promise<void> {
-    return this._tcpClient.off();
+  turnOff(options?: UfoCallOptions): Promise<void> {
+    return this._tcpClient.off(options);
   }
   /** Toggle the UFO's output flag. */
-  togglePower(): Promise<void> {
-    return new Promise((resolve, reject) => {
-      this.getStatus().then((status) => {
-        if (status) {
-          const result = status.on ? this.turnOff() : this.turnOn();
-          result.then(resolve).catch(reject);
-        } else {
-          reject(new Error('Status object is null.'));
-        }
-      }).catch(reject);
-    });
+  togglePower(options?: UfoCallOptions): Promise<void> {
+    return this._tcpClient.toggle(options);
   }
   /**
    * Sets the UFO output to the static values specified. The RGBW values are
    * clamped from 0-255 inclusive, where 0 is off and 255 is fully on/100% output.
    */
-  setColor(red: number, green: number, blue: number, white: number): Promise<void> {
-    return this._tcpClient.rgbw(red, green, blue, white);
+  setColor(red: number, green: number, blue: number, white: number, options?: UfoCallOptions): Promise<void> {
+    return this._tcpClient.rgbw(red, green, blue, white, options);
+  }
+  /**
+   * Sets the UFO output to the given HSV color, with the white output value set
+   * to zero. The hue is in degrees and wraps around at 360; the saturation and
+   * value are clamped from 0-100 inclusive.
+   */
+  setHsv(hue: number, saturation: number, value: number, options?: UfoCallOptions): Promise<void> {
+    return this._setRgb(hsvToRgb({ hue, saturation, value }), options);
+  }
+  /**
+   * Sets the UFO output to the given HSL color, with the white output value set
+   * to zero. The hue is in degrees and wraps around at 360; the saturation and
+   * lightness are clamped from 0-100 inclusive.
+   */
+  setHsl(hue: number, saturation: number, lightness: number, options?: UfoCallOptions): Promise<void> {
+    return this._setRgb(hslToRgb({ hue, saturation, lightness }), options);
+  }
+  /**
+   * Sets the UFO output to the given hex color. The leading "#" is optional.
+   * Accepts "#rgb", "#rrggbb" and "#rrggbbww" forms; the white output value is
+   * set to zero unless given. The promise will be rejected if the string is not
+   * a valid hex color.
+   */
+  setHex(hex: string, options?: UfoCallOptions): Promise<void> {
+    const color = parseHex(hex);
+    if (!color) return Promise.reject(new UfoValidationError(`Invalid hex color '${hex}'.`));
+    return this.setColor(color.red, color.green, color.blue, color.white, options);
+  }
+  /**
+   * Sets the UFO output to the given CSS named color (e.g. "orange"), with the
+   * white output value set to zero. Names are case-insensitive. The promise
+   * will be rejected if there is no such color; see {@link Ufo.getNamedColors}.
+   */
+  setNamedColor(name: string, options?: UfoCallOptions): Promise<void> {
+    const color = namedColorToRgb(name);
+    if (!color) return Promise.reject(new UfoValidationError(`No such named color '${name}'.`));
+    return this._setRgb(color, options);
+  }
+  /**
+   * Dims or brightens the UFO output to the given brightness, scaling all
+   * output values proportionally so the color stays the same. The brightness
+   * is clamped from 0-100 inclusive, where 100 means the brightest output is
+   * fully on. The color at full brightness is remembered, so dimming down and
+   * back up does not lose precision. If all output values are zero and no
+   * color is remembered, the output is left unchanged.
+   */
+  setBrightness(percent: number, options?: UfoCallOptions): Promise<void> {
+    return this._tcpClient.brightness(percent, options);
+  }
+  /**
+   * Sets the UFO output to a shade of white with the given color temperature in
+   * Kelvin, mixing the white output with the red, green and blue outputs. The
+   * color temperature is clamped from 2000-6500 inclusive and the brightness
+   * from 0-100 inclusive. Set the whiteTemperature option in
+   * {@link UfoOptions} to the temperature of the UFO's white LEDs for the best
+   * results.
+   */
+  setColorTemperature(kelvin: number, brightness: number = 100, options?: UfoCallOptions): Promise<void> {
+    const whiteTemperature = this._options.whiteTemperature || defaultWhiteTemperature;
+    const color = temperatureToRgbw(kelvin, brightness, whiteTemperature);
+    return this.setColor(color.red, color.green, color.blue, color.white, options);
+  }
+  /**
+   * Sets the UFO output to the given RGB values, with the white output value
+   * set to zero.
+   * @private
+   */
+  _setRgb(color: UfoRgb, options?: UfoCallOptions): Promise<void> {
+    return this.setColor(color.red, color.green, color.blue, 0, options);
+  }
+  /**
+   * Smoothly fades the UFO output from its current values to the given ones
+   * over the given number of milliseconds, by sending interpolated output
+   * values at the frame rate given in the options. Values that are not given
+   * keep their current value.
+   *
+   * The promise resolves with the output values at the end of the fade. If the
+   * fade is cancelled via the signal in the options, it stops and resolves
+   * with the last output values written. Result is null iff this UFO object is
+   * dead. The promise will be rejected if an invalid easing curve is given.
+   * Any effect already playing is stopped before the fade starts.
+   */
+  fadeTo(target: UfoFadeTarget, duration: number, options?: UfoFadeOptions): Promise<?UfoRgbw> {
+    return this.stopEffect().then(() => fade(this, target, duration, options));
+  }
+  /**
+   * Starts playing the client-side effect with the given name (see
+   * {@link Ufo.getEffects}), which renders the effect frame by frame and
+   * streams the output values to the UFO until stopped. Only one effect plays
+   * at a time; any effect already playing is stopped. Throws a
+   * {@link UfoValidationError} if there is no such effect.
+   */
+  playEffect(name: string, options?: UfoEffectOptions): EffectPlayer {
+    return this._startEffect(new EffectPlayer(this, name, options));
+  }
+  /**
+   * Plays the given sequence of steps, each lasting the given number of
+   * milliseconds. Sequences the UFO can play by itself are uploaded as a custom
+   * function (see {@link Ufo#setCustom}), in which case the promise resolves
+   * with null. Otherwise the sequence is played in software like an effect (see
+   * {@link Ufo#playEffect}), with any number of steps, the white output and
+   * per-step durations, and the promise resolves with its player. Either way,
+   * any effect already playing is stopped. The promise will be rejected if no
+   * steps or an invalid mode are given.
+   *
+   * A sequence is uploaded if it loops, has at most 16 steps, uses no white
+   * output, has no null steps (see {@link Ufo#setCustom}) and all of its steps
+   * last the same time, between 400 and 4600 milliseconds inclusive. Step
+   * durations are approximated by the nearest speed of the custom function; see
+   * {@link Ufo#setCustom}.
+   */
+  playSequence(steps: Array<UfoSequenceStep>, options: UfoSequenceOptions = {}): Promise<?EffectPlayer> {
+    const mode = options.mode || 'jumping';
+    if (!isSequenceMode(mode)) return Promise.reject(new UfoValidationError(`Invalid mode '${mode}'.`));
+    if (!steps || steps.length === 0) return Promise.reject(new UfoValidationError('No steps given.'));
+    const durations = stepDurations(steps, options);
+    const loop = options.loop !== false;
+    const speed = loop ? hardwareSpeed(steps, durations, this._tcpClient._speedTables) : null;
+    if (speed !== null && speed !== undefined) {
+      const customSteps = steps.map(s => ({ red: s.red, green: s.green, blue: s.blue }));
+      return this.stopEffect()
+        .then(() => this.setCustom(mode, speed, customSteps, { timeout: options.timeout, signal: options.signal }))
+        .then(() => null);
+    }
+    return Promise.resolve(this._startEffect(new EffectPlayer(this, createSequence(steps, mode, durations, loop), {
+      frameRate: options.frameRate,
+      duration: loop ? 0 : _.sum(durations),
+      timeout: options.timeout,
+      signal: options.signal,
+    })));
+  }
+  /**
+   * Stops the effect currently playing, if any, and starts playing the given
+   * one in its place once the stopped effect's last frame is written.
+   * @private
+   */
+  _startEffect(player: EffectPlayer): EffectPlayer {
+    const previous = this._effect ? this.stopEffect() : undefined;
+    this._effect = player;
+    if (this._dead) player.stop();
+    else player._play(previous);
+    return player;
+  }
+  /**
+   * Stops the effect currently playing, if any. The promise resolves with the
+   * last output values written by the effect, or null if there is no effect or
+   * it wrote none.
+   */
+  stopEffect(): Promise<?UfoRgbw> {
+    const effect = this._effect;
+    this._effect = null;
+    return effect ? effect.stop() : Promise.resolve(null);
   }
   /**
    * Sets the red output value. If solo is true, all other output values are set
    * to zero. Input value is clamped to 0-255 inclusive.
    */
-  setRed(value: number, solo: boolean): Promise<void> {
-    return this._setSingle(0, value, solo);
+  setRed(value: number, solo: boolean, options?: UfoCallOptions): Promise<void> {
+    return this._setSingle(0, value, solo, options);
   }
   /**
    * Sets the green output value. If solo is true, all other output values are
    * set to zero. Input value is clamped to 0-255 inclusive.
    */
-  setGreen(value: number, solo: boolean): Promise<void> {
-    return this._setSingle(1, value, solo);
+  setGreen(value: number, solo: boolean, options?: UfoCallOptions): Promise<void> {
+    return this._setSingle(1, value, solo, options);
   }
   /**
    * Sets the blue output value. If solo is true, all other output values are
    * set to zero. Input value is clamped to 0-255 inclusive.
    */
-  setBlue(value: number, solo: boolean): Promise<void> {
-    return this._setSingle(2, value, solo);
+  setBlue(value: number, solo: boolean, options?: UfoCallOptions): Promise<void> {
+    return this._setSingle(2, value, solo, options);
   }
   /**
    * Sets the white output value. If solo is true, all other output values are
    * set to zero. Input value is clamped to 0-255 inclusive.
    */
-  setWhite(value: number, solo: boolean): Promise<void> {
-    return this._setSingle(3, value, solo);
+  setWhite(value: number, solo: boolean, options?: UfoCallOptions): Promise<void> {
+    return this._setSingle(3, value, solo, options);
   }
   /**
    * Sets the given position in the RGBW byte array. If solo is true, all other
    * output values are set to zero. Input value is clamped to 0-255 inclusive.
    * @private
    */
-  _setSingle(position: number, value: number, solo: boolean): Promise<void> {
-    return new Promise((resolve, reject) => {
-      if (solo) {
-        const values = [0, 0, 0, 0];
-        values[position] = value;
-        this.setColor(...values).then(resolve).catch(reject);
-      } else {
-        this.getStatus().then((status) => {
-          if (status) {
-            const values = [status.red, status.green, status.blue, status.white];
-            values[position] = value;
-            this.setColor(...values).then(resolve).catch(reject);
-          } else {
-            reject(new Error('Status object is null.'));
-          }
-        }).catch(reject);
-      }
-    });
+  _setSingle(position: number, value: number, solo: boolean, options?: UfoCallOptions): Promise<void> {
+    if (solo) {
+      const values = [0, 0, 0, 0];
+      values[position] = value;
+      return this.setColor(values[0], values[1], values[2], values[3], options);
+    }
+    return this._tcpClient.updateRgbw((status) => {
+      const values = [status.red, status.green, status.blue, status.white];
+      values[position] = value;
+      return values;
+    }, options);
   }
   /**
    * Starts one of the UFO's built-in functions at the given speed. The promise
@@ -241,12 +759,26 @@ class Ufo {
    *
    * The speed is clamped from 0-100 inclusive. Speed values do not result in
    * the same durations across all functions (e.g. sevenColorStrobeFlash is
-   * much faster at speed 100 than sevenColorJumpingChange); you will need to
-   * experiment with different values to get the desired timing for the function
-   * you wish to use.
+   * much faster at speed 100 than sevenColorJumpingChange).
+   *
+   * Alternatively, the speed may be given as the duration of one full cycle of
+   * the function, e.g. <code>{ periodSeconds: 10 }</code>, which is converted
+   * to the nearest speed using an approximate table of durations for each
+   * function, or the function's table in the speedTables option (see
+   * {@link Ufo#measureSpeeds}). The promise will be rejected if the duration is
+   * not a positive number or the function does not cycle.
    */
-  setBuiltin(name: BuiltinFunction, speed: number): Promise<void> {
-    return this._tcpClient.builtin(name, speed);
+  setBuiltin(name: BuiltinFunction, speed: number | UfoBuiltinSpeed, options?: UfoCallOptions): Promise<void> {
+    if (typeof speed !== 'object') return this._tcpClient.builtin(name, speed, options);
+    const { periodSeconds } = speed;
+    if (!isValidSeconds(periodSeconds)) {
+      return Promise.reject(new UfoValidationError(`Invalid period ${String(periodSeconds)}, must be positive.`));
+    }
+    const value = builtinSpeed(this._tcpClient._speedTables, name, periodSeconds);
+    if (value === null || value === undefined) {
+      return Promise.reject(new UfoValidationError(`Built-in function ${name} has no period.`));
+    }
+    return this._tcpClient.builtin(name, value, options);
   }
   /**
    * Starts the given custom function. The promise will be rejected if an
@@ -262,35 +794,91 @@ class Ufo {
    *    - 10 = 3.2 seconds
    *    - 5 = 3.9 seconds
    *    - 0 = 4.6 seconds
+   * - Alternatively, the speed may be given as the duration of each step, e.g.
+   * <code>{ stepSeconds: 2.5 }</code>, which is converted to the nearest speed
+   * using the list above, or the custom table of the speedTables option (see
+   * {@link Ufo#measureSpeeds}). The promise will be rejected if the duration is
+   * not a positive number.
    * - Only the first 16 steps in the given array are considered. Any additional
    * steps are ignored.
    * - If any null steps are specified in the array, they are dropped *before*
    * the limit of 16 documented above is considered.
    */
-  setCustom(mode: CustomMode, speed: number, steps: Array<CustomStep>): Promise<void> {
-    return this._tcpClient.custom(mode, speed, steps);
+  setCustom(
+    mode: CustomMode,
+    speed: number | UfoCustomSpeed,
+    steps: Array<CustomStep>,
+    options?: UfoCallOptions,
+  ): Promise<void> {
+    if (typeof speed !== 'object') return this._tcpClient.custom(mode, speed, steps, options);
+    const { stepSeconds } = speed;
+    if (!isValidSeconds(stepSeconds)) {
+      return Promise.reject(new UfoValidationError(`Invalid step duration ${String(stepSeconds)}, must be positive.`));
+    }
+    return this._tcpClient.custom(mode, customSpeed(this._tcpClient._speedTables, stepSeconds), steps, options);
+  }
+  /**
+   * Measures how long the given function takes at several speeds by playing it
+   * at each speed and polling the UFO's status, resolving with a table of the
+   * durations measured. The function is either "custom", in which case the
+   * durations are step durations, or a built-in function that cycles, in which
+   * case they are the durations of one full cycle. The function keeps playing
+   * at the last speed afterwards.
+   *
+   * Pass the tables measured for each function as the speedTables option (see
+   * {@link UfoOptions}) to use them instead of the library's approximate tables,
+   * which were measured on a single UFO and may not match other firmware.
+   *
+   * Each speed is sampled for four times its currently expected duration, or
+   * for the maxDuration option if shorter, so durations up to twice as long as
+   * expected can be measured; speeds that cannot be measured are left out of
+   * the table. The promise will be rejected if the function does not cycle, the
+   * speeds are invalid or fewer than two speeds could be measured.
+   */
+  measureSpeeds(name: 'custom' | BuiltinFunction, options?: UfoSpeedMeasureOptions): Promise<UfoSpeedTable> {
+    return measureSpeeds(this, this._tcpClient._speedTables, name, options);
   }
   /**
    * Freezes the playback of whatever built-in or custom function is currently
    * running. The output remains on after being frozen.
    */
-  freezeOutput(): Promise<void> {
-    return this.setBuiltin('noFunction', 0);
+  freezeOutput(options?: UfoCallOptions): Promise<void> {
+    return this.setBuiltin('noFunction', 0, options);
   }
   /** Sets all output to zero. */
-  zeroOutput(): Promise<void> {
-    return this.setColor(0, 0, 0, 0);
+  zeroOutput(options?: UfoCallOptions): Promise<void> {
+    return this.setColor(0, 0, 0, 0, options);
+  }
+  /*
+   * Timer methods
+   */
+  /**
+   * Gets the six timers stored on the UFO, which act on the output at set times
+   * even while no client is connected. Result is null iff this UFO object is
+   * dead.
+   */
+  getTimers(options?: UfoCallOptions): Promise<?Array<UfoTimer>> {
+    return this._tcpClient.timers(options);
+  }
+  /**
+   * Replaces the timers stored on the UFO with the given timers, up to six.
+   * Unused timer slots are made inactive, so passing an empty array clears all
+   * timers. The promise will be rejected with a {@link UfoValidationError} if
+   * more than six timers or an invalid timer are given.
+   */
+  setTimers(timers: Array<UfoTimer>, options?: UfoCallOptions): Promise<void> {
+    return this._tcpClient.setTimers(timers, options);
   }
   /*
    * UFO configuration getter methods
    */
   /** Returns the UFO's hardware/firmware version. */
-  getVersion(): Promise<null | string> {
-    return this._udpClient.getVersion();
+  getVersion(options?: UfoCallOptions): Promise<null | string> {
+    return this._udpClient.getVersion(options);
   }
   /** Returns the UFO's NTP server IP address. */
-  getNtpServer(): Promise<null | string> {
-    return this._udpClient.getNtpServer();
+  getNtpServer(options?: UfoCallOptions): Promise<null | string> {
+    return this._udpClient.getNtpServer(options);
   }
   /**
    * Returns the UFO's WiFi "auto-switch" setting, which is one of the
@@ -308,8 +896,8 @@ class Ufo {
    * Note that this method always returns a string even if the value is a
    * number.
    */
-  getWifiAutoSwitch(): Promise<null | string> {
-    return this._udpClient.getWifiAutoSwitch();
+  getWifiAutoSwitch(options?: UfoCallOptions): Promise<null | string> {
+    return this._udpClient.getWifiAutoSwitch(options);
   }
   /**
    * Returns the UFO's WiFi mode:
@@ -317,57 +905,57 @@ class Ufo {
    * - "STA" (client mode)
    * - "APSTA" (client and AP mode)
    */
-  getWifiMode(): Promise<null | string> {
-    return this._udpClient.getWifiMode();
+  getWifiMode(options?: UfoCallOptions): Promise<null | string> {
+    return this._udpClient.getWifiMode(options);
   }
   /** Performs a WiFi AP scan from the UFO and returns the results. */
-  doWifiScan(): Promise<null | Array<WifiNetwork>> {
-    return this._udpClient.doWifiScan();
+  doWifiScan(options?: UfoCallOptions): Promise<null | Array<WifiNetwork>> {
+    return this._udpClient.doWifiScan(options);
   }
   /** Returns the IP address and netmask of the UFO AP. */
-  getWifiApIp(): Promise<null | {ip: string, mask: string}> {
-    return this._udpClient.getWifiApIp();
+  getWifiApIp(options?: UfoCallOptions): Promise<null | {ip: string, mask: string}> {
+    return this._udpClient.getWifiApIp(options);
   }
   /** Returns the UFO AP's broadcast information. Channel is 1-11 inclusive. */
-  getWifiApBroadcast(): Promise<null | {mode: 'b' | 'bg' | 'bgn', ssid: string, channel: number}> {
-    return this._udpClient.getWifiApBroadcast();
+  getWifiApBroadcast(options?: UfoCallOptions): Promise<null | {mode: 'b' | 'bg' | 'bgn', ssid: string, channel: number}> {
+    return this._udpClient.getWifiApBroadcast(options);
   }
   /** Returns the UFO AP's passphrase. If null, AP network is open. */
-  getWifiApPassphrase(): Promise<null | string> {
-    return this._udpClient.getWifiApPassphrase();
+  getWifiApPassphrase(options?: UfoCallOptions): Promise<null | string> {
+    return this._udpClient.getWifiApPassphrase(options);
   }
   /**
    * Returns the UFO AP's connection LED flag. If on, the UFO's blue LED will
    * turn on when any client is connected to the AP.
    */
-  getWifiApLed(): Promise<null | boolean> {
-    return this._udpClient.getWifiApLed();
+  getWifiApLed(options?: UfoCallOptions): Promise<null | boolean> {
+    return this._udpClient.getWifiApLed(options);
   }
   /**
    * Returns the UFO AP's DHCP server settings. If DHCP is on, the returned
    * object's "start" and "end" properties will be 0-254 inclusive.
    */
-  getWifiApDhcp(): Promise<null | {on: boolean, start?: number, end?: number}> {
-    return this._udpClient.getWifiApDhcp();
+  getWifiApDhcp(options?: UfoCallOptions): Promise<null | {on: boolean, start?: number, end?: number}> {
+    return this._udpClient.getWifiApDhcp(options);
   }
   /**
    * Returns the UFO client's AP SSID and MAC address. If the UFO is not
    * connected to any AP, the returned object will be null.
    */
-  getWifiClientApInfo(): Promise<null | {ssid: string, mac: string}> {
-    return this._udpClient.getWifiClientApInfo();
+  getWifiClientApInfo(options?: UfoCallOptions): Promise<null | {ssid: string, mac: string}> {
+    return this._udpClient.getWifiClientApInfo(options);
   }
   /** Returns the UFO client's AP signal strength, as seen by the UFO. */
-  getWifiClientApSignal(): Promise<null | string> {
-    return this._udpClient.getWifiClientApSignal();
+  getWifiClientApSignal(options?: UfoCallOptions): Promise<null | string> {
+    return this._udpClient.getWifiClientApSignal(options);
   }
   /** Returns the UFO client's IP configuration. */
-  getWifiClientIp(): Promise<null | {dhcp: boolean, ip: string, mask: string, gateway: string}> {
-    return this._udpClient.getWifiClientIp();
+  getWifiClientIp(options?: UfoCallOptions): Promise<null | {dhcp: boolean, ip: string, mask: string, gateway: string}> {
+    return this._udpClient.getWifiClientIp(options);
   }
   /** Returns the UFO client's AP SSID. */
-  getWifiClientSsid(): Promise<null | string> {
-    return this._udpClient.getWifiClientSsid();
+  getWifiClientSsid(options?: UfoCallOptions): Promise<null | string> {
+    return this._udpClient.getWifiClientSsid(options);
   }
   /**
    * Returns the UFO client's AP auth settings.
@@ -382,29 +970,29 @@ class Ufo {
    * - If encryption is TKIP or AES, paraphrase is 8-63 ASCII characters in
    * length, inclusive.
    */
-  getWifiClientAuth(): Promise<null | {auth: string, encryption: string, passphrase: string | null}> {
-    return this._udpClient.getWifiClientAuth();
+  getWifiClientAuth(options?: UfoCallOptions): Promise<null | {auth: string, encryption: string, passphrase: string | null}> {
+    return this._udpClient.getWifiClientAuth(options);
   }
   /*
    * UFO configuration setter methods
    */
   /** Sets the NTP server IP address. */
-  setNtpServer(ipAddress: string): Promise<void> {
-    return this._udpClient.setNtpServer(ipAddress);
+  setNtpServer(ipAddress: string, options?: UfoCallOptions): Promise<void> {
+    return this._udpClient.setNtpServer(ipAddress, options);
   }
   /**
    * Sets the UFO's UDP password. If an error occurs while executing this
    * command, the owning UFO object will be disconnected.
    */
-  setUdpPassword(password: string): Promise<void> {
-    return this._udpClient.setUdpPassword(password);
+  setUdpPassword(password: string, options?: UfoCallOptions): Promise<void> {
+    return this._udpClient.setUdpPassword(password, options);
   }
   /**
    * Sets the UFO's TCP port. The owning UFO object will be disconnected after
    * this method is invoked.
    */
-  setTcpPort(port: number): Promise<void> {
-    return this._udpClient.setTcpPort(port);
+  setTcpPort(port: number, options?: UfoCallOptions): Promise<void> {
+    return this._udpClient.setTcpPort(port, options);
   }
   /**
    * Sets the UFO's WiFi "auto-switch" setting, which is one of the following:
@@ -418,8 +1006,8 @@ class Ufo {
    * itself and enable its AP mode after the specified number of minutes have
    * passed.
    */
-  setWifiAutoSwitch(value: 'off' | 'on' | 'auto' | number): Promise<void> {
-    return this._udpClient.setWifiAutoSwitch(value);
+  setWifiAutoSwitch(value: 'off' | 'on' | 'auto' | number, options?: UfoCallOptions): Promise<void> {
+    return this._udpClient.setWifiAutoSwitch(value, options);
   }
   /**
    * Sets the UFO's WiFi mode:
@@ -427,50 +1015,50 @@ class Ufo {
    * - "STA" (client mode)
    * - "APSTA" (client and AP mode)
    */
-  setWifiMode(mode: 'AP' | 'STA' | 'APSTA'): Promise<void> {
-    return this._udpClient.setWifiMode(mode);
+  setWifiMode(mode: 'AP' | 'STA' | 'APSTA', options?: UfoCallOptions): Promise<void> {
+    return this._udpClient.setWifiMode(mode, options);
   }
   /** Sets the IP address and netmask of the UFO AP. */
-  setWifiApIp(ip: string, mask: string): Promise<void> {
-    return this._udpClient.setWifiApIp(ip, mask);
+  setWifiApIp(ip: string, mask: string, options?: UfoCallOptions): Promise<void> {
+    return this._udpClient.setWifiApIp(ip, mask, options);
   }
   /** Sets the UFO AP's broadcast information. Channel is 1-11 inclusive. */
-  setWifiApBroadcast(mode: 'b' | 'bg' | 'bgn', ssid: string, channel: number): Promise<void> {
-    return this._udpClient.setWifiApBroadcast(mode, ssid, channel);
+  setWifiApBroadcast(mode: 'b' | 'bg' | 'bgn', ssid: string, channel: number, options?: UfoCallOptions): Promise<void> {
+    return this._udpClient.setWifiApBroadcast(mode, ssid, channel, options);
   }
   /** Sets the UFO's AP passphrase. If null, network will be open. */
-  setWifiApPassphrase(passphrase: string | null): Promise<void> {
-    return this._udpClient.setWifiApPassphrase(passphrase);
+  setWifiApPassphrase(passphrase: string | null, options?: UfoCallOptions): Promise<void> {
+    return this._udpClient.setWifiApPassphrase(passphrase, options);
   }
   /**
    * Sets the UFO AP's connection LED flag. If on, the UFO's blue LED will turn
    * on when any client is connected to the AP.
    */
-  setWifiApLed(on: boolean): Promise<void> {
-    return this._udpClient.setWifiApLed(on);
+  setWifiApLed(on: boolean, options?: UfoCallOptions): Promise<void> {
+    return this._udpClient.setWifiApLed(on, options);
   }
   /**
    * Sets the UFO AP's DHCP address range. Both arguments are 0-254 inclusive.
    * This command implicitly enables the DHCP server.
    */
-  setWifiApDhcp(start: number, end: number): Promise<void> {
-    return this._udpClient.setWifiApDhcp(start, end);
+  setWifiApDhcp(start: number, end: number, options?: UfoCallOptions): Promise<void> {
+    return this._udpClient.setWifiApDhcp(start, end, options);
   }
   /** Disables the UFO AP's DHCP server. */
-  disableWifiApDhcp(): Promise<void> {
-    return this._udpClient.disableWifiApDhcp();
+  disableWifiApDhcp(options?: UfoCallOptions): Promise<void> {
+    return this._udpClient.disableWifiApDhcp(options);
   }
   /** Enables DHCP mode for the UFO client. */
-  setWifiClientIpDhcp(): Promise<void> {
-    return this._udpClient.setWifiClientIpDhcp();
+  setWifiClientIpDhcp(options?: UfoCallOptions): Promise<void> {
+    return this._udpClient.setWifiClientIpDhcp(options);
   }
   /** Sets the IP configuration for the UFO client. Implicitly disables DHCP. */
-  setWifiClientIpStatic(ip: string, mask: string, gateway: string): Promise<void> {
-    return this._udpClient.setWifiClientIpStatic(ip, mask, gateway);
+  setWifiClientIpStatic(ip: string, mask: string, gateway: string, options?: UfoCallOptions): Promise<void> {
+    return this._udpClient.setWifiClientIpStatic(ip, mask, gateway, options);
   }
   /** Sets the UFO client's AP SSID. */
-  setWifiClientSsid(ssid: string): Promise<void> {
-    return this._udpClient.setWifiClientSsid(ssid);
+  setWifiClientSsid(ssid: string, options?: UfoCallOptions): Promise<void> {
+    return this._udpClient.setWifiClientSsid(ssid, options);
   }
   /**
    * Sets the UFO client's AP auth settings.
@@ -489,25 +1077,64 @@ class Ufo {
     auth: 'OPEN' | 'SHARED' | 'WPAPSK' | 'WPA2PSK',
     encryption: 'NONE' | 'WEP-H' | 'WEP-A' | 'TKIP' | 'AES',
     passphrase?: string | null,
+    options?: UfoCallOptions,
   ): Promise<void> {
-    return this._udpClient.setWifiClientAuth(auth, encryption, passphrase);
+    return this._udpClient.setWifiClientAuth(auth, encryption, passphrase, options);
   }
   /*
    * Miscellaneous methods
    */
+  /**
+   * Invokes the given callback with this object and batches all UFO
+   * configuration methods it calls into a single UDP command session. The UFO
+   * is put in command mode once, before the first command, and taken out of it
+   * once the promise returned by the callback settles, instead of once per
+   * command. This saves two round trips per command. The returned promise
+   * settles the same way as the callback's promise.
+   *
+   * Commands in a session must be awaited one at a time, and only one session
+   * can be active at a time.
+   */
+  udpSession<T>(callback: (Ufo) => Promise<T>): Promise<T> {
+    return this._udpClient.session(() => callback(this));
+  }
+  /**
+   * Sends an arbitrary AT command to the UFO and returns the lines of its
+   * response. The "AT+" prefix of the name is optional; any arguments are
+   * joined with commas, e.g. sendAtCommand('PING', '192.168.1.1') sends
+   * "AT+PING=192.168.1.1". If the last argument is a non-null object, it is
+   * used as the {@link UfoCallOptions} for this call.
+   *
+   * This is useful for commands not covered by this API, such as "H" (help),
+   * "MID" (module ID) or "WSMAC" (MAC address). Be careful: setters can
+   * leave the UFO unreachable.
+   *
+   * The UFO never responds to "Z" (reboot) and "Q" (end command mode), so
+   * those resolve with no lines as soon as they are sent. Unlike
+   * {@link Ufo#reboot}, sending "Z" does not disconnect this object.
+   */
+  sendAtCommand(name: string, ...args: Array<string | number | UfoCallOptions>): Promise<null | Array<string>> {
+    let options;
+    const last = args[args.length - 1];
+    if (last !== null && typeof last === 'object') {
+      options = last;
+      args.pop();
+    }
+    return this._udpClient.atCommand(name, args.map(arg => String(arg)), options);
+  }
   /**
    * Reboots the UFO. The owning UFO object will be disconnected after this
    * method is invoked.
    */
-  reboot(): Promise<void> {
-    return this._udpClient.reboot();
+  reboot(options?: UfoCallOptions): Promise<void> {
+    return this._udpClient.reboot(options);
   }
   /**
    * Resets the UFO to factory defaults. The owning UFO object will be
    * disconnected after this method is invoked.
    */
-  factoryReset(): Promise<void> {
-    return this._udpClient.factoryReset();
+  factoryReset(options?: UfoCallOptions): Promise<void> {
+    return this._udpClient.factoryReset(options);
   }
 }
 export default Ufo;
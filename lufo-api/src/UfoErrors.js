@@ -0,0 +1,107 @@
+// @flow
+import type { UfoAbortSignal } from './UfoOptions';
+
+/**
+ * The base class of all errors thrown by this library. Calling code can use
+ * instanceof checks against this class and its subclasses to tell errors
+ * apart, rather than matching on error messages.
+ */
+export class UfoError extends Error {
+  constructor(message: string) {
+    super(message);
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+/**
+ * Errors of this type are thrown when communication with a UFO fails. The error
+ * object contains a message and an optional error from the UDP and TCP sockets
+ * that may have contributed to this error.
+ */
+export class UfoDisconnectError extends UfoError {
+  udpError: ?Error;
+  tcpError: ?Error;
+  constructor(message: string, udpError: ?Error, tcpError: ?Error) {
+    super(message);
+    this.udpError = udpError;
+    this.tcpError = tcpError;
+  }
+}
+/**
+ * Errors of this type are thrown when a UFO rejects a command or sends a
+ * response that does not make sense. The error object contains the name of
+ * the command and, if the UFO sent an AT command error (e.g. "+ERR=-4"), the
+ * raw error code (e.g. "-4"). The code is null for all other errors.
+ */
+export class UfoProtocolError extends UfoError {
+  command: string;
+  code: ?string;
+  constructor(message: string, command: string, code: ?string = null) {
+    super(message);
+    this.command = command;
+    this.code = code;
+  }
+}
+/**
+ * Errors of this type are thrown when a TCP response from a UFO fails its
+ * checksum verification. The error object contains the checksum sent by the
+ * UFO and the checksum computed from the rest of the response.
+ */
+export class UfoChecksumError extends UfoProtocolError {
+  expected: number;
+  actual: number;
+  constructor(message: string, command: string, expected: number, actual: number) {
+    super(message, command);
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+/**
+ * Errors of this type are thrown when a method is invoked with invalid
+ * arguments. No command is sent to the UFO in this case.
+ */
+export class UfoValidationError extends UfoError {}
+/**
+ * Errors of this type are thrown when a UFO does not respond to a command
+ * within the configured timeout. The error object contains the name of the
+ * command and the timeout that expired, in milliseconds. Timeouts do not
+ * disconnect the owning UFO object; it remains usable afterwards.
+ */
+export class UfoTimeoutError extends UfoError {
+  command: string;
+  timeout: number;
+  constructor(command: string, timeout: number) {
+    super(`UFO did not respond to the "${command}" command within ${timeout}ms.`);
+    this.command = command;
+    this.timeout = timeout;
+  }
+}
+/**
+ * Errors of this type are thrown when a command is cancelled via the
+ * AbortSignal given in its {@link UfoCallOptions}. Aborting a command does not
+ * disconnect the owning UFO object; it remains usable afterwards.
+ */
+export class UfoAbortError extends UfoError {
+  constructor() {
+    super('The operation was aborted.');
+  }
+}
+
+/**
+ * Invokes the given callback with a {@link UfoAbortError} once the given
+ * signal is aborted, or immediately if it is already aborted. Returns a
+ * function that stops listening to the signal; it must be called once the
+ * operation is settled. Does nothing if no signal is given.
+ * @private
+ */
+export const onAbort = function (signal: ?UfoAbortSignal, callback: (UfoAbortError) => void): () => void {
+  if (!signal) return () => {};
+  if (signal.aborted) {
+    callback(new UfoAbortError());
+    return () => {};
+  }
+  const listener = () => callback(new UfoAbortError());
+  signal.addEventListener('abort', listener);
+  return () => {
+    if (signal) signal.removeEventListener('abort', listener);
+  };
+};
@@ -1,8 +1,96 @@
 // @flow
+import type { UfoSpeedTables } from './Speed';
+
+/**
+ * Reconnection policy options for the {@link Ufo} object. The delay before
+ * each reconnection attempt starts at initialDelay and is multiplied by factor
+ * after each failed attempt, up to maxDelay. The delay is then randomly varied
+ * by up to the given jitter fraction in either direction.
+ * @typedef {Object} UfoReconnectOptions
+ * @property {number} [maxAttempts] how many times to try reconnecting before
+ * giving up. Zero means never give up. Default is 10.
+ * @property {number} [initialDelay] the delay before the first attempt, in
+ * milliseconds. Default is 1000.
+ * @property {number} [maxDelay] the maximum delay between attempts, in
+ * milliseconds. Default is 30000.
+ * @property {number} [factor] the delay multiplier. Default is 2.
+ * @property {number} [jitter] the random delay variation, 0-1 inclusive.
+ * Default is 0.2.
+ */
+export type UfoReconnectOptions = {
+  maxAttempts?: number,
+  initialDelay?: number,
+  maxDelay?: number,
+  factor?: number,
+  jitter?: number,
+};
+/**
+ * Per-channel values of a {@link UfoCalibration}. Channels that are not given
+ * use the default value.
+ * @typedef {Object} UfoChannelValues
+ * @property {number} [red] the value for the red channel.
+ * @property {number} [green] the value for the green channel.
+ * @property {number} [blue] the value for the blue channel.
+ * @property {number} [white] the value for the white channel.
+ */
+export type UfoChannelValues = {
+  red?: number,
+  green?: number,
+  blue?: number,
+  white?: number,
+};
+/**
+ * A calibration profile for the LED strip connected to a UFO. The API always
+ * works with perceptual RGBW values; the profile converts them to the values
+ * written to the UFO (for static colors and custom steps) and converts the
+ * values reported by the UFO's status back. Each value is gamma corrected,
+ * multiplied by its channel's gain, capped at its channel's max and finally
+ * moved to the UFO output its color is wired to.
+ * @typedef {Object} UfoCalibration
+ * @property {number} [gamma] the gamma curve exponent, e.g. 2.2 so that low
+ * values look evenly spaced. Must be positive. Default is 1 (no correction).
+ * @property {UfoChannelValues} [gain] per-channel multipliers, e.g. to correct
+ * a strip's tint. Default is 1.
+ * @property {UfoChannelValues} [max] per-channel caps, 0-255 inclusive.
+ * Default is 255.
+ * @property {string} [channelOrder] the colors of the strip wired to the UFO's
+ * red, green and blue outputs respectively, e.g. "grb" for a strip whose green
+ * LEDs are driven by the UFO's red output. Must be a permutation of "rgb".
+ * Default is "rgb".
+ */
+export type UfoCalibration = {
+  gamma?: number,
+  gain?: UfoChannelValues,
+  max?: UfoChannelValues,
+  channelOrder?: string,
+};
+/**
+ * A frame sent to or received from a UFO, as passed to the trace function in
+ * {@link UfoOptions}.
+ * @typedef {Object} UfoTraceEvent
+ * @property {number} time when the frame was sent or received, in milliseconds
+ * since the epoch.
+ * @property {string} direction "send" or "receive".
+ * @property {string} transport "tcp" or "udp".
+ * @property {Buffer | string} data the raw bytes of a TCP frame, or the ASCII
+ * text of a UDP datagram.
+ * @property {string} [command] the name of the command the frame belongs to,
+ * if known. TCP commands are named after what they do (e.g. "status", "rgbw"
+ * or the built-in function name); UDP commands use the names of the AT
+ * commands in the API (e.g. "moduleVersion").
+ */
+export type UfoTraceEvent = {
+  time: number,
+  direction: 'send' | 'receive',
+  transport: 'tcp' | 'udp',
+  data: Buffer | string,
+  command: ?string,
+};
 /**
  * Available configuration options for the {@link Ufo} object.
  * @typedef {Object} UfoOptions
- * @property {string} host The IP address of the UFO. If you want a fixed IP
+ * @property {string} host The IP address or hostname of the UFO. Hostnames
+ * are resolved to an IPv4 address once, when connecting. If you want a fixed IP
  * address, you can either configure static DHCP assignment on your router using
  * the UFO's MAC address or you can use the CLI to configure the UFO's WiFi
  * client settings to use a static IP instead of DHCP.
@@ -32,6 +120,38 @@
  * return/make use of the UFO's status. This cache is used only when the last
  * known UFO mode is "static"; the cache is invalidated whenever a builtin or
  * custom function is invoked on the UFO.
+ * @property {boolean | UfoReconnectOptions} [reconnect] if true or an object,
+ * the UFO object automatically rebuilds its TCP and UDP clients and reconnects
+ * to the UFO after a network error instead of disconnecting permanently. If
+ * true, the default reconnection policy is used. If false or unspecified,
+ * reconnection is disabled.
+ * @property {number} [timeout] how long to wait for the UFO to respond to a
+ * command, in milliseconds. If the UFO does not respond in time, the command's
+ * promise is rejected with a {@link UfoTimeoutError}. If zero or unspecified,
+ * commands wait indefinitely. Can be overridden per call via
+ * {@link UfoCallOptions}.
+ * @property {number} [udpRetries] how many times an unanswered UDP (AT)
+ * command is retransmitted before giving up with a {@link UfoTimeoutError}.
+ * Useful on lossy WiFi networks. If zero or unspecified, commands are sent only
+ * once.
+ * @property {number} [udpRetryInterval] how long to wait for a response to each
+ * UDP command attempt before retransmitting it, in milliseconds. Only used if
+ * udpRetries is positive. Default is 1000.
+ * @property {Function} [trace] called with a {@link UfoTraceEvent} for every
+ * frame sent to or received from the UFO over TCP or UDP. Useful for debugging
+ * without a packet sniffer. Errors thrown by this function are ignored.
+ * @property {UfoCalibration} [calibration] the calibration profile of the LED
+ * strip connected to the UFO. If unspecified, values are written and reported
+ * as-is. An invalid profile makes the constructor throw a
+ * {@link UfoValidationError}.
+ * @property {number} [whiteTemperature] the color temperature of the white
+ * LEDs connected to the UFO, in Kelvin. Used by setColorTemperature and to
+ * estimate the color temperature reported by getStatus. Default is 4000.
+ * @property {UfoSpeedTables} [speedTables] speed tables measured on the UFO by
+ * {@link Ufo#measureSpeeds}, used to convert durations to speeds and to
+ * estimate the durations reported by getStatus. If unspecified, the library's
+ * approximate tables are used. Invalid tables make the constructor throw a
+ * {@link UfoValidationError}.
  */
 export type UfoOptions = {
   host: string,
@@ -43,4 +163,38 @@ export type UfoOptions = {
   remoteTcpPort?: number,
   immediate?: boolean,
   cache?: boolean,
+  reconnect?: boolean | UfoReconnectOptions,
+  timeout?: number,
+  udpRetries?: number,
+  udpRetryInterval?: number,
+  trace?: (UfoTraceEvent) => void,
+  calibration?: UfoCalibration,
+  whiteTemperature?: number,
+  speedTables?: UfoSpeedTables,
+};
+/**
+ * The subset of the standard AbortSignal interface used by this library. Any
+ * compatible implementation can be used, such as the signal of NodeJS'
+ * built-in AbortController.
+ * @typedef {Object} UfoAbortSignal
+ * @property {boolean} aborted whether or not the signal has been aborted.
+ */
+export type UfoAbortSignal = {
+  +aborted: boolean,
+  addEventListener(type: 'abort', listener: () => void): void,
+  removeEventListener(type: 'abort', listener: () => void): void,
+};
+/**
+ * Options accepted by individual {@link Ufo} methods.
+ * @typedef {Object} UfoCallOptions
+ * @property {number} [timeout] overrides the timeout given in
+ * {@link UfoOptions} for this call only, in milliseconds. Zero means wait
+ * indefinitely. Only applies to methods that wait for a response from the UFO.
+ * @property {UfoAbortSignal} [signal] cancels the call once aborted. The
+ * call's promise is rejected with a {@link UfoAbortError}. Commands that were
+ * already sent to the UFO cannot be undone.
+ */
+export type UfoCallOptions = {
+  timeout?: number,
+  signal?: UfoAbortSignal,
 };
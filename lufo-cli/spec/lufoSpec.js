@@ -0,0 +1,181 @@
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UfoSim = require('lufo-sim');
+
+const host = '127.0.0.1';
+const cliPath = path.join(__dirname, '..', 'lufo.js');
+
+// Runs the built CLI with the given arguments and resolves with its exit code
+// and output once it exits.
+const lufo = function(args) {
+  return new Promise((resolve) => {
+    childProcess.execFile(process.execPath, [cliPath, ...args], { timeout: 10000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+};
+const sleep = function(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+};
+
+describe("lufo", function() {
+  var sim, ufoArgs, tmpDir;
+  beforeEach(async function() {
+    sim = new UfoSim({ host, tcpPort: 0, udpPort: 0 });
+    await sim.start();
+    ufoArgs = ['-o', host, '--remote-tcp', String(sim.tcpPort), '--remote-udp', String(sim.udpPort)];
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lufo-cli-'));
+  });
+  afterEach(async function() {
+    if (sim) await sim.stop();
+    fs.readdirSync(tmpDir).forEach(f => fs.unlinkSync(path.join(tmpDir, f)));
+    fs.rmdirSync(tmpDir);
+  });
+  it("emulate runs a simulated UFO until interrupted", async function() {
+    // Take over the ports of the simulator, which are known to be free.
+    const { tcpPort, udpPort } = sim;
+    await sim.stop();
+    sim = null;
+    const ports = ['--remote-tcp', String(tcpPort), '--remote-udp', String(udpPort)];
+    const child = childProcess.spawn(process.execPath, [cliPath, ...ports, 'emulate']);
+    let output = '';
+    child.stdout.on('data', (data) => { output += data; });
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    try {
+      for (let i = 0; i < 50 && !output.includes('listening'); i += 1) await sleep(100);
+      expect(output).toContain(`Simulated UFO listening on TCP port ${tcpPort} and UDP port ${udpPort}.`);
+      const result = await lufo(['-o', host, ...ports, 'rgbw', '1', '2', '3', '4']);
+      expect(result.code).toBe(0);
+      await sleep(100);
+      expect(output).toContain('"red":1,"green":2,"blue":3,"white":4');
+    } finally {
+      child.kill('SIGINT');
+    }
+    expect(await exited).toBe(0);
+  });
+  it("emulate reports invalid options", async function() {
+    const file = path.join(tmpDir, 'tables.json');
+    fs.writeFileSync(file, '{');
+    const result = await lufo(['--speed-tables', file, 'emulate']);
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('SyntaxError');
+    // Uncaught exceptions are followed by the Node.js version.
+    expect(result.stderr).not.toContain('Node.js');
+  });
+  it("at sends raw AT commands", async function() {
+    const result = await lufo([...ufoArgs, 'at', 'VER']);
+    expect(result.code).toBe(0);
+    expect(result.stdout.trim()).toBe('01.00.00');
+  });
+  it("--trace prints traffic to stderr", async function() {
+    const result = await lufo([...ufoArgs, '--trace', 'on']);
+    expect(result.code).toBe(0);
+    expect(result.stdout).toBe('');
+    expect(result.stderr).toMatch(/TCP >> on: 71 23 0f a3/);
+  });
+  it("--record writes a fixture file", async function() {
+    const file = path.join(tmpDir, 'session.json');
+    const result = await lufo([...ufoArgs, '--record', file, 'off']);
+    expect(result.code).toBe(0);
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(fixture.frames.length).toBeGreaterThan(0);
+  });
+  it("rgbw accepts values, hex colors, color names and HSV/HSL", async function() {
+    const rgbw = async function(...values) {
+      const result = await lufo([...ufoArgs, 'rgbw', ...values]);
+      expect(result.code).toBe(0);
+      const { red, green, blue, white } = sim.state;
+      return [red, green, blue, white];
+    };
+    expect(await rgbw('10', '20', '30', '40')).toEqual([10, 20, 30, 40]);
+    expect(await rgbw('#ff8000')).toEqual([255, 128, 0, 0]);
+    expect(await rgbw('#01020304')).toEqual([1, 2, 3, 4]);
+    expect(await rgbw('red')).toEqual([255, 0, 0, 0]);
+    expect(await rgbw('hsv', '240', '100', '100')).toEqual([0, 0, 255, 0]);
+    expect(await rgbw('HSL', '120', '100', '50')).toEqual([0, 255, 0, 0]);
+  });
+  it("rgbw rejects invalid arguments", async function() {
+    const count = await lufo([...ufoArgs, 'rgbw', '1', '2']);
+    expect(count.code).toBe(1);
+    expect(count.stderr).toContain('RGBW takes exactly 4 arguments');
+    const single = await lufo([...ufoArgs, 'rgbw', '255']);
+    expect(single.code).toBe(1);
+    expect(single.stderr).toContain('RGBW takes exactly 4 arguments');
+    const name = await lufo([...ufoArgs, 'rgbw', 'notacolor']);
+    expect(name.code).toBe(1);
+  });
+  it("effect plays an effect for the given duration", async function() {
+    const result = await lufo([...ufoArgs, 'effect', 'police', '-d', '300']);
+    expect(result.code).toBe(0);
+    expect(sim.state.mode).toBe(0x61);
+  });
+  it("effect rejects unknown effects", async function() {
+    const result = await lufo([...ufoArgs, 'effect', 'bogus']);
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('No such effect bogus');
+  });
+  it("effect-list lists the effects", async function() {
+    const result = await lufo(['effect-list']);
+    expect(result.code).toBe(0);
+    expect(result.stdout.trim().split(', ')).toContain('candle');
+  });
+  it("custom and function accept durations", async function() {
+    let result = await lufo([...ufoArgs, 'custom', 'jumping', '-s', '0.4', '255,0,0', '0,0,255']);
+    expect(result.code).toBe(0);
+    expect(sim.state.steps).toEqual([{ red: 255, green: 0, blue: 0 }, { red: 0, green: 0, blue: 255 }]);
+    result = await lufo([...ufoArgs, 'status']);
+    expect(JSON.parse(result.stdout).stepSeconds).toBe(0.4);
+    result = await lufo([...ufoArgs, 'function', 'sevenColorCrossFade', '-P', '7']);
+    expect(result.code).toBe(0);
+    result = await lufo([...ufoArgs, 'status']);
+    expect(JSON.parse(result.stdout).speed).toBe(100);
+    result = await lufo([...ufoArgs, 'function', 'sevenColorCrossFade']);
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('No speed or period provided.');
+  });
+  it("calibrate rejects functions that do not cycle", async function() {
+    const result = await lufo([...ufoArgs, 'calibrate', 'noFunction']);
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('No such cycling built-in function noFunction');
+  });
+  it("--speed-tables loads measured speed tables", async function() {
+    const file = path.join(tmpDir, 'tables.json');
+    fs.writeFileSync(file, JSON.stringify({ custom: [[0, 10], [30, 1]] }));
+    let result = await lufo([...ufoArgs, '--speed-tables', file, 'custom', 'jumping', '30', '255,0,0']);
+    expect(result.code).toBe(0);
+    result = await lufo([...ufoArgs, '--speed-tables', file, 'status']);
+    expect(JSON.parse(result.stdout).stepSeconds).toBe(1);
+    fs.writeFileSync(file, JSON.stringify({ custom: [[0, 10]] }));
+    result = await lufo([...ufoArgs, '--speed-tables', file, 'status']);
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('Invalid speed table');
+  });
+  it("timers gets and sets timers", async function() {
+    const file = path.join(tmpDir, 'timers.json');
+    const timer = { active: true, hour: 6, minute: 30, days: ['monday'], action: 'on' };
+    fs.writeFileSync(file, JSON.stringify([timer]));
+    let result = await lufo([...ufoArgs, 'timers', file]);
+    expect(result.code).toBe(0);
+    expect(result.stdout).toBe('');
+    result = await lufo([...ufoArgs, 'timers']);
+    expect(result.code).toBe(0);
+    const timers = JSON.parse(result.stdout);
+    expect(timers.length).toBe(6);
+    expect(timers[0]).toEqual(timer);
+    expect(timers.slice(1).every(t => !t.active)).toBe(true);
+  });
+  it("timers rejects invalid files", async function() {
+    const file = path.join(tmpDir, 'timers.json');
+    fs.writeFileSync(file, JSON.stringify([{ active: true, hour: 24, minute: 0, days: ['monday'], action: 'on' }]));
+    let result = await lufo([...ufoArgs, 'timers', file]);
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('Invalid timer hour 24');
+    fs.writeFileSync(file, '[');
+    result = await lufo([...ufoArgs, 'timers', file]);
+    expect(result.code).toBe(1);
+    result = await lufo([...ufoArgs, 'timers', path.join(tmpDir, 'missing.json')]);
+    expect(result.code).toBe(1);
+  });
+});
@@ -1,10 +1,12 @@
 #! /usr/bin/env node
 // @flow
 /* eslint no-console: 0 */
+import * as fs from 'fs';
 import * as net from 'net';
 import _ from 'lodash';
 import promptly from 'promptly';
 import Ufo from 'lufo-api';
+import UfoSim from 'lufo-sim';
 
 const cli = require('commander');
 
@@ -47,27 +49,64 @@ const parseBoolean = function (...args) {
   });
   return value;
 };
+// Helper function for pretty-printing traced TCP/UDP traffic to stderr, so that
+// it never mixes with command output.
+const printTrace = function (event) {
+  const time = new Date(event.time).toISOString().substring(11, 23);
+  const arrow = event.direction === 'send' ? '>>' : '<<';
+  const data = typeof event.data === 'string'
+    ? JSON.stringify(event.data)
+    : Array.from(event.data.values()).map(b => _.padStart(b.toString(16), 2, '0')).join(' ');
+  console.error(`${time} ${event.transport.toUpperCase()} ${arrow} ${event.command || '?'}: ${data}`);
+};
 // Helper function to construct a UfoOptions object.
 const getOptions = function () {
   const options = {};
   options.host = cli.ufo || process.env.LUFO_ADDRESS || '';
   options.password = cli.password || process.env.LUFO_PASSWORD || undefined;
   options.localHost = cli.localHost || process.env.LUFO_LOCALHOST || undefined;
-  options.localUdpPort = parseInt(cli.localUdpPort || process.env.LUFO_LOCAL_UDP, 10) || undefined;
-  options.remoteUdpPort = parseInt(cli.remoteUdpPort || process.env.LUFO_REMOTE_UDP, 10) || undefined;
-  options.localTcpPort = parseInt(cli.localTcpPort || process.env.LUFO_LOCAL_TCP, 10) || undefined;
-  options.remoteTcpPort = parseInt(cli.remoteTcpPort || process.env.LUFO_REMOTE_TCP, 10) || undefined;
+  options.localUdpPort = parseInt(cli.localUdp || process.env.LUFO_LOCAL_UDP, 10) || undefined;
+  options.remoteUdpPort = parseInt(cli.remoteUdp || process.env.LUFO_REMOTE_UDP, 10) || undefined;
+  options.localTcpPort = parseInt(cli.localTcp || process.env.LUFO_LOCAL_TCP, 10) || undefined;
+  options.remoteTcpPort = parseInt(cli.remoteTcp || process.env.LUFO_REMOTE_TCP, 10) || undefined;
   options.immediate = parseBoolean(cli.immediate, process.env.LUFO_IMMEDIATE) || undefined;
+  options.timeout = parseInt(cli.timeout || process.env.LUFO_TIMEOUT, 10) || undefined;
+  const speedTablesFile = cli.speedTables || process.env.LUFO_SPEED_TABLES;
+  if (speedTablesFile && fs.existsSync(speedTablesFile)) {
+    options.speedTables = JSON.parse(fs.readFileSync(speedTablesFile, 'utf8'));
+  }
+  const tracers = [];
+  if (parseBoolean(cli.trace, process.env.LUFO_TRACE)) tracers.push(printTrace);
+  if (cli.record) {
+    // Save the recording once the command is done, however it ends.
+    const recorder = new UfoSim.UfoRecorder();
+    tracers.push(recorder.trace);
+    process.on('exit', () => {
+      fs.writeFileSync(cli.record, `${JSON.stringify(recorder.fixture, null, 2)}\n`);
+    });
+  }
+  if (tracers.length > 0) options.trace = event => tracers.forEach(tracer => tracer(event));
   return options;
 };
 // Helper function for assembling the UFO object based on the given args.
 // The UFO object created by this method is bound to "this" in the action callback.
 const go = function (action) {
   printHelpOnExit = false;
-  const cliOptions = getOptions();
+  let cliOptions;
+  try {
+    cliOptions = getOptions();
+  } catch (err) {
+    quitError(err);
+    return;
+  }
   if (cliOptions.host) {
     if (net.isIPv4(cliOptions.host)) {
-      theUfo = new Ufo(cliOptions);
+      try {
+        theUfo = new Ufo(cliOptions);
+      } catch (err) {
+        quitError(err);
+        return;
+      }
       theUfo.connect()
         .then(action.bind(theUfo))
         .catch(quitError);
@@ -83,16 +122,20 @@ const go = function (action) {
 // $FlowFixMe
 cli.version(require(`${__dirname}/package.json`).version) // eslint-disable-line import/no-dynamic-require
   .usage('[options] <command> [command-options ...]')
-  .option('-o, --ufo <ip>', 'The UFO IP address; required for all commands except "discover" and "function-list". If unspecified, the LUFO_ADDRESS environment variable is used.')
+  .option('-o, --ufo <ip>', 'The UFO IP address; required for all commands except "discover", "emulate", "function-list" and "effect-list". If unspecified, the LUFO_ADDRESS environment variable is used.')
   .option('-p, --password [password]', 'The UFO password. If set but with no value, you will be prompted. If unspecified, the LUFO_PASSWORD environment variable is used, or otherwise the default hardcoded password is used.')
   .option('--local-host <localHost>', 'The local host to use when opening the listener ports. If unspecified, the LUFO_LOCALHOST environment variable is used.')
   .option('--local-udp <localUdpPort>', 'The UDP port to use on this computer to search. If unspecified, the LUFO_LOCAL_UDP environment variable, or otherwise a random port is used.')
   .option('-u, --remote-udp <remoteUdpPort>', 'The UDP port to which expected UFOs are bound. If unspecified, the LUFO_REMOTE_UDP environment variable is used, or otherwise the default port 48899 is used.')
   .option('--local-tcp <localTcpPort>', 'The TCP port to use on this computer to search. If unspecified, the LUFO_LOCAL_TCP environment variable, or otherwise a random port is used.')
   .option('-t, --remote-tcp <remoteTcpPort>', 'The TCP port to which expected UFOs are bound. If unspecified, the LUFO_REMOTE_TCP environment variable is used, or otherwise the default port 5577 is used.')
-  .option('-i, --immediate', 'If enabled, send TCP data immediately; otherwise, the CLI may buffer data before it is sent. If unspecified, the LUFO_IMMEDIATE environment variable is used, or otherwise it is enabled by default.');
+  .option('-i, --immediate', 'If enabled, send TCP data immediately; otherwise, the CLI may buffer data before it is sent. If unspecified, the LUFO_IMMEDIATE environment variable is used, or otherwise it is enabled by default.')
+  .option('--timeout <ms>', 'How long to wait for the UFO to respond to each command, in milliseconds. If unspecified, the LUFO_TIMEOUT environment variable is used, or otherwise commands wait indefinitely.')
+  .option('--trace', 'If enabled, print all TCP and UDP traffic to and from the UFO to stderr. If unspecified, the LUFO_TRACE environment variable is used, or otherwise it is disabled by default.')
+  .option('--record <file>', 'Record all TCP and UDP traffic to and from the UFO into the given JSON fixture file, which can be served back by the lufo-sim module\'s UfoReplay server.')
+  .option('--speed-tables <file>', 'The JSON file of speed tables measured by the "calibrate" command, used to convert durations to speeds and to estimate durations in statuses. If unspecified, the LUFO_SPEED_TABLES environment variable is used. If the file does not exist, the library\'s approximate tables are used.');
 cli.on('--help', () => {
-  console.log('Commands marked {json} return well-formed JSON to stdout; no commands accept JSON input.');
+  console.log('Commands marked {json} return well-formed JSON to stdout; JSON input is only read from files.');
   console.log('');
 });
 // Print a message if an invalid command is given.
@@ -144,6 +187,31 @@ cli.command('discover [timeout]')
       discover(discoverArgs);
     }
   });
+cli.command('emulate')
+  .description('Runs a simulated UFO on this computer until interrupted, printing each change to its output or settings. It binds the --local-host address (default 127.0.0.1; use 0.0.0.0 to make it discoverable) and the --remote-tcp and --remote-udp ports, and uses the --password UDP password.')
+  .action(() => {
+    printHelpOnExit = false;
+    let sim;
+    try {
+      const cliOptions = getOptions();
+      sim = new UfoSim({
+        host: cliOptions.localHost,
+        tcpPort: cliOptions.remoteTcpPort,
+        udpPort: cliOptions.remoteUdpPort,
+        password: typeof cliOptions.password === 'string' ? cliOptions.password : undefined,
+      });
+    } catch (err) {
+      quitError(err);
+      return;
+    }
+    sim.on('change', state => console.log(`output: ${JSON.stringify(state)}`));
+    sim.on('setting', (name, value) => console.log(`setting: AT+${name}=${value}`));
+    sim.on('reboot', () => console.log('reboot'));
+    sim.start().then(() => {
+      console.log(`Simulated UFO listening on TCP port ${sim.tcpPort} and UDP port ${sim.udpPort}. Press Ctrl+C to stop.`);
+      process.once('SIGINT', () => { sim.stop(); });
+    }).catch(quitError);
+  });
 
 // Output commands
 cli.command('status')
@@ -184,10 +252,23 @@ cli.command('toggle')
   });
 cli.command('rgbw <values...>')
   .alias('v')
-  .description('Sets the UFO\'s output. Input values are R, G, B and W respectively, range 0-255 inclusive.')
+  .description('Sets the UFO\'s output. Input values are R, G, B and W respectively, range 0-255 inclusive. Alternatively, a hex color (#rgb, #rrggbb or #rrggbbww), a CSS color name, "hsv H S V" or "hsl H S L" (hue 0-360, others 0-100 inclusive).')
   .action((values) => {
-    if (values.length !== 4) {
-      quitError('RGBW takes exactly 4 arguments.');
+    const [first, ...rest] = values;
+    const model = first.toLowerCase();
+    if ((model === 'hsv' || model === 'hsl') && rest.length === 3) {
+      go(function () {
+        const set = model === 'hsv' ? this.setHsv(...rest) : this.setHsl(...rest);
+        set.then(() => this.disconnect()).catch(quitError);
+      });
+    } else if (values.length === 1 && /^#|^[a-z]+$/i.test(first)) {
+      // A lone number is more likely a mistake than a hex color without "#".
+      go(function () {
+        const set = first.startsWith('#') ? this.setHex(first) : this.setNamedColor(first);
+        set.then(() => this.disconnect()).catch(quitError);
+      });
+    } else if (values.length !== 4) {
+      quitError('RGBW takes exactly 4 arguments, a hex color, a color name, or "hsv"/"hsl" and 3 arguments.');
     } else {
       go(function () {
         this.setColor(...values).then(() => this.disconnect()).catch(quitError);
@@ -246,12 +327,18 @@ cli.command('white <value>')
       });
     }
   });
-cli.command('function <name> <speed>')
+cli.command('function <name> [speed]')
   .alias('f')
-  .description('Plays a built-in function. Speed is 0-100 (slow to fast) inclusive.')
-  .action((name, speed, options) => { // eslint-disable-line no-unused-vars
+  .description('Plays a built-in function. Speed is 0-100 (slow to fast) inclusive; omit it if --period-seconds is given.')
+  .option('-P, --period-seconds <seconds>', 'How long one full cycle of the function lasts, in seconds; converted to the nearest speed.')
+  .action((name, speed, options) => {
+    if (options.periodSeconds === undefined && speed === undefined) {
+      quitError('No speed or period provided.');
+      return;
+    }
     go(function () {
-      this.setBuiltin(name, speed).then(() => this.disconnect()).catch(quitError);
+      const value = options.periodSeconds === undefined ? speed : { periodSeconds: parseFloat(options.periodSeconds) };
+      this.setBuiltin(name, value).then(() => this.disconnect()).catch(quitError);
     });
   });
 cli.command('function-list')
@@ -260,12 +347,77 @@ cli.command('function-list')
     printHelpOnExit = false;
     console.log(Ufo.getBuiltinFunctions().join(', '));
   });
-cli.command('custom <type> <speed> [steps...]')
+cli.command('effect <name>')
+  .alias('e')
+  .description('Plays a client-side animated effect until interrupted, or for the given duration. The CLI keeps running while the effect plays.')
+  .option('-s, --speed <speed>', 'Speed 0-100 (slow to fast) inclusive. Default is 50.')
+  .option('-n, --intensity <intensity>', 'Intensity 0-100 inclusive, e.g. how deep a candle flickers. Default is 50.')
+  .option('-b, --brightness <brightness>', 'Brightness 0-100 inclusive. Default is 100.')
+  .option('-d, --duration <ms>', 'How long to play the effect, in milliseconds. If unspecified, it plays until interrupted.')
+  .action((name, options) => {
+    const number = value => (value === undefined ? undefined : parseInt(value, 10));
+    go(function () {
+      const effect = this.playEffect(name, {
+        speed: number(options.speed),
+        intensity: number(options.intensity),
+        brightness: number(options.brightness),
+        duration: number(options.duration),
+      });
+      process.once('SIGINT', () => { effect.stop(); });
+      effect.done.then(() => this.disconnect()).catch(quitError);
+    });
+  });
+cli.command('calibrate [functions...]')
+  .description('Measures how long custom functions ("custom", the default) and the given cycling built-in functions take at several speeds by playing them and polling the UFO\'s status. The measured tables are merged into the --speed-tables file if given, or otherwise printed. {json} The last function measured keeps playing.')
+  .option('-s, --speeds <speeds>', 'Comma-separated speeds to measure. Default is every fifth speed from 0-30 for custom functions and every 25th speed from 0-100 for built-in functions.')
+  .option('--poll <ms>', 'How often to poll the UFO\'s status, in milliseconds. Default is 50.')
+  .action((functions, options) => {
+    const file = cli.speedTables || process.env.LUFO_SPEED_TABLES;
+    const names = functions.length > 0 ? functions : ['custom'];
+    const measureOptions = {
+      speeds: options.speeds ? options.speeds.split(',').map(v => parseInt(v, 10)) : undefined,
+      pollInterval: parseInt(options.poll, 10) || undefined,
+    };
+    go(function () {
+      const tables = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+      names.reduce((previous, name) => previous.then(() => {
+        console.error(`Measuring ${name}...`);
+        return this.measureSpeeds(name, measureOptions).then((table) => {
+          if (name === 'custom') {
+            tables.custom = table;
+          } else {
+            tables.builtin = Object.assign({}, tables.builtin, { [name]: table });
+          }
+        });
+      }), Promise.resolve()).then(() => {
+        if (file) {
+          fs.writeFileSync(file, `${JSON.stringify(tables, null, 2)}\n`);
+          this.disconnect();
+        } else {
+          quitValue(true)(tables);
+        }
+      }).catch(quitError);
+    });
+  });
+cli.command('effect-list')
+  .description('Lists all possible client-side effect names usable by the "effect" command.')
+  .action(() => {
+    printHelpOnExit = false;
+    console.log(Ufo.getEffects().join(', '));
+  });
+cli.command('custom <type> [speed] [steps...]')
   .alias('c')
-  .description('Plays a custom function. Type is "gradual", "jumping" or "strobe". Speed is 0-30 (slow to fast) inclusive. Each step is a comma-separated RGB triplets (each value in the triplet ranges 0-255 inclusive); maximum of 16 steps (extras are ignored).')
-  .action((type, speed, values, options) => { // eslint-disable-line no-unused-vars
+  .description('Plays a custom function. Type is "gradual", "jumping" or "strobe". Speed is 0-30 (slow to fast) inclusive; omit it if --step-seconds is given. Each step is a comma-separated RGB triplets (each value in the triplet ranges 0-255 inclusive); maximum of 16 steps (extras are ignored).')
+  .option('-s, --step-seconds <seconds>', 'How long each step lasts, in seconds; converted to the nearest speed.')
+  .action((type, speed, values, options) => {
+    if (options.stepSeconds === undefined && speed === undefined) {
+      quitError('No speed or step duration provided.');
+      return;
+    }
+    // Without a speed argument, the first step is parsed as the speed.
+    const stepValues = options.stepSeconds === undefined ? values : [speed, ...values].filter(v => v !== undefined);
     const steps = [];
-    values.forEach((v) => {
+    stepValues.forEach((v) => {
       const splitV = v.split(',');
       const newValue = {
         red: parseInt(splitV[0], 10),
@@ -275,7 +427,8 @@ cli.command('custom <type> <speed> [steps...]')
       if (!Ufo.isNullStep(newValue)) steps.push(newValue);
     });
     go(function () {
-      this.setCustom(type, speed, steps).then(() => this.disconnect()).catch(quitError);
+      const value = options.stepSeconds === undefined ? speed : { stepSeconds: parseFloat(options.stepSeconds) };
+      this.setCustom(type, value, steps).then(() => this.disconnect()).catch(quitError);
     });
   });
 cli.command('zero')
@@ -295,6 +448,26 @@ cli.command('freeze')
     });
   });
 
+// Timer commands
+cli.command('timers [file]')
+  .description('Gets the 6 timers stored on the UFO, or replaces them with the JSON array of up to 6 timers in the given file. {json} Unused timer slots are made inactive, so an empty array clears all timers. See the API\'s UfoTimer type for the timer format.')
+  .action((file) => {
+    go(function () {
+      if (!file) {
+        this.getTimers().then(quitValue(true)).catch(quitError);
+        return;
+      }
+      let timers;
+      try {
+        timers = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (err) {
+        quitError(err);
+        return;
+      }
+      this.setTimers(timers).then(() => this.disconnect()).catch(quitError);
+    });
+  });
+
 // Generic management commands
 cli.command('version')
   .description('Returns the UFO\'s firmware version.')
@@ -473,6 +646,13 @@ cli.command('wifi-client-auth [auth] [encryption] [passphrase]')
   });
 
 // Miscellaneous commands
+cli.command('at <cmd> [args...]')
+  .description('Sends a raw AT command and prints each line of the response. The "AT+" prefix is optional. USE CAUTION.')
+  .action((cmd, args) => {
+    go(function () {
+      this.sendAtCommand(cmd, ...args).then(lines => quitValue()((lines || []).join('\n'))).catch(quitError);
+    });
+  });
 cli.command('reboot')
   .description('Reboots the UFO.')
   .action(() => {
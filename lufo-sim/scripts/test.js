@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+
+// setup Jasmine
+const Jasmine = require('jasmine');
+const jasmine = new Jasmine();
+jasmine.loadConfig({
+    spec_dir: 'spec',
+    spec_files: ['**/*[sS]pec.js'],
+    helpers: ['helpers/**/*.js'],
+    random: false,
+    seed: null,
+    stopSpecOnExpectationFailure: false
+});
+jasmine.jasmine.DEFAULT_TIMEOUT_INTERVAL = 15000;
+
+// setup console reporter
+const JasmineConsoleReporter = require('jasmine-console-reporter');
+const reporter = new JasmineConsoleReporter({
+    colors: true, // (0|false)|(1|true)|2
+    cleanStack: true, // (0|false)|(1|true)|2|3
+    verbosity: 4, // (0|false)|1|2|(3|true)|4
+    listStyle: 'indent', // "flat"|"indent"
+    activity: false,
+    emoji: false, // boolean or emoji-map object
+    beep: false
+});
+
+// initialize and execute
+jasmine.env.clearReporters();
+jasmine.addReporter(reporter);
+jasmine.execute();
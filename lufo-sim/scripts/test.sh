@@ -0,0 +1,6 @@
+#!/bin/bash
+set -e
+DIR="$( cd "$( dirname "${BASH_SOURCE[0]}" )" && pwd )"
+$DIR/build.sh
+echo '[test]'
+$DIR/test.js
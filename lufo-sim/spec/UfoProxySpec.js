@@ -0,0 +1,121 @@
+const Util = require('./Util');
+const UfoSim = require('../lib/UfoSim');
+// The API must be built first (see lufo-api/scripts/build.sh).
+const Ufo = require('../../lufo-api/lib/Ufo');
+
+const host = '127.0.0.1';
+
+describe("UfoProxy", function() {
+  var sim, proxy, ufo, randoms;
+  // Returns the queued random numbers in order, then 0.99, so that faults with
+  // a rate of 1 are always injected and faults with lower rates never are.
+  const random = () => (randoms.length > 0 ? randoms.shift() : 0.99);
+  const connect = async function(options) {
+    ufo = new Ufo(Object.assign({ host, remoteTcpPort: proxy.tcpPort, remoteUdpPort: proxy.udpPort, cache: false, timeout: 1000 }, options));
+    await ufo.connect();
+  };
+  beforeEach(async function() {
+    randoms = [];
+    sim = new UfoSim({ host, tcpPort: 0, udpPort: 0 });
+    await sim.start();
+    proxy = new UfoSim.UfoProxy({ target: host, targetTcpPort: sim.tcpPort, targetUdpPort: sim.udpPort, random });
+    await proxy.start();
+    ufo = null;
+  });
+  afterEach(async function() {
+    if (ufo) await ufo.disconnect();
+    await proxy.stop();
+    await sim.stop();
+  });
+  it("forwards traffic without faults", async function() {
+    try {
+      await connect();
+      await ufo.setColor(1, 2, 3, 4);
+      expect((await ufo.getStatus()).red).toBe(1);
+      expect(await ufo.getVersion()).toBe('01.00.00');
+      expect(proxy.faults).toEqual({});
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("drops datagrams", async function() {
+    try {
+      await connect({ udpRetries: 2, udpRetryInterval: 100 });
+      // Drop the first datagram of the hello handshake; let the rest through.
+      randoms = [0];
+      proxy.faults = { dropRate: 0.5 };
+      expect(await ufo.getVersion()).toBe('01.00.00');
+      expect(randoms.length).toBe(0);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("splits and delays status responses", async function() {
+    try {
+      await connect();
+      proxy.faults = { splitSize: 3, delay: 10 };
+      await ufo.setColor(10, 20, 30, 40);
+      const status = await ufo.getStatus();
+      expect([status.red, status.green, status.blue, status.white]).toEqual([10, 20, 30, 40]);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("delays responses past the timeout", async function() {
+    try {
+      await connect({ timeout: 100 });
+      proxy.faults = { delay: 300 };
+      const tcpError = await ufo.getStatus().catch(e => e);
+      expect(tcpError instanceof Ufo.UfoTimeoutError).toBe(true);
+      const udpError = await ufo.getVersion().catch(e => e);
+      expect(udpError instanceof Ufo.UfoTimeoutError).toBe(true);
+      await Util.sleep(300);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("corrupts status checksums", async function() {
+    try {
+      await connect();
+      proxy.faults = { checksumRate: 1 };
+      const error = await ufo.getStatus().catch(e => e);
+      expect(error instanceof Ufo.UfoChecksumError).toBe(true);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("corrupts status headers", async function() {
+    try {
+      await connect();
+      proxy.faults = { headerRate: 1 };
+      const error = await ufo.getStatus().catch(e => e);
+      expect(error instanceof Ufo.UfoProtocolError).toBe(true);
+      expect(error instanceof Ufo.UfoChecksumError).toBe(false);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("replaces AT command responses with errors", async function() {
+    try {
+      await connect();
+      proxy.faults = { atErrorRate: 1 };
+      const error = await ufo.getVersion().catch(e => e);
+      expect(error instanceof Ufo.UfoProtocolError).toBe(true);
+      expect(error.code).toBe('-4');
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("closes idle connections", async function() {
+    try {
+      proxy.faults = { idleTimeout: 100 };
+      await connect();
+      const reconnected = new Promise((resolve) => { ufo.once('reconnect', resolve); });
+      await reconnected;
+      proxy.faults = {};
+      expect((await ufo.getStatus()).on).toBe(true);
+    } catch (error) {
+      fail(error);
+    }
+  });
+});
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const Util = require('./Util');
+const UfoSim = require('../lib/UfoSim');
+// The API must be built first (see lufo-api/scripts/build.sh).
+const Ufo = require('../../lufo-api/lib/Ufo');
+
+const host = '127.0.0.1';
+// Regression fixtures live next to the API's specs.
+const fixtures = path.join(__dirname, '..', '..', 'lufo-api', 'spec', 'fixtures');
+const loadFixture = function(name) {
+  return JSON.parse(fs.readFileSync(path.join(fixtures, name), 'utf8'));
+};
+
+describe("UfoReplay", function() {
+  var replay, ufo;
+  const connect = async function(fixture, options) {
+    replay = new UfoSim.UfoReplay(Object.assign({ fixture, host }, options));
+    await replay.start();
+    ufo = new Ufo({ host, remoteTcpPort: replay.tcpPort, remoteUdpPort: replay.udpPort, cache: false, timeout: 1000 });
+    await ufo.connect();
+  };
+  afterEach(async function() {
+    if (ufo) await ufo.disconnect();
+    if (replay) await replay.stop();
+    ufo = null;
+    replay = null;
+  });
+  it("replays the lufo-sim fixture", async function() {
+    try {
+      await connect(loadFixture('lufo-sim.json'));
+      await ufo.setColor(255, 128, 0, 10);
+      const status = await ufo.getStatus();
+      expect([status.red, status.green, status.blue, status.white]).toEqual([255, 128, 0, 10]);
+      expect(await ufo.getVersion()).toBe('01.00.00');
+      expect(await ufo.doWifiScan()).toEqual([
+        { channel: 6, ssid: 'SomeNetwork', mac: 'aa:bb:cc:dd:ee:ff', security: 'WPA2PSK/AES', strength: 70 },
+        { channel: 11, ssid: null, mac: '00:11:22:33:44:55', security: 'OPEN/NONE', strength: 20 },
+      ]);
+      await Util.sleep(100);
+      expect(replay.pending).toBe(0);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("replays a recorded session", async function() {
+    const sim = new UfoSim({ host, tcpPort: 0, udpPort: 0 });
+    try {
+      // Record a session with a simulated UFO.
+      await sim.start();
+      const recorder = new UfoSim.UfoRecorder();
+      ufo = new Ufo({ host, remoteTcpPort: sim.tcpPort, remoteUdpPort: sim.udpPort, cache: false, trace: recorder.trace });
+      await ufo.connect();
+      await ufo.turnOff();
+      await ufo.getStatus();
+      await ufo.disconnect();
+      await sim.stop();
+      const { fixture } = recorder;
+      expect(fixture.version).toBe(1);
+      expect(fixture.frames[0]).toEqual({ time: 0, direction: 'send', transport: 'tcp', command: 'off', data: '71240fa4' });
+      // Replay it.
+      await connect(fixture);
+      await ufo.turnOff();
+      expect((await ufo.getStatus()).on).toBe(false);
+      expect(replay.pending).toBe(0);
+    } catch (error) {
+      fail(error);
+    } finally {
+      await sim.stop();
+    }
+  });
+  it("rewrites the IP address in hello responses", async function() {
+    try {
+      const fixture = loadFixture('lufo-sim.json');
+      fixture.frames.filter(f => f.command === 'hello' && f.direction === 'receive').forEach((f) => {
+        f.data = f.data.replace('127.0.0.1', '192.168.1.50');
+      });
+      await connect(fixture);
+      expect(await ufo.getVersion()).toBe('01.00.00');
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("reports requests that were not recorded", async function() {
+    try {
+      await connect(loadFixture('lufo-sim.json'));
+      const unexpected = [];
+      replay.on('unexpected', (transport, data) => unexpected.push([transport, data]));
+      await ufo.setColor(1, 2, 3, 4);
+      // The recorded status request is still answered.
+      expect((await ufo.getStatus()).red).toBe(255);
+      const error = await ufo.setWifiMode('AP', { timeout: 100 }).catch(e => e);
+      expect(error instanceof Ufo.UfoTimeoutError).toBe(true);
+      expect(unexpected.length).toBe(2);
+      expect(unexpected[0]).toEqual(['tcp', Buffer.from([0x31, 0x01, 0x02, 0x03, 0x04, 0x00, 0x0F, 0x4A])]);
+      expect(unexpected[1]).toEqual(['udp', 'AT+WMODE=AP\r']);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("reproduces recorded timing", async function() {
+    try {
+      await connect({
+        version: 1,
+        frames: [
+          { time: 0, direction: 'send', transport: 'tcp', command: 'status', data: '818a8b96' },
+          { time: 300, direction: 'receive', transport: 'tcp', command: 'status', data: '810423612101ff80000a030000b7' },
+        ],
+      }, { timing: true });
+      const error = await ufo.getStatus(false, { timeout: 100 }).catch(e => e);
+      expect(error instanceof Ufo.UfoTimeoutError).toBe(true);
+      await Util.sleep(300);
+    } catch (error) {
+      fail(error);
+    }
+  });
+});
@@ -0,0 +1,202 @@
+const dgram = require('dgram');
+const net = require('net');
+const Util = require('./Util');
+const UfoSim = require('../lib/UfoSim');
+// The API must be built first (see lufo-api/scripts/build.sh).
+const Ufo = require('../../lufo-api/lib/Ufo');
+
+const host = '127.0.0.1';
+const networks = [
+  { channel: 6, ssid: 'SomeNetwork', mac: 'aa:bb:cc:dd:ee:ff', security: 'WPA2PSK/AES', strength: 70 },
+  { channel: 11, ssid: null, mac: '00:11:22:33:44:55', security: 'OPEN/NONE', strength: 20 },
+];
+
+describe("UfoSim", function() {
+  var sim, ufo;
+  beforeEach(async function() {
+    sim = new UfoSim({ host, tcpPort: 0, udpPort: 0, networks });
+    await sim.start();
+    ufo = new Ufo({ host, remoteTcpPort: sim.tcpPort, remoteUdpPort: sim.udpPort, cache: false, timeout: 1000 });
+    await ufo.connect();
+  });
+  afterEach(async function() {
+    await ufo.disconnect();
+    await sim.stop();
+  });
+  it("#constructor applies correct defaults", function() {
+    const defaults = new UfoSim();
+    expect(defaults.tcpPort).toBe(5577);
+    expect(defaults.udpPort).toBe(48899);
+    expect(defaults.settings.ASWD).toBe('HF-A11ASSISTHREAD');
+    expect(defaults.state.on).toBe(true);
+  });
+  it("responds to status requests", async function() {
+    try {
+      const status = await ufo.getStatus();
+      expect(status.on).toBe(true);
+      expect(status.mode).toBe('static');
+      expect(status.raw.length).toBe(14);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("applies power commands", async function() {
+    try {
+      await ufo.turnOff();
+      expect((await ufo.getStatus()).on).toBe(false);
+      expect(sim.state.on).toBe(false);
+      await ufo.togglePower();
+      expect((await ufo.getStatus()).on).toBe(true);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("applies RGBW commands", async function() {
+    try {
+      const changes = [];
+      sim.on('change', state => changes.push(state));
+      await ufo.setColor(10, 20, 30, 40);
+      const status = await ufo.getStatus();
+      expect([status.red, status.green, status.blue, status.white]).toEqual([10, 20, 30, 40]);
+      expect(changes.length).toBe(1);
+      expect(changes[0].red).toBe(10);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("applies built-in function commands", async function() {
+    try {
+      await ufo.setBuiltin('redStrobeFlash', 40);
+      const status = await ufo.getStatus();
+      expect(status.mode).toBe('function:redStrobeFlash');
+      expect(status.speed).toBe(40);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("applies custom function commands", async function() {
+    try {
+      const steps = [{ red: 255, green: 0, blue: 0 }, { red: 0, green: 0, blue: 255 }];
+      await ufo.setCustom('jumping', 20, steps);
+      const status = await ufo.getStatus();
+      expect(status.mode).toBe('custom');
+      expect(status.speed).toBe(20);
+      expect(sim.state.steps).toEqual(steps);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("stores timers", async function() {
+    try {
+      expect((await ufo.getTimers()).every(t => !t.active)).toBe(true);
+      const timer = { active: true, hour: 6, minute: 45, days: ['monday', 'friday'], action: 'color', red: 0, green: 0, blue: 0, white: 255 };
+      await ufo.setTimers([timer]);
+      const timers = await ufo.getTimers();
+      expect(timers[0]).toEqual(timer);
+      expect(timers.slice(1).every(t => !t.active)).toBe(true);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("ignores unknown bytes and frames with a bad checksum", async function() {
+    const socket = net.connect(sim.tcpPort, host);
+    try {
+      const response = new Promise((resolve) => { socket.once('data', resolve); });
+      await new Promise((resolve) => { socket.once('connect', resolve); });
+      socket.write(Buffer.from([0x00, 0x71, 0x24, 0x0F, 0x00, 0x81, 0x8A, 0x8B, 0x96]));
+      const data = await response;
+      expect(data.length).toBe(14);
+      expect(data[2]).toBe(0x23);
+      expect(sim.state.on).toBe(true);
+    } catch (error) {
+      fail(error);
+    } finally {
+      socket.destroy();
+    }
+  });
+  it("responds to AT command getters", async function() {
+    try {
+      expect(await ufo.getVersion()).toBe('01.00.00');
+      expect(await ufo.getWifiMode()).toBe('STA');
+      expect(await ufo.getWifiApDhcp()).toEqual({ on: true, start: 100, end: 150 });
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("stores AT command settings", async function() {
+    try {
+      await ufo.setWifiMode('AP');
+      expect(await ufo.getWifiMode()).toBe('AP');
+      expect(sim.settings.WMODE).toBe('AP');
+      await ufo.setWifiClientIpStatic('192.168.1.2', '255.255.255.0', '192.168.1.1');
+      await ufo.setWifiClientIpDhcp();
+      expect(await ufo.getWifiClientIp()).toEqual({ dhcp: true, ip: '192.168.1.2', mask: '255.255.255.0', gateway: '192.168.1.1' });
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("changes its UDP password", async function() {
+    try {
+      await ufo.setUdpPassword('abc123');
+      expect(sim.settings.ASWD).toBe('abc123');
+      expect(await ufo.getVersion()).toBe('01.00.00');
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("rejects unknown and read-only AT commands", async function() {
+    try {
+      const unknown = await ufo.sendAtCommand('BOGUS').catch(e => e);
+      expect(unknown instanceof Ufo.UfoProtocolError).toBe(true);
+      expect(unknown.code).toBe('-2');
+      const readOnly = await ufo.sendAtCommand('VER', '1').catch(e => e);
+      expect(readOnly instanceof Ufo.UfoProtocolError).toBe(true);
+      expect(readOnly.code).toBe('-5');
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("reports WiFi networks", async function() {
+    try {
+      const result = await ufo.doWifiScan();
+      expect(result).toEqual([
+        { channel: 6, ssid: 'SomeNetwork', mac: 'aa:bb:cc:dd:ee:ff', security: 'WPA2PSK/AES', strength: 70 },
+        { channel: 11, ssid: null, mac: '00:11:22:33:44:55', security: 'OPEN/NONE', strength: 20 },
+      ]);
+    } catch (error) {
+      fail(error);
+    }
+  });
+  it("ignores AT commands outside of command mode", async function() {
+    const socket = dgram.createSocket('udp4');
+    try {
+      let received = false;
+      socket.on('message', () => { received = true; });
+      socket.send('AT+VER\r', sim.udpPort, host);
+      await Util.sleep(100);
+      expect(received).toBe(false);
+    } catch (error) {
+      fail(error);
+    } finally {
+      socket.close();
+    }
+  });
+  it("can be restarted", async function() {
+    try {
+      await ufo.disconnect();
+      const tcpPort = sim.tcpPort;
+      const udpPort = sim.udpPort;
+      await sim.stop();
+      sim = new UfoSim({ host, tcpPort, udpPort });
+      await sim.start();
+      await sim.stop();
+      await sim.start();
+      ufo = new Ufo({ host, remoteTcpPort: tcpPort, remoteUdpPort: udpPort, timeout: 1000 });
+      await ufo.connect();
+      expect(await ufo.getVersion()).toBe('01.00.00');
+      expect((await ufo.getStatus()).on).toBe(true);
+    } catch (error) {
+      fail(error);
+    }
+  });
+});
@@ -0,0 +1,3 @@
+exports.sleep = function(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,268 @@
+// @flow
+import * as net from 'net';
+import UfoSim from './UfoSim';
+
+/**
+ * A step of the custom function last played by a simulated UFO.
+ * @typedef {Object} UfoSimStep
+ * @property {number} red The red value, 0-255 inclusive.
+ * @property {number} green The green value, 0-255 inclusive.
+ * @property {number} blue The blue value, 0-255 inclusive.
+ */
+export type UfoSimStep = {
+  red: number,
+  green: number,
+  blue: number,
+};
+/**
+ * The output state of a simulated UFO. The mode and speed are the raw values
+ * reported in status responses.
+ * @typedef {Object} UfoSimState
+ * @property {boolean} on true if the UFO is on, false if the UFO is off.
+ * @property {number} mode 0x61 for static color, 0x60 for a custom function,
+ * or otherwise the ID of the built-in function being played.
+ * @property {number} speed the raw speed of the function being played.
+ * @property {number} red The red output strength, 0-255 inclusive.
+ * @property {number} green The green output strength, 0-255 inclusive.
+ * @property {number} blue The blue output strength, 0-255 inclusive.
+ * @property {number} white The white output strength, 0-255 inclusive.
+ * @property {Array<UfoSimStep>} steps the steps of the custom function last
+ * played, up to 16.
+ */
+export type UfoSimState = {
+  on: boolean,
+  mode: number,
+  speed: number,
+  red: number,
+  green: number,
+  blue: number,
+  white: number,
+  steps: Array<UfoSimStep>,
+};
+
+/* Private variables. */
+const statusHeader = 0x81;
+const statusResponseSize = 14;
+const powerHeader = 0x71;
+const rgbwHeader = 0x31;
+const builtinHeader = 0x61;
+const customHeader = 0x51;
+const powerOn = 0x23;
+const powerOff = 0x24;
+const staticMode = 0x61;
+const customMode = 0x60;
+const customStepCount = 16;
+const timersHeader = 0x22;
+const setTimersHeader = 0x21;
+const timerCount = 6;
+const timerSize = 14;
+// The total length of each request frame, including the "local" flag and the
+// checksum, keyed by the frame's first byte.
+const frameSizes: Map<number, number> = new Map([
+  [statusHeader, 4],
+  [powerHeader, 4],
+  [rgbwHeader, 8],
+  [builtinHeader, 5],
+  [customHeader, 70],
+  [timersHeader, 5],
+  [setTimersHeader, 88],
+]);
+const defaultState: UfoSimState = {
+  on: true,
+  mode: staticMode,
+  speed: 0x01,
+  red: 0,
+  green: 0,
+  blue: 0,
+  white: 0,
+  steps: [],
+};
+
+/* Private functions. */
+/**
+ * Returns the checksum of the given frame, which is the sum of all bytes but
+ * the last, modulo 256.
+ * @private
+ */
+const _checksum = function (frame: Buffer): number {
+  let checksum = 0;
+  for (let i = 0; i < frame.length - 1; i += 1) checksum += frame[i];
+  return checksum % 0x100;
+};
+/**
+ * Indicates whether or not the given custom step is the "null" step that
+ * terminates the list of steps.
+ * @private
+ */
+const _isNullStep = function (step: UfoSimStep): boolean {
+  return step.red === 1 && step.green === 2 && step.blue === 3;
+};
+
+/**
+ * Simulates a UFO's TCP server, which controls the UFO's output.
+ * @private
+ */
+export class TcpServer {
+  _sim: UfoSim;
+  _host: string;
+  _port: number;
+  _server: net.Server;
+  _sockets: Set<net.Socket>;
+  _state: UfoSimState;
+  _timers: Buffer;
+  constructor(sim: UfoSim, host: string, port: number) {
+    this._sim = sim;
+    this._host = host;
+    this._port = port;
+    this._sockets = new Set();
+    this._state = Object.assign({}, defaultState);
+    // The stored timers, as sent by the last request to set them. All timers
+    // start out inactive.
+    this._timers = Buffer.alloc(timerCount * timerSize);
+    for (let i = 0; i < timerCount; i += 1) this._timers[i * timerSize] = 0x0F;
+    this._server = net.createServer(socket => this._onConnection(socket));
+  }
+  /** Returns a copy of the simulated output state. */
+  get state(): UfoSimState {
+    return Object.assign({}, this._state, { steps: this._state.steps.map(s => Object.assign({}, s)) });
+  }
+  /** Returns the TCP port this server is bound to. */
+  get port(): number {
+    const address = this._server.address();
+    return address ? address.port : this._port;
+  }
+  /** Starts listening for connections. */
+  start(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.once('listening', () => {
+        this._server.removeListener('error', reject);
+        resolve();
+      });
+      this._server.listen(this._port, this._host);
+    });
+  }
+  /** Closes all connections and stops listening for new ones. */
+  stop(): Promise<void> {
+    return new Promise((resolve) => {
+      this._sockets.forEach(socket => socket.destroy());
+      this._sockets.clear();
+      if (this._server.listening) this._server.close(() => resolve());
+      else resolve();
+    });
+  }
+  /**
+   * Splits the data received on the given socket into request frames. Unknown
+   * bytes are skipped and frames with a bad checksum are ignored, just as a
+   * real UFO ignores them.
+   * @private
+   */
+  _onConnection(socket: net.Socket): void {
+    this._sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (data: Buffer) => {
+      buffer = Buffer.concat([buffer, data]);
+      while (buffer.length > 0) {
+        const size = frameSizes.get(buffer[0]);
+        if (size === undefined) {
+          buffer = buffer.slice(1);
+        } else if (buffer.length < size) {
+          break;
+        } else {
+          const frame = buffer.slice(0, size);
+          buffer = buffer.slice(size);
+          if (_checksum(frame) === frame[size - 1]) this._receive(socket, frame);
+        }
+      }
+    });
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => this._sockets.delete(socket));
+  }
+  /**
+   * Applies the given request frame to the simulated output state, or responds
+   * to it if it is a status or timer request. Timers are stored but never
+   * fire.
+   * @private
+   */
+  _receive(socket: net.Socket, frame: Buffer): void {
+    const state = this._state;
+    switch (frame[0]) {
+      case statusHeader:
+        socket.write(this._status());
+        return;
+      case timersHeader: {
+        // 0x0f 0x22 timers(6x14) 0x00 checksum
+        const response = Buffer.concat([Buffer.from([0x0F, timersHeader]), this._timers, Buffer.from([0x00, 0x00])]);
+        response[response.length - 1] = _checksum(response);
+        socket.write(response);
+        return;
+      }
+      case setTimersHeader:
+        // 0x21 timers(6x14) 0x00 0xf0 checksum
+        this._timers = Buffer.from(frame.slice(1, 1 + (timerCount * timerSize)));
+        socket.write(Buffer.from([0x0F, setTimersHeader, 0x00, 0x30]));
+        return;
+      case powerHeader:
+        if (frame[1] === powerOn) state.on = true;
+        else if (frame[1] === powerOff) state.on = false;
+        else return;
+        break;
+      case rgbwHeader:
+        // 0x31 rr gg bb ww 0x00 0x0f checksum
+        state.mode = staticMode;
+        state.red = frame.readUInt8(1);
+        state.green = frame.readUInt8(2);
+        state.blue = frame.readUInt8(3);
+        state.white = frame.readUInt8(4);
+        break;
+      case builtinHeader:
+        // 0x61 id speed 0x0f checksum
+        state.mode = frame.readUInt8(1);
+        state.speed = frame.readUInt8(2);
+        break;
+      case customHeader: {
+        // 0x51 steps(16x4) speed mode 0xff 0x0f checksum
+        const steps = [];
+        for (let i = 0; i < customStepCount; i += 1) {
+          const offset = 1 + (i * 4);
+          steps.push({ red: frame.readUInt8(offset), green: frame.readUInt8(offset + 1), blue: frame.readUInt8(offset + 2) });
+        }
+        const nullIndex = steps.findIndex(_isNullStep);
+        state.steps = nullIndex < 0 ? steps : steps.slice(0, nullIndex);
+        state.mode = customMode;
+        state.speed = frame.readUInt8(1 + (customStepCount * 4));
+        break;
+      }
+      default:
+        return;
+    }
+    this._sim.emit('change', this.state);
+  }
+  /**
+   * Returns the 14-byte status response for the current output state.
+   * @private
+   */
+  _status(): Buffer {
+    // 0x81 0x04 POWER MODE 0x21 SPEED RED GREEN BLUE WHITE 0x03 0x00 0x00 CHECKSUM
+    const state = this._state;
+    const response = Buffer.from([
+      statusHeader,
+      0x04,
+      state.on ? powerOn : powerOff,
+      state.mode,
+      0x21,
+      state.speed,
+      state.red,
+      state.green,
+      state.blue,
+      state.white,
+      0x03,
+      0x00,
+      0x00,
+      0x00,
+    ]);
+    response[statusResponseSize - 1] = _checksum(response);
+    return response;
+  }
+}
+export default TcpServer;
@@ -0,0 +1,212 @@
+// @flow
+import * as dgram from 'dgram';
+import UfoSim from './UfoSim';
+import type { UfoSimNetwork } from './UfoSimOptions';
+
+/* Private types. */
+type UdpServerOptions = {
+  host: string,
+  port: number,
+  ip: string,
+  mac: string,
+  model: string,
+  password: string,
+  tcpPort: number,
+  settings: {[string]: string},
+  networks: Array<UfoSimNetwork>,
+};
+
+/* Private variables. */
+const defaultHello = 'HF-A11ASSISTHREAD';
+const helloAck = '+ok';
+const sendPrefix = 'AT+';
+const sendSuffix = '\r';
+const recvSuffix = '\r\n\r\n';
+// AT error codes.
+const invalidCommand = '-2';
+const notPermitted = '-5';
+// Settings that can be read, but not written.
+const readOnlySettings = ['VER', 'WSLK', 'WSLQ'];
+// Settings that keep their trailing fields when fewer fields are written, e.g.
+// "AT+WANN=DHCP" keeps the current IP address, netmask and gateway.
+const mergedSettings = ['WANN'];
+
+/* Private functions. */
+/**
+ * Returns the factory default AT command settings of a UFO with the given
+ * options.
+ * @private
+ */
+const _defaultSettings = function (options: UdpServerOptions): {[string]: string} {
+  const macSuffix = options.mac.replace(/[-:]/g, '').slice(-6).toUpperCase();
+  return {
+    VER: '01.00.00',
+    NTPSER: '61.164.36.105',
+    NETP: `TCP,Server,${options.tcpPort},${options.ip}`,
+    MDCH: 'off',
+    WMODE: 'STA',
+    LANN: '10.10.123.3,255.255.255.0',
+    WAP: `11BGN,LEDnet${macSuffix},CH1`,
+    WAKEY: 'OPEN,NONE',
+    WALKIND: 'on',
+    WADHCP: 'on,100,150',
+    WSLK: 'Disconnected',
+    WSLQ: 'Disconnected',
+    WANN: 'DHCP,0.0.0.0,0.0.0.0,0.0.0.0',
+    WSSSID: '',
+    WSKEY: 'OPEN,NONE',
+  };
+};
+
+/**
+ * Simulates a UFO's UDP server, which answers discovery requests and AT
+ * commands.
+ * @private
+ */
+export class UdpServer {
+  _sim: UfoSim;
+  _options: UdpServerOptions;
+  _socket: dgram$Socket;
+  _bound: boolean;
+  _password: string;
+  _settings: {[string]: string};
+  _commandMode: Set<string>;
+  constructor(sim: UfoSim, options: UdpServerOptions) {
+    this._sim = sim;
+    this._options = options;
+    this._bound = false;
+    this._password = options.password || defaultHello;
+    this._settings = Object.assign(_defaultSettings(options), options.settings);
+    // The addresses of the clients that are currently in command mode.
+    this._commandMode = new Set();
+    this._socket = this._createSocket();
+  }
+  /** Returns a copy of the simulated AT command settings. */
+  get settings(): {[string]: string} {
+    return Object.assign({}, this._settings, { ASWD: this._password });
+  }
+  /** Returns the UDP port this server is bound to. */
+  get port(): number {
+    return this._bound ? this._socket.address().port : this._options.port;
+  }
+  /**
+   * Creates the UDP socket. Closed sockets cannot be bound again, so a new one
+   * is needed every time this server starts.
+   * @private
+   */
+  _createSocket(): dgram$Socket {
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', (msg, rinfo) => this._receive(msg.toString('utf8'), rinfo));
+    return socket;
+  }
+  /** Starts listening for datagrams. */
+  start(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      if (this._bound) { resolve(); return; }
+      this._commandMode.clear();
+      this._socket = this._createSocket();
+      this._socket.once('error', reject);
+      this._socket.bind(this._options.port, this._options.host, () => {
+        this._socket.removeListener('error', reject);
+        this._bound = true;
+        resolve();
+      });
+    });
+  }
+  /** Stops listening for datagrams. */
+  stop(): Promise<void> {
+    return new Promise((resolve) => {
+      if (!this._bound) { resolve(); return; }
+      this._bound = false;
+      this._socket.once('close', () => resolve());
+      this._socket.close();
+    });
+  }
+  /**
+   * Sends the given message to the given client.
+   * @private
+   */
+  _send(message: string, rinfo: Object): void {
+    if (this._bound) this._socket.send(Buffer.from(message), rinfo.port, rinfo.address);
+  }
+  /**
+   * Responds to a datagram. Like a real UFO, AT commands are ignored unless the
+   * client has entered command mode by saying hello and acknowledging the
+   * response.
+   * @private
+   */
+  _receive(message: string, rinfo: Object): void {
+    const client = `${rinfo.address}:${rinfo.port}`;
+    if (message === this._password) {
+      const { ip, mac, model } = this._options;
+      this._send(`${ip},${mac},${model}`, rinfo);
+    } else if (message === helloAck) {
+      this._commandMode.add(client);
+    } else if (this._commandMode.has(client) && message.startsWith(sendPrefix) && message.endsWith(sendSuffix)) {
+      const command = message.substring(sendPrefix.length, message.length - sendSuffix.length);
+      const separator = command.indexOf('=');
+      if (separator < 0) {
+        this._command(client, command, null, rinfo);
+      } else {
+        this._command(client, command.substring(0, separator), command.substring(separator + 1).split(','), rinfo);
+      }
+    }
+  }
+  /**
+   * Executes the given AT command from the given client.
+   * @private
+   */
+  _command(client: string, name: string, args: ?Array<string>, rinfo: Object): void {
+    const reply = (response: string) => this._send(response + recvSuffix, rinfo);
+    switch (name) {
+      case 'Q':
+        this._commandMode.delete(client);
+        return;
+      case 'Z':
+        this._commandMode.clear();
+        this._sim.emit('reboot');
+        return;
+      case 'RELD':
+        this._password = defaultHello;
+        this._settings = _defaultSettings(this._options);
+        reply(`${helloAck}=rebooting...`);
+        this._commandMode.clear();
+        this._sim.emit('reboot');
+        return;
+      case 'WSCAN':
+        this._send(`${helloAck}=\r\nCh,SSID,BSSID,Security,Indicator\r\n`, rinfo);
+        this._options.networks.forEach((network) => {
+          this._send(`${network.channel},${network.ssid || ''},${network.mac},${network.security},${network.strength}\n`, rinfo);
+        });
+        this._send(recvSuffix, rinfo);
+        return;
+      case 'ASWD':
+        if (args) {
+          const [password] = args;
+          this._password = password;
+          this._sim.emit('setting', name, this._password);
+          reply(helloAck);
+        } else {
+          reply(`${helloAck}=${this._password}`);
+        }
+        return;
+      default:
+        break;
+    }
+    const value = this._settings[name];
+    if (value === undefined) {
+      reply(`+ERR=${invalidCommand}`);
+    } else if (!args) {
+      reply(`${helloAck}=${value}`);
+    } else if (readOnlySettings.includes(name)) {
+      reply(`+ERR=${notPermitted}`);
+    } else {
+      let fields = args;
+      if (mergedSettings.includes(name)) fields = args.concat(value.split(',').slice(args.length));
+      this._settings[name] = fields.join(',');
+      this._sim.emit('setting', name, this._settings[name]);
+      reply(helloAck);
+    }
+  }
+}
+export default UdpServer;
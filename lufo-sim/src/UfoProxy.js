@@ -0,0 +1,249 @@
+// @flow
+import * as dgram from 'dgram';
+import * as net from 'net';
+import type { UfoProxyFaults, UfoProxyOptions } from './UfoSimOptions';
+
+/* Private types. */
+type ProxyOptions = {
+  target: string,
+  targetTcpPort: number,
+  targetUdpPort: number,
+  host: string,
+  tcpPort: number,
+  udpPort: number,
+  random: () => number,
+};
+
+/* Private variables. */
+const defaultHost = '127.0.0.1';
+const defaultTcpPort = 5577;
+const defaultUdpPort = 48899;
+const statusHeader = 0x81;
+const statusResponseSize = 14;
+const ack = '+ok';
+const atError = '+ERR=-4\r\n\r\n';
+
+/* Private functions. */
+/**
+ * Returns the given port, or the given default if the port is undefined.
+ * @private
+ */
+const _port = function (port: ?number, defaultPort: number): number {
+  return port === undefined || port === null ? defaultPort : port;
+};
+/**
+ * Returns a promise that resolves after the given number of milliseconds.
+ * @private
+ */
+const _sleep = function (ms: number): Promise<void> {
+  if (ms <= 0) return Promise.resolve();
+  return new Promise((resolve) => { setTimeout(resolve, ms); });
+};
+
+/**
+ * A TCP and UDP proxy that sits between a {@link Ufo} object and a UFO (or a
+ * {@link UfoSim}) and injects faults into the traffic, such as dropped
+ * datagrams, delayed or split status responses, corrupt checksums, bad header
+ * bytes, AT command errors and idle connection closures. This makes it
+ * possible to reproduce the messy conditions of real WiFi networks in tests.
+ *
+ * Connect a {@link Ufo} object to the proxy's host and ports instead of the
+ * UFO's; the UFO must report the same IP address as the proxy's host in its
+ * hello response (or 0.0.0.0).
+ */
+export class UfoProxy {
+  _options: ProxyOptions;
+  _faults: UfoProxyFaults;
+  _tcpServer: net.Server;
+  _tcpSockets: Set<net.Socket>;
+  _udpSocket: dgram$Socket;
+  _udpUpstreams: Map<string, dgram$Socket>;
+  _udpBound: boolean;
+  constructor(options: UfoProxyOptions) {
+    this._options = {
+      target: options.target,
+      targetTcpPort: _port(options.targetTcpPort, defaultTcpPort),
+      targetUdpPort: _port(options.targetUdpPort, defaultUdpPort),
+      host: options.host || defaultHost,
+      tcpPort: _port(options.tcpPort, 0),
+      udpPort: _port(options.udpPort, 0),
+      random: options.random || Math.random,
+    };
+    this._faults = Object.assign({}, options.faults);
+    this._tcpSockets = new Set();
+    this._tcpServer = net.createServer(socket => this._onTcpConnection(socket));
+    this._udpUpstreams = new Map();
+    this._udpBound = false;
+    this._udpSocket = dgram.createSocket('udp4');
+  }
+  /** Returns a copy of the faults currently being injected. */
+  get faults(): UfoProxyFaults {
+    return Object.assign({}, this._faults);
+  }
+  /**
+   * Replaces the faults being injected. The new faults apply to all traffic
+   * from now on, including existing connections.
+   */
+  set faults(faults: UfoProxyFaults): void {
+    this._faults = Object.assign({}, faults);
+  }
+  /** Returns the TCP port the proxy is listening on. */
+  get tcpPort(): number {
+    const address = this._tcpServer.address();
+    return address ? address.port : this._options.tcpPort;
+  }
+  /** Returns the UDP port the proxy is listening on. */
+  get udpPort(): number {
+    return this._udpBound ? this._udpSocket.address().port : this._options.udpPort;
+  }
+  /** Starts the proxy's TCP and UDP servers. */
+  start(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      this._tcpServer.once('error', reject);
+      this._tcpServer.once('listening', () => {
+        this._tcpServer.removeListener('error', reject);
+        resolve();
+      });
+      this._tcpServer.listen(this._options.tcpPort, this._options.host);
+    }).then(() => new Promise((resolve, reject) => {
+      this._udpSocket = dgram.createSocket('udp4');
+      this._udpSocket.on('message', (msg, rinfo) => this._onUdpRequest(msg, rinfo));
+      this._udpSocket.once('error', reject);
+      this._udpSocket.bind(this._options.udpPort, this._options.host, () => {
+        this._udpSocket.removeListener('error', reject);
+        this._udpBound = true;
+        resolve();
+      });
+    }).catch((err) => {
+      // Don't leave the TCP server running if the UDP server cannot start.
+      this._tcpServer.close();
+      throw err;
+    }));
+  }
+  /** Closes all connections and stops the proxy's TCP and UDP servers. */
+  stop(): Promise<void> {
+    this._tcpSockets.forEach(socket => socket.destroy());
+    this._tcpSockets.clear();
+    this._udpUpstreams.forEach(upstream => upstream.close());
+    this._udpUpstreams.clear();
+    const tcpStopped = new Promise((resolve) => {
+      if (this._tcpServer.listening) this._tcpServer.close(() => resolve());
+      else resolve();
+    });
+    const udpStopped = new Promise((resolve) => {
+      if (!this._udpBound) { resolve(); return; }
+      this._udpBound = false;
+      this._udpSocket.once('close', () => resolve());
+      this._udpSocket.close();
+    });
+    return Promise.all([tcpStopped, udpStopped]).then(() => {});
+  }
+  /**
+   * Indicates whether or not a fault with the given rate should be injected.
+   * @private
+   */
+  _chance(rate: ?number): boolean {
+    return !!rate && rate > 0 && this._options.random() < rate;
+  }
+  /**
+   * Connects the given client socket to the UFO and forwards data in both
+   * directions, injecting faults into the UFO's responses.
+   * @private
+   */
+  _onTcpConnection(client: net.Socket): void {
+    const upstream = net.connect(this._options.targetTcpPort, this._options.target);
+    this._tcpSockets.add(client);
+    this._tcpSockets.add(upstream);
+    // Responses are delivered in order, even when they are delayed.
+    let delivery = Promise.resolve();
+    let idleTimer: ?TimeoutID = null;
+    const close = () => {
+      if (idleTimer) clearTimeout(idleTimer);
+      client.end();
+      upstream.end();
+    };
+    const restartIdleTimer = () => {
+      if (idleTimer) clearTimeout(idleTimer);
+      const { idleTimeout } = this._faults;
+      if (idleTimeout && idleTimeout > 0) idleTimer = setTimeout(close, idleTimeout);
+    };
+    restartIdleTimer();
+    client.on('data', (data: Buffer) => {
+      restartIdleTimer();
+      upstream.write(data);
+    });
+    upstream.on('data', (data: Buffer) => {
+      const chunks = this._tcpResponseChunks(data);
+      const delay = this._faults.delay || 0;
+      chunks.forEach((chunk) => {
+        delivery = delivery.then(() => _sleep(delay)).then(() => {
+          if (!client.destroyed) client.write(chunk);
+        });
+      });
+    });
+    [client, upstream].forEach((socket) => {
+      socket.on('error', () => socket.destroy());
+      socket.on('close', () => {
+        this._tcpSockets.delete(socket);
+        close();
+      });
+    });
+  }
+  /**
+   * Injects faults into the given TCP response from the UFO and splits it into
+   * the chunks that are delivered to the client.
+   * @private
+   */
+  _tcpResponseChunks(data: Buffer): Array<Buffer> {
+    const response = Buffer.from(data);
+    if (response.length >= statusResponseSize && response.readUInt8(0) === statusHeader) {
+      if (this._chance(this._faults.checksumRate)) {
+        const lastIndex = statusResponseSize - 1;
+        response.writeUInt8((response.readUInt8(lastIndex) + 1) % 0x100, lastIndex);
+      }
+      if (this._chance(this._faults.headerRate)) response.writeUInt8(0x00, 0);
+    }
+    const splitSize = this._faults.splitSize || 0;
+    if (splitSize <= 0) return [response];
+    const chunks = [];
+    for (let i = 0; i < response.length; i += splitSize) chunks.push(response.slice(i, i + splitSize));
+    return chunks;
+  }
+  /**
+   * Forwards the given datagram from a client to the UFO, unless it is
+   * dropped. Each client gets its own socket for talking to the UFO, so that
+   * responses can be routed back to the right client.
+   * @private
+   */
+  _onUdpRequest(msg: Buffer, rinfo: Object): void {
+    if (this._chance(this._faults.dropRate)) return;
+    const key = `${rinfo.address}:${rinfo.port}`;
+    let upstream = this._udpUpstreams.get(key);
+    if (!upstream) {
+      const socket = dgram.createSocket('udp4');
+      socket.on('message', response => this._onUdpResponse(response, rinfo));
+      socket.on('error', () => {
+        socket.close();
+        this._udpUpstreams.delete(key);
+      });
+      this._udpUpstreams.set(key, socket);
+      upstream = socket;
+    }
+    upstream.send(msg, this._options.targetUdpPort, this._options.target);
+  }
+  /**
+   * Injects faults into the given datagram from the UFO and forwards it to the
+   * given client.
+   * @private
+   */
+  _onUdpResponse(msg: Buffer, rinfo: Object): void {
+    let response = msg;
+    if (response.toString('utf8').startsWith(ack) && this._chance(this._faults.atErrorRate)) {
+      response = Buffer.from(atError);
+    }
+    _sleep(this._faults.delay || 0).then(() => {
+      if (this._udpBound) this._udpSocket.send(response, rinfo.port, rinfo.address);
+    });
+  }
+}
+export default UfoProxy;
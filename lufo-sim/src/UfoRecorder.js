@@ -0,0 +1,74 @@
+// @flow
+import * as fs from 'fs';
+import type { UfoFixture, UfoFixtureFrame } from './UfoSimOptions';
+
+/* Private types. */
+// The trace events passed to the "trace" option of lufo-api's Ufo object.
+type TraceEvent = {
+  time: number,
+  direction: 'send' | 'receive',
+  transport: 'tcp' | 'udp',
+  data: Buffer | string,
+  command: ?string,
+};
+
+/* Private variables. */
+const fixtureVersion = 1;
+
+/**
+ * Records the traffic between a {@link Ufo} object and a UFO into a
+ * {@link UfoFixture}, which can be saved to a JSON file and served back to
+ * {@link Ufo} objects by a {@link UfoReplay}. This makes it possible to capture
+ * the real responses of a particular UFO firmware and use them as regression
+ * test fixtures.
+ *
+ * Pass the recorder's trace function as the "trace" option of the {@link Ufo}
+ * object whose session should be recorded.
+ */
+export class UfoRecorder {
+  _frames: Array<UfoFixtureFrame>;
+  _start: ?number;
+  trace: (TraceEvent) => void;
+  constructor() {
+    this._frames = [];
+    this._start = null;
+    // Bound so it can be passed directly as the "trace" option.
+    this.trace = this._record.bind(this);
+  }
+  /** Returns the session recorded so far. */
+  get fixture(): UfoFixture {
+    return {
+      version: fixtureVersion,
+      frames: this._frames.map(f => Object.assign({}, f)),
+    };
+  }
+  /** Discards the session recorded so far. */
+  clear(): void {
+    this._frames = [];
+    this._start = null;
+  }
+  /** Saves the session recorded so far to the given JSON file. */
+  save(path: string): Promise<void> {
+    return new Promise((resolve, reject) => {
+      fs.writeFile(path, `${JSON.stringify(this.fixture, null, 2)}\n`, (err) => {
+        if (err) reject(err); else resolve();
+      });
+    });
+  }
+  /**
+   * Adds the given trace event to the recording.
+   * @private
+   */
+  _record(event: TraceEvent): void {
+    if (this._start === null || this._start === undefined) this._start = event.time;
+    const { data } = event;
+    this._frames.push({
+      time: event.time - this._start,
+      direction: event.direction,
+      transport: event.transport,
+      command: event.command || null,
+      data: typeof data === 'string' ? data : data.toString('hex'),
+    });
+  }
+}
+export default UfoRecorder;
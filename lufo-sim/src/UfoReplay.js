@@ -0,0 +1,273 @@
+// @flow
+import EventEmitter from 'events';
+import * as dgram from 'dgram';
+import * as net from 'net';
+import type { UfoFixture, UfoReplayOptions } from './UfoSimOptions';
+
+/* Private types. */
+type ReplayOptions = {
+  host: string,
+  tcpPort: number,
+  udpPort: number,
+  ip: string,
+  timing: boolean,
+};
+type ReplayFrame = {
+  time: number,
+  direction: 'send' | 'receive',
+  command: ?string,
+  data: Buffer,
+};
+type ReplayScript = {
+  frames: Array<ReplayFrame>,
+  // The index of the first frame that has not been replayed yet.
+  cursor: number,
+  // Responses are delivered in order, even when they are delayed.
+  delivery: Promise<void>,
+};
+
+/* Private variables. */
+const defaultHost = '127.0.0.1';
+
+/* Private functions. */
+/**
+ * Returns the given port, or the given default if the port is undefined.
+ * @private
+ */
+const _port = function (port: ?number, defaultPort: number): number {
+  return port === undefined || port === null ? defaultPort : port;
+};
+/**
+ * Returns the frames of the given fixture that were sent or received over the
+ * given transport, with their data decoded.
+ * @private
+ */
+const _script = function (fixture: UfoFixture, transport: 'tcp' | 'udp'): ReplayScript {
+  const frames = fixture.frames.filter(f => f.transport === transport).map(f => ({
+    time: f.time,
+    direction: f.direction,
+    command: f.command,
+    data: transport === 'tcp' ? Buffer.from(f.data, 'hex') : Buffer.from(f.data),
+  }));
+  return { frames, cursor: 0, delivery: Promise.resolve() };
+};
+/**
+ * Returns the index of the next recorded request in the given script that the
+ * given data begins with (or is equal to, if exact is true), or -1 if there is
+ * none.
+ * @private
+ */
+const _nextRequest = function (script: ReplayScript, data: Buffer, exact: boolean): number {
+  for (let i = script.cursor; i < script.frames.length; i += 1) {
+    const frame = script.frames[i];
+    if (frame.direction === 'send') {
+      const matches = exact
+        ? data.equals(frame.data)
+        : data.length >= frame.data.length && data.slice(0, frame.data.length).equals(frame.data);
+      if (matches) return i;
+    }
+  }
+  return -1;
+};
+/**
+ * Indicates whether or not the given data is the beginning of a recorded
+ * request in the given script that has not been received yet.
+ * @private
+ */
+const _isPartialRequest = function (script: ReplayScript, data: Buffer): boolean {
+  return script.frames.slice(script.cursor).some(f => f.direction === 'send' &&
+    f.data.length > data.length && f.data.slice(0, data.length).equals(data));
+};
+/**
+ * Returns a promise that resolves after the given number of milliseconds.
+ * @private
+ */
+const _sleep = function (ms: number): Promise<void> {
+  if (ms <= 0) return Promise.resolve();
+  return new Promise((resolve) => { setTimeout(resolve, ms); });
+};
+
+/**
+ * Serves a {@link UfoFixture} recorded by a {@link UfoRecorder} back to
+ * {@link Ufo} objects over TCP and UDP, for deterministic regression tests
+ * against the real responses of a particular UFO firmware.
+ *
+ * Each request received is matched to the next recorded request with the same
+ * bytes, and answered with the responses that followed it in the recording.
+ * TCP and UDP traffic are replayed independently of each other. Hello responses
+ * are rewritten to report the replay server's IP address, so {@link Ufo}
+ * objects connected to the replay server accept them.
+ *
+ * The following events are emitted:
+ * - "unexpected", with the transport ("tcp" or "udp") and the request data as
+ * arguments, whenever a request that was not recorded is received. The request
+ * is not answered.
+ */
+export class UfoReplay extends EventEmitter {
+  _options: ReplayOptions;
+  _scripts: { tcp: ReplayScript, udp: ReplayScript };
+  _tcpServer: net.Server;
+  _tcpSockets: Set<net.Socket>;
+  _udpSocket: dgram$Socket;
+  _udpBound: boolean;
+  constructor(options: UfoReplayOptions) {
+    super();
+    const host = options.host || defaultHost;
+    this._options = {
+      host,
+      tcpPort: _port(options.tcpPort, 0),
+      udpPort: _port(options.udpPort, 0),
+      ip: options.ip || host,
+      timing: options.timing || false,
+    };
+    this._scripts = {
+      tcp: _script(options.fixture, 'tcp'),
+      udp: _script(options.fixture, 'udp'),
+    };
+    this._tcpSockets = new Set();
+    this._tcpServer = net.createServer(socket => this._onTcpConnection(socket));
+    this._udpBound = false;
+    this._udpSocket = dgram.createSocket('udp4');
+  }
+  /** Returns the TCP port the replay server is listening on. */
+  get tcpPort(): number {
+    const address = this._tcpServer.address();
+    return address ? address.port : this._options.tcpPort;
+  }
+  /** Returns the UDP port the replay server is listening on. */
+  get udpPort(): number {
+    return this._udpBound ? this._udpSocket.address().port : this._options.udpPort;
+  }
+  /**
+   * Returns the number of recorded requests that have not been received yet.
+   * Zero means the whole fixture has been replayed.
+   */
+  get pending(): number {
+    return [this._scripts.tcp, this._scripts.udp].reduce((count, script) => count + script.frames
+      .slice(script.cursor)
+      .filter(f => f.direction === 'send')
+      .length, 0);
+  }
+  /** Starts the replay server's TCP and UDP servers. */
+  start(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      this._tcpServer.once('error', reject);
+      this._tcpServer.once('listening', () => {
+        this._tcpServer.removeListener('error', reject);
+        resolve();
+      });
+      this._tcpServer.listen(this._options.tcpPort, this._options.host);
+    }).then(() => new Promise((resolve, reject) => {
+      this._udpSocket = dgram.createSocket('udp4');
+      this._udpSocket.on('message', (msg, rinfo) => this._onUdpRequest(msg, rinfo));
+      this._udpSocket.once('error', reject);
+      this._udpSocket.bind(this._options.udpPort, this._options.host, () => {
+        this._udpSocket.removeListener('error', reject);
+        this._udpBound = true;
+        resolve();
+      });
+    }).catch((err) => {
+      // Don't leave the TCP server running if the UDP server cannot start.
+      this._tcpServer.close();
+      throw err;
+    }));
+  }
+  /** Closes all connections and stops the replay server's TCP and UDP servers. */
+  stop(): Promise<void> {
+    this._tcpSockets.forEach(socket => socket.destroy());
+    this._tcpSockets.clear();
+    const tcpStopped = new Promise((resolve) => {
+      if (this._tcpServer.listening) this._tcpServer.close(() => resolve());
+      else resolve();
+    });
+    const udpStopped = new Promise((resolve) => {
+      if (!this._udpBound) { resolve(); return; }
+      this._udpBound = false;
+      this._udpSocket.once('close', () => resolve());
+      this._udpSocket.close();
+    });
+    return Promise.all([tcpStopped, udpStopped]).then(() => {});
+  }
+  /**
+   * Replays the responses that followed the recorded request at the given
+   * index, passing each one to the given function.
+   * @private
+   */
+  _respond(transport: 'tcp' | 'udp', index: number, send: (Buffer) => void): void {
+    const script = this._scripts[transport];
+    const request = script.frames[index];
+    let end = index + 1;
+    while (end < script.frames.length && script.frames[end].direction === 'receive') end += 1;
+    const responses = script.frames.slice(index + 1, end);
+    script.cursor = end;
+    // Each response is delayed relative to the frame before it.
+    let previous = request;
+    responses.forEach((response) => {
+      const delay = this._options.timing ? response.time - previous.time : 0;
+      previous = response;
+      const data = this._rewrite(response);
+      script.delivery = script.delivery.then(() => _sleep(delay)).then(() => send(data));
+    });
+  }
+  /**
+   * Returns the data of the given response, with the IP address in hello
+   * responses replaced by the configured one.
+   * @private
+   */
+  _rewrite(response: ReplayFrame): Buffer {
+    if (response.command !== 'hello') return response.data;
+    const fields = response.data.toString('utf8').split(',');
+    if (fields.length !== 3) return response.data;
+    fields[0] = this._options.ip;
+    return Buffer.from(fields.join(','));
+  }
+  /**
+   * Matches the data received on the given socket to recorded requests. Writes
+   * may be coalesced or split, so the data is buffered until it contains a
+   * whole request, and unrecorded data is skipped up to the next request.
+   * @private
+   */
+  _onTcpConnection(socket: net.Socket): void {
+    this._tcpSockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (data: Buffer) => {
+      buffer = Buffer.concat([buffer, data]);
+      while (buffer.length > 0) {
+        const script = this._scripts.tcp;
+        const index = _nextRequest(script, buffer, false);
+        if (index >= 0) {
+          buffer = buffer.slice(script.frames[index].data.length);
+          this._respond('tcp', index, (response) => {
+            if (!socket.destroyed) socket.write(response);
+          });
+        } else if (_isPartialRequest(script, buffer)) {
+          break;
+        } else {
+          // Skip to the next recorded request in the data, if any.
+          let skip = 1;
+          while (skip < buffer.length && _nextRequest(script, buffer.slice(skip), false) < 0 &&
+            !_isPartialRequest(script, buffer.slice(skip))) skip += 1;
+          this.emit('unexpected', 'tcp', buffer.slice(0, skip));
+          buffer = buffer.slice(skip);
+        }
+      }
+    });
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => this._tcpSockets.delete(socket));
+  }
+  /**
+   * Answers the given datagram with the recorded responses, if it was recorded.
+   * @private
+   */
+  _onUdpRequest(msg: Buffer, rinfo: Object): void {
+    const index = _nextRequest(this._scripts.udp, msg, true);
+    if (index < 0) {
+      this.emit('unexpected', 'udp', msg.toString('utf8'));
+      return;
+    }
+    this._respond('udp', index, (response) => {
+      if (this._udpBound) this._udpSocket.send(response, rinfo.port, rinfo.address);
+    });
+  }
+}
+export default UfoReplay;
@@ -0,0 +1,107 @@
+// @flow
+import EventEmitter from 'events';
+import { TcpServer } from './TcpServer';
+import { UfoProxy } from './UfoProxy';
+import { UfoRecorder } from './UfoRecorder';
+import { UfoReplay } from './UfoReplay';
+import { UdpServer } from './UdpServer';
+import type { UfoSimState } from './TcpServer';
+import type { UfoSimOptions } from './UfoSimOptions';
+
+/* Private variables. */
+const defaultHost = '127.0.0.1';
+const defaultTcpPort = 5577;
+const defaultUdpPort = 48899;
+const defaultMac = 'ACCF23000001';
+const defaultModel = 'HF-LPB100-ZJ200';
+
+/* Private functions. */
+/**
+ * Returns the given port, or the given default if the port is undefined.
+ * @private
+ */
+const _port = function (port: ?number, defaultPort: number): number {
+  return port === undefined || port === null ? defaultPort : port;
+};
+
+/**
+ * A simulated UFO that implements the TCP and UDP protocols of a real UFO
+ * closely enough for the API and CLI to be used without real hardware. The
+ * simulator is stateful: output commands sent over TCP are reflected in later
+ * status responses, and AT command settings written over UDP are reflected in
+ * later reads.
+ *
+ * The following events are emitted:
+ * - "change", with a {@link UfoSimState} argument, whenever a TCP command
+ * changes the simulated output.
+ * - "setting", with the AT command name and new value as arguments, whenever
+ * an AT command setting is written.
+ * - "reboot", when the simulated UFO is asked to reboot or reset to factory
+ * settings.
+ */
+class UfoSim extends EventEmitter {
+  _tcpServer: TcpServer;
+  _udpServer: UdpServer;
+  constructor(options?: UfoSimOptions) {
+    super();
+    const simOptions = options || {};
+    const host = simOptions.host || defaultHost;
+    const tcpPort = _port(simOptions.tcpPort, defaultTcpPort);
+    this._tcpServer = new TcpServer(this, host, tcpPort);
+    this._udpServer = new UdpServer(this, {
+      host,
+      port: _port(simOptions.udpPort, defaultUdpPort),
+      ip: simOptions.ip || host,
+      mac: simOptions.mac || defaultMac,
+      model: simOptions.model || defaultModel,
+      password: simOptions.password || '',
+      tcpPort,
+      settings: simOptions.settings || {},
+      networks: simOptions.networks || [],
+    });
+  }
+  /** Returns the {@link UfoProxy} class. */
+  static get UfoProxy(): Class<UfoProxy> {
+    return UfoProxy;
+  }
+  /** Returns the {@link UfoRecorder} class. */
+  static get UfoRecorder(): Class<UfoRecorder> {
+    return UfoRecorder;
+  }
+  /** Returns the {@link UfoReplay} class. */
+  static get UfoReplay(): Class<UfoReplay> {
+    return UfoReplay;
+  }
+  /** Returns the TCP port the simulator is listening on. */
+  get tcpPort(): number {
+    return this._tcpServer.port;
+  }
+  /** Returns the UDP port the simulator is listening on. */
+  get udpPort(): number {
+    return this._udpServer.port;
+  }
+  /** Returns a copy of the simulated output state. */
+  get state(): UfoSimState {
+    return this._tcpServer.state;
+  }
+  /**
+   * Returns a copy of the simulated AT command settings, keyed by AT command
+   * name without the "AT+" prefix.
+   */
+  get settings(): {[string]: string} {
+    return this._udpServer.settings;
+  }
+  /** Starts the simulator's TCP and UDP servers. */
+  start(): Promise<void> {
+    return this._tcpServer.start().then(() => this._udpServer.start().catch((err) => {
+      // Don't leave the TCP server running if the UDP server cannot start.
+      this._tcpServer.stop();
+      throw err;
+    }));
+  }
+  /** Stops the simulator's TCP and UDP servers. */
+  stop(): Promise<void> {
+    return Promise.all([this._tcpServer.stop(), this._udpServer.stop()]).then(() => {});
+  }
+}
+export default UfoSim;
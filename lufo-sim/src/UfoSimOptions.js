@@ -0,0 +1,173 @@
+// @flow
+/**
+ * A WiFi network reported by a simulated UFO when it is asked to scan for WiFi
+ * networks.
+ * @typedef {Object} UfoSimNetwork
+ * @property {number} channel The network channel number, 1-11 inclusive.
+ * @property {string} [ssid] The SSID of the network. If null, SSID broadcast is
+ * disabled for this network.
+ * @property {string} mac The MAC address of this network's AP.
+ * @property {string} security A description of the security configuration for
+ * this network.
+ * @property {number} strength The network signal strength, 0-100 inclusive.
+ */
+export type UfoSimNetwork = {
+  channel: number,
+  ssid: string | null,
+  mac: string,
+  security: string,
+  strength: number,
+};
+/**
+ * Available configuration options for the {@link UfoSim} object.
+ * @typedef {Object} UfoSimOptions
+ * @property {string} [host] the local address to which the simulator's TCP and
+ * UDP servers are bound. Default is 127.0.0.1. Use 0.0.0.0 to make the
+ * simulator discoverable by other machines.
+ * @property {number} [tcpPort] the TCP port to listen on. Default is 5577. Zero
+ * means a random port is used.
+ * @property {number} [udpPort] the UDP port to listen on. Default is 48899.
+ * Zero means a random port is used.
+ * @property {string} [ip] the IP address the simulator reports in response to
+ * hello/discovery requests. Default is the host, which makes clients treat the
+ * simulator as a UFO in AP mode if the host is 0.0.0.0.
+ * @property {string} [mac] the MAC address the simulator reports. Default is
+ * ACCF23000001.
+ * @property {string} [model] the model number the simulator reports. Default
+ * is HF-LPB100-ZJ200.
+ * @property {string} [password] the UDP password the simulator responds to.
+ * If unspecified, the default password is used.
+ * @property {Object} [settings] initial values of AT command settings, keyed by
+ * AT command name without the "AT+" prefix (e.g. "VER" or "WMODE"). Each value
+ * is what the simulator responds with when the setting is read, e.g.
+ * "11BGN,MyNetwork,CH7" for "WAP".
+ * @property {Array<UfoSimNetwork>} [networks] the WiFi networks reported by
+ * WiFi scans. Default is an empty array.
+ */
+export type UfoSimOptions = {
+  host?: string,
+  tcpPort?: number,
+  udpPort?: number,
+  ip?: string,
+  mac?: string,
+  model?: string,
+  password?: string,
+  settings?: {[string]: string},
+  networks?: Array<UfoSimNetwork>,
+};
+/**
+ * The faults injected by a {@link UfoProxy}. Rates are probabilities, 0-1
+ * inclusive, that a fault is injected into a given datagram or TCP response;
+ * zero or unspecified means never and 1 means always.
+ * @typedef {Object} UfoProxyFaults
+ * @property {number} [dropRate] how often UDP datagrams sent to the UFO are
+ * dropped.
+ * @property {number} [delay] how long to delay each UDP and TCP response from
+ * the UFO, in milliseconds.
+ * @property {number} [splitSize] if positive, TCP responses from the UFO are
+ * split into chunks of this many bytes, each sent after the delay.
+ * @property {number} [checksumRate] how often the checksum of a TCP status
+ * response is corrupted.
+ * @property {number} [headerRate] how often the header byte of a TCP status
+ * response is corrupted.
+ * @property {number} [atErrorRate] how often a UDP AT command response is
+ * replaced with an invalid parameter error ("+ERR=-4").
+ * @property {number} [idleTimeout] if positive, TCP connections that carry no
+ * data from the client for this many milliseconds are closed, like a real UFO
+ * does.
+ */
+export type UfoProxyFaults = {
+  dropRate?: number,
+  delay?: number,
+  splitSize?: number,
+  checksumRate?: number,
+  headerRate?: number,
+  atErrorRate?: number,
+  idleTimeout?: number,
+};
+/**
+ * Available configuration options for the {@link UfoProxy} object.
+ * @typedef {Object} UfoProxyOptions
+ * @property {string} target The IP address of the UFO (or {@link UfoSim}) to
+ * which traffic is forwarded.
+ * @property {number} [targetTcpPort] the UFO's TCP port. Default is 5577.
+ * @property {number} [targetUdpPort] the UFO's UDP port. Default is 48899.
+ * @property {string} [host] the local address to which the proxy's TCP and
+ * UDP servers are bound. Default is 127.0.0.1.
+ * @property {number} [tcpPort] the TCP port to listen on. Default is zero,
+ * which means a random port is used.
+ * @property {number} [udpPort] the UDP port to listen on. Default is zero,
+ * which means a random port is used.
+ * @property {UfoProxyFaults} [faults] the faults to inject. Can be changed
+ * later via {@link UfoProxy#faults}. Default is no faults.
+ * @property {Function} [random] the random number generator used to decide
+ * whether or not to inject each fault. Must return numbers from 0 inclusive to
+ * 1 exclusive, like the default Math.random. Useful for reproducible tests.
+ */
+export type UfoProxyOptions = {
+  target: string,
+  targetTcpPort?: number,
+  targetUdpPort?: number,
+  host?: string,
+  tcpPort?: number,
+  udpPort?: number,
+  faults?: UfoProxyFaults,
+  random?: () => number,
+};
+/**
+ * A frame recorded by a {@link UfoRecorder}.
+ * @typedef {Object} UfoFixtureFrame
+ * @property {number} time when the frame was sent or received, in milliseconds
+ * since the first frame of the recording.
+ * @property {string} direction "send" for frames sent to the UFO, "receive"
+ * for frames received from the UFO.
+ * @property {string} transport "tcp" or "udp".
+ * @property {string} [command] the name of the command the frame belongs to,
+ * if known.
+ * @property {string} data the frame's bytes as a hex string for TCP frames, or
+ * the datagram's ASCII text for UDP frames.
+ */
+export type UfoFixtureFrame = {
+  time: number,
+  direction: 'send' | 'receive',
+  transport: 'tcp' | 'udp',
+  command: ?string,
+  data: string,
+};
+/**
+ * A recorded session with a UFO, as produced by a {@link UfoRecorder} and
+ * served by a {@link UfoReplay}. Fixtures are plain objects that can be saved
+ * to and loaded from JSON files.
+ * @typedef {Object} UfoFixture
+ * @property {number} version the fixture format version. Always 1.
+ * @property {Array<UfoFixtureFrame>} frames the recorded frames, in the order
+ * in which they were sent or received.
+ */
+export type UfoFixture = {
+  version: number,
+  frames: Array<UfoFixtureFrame>,
+};
+/**
+ * Available configuration options for the {@link UfoReplay} object.
+ * @typedef {Object} UfoReplayOptions
+ * @property {UfoFixture} fixture the recorded session to replay.
+ * @property {string} [host] the local address to which the replay server's TCP
+ * and UDP servers are bound. Default is 127.0.0.1.
+ * @property {number} [tcpPort] the TCP port to listen on. Default is zero,
+ * which means a random port is used.
+ * @property {number} [udpPort] the UDP port to listen on. Default is zero,
+ * which means a random port is used.
+ * @property {string} [ip] the IP address reported in replayed hello responses
+ * instead of the recorded one. Default is the host.
+ * @property {boolean} [timing] if true, responses are delayed by as long as
+ * the UFO took to send them during the recording. Default is false, which
+ * means responses are sent immediately.
+ */
+export type UfoReplayOptions = {
+  fixture: UfoFixture,
+  host?: string,
+  tcpPort?: number,
+  udpPort?: number,
+  ip?: string,
+  timing?: boolean,
+};
@@ -21,6 +21,14 @@ cd $ROOT_DIR/lufo-api
 yarn --ignore-engines
 yarn run pack
 
+echo
+echo '--------------------------------------------------'
+echo '[pack:sim]'
+echo '--------------------------------------------------'
+cd $ROOT_DIR/lufo-sim
+yarn --ignore-engines
+yarn run pack
+
 echo
 echo '--------------------------------------------------'
 echo '[pack:cli]'
@@ -39,11 +47,11 @@ CLI_TARBALL=$(ls lufo-cli/*.tgz)
 TMP_DIR="/tmp/lufo-cli-$RANDOM"
 mkdir $TMP_DIR
 tar -xzf $CLI_TARBALL -C $TMP_DIR
-echo 'Pinning API dependency and repackaging CLI package...'
+echo 'Pinning API/simulator dependencies and repackaging CLI package...'
 PKG_ROOT_DIR='package'
 PACKAGE_JSON="$TMP_DIR/$PKG_ROOT_DIR/package.json"
 PACKAGE_JSON_TMP="$PACKAGE_JSON.tmp"
-cat $PACKAGE_JSON | jq ".dependencies.\"lufo-api\" = \"$VERSION\" | del(.scripts.postinstall)" > $PACKAGE_JSON_TMP
+cat $PACKAGE_JSON | jq ".dependencies.\"lufo-api\" = \"$VERSION\" | .dependencies.\"lufo-sim\" = \"$VERSION\" | del(.scripts.postinstall)" > $PACKAGE_JSON_TMP
 mv $PACKAGE_JSON_TMP $PACKAGE_JSON
 rm -f $CLI_TARBALL
 tar -czf $CLI_TARBALL -C $TMP_DIR $PKG_ROOT_DIR
@@ -63,6 +71,13 @@ echo '--------------------------------------------------'
 cd $ROOT_DIR/lufo-api
 npm publish $(ls *.tgz)
 
+echo
+echo '--------------------------------------------------'
+echo '[deploy:sim]'
+echo '--------------------------------------------------'
+cd $ROOT_DIR/lufo-sim
+npm publish $(ls *.tgz)
+
 echo
 echo '--------------------------------------------------'
 echo '[deploy:cli]'